@@ -0,0 +1,283 @@
+import { sql } from 'drizzle-orm';
+import { db } from './index.js';
+
+/**
+ * Bring an existing database up to the current schema where db:push alone can't:
+ * columns that need their data moved or backfilled, and seed rows.
+ * Idempotent - runs on every start, and via `npm run db:migrate-data` before db:push
+ * when upgrading (db:push would otherwise drop or refuse the columns first).
+ */
+export async function runDataMigrations(): Promise<void> {
+    // Add escalation columns if they don't exist
+    await db.execute(sql`
+        DO $$
+        BEGIN
+            IF NOT EXISTS (
+                SELECT 1 FROM information_schema.columns 
+                WHERE table_name = 'alerts' AND column_name = 'escalation_level'
+            ) THEN
+                ALTER TABLE alerts ADD COLUMN escalation_level INTEGER DEFAULT 0 NOT NULL;
+                RAISE NOTICE 'Added escalation_level column';
+            END IF;
+            
+            IF NOT EXISTS (
+                SELECT 1 FROM information_schema.columns 
+                WHERE table_name = 'alerts' AND column_name = 'last_escalated_at'
+            ) THEN
+                ALTER TABLE alerts ADD COLUMN last_escalated_at TIMESTAMP;
+                RAISE NOTICE 'Added last_escalated_at column';
+            END IF;
+
+            -- Add PPPoE coordinates columns
+            IF NOT EXISTS (
+                SELECT 1 FROM information_schema.columns 
+                WHERE table_name = 'pppoe_sessions' AND column_name = 'latitude'
+            ) THEN
+                ALTER TABLE pppoe_sessions ADD COLUMN latitude TEXT;
+                RAISE NOTICE 'Added latitude column to pppoe_sessions';
+            END IF;
+
+            IF NOT EXISTS (
+                SELECT 1 FROM information_schema.columns 
+                WHERE table_name = 'pppoe_sessions' AND column_name = 'longitude'
+            ) THEN
+                ALTER TABLE pppoe_sessions ADD COLUMN longitude TEXT;
+                RAISE NOTICE 'Added longitude column to pppoe_sessions';
+            END IF;
+
+            IF NOT EXISTS (
+                SELECT 1 FROM information_schema.columns 
+                WHERE table_name = 'pppoe_sessions' AND column_name = 'waypoints'
+            ) THEN
+                ALTER TABLE pppoe_sessions ADD COLUMN waypoints TEXT;
+                RAISE NOTICE 'Added waypoints column to pppoe_sessions';
+            END IF;
+
+            -- Add netwatch performance threshold overrides
+            IF NOT EXISTS (
+                SELECT 1 FROM information_schema.columns 
+                WHERE table_name = 'router_netwatch' AND column_name = 'latency_threshold'
+            ) THEN
+                ALTER TABLE router_netwatch ADD COLUMN latency_threshold INTEGER;
+                ALTER TABLE router_netwatch ADD COLUMN packet_loss_threshold INTEGER;
+                ALTER TABLE router_netwatch ADD COLUMN consecutive_breaches INTEGER;
+                RAISE NOTICE 'Added performance threshold columns to router_netwatch';
+            END IF;
+
+            -- Add interface link monitoring
+            IF NOT EXISTS (
+                SELECT 1 FROM information_schema.columns 
+                WHERE table_name = 'router_interfaces' AND column_name = 'monitored'
+            ) THEN
+                ALTER TABLE router_interfaces ADD COLUMN monitored BOOLEAN DEFAULT false NOT NULL;
+                ALTER TABLE router_interfaces ADD COLUMN last_link_change TIMESTAMP;
+                RAISE NOTICE 'Added link monitoring columns to router_interfaces';
+            END IF;
+
+            -- Add planned reboot tagging
+            IF NOT EXISTS (
+                SELECT 1 FROM information_schema.columns 
+                WHERE table_name = 'alerts' AND column_name = 'planned'
+            ) THEN
+                ALTER TABLE alerts ADD COLUMN planned BOOLEAN DEFAULT false NOT NULL;
+                ALTER TABLE alerts ADD COLUMN audit_log_id UUID REFERENCES audit_logs(id) ON DELETE SET NULL;
+                RAISE NOTICE 'Added planned/audit_log_id columns to alerts';
+            END IF;
+
+            -- Add root cause linking for topology-aware suppression
+            IF NOT EXISTS (
+                SELECT 1 FROM information_schema.columns 
+                WHERE table_name = 'alerts' AND column_name = 'parent_alert_id'
+            ) THEN
+                ALTER TABLE alerts ADD COLUMN parent_alert_id UUID REFERENCES alerts(id) ON DELETE SET NULL;
+                ALTER TABLE alerts ADD COLUMN suppressed BOOLEAN DEFAULT false NOT NULL;
+                CREATE INDEX IF NOT EXISTS alerts_parent_alert_idx ON alerts (parent_alert_id);
+                RAISE NOTICE 'Added parent_alert_id/suppressed columns to alerts';
+            END IF;
+
+            -- Move fixed Telegram/WhatsApp columns into pluggable notification channels.
+            -- Keyed on the old columns: db:push adds channels and drops them, so this has
+            -- to run before the first push after upgrading (npm run db:migrate-data).
+            IF EXISTS (
+                SELECT 1 FROM information_schema.columns
+                WHERE table_name = 'notification_groups' AND column_name = 'telegram_bot_token'
+            ) THEN
+                ALTER TABLE notification_groups ADD COLUMN IF NOT EXISTS channels JSONB DEFAULT '[]'::jsonb NOT NULL;
+                UPDATE notification_groups SET channels = (
+                    SELECT COALESCE(jsonb_agg(channel), '[]'::jsonb) FROM (
+                        SELECT jsonb_build_object(
+                            'id', gen_random_uuid(), 'type', 'telegram', 'enabled', COALESCE(telegram_enabled, false),
+                            'config', jsonb_strip_nulls(jsonb_build_object('botToken', telegram_bot_token, 'chatId', telegram_chat_id, 'threadId', telegram_thread_id))
+                        ) AS channel
+                        WHERE telegram_bot_token IS NOT NULL OR telegram_enabled
+                        UNION ALL
+                        SELECT jsonb_build_object(
+                            'id', gen_random_uuid(), 'type', 'whatsapp', 'enabled', COALESCE(whatsapp_enabled, false),
+                            'config', jsonb_strip_nulls(jsonb_build_object('url', whatsapp_url, 'key', whatsapp_key, 'to', whatsapp_to))
+                        )
+                        WHERE whatsapp_url IS NOT NULL OR whatsapp_enabled
+                    ) AS legacy
+                )
+                WHERE channels = '[]'::jsonb;
+                ALTER TABLE notification_groups
+                    DROP COLUMN IF EXISTS telegram_enabled,
+                    DROP COLUMN IF EXISTS telegram_bot_token,
+                    DROP COLUMN IF EXISTS telegram_chat_id,
+                    DROP COLUMN IF EXISTS telegram_thread_id,
+                    DROP COLUMN IF EXISTS whatsapp_enabled,
+                    DROP COLUMN IF EXISTS whatsapp_url,
+                    DROP COLUMN IF EXISTS whatsapp_key,
+                    DROP COLUMN IF EXISTS whatsapp_to;
+                RAISE NOTICE 'Moved notification group channels into channels column';
+            END IF;
+
+            -- Add batching and digest settings to notification groups
+            IF NOT EXISTS (
+                SELECT 1 FROM information_schema.columns
+                WHERE table_name = 'notification_groups' AND column_name = 'batch_window_seconds'
+            ) THEN
+                IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'notification_digest_mode') THEN
+                    CREATE TYPE notification_digest_mode AS ENUM ('off', 'hourly', 'daily');
+                END IF;
+                ALTER TABLE notification_groups
+                    ADD COLUMN batch_window_seconds INTEGER DEFAULT 0 NOT NULL,
+                    ADD COLUMN digest_mode notification_digest_mode DEFAULT 'off' NOT NULL,
+                    ADD COLUMN digest_severities alert_severity[] DEFAULT '{info}' NOT NULL,
+                    ADD COLUMN digest_hour INTEGER DEFAULT 8 NOT NULL,
+                    ADD COLUMN summary_template TEXT,
+                    ADD COLUMN summary_item_template TEXT;
+                RAISE NOTICE 'Added batching/digest columns to notification_groups';
+            END IF;
+
+            -- Link users to Telegram accounts for bot commands
+            IF NOT EXISTS (
+                SELECT 1 FROM information_schema.columns
+                WHERE table_name = 'users' AND column_name = 'telegram_chat_id'
+            ) THEN
+                ALTER TABLE users ADD COLUMN telegram_chat_id TEXT UNIQUE;
+                RAISE NOTICE 'Added telegram_chat_id column to users';
+            END IF;
+
+            -- Alert assignment
+            IF NOT EXISTS (
+                SELECT 1 FROM information_schema.columns
+                WHERE table_name = 'alerts' AND column_name = 'assigned_to'
+            ) THEN
+                ALTER TABLE alerts
+                    ADD COLUMN assigned_to UUID REFERENCES users(id) ON DELETE SET NULL,
+                    ADD COLUMN assigned_at TIMESTAMP;
+                RAISE NOTICE 'Added assignment columns to alerts';
+            END IF;
+
+            -- Structured alert subject, backfilled from the message formats used before.
+            -- subject_id is NOT NULL in the schema, which db:push can't add to a filled
+            -- table, so this too runs before the first push after upgrading.
+            IF NOT EXISTS (
+                SELECT 1 FROM information_schema.columns
+                WHERE table_name = 'alerts' AND column_name = 'subject_id' AND is_nullable = 'NO'
+            ) THEN
+                IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'alert_subject_type') THEN
+                    CREATE TYPE alert_subject_type AS ENUM ('router', 'netwatch', 'pppoe', 'interface');
+                END IF;
+                ALTER TABLE alerts
+                    ADD COLUMN IF NOT EXISTS subject_type alert_subject_type DEFAULT 'router' NOT NULL,
+                    ADD COLUMN IF NOT EXISTS subject_id TEXT,
+                    ADD COLUMN IF NOT EXISTS subject_context JSONB DEFAULT '{}'::jsonb NOT NULL;
+                UPDATE alerts AS a
+                SET subject_type = 'netwatch', subject_id = n.id::text,
+                    subject_context = jsonb_strip_nulls(jsonb_build_object('host', n.host, 'name', n.name))
+                FROM router_netwatch AS n
+                WHERE a.subject_id IS NULL AND a.router_id = n.router_id
+                    AND a.type IN ('netwatch_down', 'status_change', 'threshold')
+                    AND substring(a.message FROM '^(?:Netwatch host|Host) (\\S+) \\(') = n.host;
+                UPDATE alerts
+                SET subject_type = 'pppoe',
+                    subject_id = substring(title FROM '^PPPoE: (.+) (?:dis)?connected$'),
+                    subject_context = jsonb_strip_nulls(jsonb_build_object(
+                        'username', substring(title FROM '^PPPoE: (.+) (?:dis)?connected$'),
+                        'address', substring(message FROM 'IP: ([^ .]+(\\.[^ .]+)*)')
+                    ))
+                WHERE subject_id IS NULL AND type IN ('pppoe_connect', 'pppoe_disconnect');
+                UPDATE alerts AS a
+                SET subject_type = 'interface', subject_id = i.id::text,
+                    subject_context = jsonb_strip_nulls(jsonb_build_object('name', i.name, 'comment', i.comment))
+                FROM router_interfaces AS i
+                WHERE a.subject_id IS NULL AND a.router_id = i.router_id
+                    AND a.type IN ('interface_down', 'status_change')
+                    AND substring(a.message FROM '^Interface "([^"]+)"') = i.name;
+                UPDATE alerts SET subject_type = 'router', subject_id = router_id::text WHERE subject_id IS NULL;
+                ALTER TABLE alerts ALTER COLUMN subject_id SET NOT NULL;
+                CREATE INDEX IF NOT EXISTS alerts_subject_idx ON alerts (router_id, subject_type, subject_id);
+                RAISE NOTICE 'Added subject columns to alerts';
+            END IF;
+
+            -- PPPoE interface counters at the last poll, for traffic accounting
+            IF NOT EXISTS (
+                SELECT 1 FROM information_schema.columns
+                WHERE table_name = 'pppoe_sessions' AND column_name = 'last_upload_bytes'
+            ) THEN
+                ALTER TABLE pppoe_sessions
+                    ADD COLUMN last_upload_bytes BIGINT,
+                    ADD COLUMN last_download_bytes BIGINT;
+                RAISE NOTICE 'Added traffic counter columns to pppoe_sessions';
+            END IF;
+
+            -- Default escalation policy with the 1h/3h/12h/1d/3d schedule used before policies
+            -- existed. Seeded once (db:push creates the table empty), so deleting it sticks.
+            IF EXISTS (
+                SELECT 1 FROM information_schema.tables WHERE table_name = 'escalation_policies'
+            ) AND NOT EXISTS (
+                SELECT 1 FROM app_settings WHERE key = 'escalationPoliciesSeeded'
+            ) THEN
+                INSERT INTO escalation_policies (name, description, levels, stop_on_acknowledge, is_default)
+                SELECT
+                    'Default',
+                    'Previous built-in escalation schedule',
+                    '[{"afterMinutes": 60, "notificationGroupId": null},
+                      {"afterMinutes": 180, "notificationGroupId": null},
+                      {"afterMinutes": 720, "notificationGroupId": null},
+                      {"afterMinutes": 1440, "notificationGroupId": null},
+                      {"afterMinutes": 4320, "notificationGroupId": null}]'::jsonb,
+                    false,
+                    true
+                WHERE NOT EXISTS (SELECT 1 FROM escalation_policies);
+                INSERT INTO app_settings (key, value, description)
+                VALUES ('escalationPoliciesSeeded', 'true'::jsonb, 'Default escalation policy was created');
+                RAISE NOTICE 'Seeded default escalation policy';
+            END IF;
+
+            -- Notifications on the alert timeline used to be read from the delivery log. Copy
+            -- what is still there into alert_events once the 'notified' type exists (db:push).
+            IF EXISTS (
+                SELECT 1 FROM pg_enum e JOIN pg_type t ON t.oid = e.enumtypid
+                WHERE t.typname = 'alert_event_type' AND e.enumlabel = 'notified'
+            ) AND NOT EXISTS (
+                SELECT 1 FROM app_settings WHERE key = 'notifiedEventsBackfilled'
+            ) THEN
+                INSERT INTO alert_events (alert_id, type, details, created_at)
+                SELECT a.id, 'notified', jsonb_build_object(
+                    'deliveryId', d.id, 'channelType', d.channel_type, 'event', d.event, 'target', d.target,
+                    'status', d.status, 'attempts', d.attempts, 'error', d.error, 'groupName', g.name,
+                    'summary', d.payload->'context'->'summary'->>'kind'
+                ), d.created_at
+                FROM notification_deliveries AS d
+                LEFT JOIN notification_groups AS g ON g.id = d.group_id
+                CROSS JOIN LATERAL (
+                    SELECT d.alert_id AS id WHERE d.alert_id IS NOT NULL
+                    UNION
+                    SELECT (item->>'alertId')::uuid
+                    FROM jsonb_array_elements(COALESCE(d.payload->'context'->'summary'->'items', '[]'::jsonb)) AS item
+                    WHERE d.alert_id IS NULL AND item->>'alertId' IS NOT NULL
+                ) AS linked
+                JOIN alerts AS a ON a.id = linked.id
+                WHERE NOT EXISTS (
+                    SELECT 1 FROM alert_events AS e
+                    WHERE e.type = 'notified' AND e.alert_id = a.id AND e.details->>'deliveryId' = d.id::text
+                );
+                INSERT INTO app_settings (key, value, description)
+                VALUES ('notifiedEventsBackfilled', 'true'::jsonb, 'Notification deliveries were copied to the alert timelines');
+                RAISE NOTICE 'Copied notification deliveries to alert timelines';
+            END IF;
+        END $$;
+    `);
+}
@@ -0,0 +1,29 @@
+-- Add netwatch latency / packet loss history (raw samples + 5m/1h rollups)
+CREATE TABLE IF NOT EXISTS "netwatch_metrics" (
+    "id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+    "netwatch_id" uuid NOT NULL REFERENCES "router_netwatch"("id") ON DELETE CASCADE,
+    "router_id" uuid NOT NULL REFERENCES "routers"("id") ON DELETE CASCADE,
+    "latency" integer,
+    "packet_loss" integer,
+    "recorded_at" timestamp DEFAULT now() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS "netwatch_metrics_netwatch_recorded_idx" ON "netwatch_metrics" ("netwatch_id", "recorded_at");
+CREATE INDEX IF NOT EXISTS "netwatch_metrics_recorded_idx" ON "netwatch_metrics" ("recorded_at");
+
+CREATE TABLE IF NOT EXISTS "netwatch_metrics_rollup" (
+    "id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+    "netwatch_id" uuid NOT NULL REFERENCES "router_netwatch"("id") ON DELETE CASCADE,
+    "router_id" uuid NOT NULL REFERENCES "routers"("id") ON DELETE CASCADE,
+    "resolution" text NOT NULL,
+    "bucket_start" timestamp NOT NULL,
+    "min_latency" real,
+    "avg_latency" real,
+    "max_latency" real,
+    "p95_latency" real,
+    "avg_packet_loss" real,
+    "sample_count" integer DEFAULT 0 NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "netwatch_metrics_rollup_bucket_idx" ON "netwatch_metrics_rollup" ("netwatch_id", "resolution", "bucket_start");
+CREATE INDEX IF NOT EXISTS "netwatch_metrics_rollup_resolution_idx" ON "netwatch_metrics_rollup" ("resolution", "bucket_start");
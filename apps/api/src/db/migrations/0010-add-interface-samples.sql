@@ -0,0 +1,14 @@
+-- Add interface traffic history (tx/rx rate samples per interface)
+CREATE TABLE IF NOT EXISTS "interface_samples" (
+    "id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+    "interface_id" uuid NOT NULL REFERENCES "router_interfaces"("id") ON DELETE CASCADE,
+    "router_id" uuid NOT NULL REFERENCES "routers"("id") ON DELETE CASCADE,
+    "tx_rate" bigint DEFAULT 0,
+    "rx_rate" bigint DEFAULT 0,
+    "tx_bytes" bigint,
+    "rx_bytes" bigint,
+    "recorded_at" timestamp DEFAULT now() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS "interface_samples_interface_recorded_idx" ON "interface_samples" ("interface_id", "recorded_at");
+CREATE INDEX IF NOT EXISTS "interface_samples_recorded_idx" ON "interface_samples" ("recorded_at");
@@ -0,0 +1,19 @@
+-- Add hourly/daily router metrics aggregates (raw router_metrics rows are purged after the retention window)
+CREATE TABLE IF NOT EXISTS "router_metrics_rollup" (
+    "id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+    "router_id" uuid NOT NULL REFERENCES "routers"("id") ON DELETE CASCADE,
+    "resolution" text NOT NULL,
+    "bucket_start" timestamp NOT NULL,
+    "avg_cpu" real,
+    "max_cpu" real,
+    "cpu_peak_samples" integer DEFAULT 0 NOT NULL,
+    "avg_memory_percent" real,
+    "max_memory_percent" real,
+    "avg_disk_percent" real,
+    "max_temperature" real,
+    "avg_voltage" real,
+    "sample_count" integer DEFAULT 0 NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "router_metrics_rollup_bucket_idx" ON "router_metrics_rollup" ("router_id", "resolution", "bucket_start");
+CREATE INDEX IF NOT EXISTS "router_metrics_rollup_resolution_idx" ON "router_metrics_rollup" ("resolution", "bucket_start");
@@ -0,0 +1,17 @@
+-- Add per-router / per-group alert threshold overrides
+CREATE TABLE IF NOT EXISTS "alert_threshold_profiles" (
+    "id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+    "router_id" uuid REFERENCES "routers"("id") ON DELETE CASCADE,
+    "group_id" uuid REFERENCES "router_groups"("id") ON DELETE CASCADE,
+    "cpu_warning" integer,
+    "cpu_critical" integer,
+    "memory_warning" integer,
+    "memory_critical" integer,
+    "latency_warning" integer,
+    "packet_loss_warning" integer,
+    "created_at" timestamp DEFAULT now() NOT NULL,
+    "updated_at" timestamp DEFAULT now() NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "alert_threshold_profiles_router_idx" ON "alert_threshold_profiles" ("router_id");
+CREATE UNIQUE INDEX IF NOT EXISTS "alert_threshold_profiles_group_idx" ON "alert_threshold_profiles" ("group_id");
@@ -0,0 +1,4 @@
+-- Add per-entry latency / packet loss alert overrides to router_netwatch
+ALTER TABLE router_netwatch ADD COLUMN IF NOT EXISTS latency_threshold INTEGER;
+ALTER TABLE router_netwatch ADD COLUMN IF NOT EXISTS packet_loss_threshold INTEGER;
+ALTER TABLE router_netwatch ADD COLUMN IF NOT EXISTS consecutive_breaches INTEGER;
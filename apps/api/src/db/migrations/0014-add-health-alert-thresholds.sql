@@ -0,0 +1,18 @@
+-- Disk, temperature and voltage alerts
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_enum WHERE enumlabel = 'high_temperature' AND enumtypid = (SELECT oid FROM pg_type WHERE typname = 'alert_type')) THEN
+        ALTER TYPE "alert_type" ADD VALUE 'high_temperature';
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_enum WHERE enumlabel = 'voltage' AND enumtypid = (SELECT oid FROM pg_type WHERE typname = 'alert_type')) THEN
+        ALTER TYPE "alert_type" ADD VALUE 'voltage';
+    END IF;
+END$$;
+
+-- Per-router / per-group overrides for the new thresholds
+ALTER TABLE "alert_threshold_profiles" ADD COLUMN IF NOT EXISTS "disk_warning" integer;
+ALTER TABLE "alert_threshold_profiles" ADD COLUMN IF NOT EXISTS "disk_critical" integer;
+ALTER TABLE "alert_threshold_profiles" ADD COLUMN IF NOT EXISTS "temperature_warning" integer;
+ALTER TABLE "alert_threshold_profiles" ADD COLUMN IF NOT EXISTS "temperature_critical" integer;
+ALTER TABLE "alert_threshold_profiles" ADD COLUMN IF NOT EXISTS "voltage_low" real;
+ALTER TABLE "alert_threshold_profiles" ADD COLUMN IF NOT EXISTS "voltage_high" real;
@@ -0,0 +1,3 @@
+-- Per-interface link monitoring (interface_down / flap alerts)
+ALTER TABLE "router_interfaces" ADD COLUMN IF NOT EXISTS "monitored" boolean DEFAULT false NOT NULL;
+ALTER TABLE "router_interfaces" ADD COLUMN IF NOT EXISTS "last_link_change" timestamp;
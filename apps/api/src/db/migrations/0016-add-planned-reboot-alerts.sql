@@ -0,0 +1,3 @@
+-- Tag reboots triggered from the app and link them to the audit log entry
+ALTER TABLE "alerts" ADD COLUMN IF NOT EXISTS "planned" boolean DEFAULT false NOT NULL;
+ALTER TABLE "alerts" ADD COLUMN IF NOT EXISTS "audit_log_id" uuid REFERENCES "audit_logs"("id") ON DELETE SET NULL;
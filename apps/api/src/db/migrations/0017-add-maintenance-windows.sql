@@ -0,0 +1,33 @@
+-- Maintenance windows (alerts are recorded but not notified or escalated)
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'maintenance_scope') THEN
+        CREATE TYPE "maintenance_scope" AS ENUM('router', 'group', 'netwatch');
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'maintenance_recurrence') THEN
+        CREATE TYPE "maintenance_recurrence" AS ENUM('once', 'weekly');
+    END IF;
+END$$;
+
+CREATE TABLE IF NOT EXISTS "maintenance_windows" (
+    "id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+    "name" text NOT NULL,
+    "description" text,
+    "scope" "maintenance_scope" NOT NULL,
+    "router_id" uuid REFERENCES "routers"("id") ON DELETE CASCADE,
+    "group_id" uuid REFERENCES "router_groups"("id") ON DELETE CASCADE,
+    "netwatch_ids" uuid[] DEFAULT '{}' NOT NULL,
+    "recurrence" "maintenance_recurrence" DEFAULT 'once' NOT NULL,
+    "starts_at" timestamp,
+    "ends_at" timestamp,
+    "days_of_week" integer[] DEFAULT '{}' NOT NULL,
+    "start_time" text,
+    "duration_minutes" integer,
+    "enabled" boolean DEFAULT true NOT NULL,
+    "created_by" uuid REFERENCES "users"("id") ON DELETE SET NULL,
+    "created_at" timestamp DEFAULT now() NOT NULL,
+    "updated_at" timestamp DEFAULT now() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS "maintenance_windows_router_idx" ON "maintenance_windows" ("router_id");
+CREATE INDEX IF NOT EXISTS "maintenance_windows_group_idx" ON "maintenance_windows" ("group_id");
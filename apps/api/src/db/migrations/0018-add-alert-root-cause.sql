@@ -0,0 +1,4 @@
+-- Topology-aware suppression: downstream outages hang off the root cause alert
+ALTER TABLE "alerts" ADD COLUMN IF NOT EXISTS "parent_alert_id" uuid REFERENCES "alerts"("id") ON DELETE SET NULL;
+ALTER TABLE "alerts" ADD COLUMN IF NOT EXISTS "suppressed" boolean DEFAULT false NOT NULL;
+CREATE INDEX IF NOT EXISTS "alerts_parent_alert_idx" ON "alerts" ("parent_alert_id");
@@ -0,0 +1,40 @@
+-- Pluggable notification channels: a group holds a list of typed channel configs
+ALTER TABLE "notification_groups" ADD COLUMN IF NOT EXISTS "channels" jsonb DEFAULT '[]'::jsonb NOT NULL;
+
+-- Move the fixed Telegram/WhatsApp columns into the channel list
+UPDATE "notification_groups" SET "channels" = (
+    SELECT COALESCE(jsonb_agg("channel"), '[]'::jsonb) FROM (
+        SELECT jsonb_build_object(
+            'id', gen_random_uuid(),
+            'type', 'telegram',
+            'enabled', COALESCE("telegram_enabled", false),
+            'config', jsonb_strip_nulls(jsonb_build_object(
+                'botToken', "telegram_bot_token",
+                'chatId', "telegram_chat_id",
+                'threadId', "telegram_thread_id"
+            ))
+        ) AS "channel"
+        WHERE "telegram_bot_token" IS NOT NULL OR "telegram_enabled"
+        UNION ALL
+        SELECT jsonb_build_object(
+            'id', gen_random_uuid(),
+            'type', 'whatsapp',
+            'enabled', COALESCE("whatsapp_enabled", false),
+            'config', jsonb_strip_nulls(jsonb_build_object(
+                'url', "whatsapp_url",
+                'key', "whatsapp_key",
+                'to', "whatsapp_to"
+            ))
+        )
+        WHERE "whatsapp_url" IS NOT NULL OR "whatsapp_enabled"
+    ) AS "legacy"
+);
+
+ALTER TABLE "notification_groups" DROP COLUMN IF EXISTS "telegram_enabled";
+ALTER TABLE "notification_groups" DROP COLUMN IF EXISTS "telegram_bot_token";
+ALTER TABLE "notification_groups" DROP COLUMN IF EXISTS "telegram_chat_id";
+ALTER TABLE "notification_groups" DROP COLUMN IF EXISTS "telegram_thread_id";
+ALTER TABLE "notification_groups" DROP COLUMN IF EXISTS "whatsapp_enabled";
+ALTER TABLE "notification_groups" DROP COLUMN IF EXISTS "whatsapp_url";
+ALTER TABLE "notification_groups" DROP COLUMN IF EXISTS "whatsapp_key";
+ALTER TABLE "notification_groups" DROP COLUMN IF EXISTS "whatsapp_to";
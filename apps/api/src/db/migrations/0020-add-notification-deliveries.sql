@@ -0,0 +1,27 @@
+-- Per-delivery log for notification channels (outgoing webhooks first)
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'notification_delivery_status') THEN
+        CREATE TYPE "notification_delivery_status" AS ENUM('success', 'failed');
+    END IF;
+END$$;
+
+CREATE TABLE IF NOT EXISTS "notification_deliveries" (
+    "id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+    "group_id" uuid NOT NULL REFERENCES "notification_groups"("id") ON DELETE CASCADE,
+    "channel_id" text NOT NULL,
+    "channel_type" text NOT NULL,
+    "alert_id" uuid REFERENCES "alerts"("id") ON DELETE SET NULL,
+    "event" text NOT NULL,
+    "target" text,
+    "payload" jsonb,
+    "status" "notification_delivery_status" NOT NULL,
+    "attempts" integer DEFAULT 0 NOT NULL,
+    "response_status" integer,
+    "response_body" text,
+    "error" text,
+    "duration_ms" integer,
+    "created_at" timestamp DEFAULT now() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS "notification_deliveries_group_created_idx" ON "notification_deliveries" ("group_id", "created_at");
@@ -0,0 +1,13 @@
+-- Delivery log for every channel with a retry queue
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_enum WHERE enumlabel = 'retrying' AND enumtypid = (SELECT oid FROM pg_type WHERE typname = 'notification_delivery_status')) THEN
+        ALTER TYPE "notification_delivery_status" ADD VALUE 'retrying';
+    END IF;
+END$$;
+
+ALTER TABLE "notification_deliveries" ADD COLUMN IF NOT EXISTS "attempt_log" jsonb DEFAULT '[]'::jsonb NOT NULL;
+ALTER TABLE "notification_deliveries" ADD COLUMN IF NOT EXISTS "next_attempt_at" timestamp;
+ALTER TABLE "notification_deliveries" ADD COLUMN IF NOT EXISTS "updated_at" timestamp DEFAULT now() NOT NULL;
+
+CREATE INDEX IF NOT EXISTS "notification_deliveries_retry_idx" ON "notification_deliveries" ("status", "next_attempt_at");
@@ -0,0 +1,26 @@
+-- Notification routing rules by severity, alert type, router group and time of day
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'notification_rule_action') THEN
+        CREATE TYPE "notification_rule_action" AS ENUM('notify', 'drop');
+    END IF;
+END$$;
+
+CREATE TABLE IF NOT EXISTS "notification_rules" (
+    "id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+    "name" text NOT NULL,
+    "enabled" boolean DEFAULT true NOT NULL,
+    "priority" integer DEFAULT 100 NOT NULL,
+    "severities" "alert_severity"[] DEFAULT '{}' NOT NULL,
+    "alert_types" "alert_type"[] DEFAULT '{}' NOT NULL,
+    "router_group_ids" uuid[] DEFAULT '{}' NOT NULL,
+    "days_of_week" integer[] DEFAULT '{}' NOT NULL,
+    "start_time" text,
+    "end_time" text,
+    "action" "notification_rule_action" DEFAULT 'notify' NOT NULL,
+    "target_group_ids" uuid[] DEFAULT '{}' NOT NULL,
+    "include_router_group" boolean DEFAULT false NOT NULL,
+    "ignore_quiet_hours" boolean DEFAULT false NOT NULL,
+    "created_at" timestamp DEFAULT now() NOT NULL,
+    "updated_at" timestamp DEFAULT now() NOT NULL
+);
@@ -0,0 +1,35 @@
+-- Per-group batching and hourly/daily digests for notifications
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'notification_digest_mode') THEN
+        CREATE TYPE "notification_digest_mode" AS ENUM('off', 'hourly', 'daily');
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'notification_queue_kind') THEN
+        CREATE TYPE "notification_queue_kind" AS ENUM('batch', 'digest');
+    END IF;
+END$$;
+
+ALTER TABLE "notification_groups" ADD COLUMN IF NOT EXISTS "batch_window_seconds" integer DEFAULT 0 NOT NULL;
+ALTER TABLE "notification_groups" ADD COLUMN IF NOT EXISTS "digest_mode" "notification_digest_mode" DEFAULT 'off' NOT NULL;
+ALTER TABLE "notification_groups" ADD COLUMN IF NOT EXISTS "digest_severities" "alert_severity"[] DEFAULT '{info}' NOT NULL;
+ALTER TABLE "notification_groups" ADD COLUMN IF NOT EXISTS "digest_hour" integer DEFAULT 8 NOT NULL;
+ALTER TABLE "notification_groups" ADD COLUMN IF NOT EXISTS "summary_template" text;
+ALTER TABLE "notification_groups" ADD COLUMN IF NOT EXISTS "summary_item_template" text;
+
+CREATE TABLE IF NOT EXISTS "notification_queue" (
+    "id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+    "group_id" uuid NOT NULL REFERENCES "notification_groups"("id") ON DELETE CASCADE,
+    "kind" "notification_queue_kind" NOT NULL,
+    "alert_id" uuid REFERENCES "alerts"("id") ON DELETE SET NULL,
+    "alert_type" "alert_type" NOT NULL,
+    "severity" "alert_severity" NOT NULL,
+    "router_id" uuid,
+    "router_name" text,
+    "vars" jsonb NOT NULL,
+    "message" jsonb NOT NULL,
+    "due_at" timestamp NOT NULL,
+    "created_at" timestamp DEFAULT now() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS "notification_queue_due_idx" ON "notification_queue" ("due_at");
+CREATE INDEX IF NOT EXISTS "notification_queue_group_kind_idx" ON "notification_queue" ("group_id", "kind");
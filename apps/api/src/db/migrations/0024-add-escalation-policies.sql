@@ -0,0 +1,32 @@
+-- Escalation policies attached to router groups
+CREATE TABLE IF NOT EXISTS "escalation_policies" (
+    "id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+    "name" text NOT NULL,
+    "description" text,
+    "levels" jsonb DEFAULT '[]'::jsonb NOT NULL,
+    "stop_on_acknowledge" boolean DEFAULT true NOT NULL,
+    "is_default" boolean DEFAULT false NOT NULL,
+    "created_at" timestamp DEFAULT now() NOT NULL,
+    "updated_at" timestamp DEFAULT now() NOT NULL
+);
+
+ALTER TABLE "router_groups" ADD COLUMN IF NOT EXISTS "escalation_policy_id" uuid REFERENCES "escalation_policies"("id") ON DELETE SET NULL;
+
+-- Keep the previous fixed schedule (1h, 3h, 12h, 1d, 3d to the routed groups) as the default policy
+INSERT INTO "escalation_policies" ("name", "description", "levels", "stop_on_acknowledge", "is_default")
+SELECT
+    'Default',
+    'Previous built-in escalation schedule',
+    '[{"afterMinutes": 60, "notificationGroupId": null},
+      {"afterMinutes": 180, "notificationGroupId": null},
+      {"afterMinutes": 720, "notificationGroupId": null},
+      {"afterMinutes": 1440, "notificationGroupId": null},
+      {"afterMinutes": 4320, "notificationGroupId": null}]'::jsonb,
+    false,
+    true
+WHERE NOT EXISTS (SELECT 1 FROM "escalation_policies");
+
+-- Seed only once; startup (runMigrations) checks this marker too
+INSERT INTO "app_settings" ("key", "value", "description")
+VALUES ('escalationPoliciesSeeded', 'true'::jsonb, 'Default escalation policy was created')
+ON CONFLICT ("key") DO NOTHING;
@@ -0,0 +1,9 @@
+-- Telegram account linked to a user, used to authorize bot commands
+ALTER TABLE "users" ADD COLUMN IF NOT EXISTS "telegram_chat_id" text;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'users_telegram_chat_id_unique') THEN
+        ALTER TABLE "users" ADD CONSTRAINT "users_telegram_chat_id_unique" UNIQUE ("telegram_chat_id");
+    END IF;
+END$$;
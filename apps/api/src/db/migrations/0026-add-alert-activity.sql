@@ -0,0 +1,36 @@
+-- Alert assignment, comments and timeline events
+ALTER TABLE "alerts" ADD COLUMN IF NOT EXISTS "assigned_to" uuid REFERENCES "users"("id") ON DELETE SET NULL;
+ALTER TABLE "alerts" ADD COLUMN IF NOT EXISTS "assigned_at" timestamp;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'alert_event_type') THEN
+        CREATE TYPE "alert_event_type" AS ENUM('assigned', 'unassigned', 'escalated');
+    END IF;
+END$$;
+
+CREATE TABLE IF NOT EXISTS "alert_events" (
+    "id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+    "alert_id" uuid NOT NULL REFERENCES "alerts"("id") ON DELETE CASCADE,
+    "type" "alert_event_type" NOT NULL,
+    "user_id" uuid REFERENCES "users"("id") ON DELETE SET NULL,
+    "details" jsonb DEFAULT '{}'::jsonb NOT NULL,
+    "created_at" timestamp DEFAULT now() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS "alert_events_alert_idx" ON "alert_events" ("alert_id", "created_at");
+
+CREATE TABLE IF NOT EXISTS "alert_comments" (
+    "id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+    "alert_id" uuid NOT NULL REFERENCES "alerts"("id") ON DELETE CASCADE,
+    "parent_id" uuid REFERENCES "alert_comments"("id") ON DELETE CASCADE,
+    "user_id" uuid REFERENCES "users"("id") ON DELETE SET NULL,
+    "body" text NOT NULL,
+    "created_at" timestamp DEFAULT now() NOT NULL,
+    "updated_at" timestamp DEFAULT now() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS "alert_comments_alert_idx" ON "alert_comments" ("alert_id", "created_at");
+
+-- Timeline looks up the notifications sent for an alert
+CREATE INDEX IF NOT EXISTS "notification_deliveries_alert_idx" ON "notification_deliveries" ("alert_id");
@@ -0,0 +1,53 @@
+-- Structured alert subject: what an alert is about, independent of its message text
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'alert_subject_type') THEN
+        CREATE TYPE "alert_subject_type" AS ENUM('router', 'netwatch', 'pppoe', 'interface');
+    END IF;
+END$$;
+
+ALTER TABLE "alerts" ADD COLUMN IF NOT EXISTS "subject_type" "alert_subject_type" DEFAULT 'router' NOT NULL;
+ALTER TABLE "alerts" ADD COLUMN IF NOT EXISTS "subject_id" text;
+ALTER TABLE "alerts" ADD COLUMN IF NOT EXISTS "subject_context" jsonb DEFAULT '{}'::jsonb NOT NULL;
+
+-- Backfill from the message formats used so far. Hosts and interfaces that no longer
+-- exist can't be resolved to an ID and stay attached to their router.
+
+-- Netwatch down/flap/recovery ("Netwatch host <host> (...") and performance ("Host <host> (...")
+UPDATE "alerts" AS a
+SET "subject_type" = 'netwatch',
+    "subject_id" = n."id"::text,
+    "subject_context" = jsonb_strip_nulls(jsonb_build_object('host', n."host", 'name', n."name"))
+FROM "router_netwatch" AS n
+WHERE a."subject_id" IS NULL
+    AND a."router_id" = n."router_id"
+    AND a."type" IN ('netwatch_down', 'status_change', 'threshold')
+    AND substring(a."message" FROM '^(?:Netwatch host|Host) (\S+) \(') = n."host";
+
+-- PPPoE connect/disconnect ("PPPoE: <user> connected" / "PPPoE: <user> disconnected")
+UPDATE "alerts"
+SET "subject_type" = 'pppoe',
+    "subject_id" = substring("title" FROM '^PPPoE: (.+) (?:dis)?connected$'),
+    "subject_context" = jsonb_strip_nulls(jsonb_build_object(
+        'username', substring("title" FROM '^PPPoE: (.+) (?:dis)?connected$'),
+        'address', substring("message" FROM 'IP: ([^ .]+(\.[^ .]+)*)')
+    ))
+WHERE "subject_id" IS NULL AND "type" IN ('pppoe_connect', 'pppoe_disconnect');
+
+-- Interface down/flap/recovery ('Interface "<name>" ...')
+UPDATE "alerts" AS a
+SET "subject_type" = 'interface',
+    "subject_id" = i."id"::text,
+    "subject_context" = jsonb_strip_nulls(jsonb_build_object('name', i."name", 'comment', i."comment"))
+FROM "router_interfaces" AS i
+WHERE a."subject_id" IS NULL
+    AND a."router_id" = i."router_id"
+    AND a."type" IN ('interface_down', 'status_change')
+    AND substring(a."message" FROM '^Interface "([^"]+)"') = i."name";
+
+-- Everything else is about the router itself
+UPDATE "alerts" SET "subject_type" = 'router', "subject_id" = "router_id"::text WHERE "subject_id" IS NULL;
+
+ALTER TABLE "alerts" ALTER COLUMN "subject_id" SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS "alerts_subject_idx" ON "alerts" ("router_id", "subject_type", "subject_id");
@@ -0,0 +1,36 @@
+-- PPPoE connection log: one row per connect/disconnect
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'pppoe_session_event_type') THEN
+        CREATE TYPE "pppoe_session_event_type" AS ENUM('connect', 'disconnect');
+    END IF;
+END$$;
+
+CREATE TABLE IF NOT EXISTS "pppoe_session_events" (
+    "id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+    "router_id" uuid NOT NULL REFERENCES "routers"("id") ON DELETE CASCADE,
+    "name" text NOT NULL,
+    "type" "pppoe_session_event_type" NOT NULL,
+    "session_id" text,
+    "caller_id" text,
+    "address" text,
+    "uptime" text,
+    "duration_seconds" integer,
+    "created_at" timestamp DEFAULT now() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS "pppoe_session_events_user_idx" ON "pppoe_session_events" ("router_id", "name", "created_at");
+
+-- Seed the log from the PPPoE connect/disconnect alerts raised so far
+INSERT INTO "pppoe_session_events" ("router_id", "name", "type", "address", "duration_seconds", "created_at")
+SELECT
+    a."router_id",
+    a."subject_id",
+    CASE WHEN a."type" = 'pppoe_connect' THEN 'connect' ELSE 'disconnect' END::"pppoe_session_event_type",
+    NULLIF(a."subject_context"->>'address', 'N/A'),
+    (a."subject_context"->>'sessionDurationSeconds')::integer,
+    a."created_at"
+FROM "alerts" AS a
+WHERE a."subject_type" = 'pppoe'
+    AND a."type" IN ('pppoe_connect', 'pppoe_disconnect')
+    AND NOT EXISTS (SELECT 1 FROM "pppoe_session_events");
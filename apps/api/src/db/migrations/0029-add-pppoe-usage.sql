@@ -0,0 +1,16 @@
+-- PPPoE traffic accounting: last interface counters per session and daily usage per user
+ALTER TABLE "pppoe_sessions" ADD COLUMN IF NOT EXISTS "last_upload_bytes" bigint;
+ALTER TABLE "pppoe_sessions" ADD COLUMN IF NOT EXISTS "last_download_bytes" bigint;
+
+CREATE TABLE IF NOT EXISTS "pppoe_usage_daily" (
+    "id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+    "router_id" uuid NOT NULL REFERENCES "routers"("id") ON DELETE CASCADE,
+    "name" text NOT NULL,
+    "day" date NOT NULL,
+    "upload_bytes" bigint DEFAULT 0 NOT NULL,
+    "download_bytes" bigint DEFAULT 0 NOT NULL,
+    "updated_at" timestamp DEFAULT now() NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "pppoe_usage_daily_user_day_idx" ON "pppoe_usage_daily" ("router_id", "name", "day");
+CREATE INDEX IF NOT EXISTS "pppoe_usage_daily_day_idx" ON "pppoe_usage_daily" ("day");
@@ -0,0 +1,15 @@
+-- PPP secrets inventory: subscriber accounts per router, synced from /ppp/secret
+CREATE TABLE IF NOT EXISTS "ppp_secrets" (
+    "id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+    "router_id" uuid NOT NULL REFERENCES "routers"("id") ON DELETE CASCADE,
+    "name" text NOT NULL,
+    "service" text,
+    "profile" text,
+    "disabled" boolean DEFAULT false NOT NULL,
+    "remote_address" text,
+    "comment" text,
+    "created_at" timestamp DEFAULT now() NOT NULL,
+    "synced_at" timestamp DEFAULT now() NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "ppp_secrets_router_name_idx" ON "ppp_secrets" ("router_id", "name");
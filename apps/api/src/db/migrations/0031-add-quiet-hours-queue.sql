@@ -0,0 +1,2 @@
+-- Notifications raised during quiet hours wait in the queue until the window ends
+ALTER TYPE "notification_queue_kind" ADD VALUE IF NOT EXISTS 'quiet';
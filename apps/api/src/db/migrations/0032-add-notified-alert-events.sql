@@ -0,0 +1,35 @@
+-- Notifications on the alert timeline are recorded as alert events when sent,
+-- including every alert inside a batch or digest summary
+ALTER TYPE "alert_event_type" ADD VALUE IF NOT EXISTS 'notified';
+
+-- Copy what the delivery log still holds (run after the statement above has committed)
+INSERT INTO "alert_events" ("alert_id", "type", "details", "created_at")
+SELECT a."id", 'notified', jsonb_build_object(
+    'deliveryId', d."id",
+    'channelType', d."channel_type",
+    'event', d."event",
+    'target', d."target",
+    'status', d."status",
+    'attempts', d."attempts",
+    'error', d."error",
+    'groupName', g."name",
+    'summary', d."payload"->'context'->'summary'->>'kind'
+), d."created_at"
+FROM "notification_deliveries" AS d
+LEFT JOIN "notification_groups" AS g ON g."id" = d."group_id"
+CROSS JOIN LATERAL (
+    SELECT d."alert_id" AS "id" WHERE d."alert_id" IS NOT NULL
+    UNION
+    SELECT ("item"->>'alertId')::uuid
+    FROM jsonb_array_elements(COALESCE(d."payload"->'context'->'summary'->'items', '[]'::jsonb)) AS "item"
+    WHERE d."alert_id" IS NULL AND "item"->>'alertId' IS NOT NULL
+) AS "linked"
+JOIN "alerts" AS a ON a."id" = "linked"."id"
+WHERE NOT EXISTS (
+    SELECT 1 FROM "alert_events" AS e
+    WHERE e."type" = 'notified' AND e."alert_id" = a."id" AND e."details"->>'deliveryId' = d."id"::text
+);
+
+INSERT INTO "app_settings" ("key", "value", "description")
+VALUES ('notifiedEventsBackfilled', 'true'::jsonb, 'Notification deliveries were copied to the alert timelines')
+ON CONFLICT ("key") DO NOTHING;
@@ -0,0 +1,2 @@
+-- Rule time windows follow the timezone of the admin who saved the rule
+ALTER TABLE "notification_rules" ADD COLUMN IF NOT EXISTS "timezone" text;
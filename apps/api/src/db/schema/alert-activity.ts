@@ -0,0 +1,47 @@
+import { pgTable, pgEnum, uuid, text, jsonb, timestamp, index, type AnyPgColumn } from 'drizzle-orm/pg-core';
+import { alerts } from './alerts';
+import { users } from './users';
+
+// Timeline entries that cannot be read back from the alert row itself
+// (creation, acknowledgement and resolution come from the alert's own columns).
+// 'notified' is kept here rather than read from the delivery log, which is purged
+// and does not link the alerts inside a batch or digest.
+export const alertEventTypeEnum = pgEnum('alert_event_type', [
+    'assigned',
+    'unassigned',
+    'escalated',
+    'notified',
+]);
+
+export const alertEvents = pgTable('alert_events', {
+    id: uuid('id').defaultRandom().primaryKey(),
+    alertId: uuid('alert_id')
+        .notNull()
+        .references(() => alerts.id, { onDelete: 'cascade' }),
+    type: alertEventTypeEnum('type').notNull(),
+    userId: uuid('user_id').references(() => users.id, { onDelete: 'set null' }), // who did it, null for the system
+    details: jsonb('details').$type<Record<string, unknown>>().default({}).notNull(),
+    createdAt: timestamp('created_at').defaultNow().notNull(),
+}, (table) => [
+    index('alert_events_alert_idx').on(table.alertId, table.createdAt),
+]);
+
+// Technician notes on an alert; replies point at the comment they answer
+export const alertComments = pgTable('alert_comments', {
+    id: uuid('id').defaultRandom().primaryKey(),
+    alertId: uuid('alert_id')
+        .notNull()
+        .references(() => alerts.id, { onDelete: 'cascade' }),
+    parentId: uuid('parent_id').references((): AnyPgColumn => alertComments.id, { onDelete: 'cascade' }),
+    userId: uuid('user_id').references(() => users.id, { onDelete: 'set null' }),
+    body: text('body').notNull(),
+    createdAt: timestamp('created_at').defaultNow().notNull(),
+    updatedAt: timestamp('updated_at').defaultNow().notNull(),
+}, (table) => [
+    index('alert_comments_alert_idx').on(table.alertId, table.createdAt),
+]);
+
+export type AlertEvent = typeof alertEvents.$inferSelect;
+export type NewAlertEvent = typeof alertEvents.$inferInsert;
+export type AlertComment = typeof alertComments.$inferSelect;
+export type NewAlertComment = typeof alertComments.$inferInsert;
@@ -6,10 +6,17 @@ import {
     timestamp,
     integer,
     decimal,
+    real,
+    jsonb,
     pgEnum,
+    uniqueIndex,
+    index,
+    type AnyPgColumn,
 } from 'drizzle-orm/pg-core';
 import { routers } from './routers';
+import { routerGroups } from './groups';
 import { users } from './users';
+import { auditLogs } from './settings';
 
 // Alert type enum
 export const alertTypeEnum = pgEnum('alert_type', [
@@ -23,6 +30,8 @@ export const alertTypeEnum = pgEnum('alert_type', [
     'reboot',
     'pppoe_connect',
     'pppoe_disconnect',
+    'high_temperature',
+    'voltage',
 ]);
 
 // Alert severity enum
@@ -32,6 +41,14 @@ export const alertSeverityEnum = pgEnum('alert_severity', [
     'critical',
 ]);
 
+// What an alert is about: the router itself or one of its netwatch hosts, PPPoE users or interfaces
+export const alertSubjectTypeEnum = pgEnum('alert_subject_type', [
+    'router',
+    'netwatch',
+    'pppoe',
+    'interface',
+]);
+
 // Alerts table
 export const alerts = pgTable('alerts', {
     id: uuid('id').defaultRandom().primaryKey(),
@@ -42,6 +59,11 @@ export const alerts = pgTable('alerts', {
     severity: alertSeverityEnum('severity').notNull(),
     title: text('title').notNull(),
     message: text('message').notNull(),
+    // Subject ID: router ID, router_netwatch ID, PPPoE username or router_interfaces ID.
+    // Context is a snapshot (host, name, ...) so the alert still reads right after the entity changes.
+    subjectType: alertSubjectTypeEnum('subject_type').default('router').notNull(),
+    subjectId: text('subject_id').notNull(),
+    subjectContext: jsonb('subject_context').$type<Record<string, unknown>>().default({}).notNull(),
     acknowledged: boolean('acknowledged').default(false).notNull(),
     acknowledgedBy: uuid('acknowledged_by').references(() => users.id, {
         onDelete: 'set null',
@@ -52,8 +74,20 @@ export const alerts = pgTable('alerts', {
     // Escalation tracking
     escalationLevel: integer('escalation_level').default(0).notNull(),
     lastEscalatedAt: timestamp('last_escalated_at'),
+    // Reboots triggered from the app are tagged as planned and linked to the audit log entry
+    planned: boolean('planned').default(false).notNull(),
+    auditLogId: uuid('audit_log_id').references(() => auditLogs.id, { onDelete: 'set null' }),
+    // Downstream outages are attached to the root cause alert and not notified on their own
+    parentAlertId: uuid('parent_alert_id').references((): AnyPgColumn => alerts.id, { onDelete: 'set null' }),
+    suppressed: boolean('suppressed').default(false).notNull(),
+    // Technician working on the alert
+    assignedTo: uuid('assigned_to').references(() => users.id, { onDelete: 'set null' }),
+    assignedAt: timestamp('assigned_at'),
     createdAt: timestamp('created_at').defaultNow().notNull(),
-});
+}, (table) => [
+    index('alerts_parent_alert_idx').on(table.parentAlertId),
+    index('alerts_subject_idx').on(table.routerId, table.subjectType, table.subjectId),
+]);
 
 // Netwatch hosts table
 export const netwatchHosts = pgTable('netwatch_hosts', {
@@ -89,8 +123,35 @@ export const netwatchHosts = pgTable('netwatch_hosts', {
     lastUpdated: timestamp('last_updated').defaultNow(),
 });
 
+// Alert threshold profiles (per router or per router group, null fields fall back to the next level)
+export const alertThresholdProfiles = pgTable('alert_threshold_profiles', {
+    id: uuid('id').defaultRandom().primaryKey(),
+    routerId: uuid('router_id').references(() => routers.id, { onDelete: 'cascade' }),
+    groupId: uuid('group_id').references(() => routerGroups.id, { onDelete: 'cascade' }),
+    cpuWarning: integer('cpu_warning'), // %
+    cpuCritical: integer('cpu_critical'), // %
+    memoryWarning: integer('memory_warning'), // %
+    memoryCritical: integer('memory_critical'), // %
+    latencyWarning: integer('latency_warning'), // ms
+    packetLossWarning: integer('packet_loss_warning'), // %
+    diskWarning: integer('disk_warning'), // %
+    diskCritical: integer('disk_critical'), // %
+    temperatureWarning: integer('temperature_warning'), // °C
+    temperatureCritical: integer('temperature_critical'), // °C
+    voltageLow: real('voltage_low'), // V
+    voltageHigh: real('voltage_high'), // V
+    createdAt: timestamp('created_at').defaultNow().notNull(),
+    updatedAt: timestamp('updated_at').defaultNow().notNull(),
+}, (table) => [
+    uniqueIndex('alert_threshold_profiles_router_idx').on(table.routerId),
+    uniqueIndex('alert_threshold_profiles_group_idx').on(table.groupId),
+]);
+
 // Types
 export type Alert = typeof alerts.$inferSelect;
 export type NewAlert = typeof alerts.$inferInsert;
+export type AlertSubjectType = (typeof alertSubjectTypeEnum.enumValues)[number];
 export type NetwatchHost = typeof netwatchHosts.$inferSelect;
 export type NewNetwatchHost = typeof netwatchHosts.$inferInsert;
+export type AlertThresholdProfile = typeof alertThresholdProfiles.$inferSelect;
+export type NewAlertThresholdProfile = typeof alertThresholdProfiles.$inferInsert;
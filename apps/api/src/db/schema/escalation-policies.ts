@@ -0,0 +1,24 @@
+import { pgTable, uuid, text, boolean, jsonb, timestamp } from 'drizzle-orm/pg-core';
+
+// One step of a policy: how long after the alert opened, and who gets paged.
+// A null notificationGroupId pages the groups the alert was routed to.
+export interface EscalationPolicyLevel {
+    afterMinutes: number;
+    notificationGroupId: string | null;
+}
+
+// Escalation policies for unresolved down alerts, attached to router groups.
+// Routers without a group policy use the default policy, if any.
+export const escalationPolicies = pgTable('escalation_policies', {
+    id: uuid('id').defaultRandom().primaryKey(),
+    name: text('name').notNull(),
+    description: text('description'),
+    levels: jsonb('levels').$type<EscalationPolicyLevel[]>().default([]).notNull(), // ascending afterMinutes
+    stopOnAcknowledge: boolean('stop_on_acknowledge').default(true).notNull(),
+    isDefault: boolean('is_default').default(false).notNull(),
+    createdAt: timestamp('created_at').defaultNow().notNull(),
+    updatedAt: timestamp('updated_at').defaultNow().notNull(),
+});
+
+export type EscalationPolicy = typeof escalationPolicies.$inferSelect;
+export type NewEscalationPolicy = typeof escalationPolicies.$inferInsert;
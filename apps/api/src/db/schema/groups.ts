@@ -1,4 +1,5 @@
 import { pgTable, uuid, text, timestamp } from 'drizzle-orm/pg-core';
+import { escalationPolicies } from './escalation-policies';
 
 // Router groups table
 export const routerGroups = pgTable('router_groups', {
@@ -6,6 +7,7 @@ export const routerGroups = pgTable('router_groups', {
     name: text('name').notNull(),
     description: text('description'),
     color: text('color').default('#3b82f6'), // Hex color for map markers
+    escalationPolicyId: uuid('escalation_policy_id').references(() => escalationPolicies.id, { onDelete: 'set null' }),
     createdAt: timestamp('created_at').defaultNow().notNull(),
     updatedAt: timestamp('updated_at').defaultNow().notNull(),
 });
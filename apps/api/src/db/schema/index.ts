@@ -1,9 +1,16 @@
 // Export all schemas
 export * from './users';
+export * from './escalation-policies';
 export * from './groups';
 export * from './routers';
 export * from './alerts';
+export * from './alert-activity';
 export * from './settings';
 export * from './user-routers';
 export * from './notifications';
+export * from './notification-deliveries';
+export * from './notification-rules';
+export * from './notification-queue';
 export * from './pppoe';
+export * from './metrics';
+export * from './maintenance';
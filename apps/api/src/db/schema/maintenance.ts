@@ -0,0 +1,56 @@
+import {
+    pgTable,
+    pgEnum,
+    uuid,
+    text,
+    integer,
+    boolean,
+    timestamp,
+    index,
+} from 'drizzle-orm/pg-core';
+import { routers } from './routers';
+import { routerGroups } from './groups';
+import { users } from './users';
+
+// What a maintenance window covers
+export const maintenanceScopeEnum = pgEnum('maintenance_scope', [
+    'router',
+    'group',
+    'netwatch',
+]);
+
+// One-off window or a weekly schedule (every day = all seven days)
+export const maintenanceRecurrenceEnum = pgEnum('maintenance_recurrence', [
+    'once',
+    'weekly',
+]);
+
+// Maintenance windows - alerts are still recorded but not notified or escalated
+export const maintenanceWindows = pgTable('maintenance_windows', {
+    id: uuid('id').defaultRandom().primaryKey(),
+    name: text('name').notNull(),
+    description: text('description'),
+    scope: maintenanceScopeEnum('scope').notNull(),
+    routerId: uuid('router_id').references(() => routers.id, { onDelete: 'cascade' }), // router scope, or owner of the netwatch hosts
+    groupId: uuid('group_id').references(() => routerGroups.id, { onDelete: 'cascade' }),
+    netwatchIds: uuid('netwatch_ids').array().default([]).notNull(),
+    recurrence: maintenanceRecurrenceEnum('recurrence').default('once').notNull(),
+    // One-off window
+    startsAt: timestamp('starts_at'),
+    endsAt: timestamp('ends_at'),
+    // Weekly window, evaluated in the app timezone
+    daysOfWeek: integer('days_of_week').array().default([]).notNull(), // 0 = Sunday
+    startTime: text('start_time'), // HH:MM
+    durationMinutes: integer('duration_minutes'),
+    enabled: boolean('enabled').default(true).notNull(),
+    createdBy: uuid('created_by').references(() => users.id, { onDelete: 'set null' }),
+    createdAt: timestamp('created_at').defaultNow().notNull(),
+    updatedAt: timestamp('updated_at').defaultNow().notNull(),
+}, (table) => [
+    index('maintenance_windows_router_idx').on(table.routerId),
+    index('maintenance_windows_group_idx').on(table.groupId),
+]);
+
+// Types
+export type MaintenanceWindow = typeof maintenanceWindows.$inferSelect;
+export type NewMaintenanceWindow = typeof maintenanceWindows.$inferInsert;
@@ -0,0 +1,102 @@
+import {
+    pgTable,
+    uuid,
+    text,
+    integer,
+    bigint,
+    real,
+    timestamp,
+    index,
+    uniqueIndex,
+} from 'drizzle-orm/pg-core';
+import { routers, routerNetwatch, routerInterfaces } from './routers';
+
+// Netwatch metrics table (raw ping samples, one row per host per ping cycle)
+export const netwatchMetrics = pgTable('netwatch_metrics', {
+    id: uuid('id').defaultRandom().primaryKey(),
+    netwatchId: uuid('netwatch_id')
+        .notNull()
+        .references(() => routerNetwatch.id, { onDelete: 'cascade' }),
+    routerId: uuid('router_id')
+        .notNull()
+        .references(() => routers.id, { onDelete: 'cascade' }),
+    latency: integer('latency'), // ms, null when the ping got no reply
+    packetLoss: integer('packet_loss'), // percentage
+    recordedAt: timestamp('recorded_at').defaultNow().notNull(),
+}, (table) => [
+    index('netwatch_metrics_netwatch_recorded_idx').on(table.netwatchId, table.recordedAt),
+    index('netwatch_metrics_recorded_idx').on(table.recordedAt),
+]);
+
+// Netwatch metrics rollups ('5m' and '1h' buckets computed from raw samples)
+export const netwatchMetricsRollup = pgTable('netwatch_metrics_rollup', {
+    id: uuid('id').defaultRandom().primaryKey(),
+    netwatchId: uuid('netwatch_id')
+        .notNull()
+        .references(() => routerNetwatch.id, { onDelete: 'cascade' }),
+    routerId: uuid('router_id')
+        .notNull()
+        .references(() => routers.id, { onDelete: 'cascade' }),
+    resolution: text('resolution').notNull(), // '5m' or '1h'
+    bucketStart: timestamp('bucket_start').notNull(),
+    minLatency: real('min_latency'),
+    avgLatency: real('avg_latency'),
+    maxLatency: real('max_latency'),
+    p95Latency: real('p95_latency'),
+    avgPacketLoss: real('avg_packet_loss'),
+    sampleCount: integer('sample_count').notNull().default(0),
+}, (table) => [
+    uniqueIndex('netwatch_metrics_rollup_bucket_idx').on(table.netwatchId, table.resolution, table.bucketStart),
+    index('netwatch_metrics_rollup_resolution_idx').on(table.resolution, table.bucketStart),
+]);
+
+// Interface samples table (traffic rates per interface, one row per full sync)
+export const interfaceSamples = pgTable('interface_samples', {
+    id: uuid('id').defaultRandom().primaryKey(),
+    interfaceId: uuid('interface_id')
+        .notNull()
+        .references(() => routerInterfaces.id, { onDelete: 'cascade' }),
+    routerId: uuid('router_id')
+        .notNull()
+        .references(() => routers.id, { onDelete: 'cascade' }),
+    txRate: bigint('tx_rate', { mode: 'number' }).default(0), // bits per second
+    rxRate: bigint('rx_rate', { mode: 'number' }).default(0), // bits per second
+    txBytes: bigint('tx_bytes', { mode: 'number' }),
+    rxBytes: bigint('rx_bytes', { mode: 'number' }),
+    recordedAt: timestamp('recorded_at').defaultNow().notNull(),
+}, (table) => [
+    index('interface_samples_interface_recorded_idx').on(table.interfaceId, table.recordedAt),
+    index('interface_samples_recorded_idx').on(table.recordedAt),
+]);
+
+// Router metrics rollups ('1h' buckets from raw router_metrics, '1d' buckets from the hourly tier)
+export const routerMetricsRollup = pgTable('router_metrics_rollup', {
+    id: uuid('id').defaultRandom().primaryKey(),
+    routerId: uuid('router_id')
+        .notNull()
+        .references(() => routers.id, { onDelete: 'cascade' }),
+    resolution: text('resolution').notNull(), // '1h' or '1d'
+    bucketStart: timestamp('bucket_start').notNull(),
+    avgCpu: real('avg_cpu'),
+    maxCpu: real('max_cpu'),
+    cpuPeakSamples: integer('cpu_peak_samples').notNull().default(0), // samples with CPU > 90%
+    avgMemoryPercent: real('avg_memory_percent'),
+    maxMemoryPercent: real('max_memory_percent'),
+    avgDiskPercent: real('avg_disk_percent'),
+    maxTemperature: real('max_temperature'),
+    avgVoltage: real('avg_voltage'),
+    sampleCount: integer('sample_count').notNull().default(0),
+}, (table) => [
+    uniqueIndex('router_metrics_rollup_bucket_idx').on(table.routerId, table.resolution, table.bucketStart),
+    index('router_metrics_rollup_resolution_idx').on(table.resolution, table.bucketStart),
+]);
+
+// Types
+export type NetwatchMetric = typeof netwatchMetrics.$inferSelect;
+export type NewNetwatchMetric = typeof netwatchMetrics.$inferInsert;
+export type NetwatchMetricRollup = typeof netwatchMetricsRollup.$inferSelect;
+export type NewNetwatchMetricRollup = typeof netwatchMetricsRollup.$inferInsert;
+export type InterfaceSample = typeof interfaceSamples.$inferSelect;
+export type NewInterfaceSample = typeof interfaceSamples.$inferInsert;
+export type RouterMetricRollup = typeof routerMetricsRollup.$inferSelect;
+export type NewRouterMetricRollup = typeof routerMetricsRollup.$inferInsert;
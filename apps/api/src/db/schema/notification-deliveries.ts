@@ -0,0 +1,50 @@
+import { pgTable, pgEnum, uuid, text, integer, jsonb, timestamp, index } from 'drizzle-orm/pg-core';
+import { notificationGroups } from './notifications';
+import { alerts } from './alerts';
+
+// 'retrying' deliveries are picked up again by the scheduler at next_attempt_at
+export const notificationDeliveryStatusEnum = pgEnum('notification_delivery_status', [
+    'success',
+    'failed',
+    'retrying',
+]);
+
+export interface NotificationDeliveryAttempt {
+    at: string;
+    success: boolean;
+    responseStatus: number | null;
+    error: string | null;
+    durationMs: number;
+}
+
+// One row per message handed to a channel; the columns hold the outcome of the
+// last attempt and attempt_log the full history
+export const notificationDeliveries = pgTable('notification_deliveries', {
+    id: uuid('id').defaultRandom().primaryKey(),
+    groupId: uuid('group_id')
+        .notNull()
+        .references(() => notificationGroups.id, { onDelete: 'cascade' }),
+    channelId: text('channel_id').notNull(), // id of the entry in notification_groups.channels
+    channelType: text('channel_type').notNull(),
+    alertId: uuid('alert_id').references(() => alerts.id, { onDelete: 'set null' }),
+    event: text('event').notNull(),
+    target: text('target'), // URL, chat or address the message went to
+    payload: jsonb('payload'), // the NotificationMessage, replayed on retry
+    status: notificationDeliveryStatusEnum('status').notNull(),
+    attempts: integer('attempts').default(0).notNull(),
+    responseStatus: integer('response_status'),
+    responseBody: text('response_body'),
+    error: text('error'),
+    durationMs: integer('duration_ms'),
+    attemptLog: jsonb('attempt_log').$type<NotificationDeliveryAttempt[]>().default([]).notNull(),
+    nextAttemptAt: timestamp('next_attempt_at'),
+    createdAt: timestamp('created_at').defaultNow().notNull(),
+    updatedAt: timestamp('updated_at').defaultNow().notNull(),
+}, (table) => [
+    index('notification_deliveries_group_created_idx').on(table.groupId, table.createdAt),
+    index('notification_deliveries_retry_idx').on(table.status, table.nextAttemptAt),
+    index('notification_deliveries_alert_idx').on(table.alertId),
+]);
+
+export type NotificationDelivery = typeof notificationDeliveries.$inferSelect;
+export type NewNotificationDelivery = typeof notificationDeliveries.$inferInsert;
@@ -0,0 +1,36 @@
+import { pgTable, pgEnum, uuid, text, jsonb, timestamp, index } from 'drizzle-orm/pg-core';
+import { notificationGroups } from './notifications';
+import { alerts, alertTypeEnum, alertSeverityEnum } from './alerts';
+
+// 'batch' rows wait for the group's batch window, 'digest' rows for the next digest,
+// 'quiet' rows for the end of quiet hours
+export const notificationQueueKindEnum = pgEnum('notification_queue_kind', [
+    'batch',
+    'digest',
+    'quiet',
+]);
+
+// Alert notifications held back for a summary. Rows of one group and kind
+// that fall due together are sent as one message and deleted.
+export const notificationQueue = pgTable('notification_queue', {
+    id: uuid('id').defaultRandom().primaryKey(),
+    groupId: uuid('group_id')
+        .notNull()
+        .references(() => notificationGroups.id, { onDelete: 'cascade' }),
+    kind: notificationQueueKindEnum('kind').notNull(),
+    alertId: uuid('alert_id').references(() => alerts.id, { onDelete: 'set null' }),
+    alertType: alertTypeEnum('alert_type').notNull(),
+    severity: alertSeverityEnum('severity').notNull(),
+    routerId: uuid('router_id'),
+    routerName: text('router_name'),
+    vars: jsonb('vars').$type<Record<string, string>>().notNull(), // template placeholders at alert time
+    message: jsonb('message').notNull(), // the NotificationMessage, sent as is when alone in a batch
+    dueAt: timestamp('due_at').notNull(),
+    createdAt: timestamp('created_at').defaultNow().notNull(),
+}, (table) => [
+    index('notification_queue_due_idx').on(table.dueAt),
+    index('notification_queue_group_kind_idx').on(table.groupId, table.kind),
+]);
+
+export type QueuedNotification = typeof notificationQueue.$inferSelect;
+export type NewQueuedNotification = typeof notificationQueue.$inferInsert;
@@ -0,0 +1,36 @@
+import { pgTable, pgEnum, uuid, text, integer, boolean, timestamp } from 'drizzle-orm/pg-core';
+import { alertTypeEnum, alertSeverityEnum } from './alerts';
+
+// 'notify' sends to the target groups, 'drop' sends nothing
+export const notificationRuleActionEnum = pgEnum('notification_rule_action', [
+    'notify',
+    'drop',
+]);
+
+// Notification routing rules - the first enabled rule that matches an alert
+// (lowest priority first) decides where it goes. Empty match lists match anything.
+export const notificationRules = pgTable('notification_rules', {
+    id: uuid('id').defaultRandom().primaryKey(),
+    name: text('name').notNull(),
+    enabled: boolean('enabled').default(true).notNull(),
+    priority: integer('priority').default(100).notNull(),
+    // Match
+    severities: alertSeverityEnum('severities').array().default([]).notNull(),
+    alertTypes: alertTypeEnum('alert_types').array().default([]).notNull(),
+    routerGroupIds: uuid('router_group_ids').array().default([]).notNull(),
+    // Time of day in the rule's timezone; no times = all day, no days = every day
+    daysOfWeek: integer('days_of_week').array().default([]).notNull(),
+    startTime: text('start_time'), // HH:MM
+    endTime: text('end_time'), // HH:MM, before start = past midnight
+    timezone: text('timezone'), // of the admin who saved the rule; null = app timezone
+    // Action
+    action: notificationRuleActionEnum('action').default('notify').notNull(),
+    targetGroupIds: uuid('target_group_ids').array().default([]).notNull(), // notification groups
+    includeRouterGroup: boolean('include_router_group').default(false).notNull(), // also the router's own group
+    ignoreQuietHours: boolean('ignore_quiet_hours').default(false).notNull(), // e.g. 24/7 on-call
+    createdAt: timestamp('created_at').defaultNow().notNull(),
+    updatedAt: timestamp('updated_at').defaultNow().notNull(),
+});
+
+export type NotificationRule = typeof notificationRules.$inferSelect;
+export type NewNotificationRule = typeof notificationRules.$inferInsert;
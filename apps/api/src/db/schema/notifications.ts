@@ -1,24 +1,45 @@
-import { pgTable, uuid, text, boolean, timestamp } from 'drizzle-orm/pg-core';
+import { pgTable, pgEnum, uuid, text, integer, jsonb, timestamp } from 'drizzle-orm/pg-core';
+import { alertSeverityEnum } from './alerts';
+
+// One delivery channel of a group. `config` is validated by the channel
+// implementation (see services/notification-channels), so new channel types
+// need no schema change.
+export interface NotificationChannelConfig {
+    id: string;
+    type: string; // 'telegram' | 'whatsapp' | 'email' | ...
+    enabled: boolean;
+    config: Record<string, unknown>;
+}
+
+// Collect matching alerts and send them as one summary per hour or per day
+export const notificationDigestModeEnum = pgEnum('notification_digest_mode', [
+    'off',
+    'hourly',
+    'daily',
+]);
 
 export const notificationGroups = pgTable('notification_groups', {
     id: uuid('id').defaultRandom().primaryKey(),
     name: text('name').notNull(),
 
-    // Telegram
-    telegramEnabled: boolean('telegram_enabled').default(false),
-    telegramBotToken: text('telegram_bot_token'),
-    telegramChatId: text('telegram_chat_id'),
-    telegramThreadId: text('telegram_thread_id'), // For topic support
-
-    // WhatsApp
-    whatsappEnabled: boolean('whatsapp_enabled').default(false),
-    whatsappUrl: text('whatsapp_url'), // Base URL for the WhatsApp API
-    whatsappKey: text('whatsapp_key'), // API Key if needed
-    whatsappTo: text('whatsapp_to'), // Target phone number/ID
+    // Delivery channels
+    channels: jsonb('channels').$type<NotificationChannelConfig[]>().default([]).notNull(),
 
     // Custom Message Template
     messageTemplate: text('message_template'), // Optional custom template
 
+    // Batching: alerts within the window are sent as one summary (0 = off)
+    batchWindowSeconds: integer('batch_window_seconds').default(0).notNull(),
+
+    // Digest: alerts of these severities wait for the hourly/daily summary
+    digestMode: notificationDigestModeEnum('digest_mode').default('off').notNull(),
+    digestSeverities: alertSeverityEnum('digest_severities').array().default(['info']).notNull(),
+    digestHour: integer('digest_hour').default(8).notNull(), // daily digest, app timezone
+
+    // Summary templates; {{items}} is one rendered summaryItemTemplate per alert
+    summaryTemplate: text('summary_template'),
+    summaryItemTemplate: text('summary_item_template'),
+
     createdAt: timestamp('created_at').defaultNow().notNull(),
     updatedAt: timestamp('updated_at').defaultNow().notNull(),
 });
@@ -4,6 +4,12 @@ import {
     text,
     timestamp,
     integer,
+    bigint,
+    boolean,
+    date,
+    pgEnum,
+    index,
+    uniqueIndex,
 } from 'drizzle-orm/pg-core';
 import { routers } from './routers';
 
@@ -30,8 +36,70 @@ export const pppoeSessions = pgTable('pppoe_sessions', {
     status: text('status').default('active'), // 'active', 'disconnected'
     lastDown: timestamp('last_down'),
     lastLatency: integer('last_latency'), // Latency in ms (if available)
+    // Interface byte counters at the last poll, to turn them into usage deltas (null = no baseline yet)
+    lastUploadBytes: bigint('last_upload_bytes', { mode: 'number' }),
+    lastDownloadBytes: bigint('last_download_bytes', { mode: 'number' }),
 });
 
+export const pppoeSessionEventTypeEnum = pgEnum('pppoe_session_event_type', ['connect', 'disconnect']);
+
+// PPPoE session events - one row per connect/disconnect, the per-subscriber connection log
+export const pppoeSessionEvents = pgTable('pppoe_session_events', {
+    id: uuid('id').defaultRandom().primaryKey(),
+    routerId: uuid('router_id')
+        .notNull()
+        .references(() => routers.id, { onDelete: 'cascade' }),
+    name: text('name').notNull(), // PPPoE username
+    type: pppoeSessionEventTypeEnum('type').notNull(),
+    sessionId: text('session_id'), // MikroTik session ID
+    callerId: text('caller_id'),
+    address: text('address'),
+    uptime: text('uptime'), // Last uptime seen before the disconnect
+    durationSeconds: integer('duration_seconds'), // Session length, on disconnect
+    createdAt: timestamp('created_at').defaultNow().notNull(),
+}, (table) => [
+    index('pppoe_session_events_user_idx').on(table.routerId, table.name, table.createdAt),
+]);
+
+// Daily traffic per PPPoE user (day in the app timezone)
+export const pppoeUsageDaily = pgTable('pppoe_usage_daily', {
+    id: uuid('id').defaultRandom().primaryKey(),
+    routerId: uuid('router_id')
+        .notNull()
+        .references(() => routers.id, { onDelete: 'cascade' }),
+    name: text('name').notNull(), // PPPoE username
+    day: date('day').notNull(), // YYYY-MM-DD
+    uploadBytes: bigint('upload_bytes', { mode: 'number' }).default(0).notNull(),
+    downloadBytes: bigint('download_bytes', { mode: 'number' }).default(0).notNull(),
+    updatedAt: timestamp('updated_at').defaultNow().notNull(),
+}, (table) => [
+    uniqueIndex('pppoe_usage_daily_user_day_idx').on(table.routerId, table.name, table.day),
+    index('pppoe_usage_daily_day_idx').on(table.day),
+]);
+
+// PPP secrets - the subscriber accounts configured on each router, including ones that are never online
+export const pppSecrets = pgTable('ppp_secrets', {
+    id: uuid('id').defaultRandom().primaryKey(),
+    routerId: uuid('router_id')
+        .notNull()
+        .references(() => routers.id, { onDelete: 'cascade' }),
+    name: text('name').notNull(), // PPPoE username
+    service: text('service'), // any, pppoe, ...
+    profile: text('profile'),
+    disabled: boolean('disabled').default(false).notNull(),
+    remoteAddress: text('remote_address'),
+    comment: text('comment'),
+    createdAt: timestamp('created_at').defaultNow().notNull(), // First seen by the sync
+    syncedAt: timestamp('synced_at').defaultNow().notNull(),
+}, (table) => [
+    uniqueIndex('ppp_secrets_router_name_idx').on(table.routerId, table.name),
+]);
+
 // Types
 export type PppoeSession = typeof pppoeSessions.$inferSelect;
 export type NewPppoeSession = typeof pppoeSessions.$inferInsert;
+export type PppoeSessionEvent = typeof pppoeSessionEvents.$inferSelect;
+export type NewPppoeSessionEvent = typeof pppoeSessionEvents.$inferInsert;
+export type PppoeUsageDaily = typeof pppoeUsageDaily.$inferSelect;
+export type PppSecret = typeof pppSecrets.$inferSelect;
+export type NewPppSecret = typeof pppSecrets.$inferInsert;
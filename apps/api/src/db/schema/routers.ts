@@ -88,6 +88,8 @@ export const routerInterfaces = pgTable('router_interfaces', {
     running: boolean('running').default(false),
     disabled: boolean('disabled').default(false),
     comment: text('comment'),
+    monitored: boolean('monitored').default(false).notNull(), // Alert on link down/up and flapping
+    lastLinkChange: timestamp('last_link_change'),
     lastUpdated: timestamp('last_updated').defaultNow(),
 });
 
@@ -156,6 +158,11 @@ export const routerNetwatch = pgTable('router_netwatch', {
 
     // Waypoints for custom path on map (JSON array of [lat, lng] coordinates)
     waypoints: text('waypoints'), // JSON string: [[lat1, lng1], [lat2, lng2], ...]
+
+    // Performance alert overrides (null = use the device type / router thresholds)
+    latencyThreshold: integer('latency_threshold'), // ms
+    packetLossThreshold: integer('packet_loss_threshold'), // percentage
+    consecutiveBreaches: integer('consecutive_breaches'), // breaches in a row before alerting
     createdAt: timestamp('created_at').defaultNow().notNull(),
     updatedAt: timestamp('updated_at').defaultNow().notNull(),
 });
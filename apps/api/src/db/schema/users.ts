@@ -14,6 +14,7 @@ export const users = pgTable('users', {
     role: text('role').notNull().default('user'),
     timezone: text('timezone').default('Asia/Jakarta').notNull(),
     animationStyle: text('animation_style').default('default'), // Map line animation style preference
+    telegramChatId: text('telegram_chat_id').unique(), // Telegram user ID allowed to use bot commands
     createdAt: timestamp('created_at').defaultNow().notNull(),
     updatedAt: timestamp('updated_at').defaultNow().notNull(),
 });
@@ -6,8 +6,8 @@ import routes from './routes/index.js';
 import backupRoutes from './routes/backup.routes.js';
 import { errorMiddleware, notFoundMiddleware } from './middleware/index.js';
 import { startScheduler } from './lib/scheduler.js';
-import { db } from './db/index.js';
-import { sql } from 'drizzle-orm';
+import { telegramBotService } from './services/telegram-bot.service.js';
+import { runDataMigrations } from './db/data-migrations.js';
 
 // Global error handlers to prevent server crashes from unhandled errors
 process.on('uncaughtException', (error: Error) => {
@@ -25,52 +25,7 @@ process.on('unhandledRejection', (reason: unknown) => {
  */
 async function runMigrations() {
     try {
-        // Add escalation columns if they don't exist
-        await db.execute(sql`
-            DO $$
-            BEGIN
-                IF NOT EXISTS (
-                    SELECT 1 FROM information_schema.columns 
-                    WHERE table_name = 'alerts' AND column_name = 'escalation_level'
-                ) THEN
-                    ALTER TABLE alerts ADD COLUMN escalation_level INTEGER DEFAULT 0 NOT NULL;
-                    RAISE NOTICE 'Added escalation_level column';
-                END IF;
-                
-                IF NOT EXISTS (
-                    SELECT 1 FROM information_schema.columns 
-                    WHERE table_name = 'alerts' AND column_name = 'last_escalated_at'
-                ) THEN
-                    ALTER TABLE alerts ADD COLUMN last_escalated_at TIMESTAMP;
-                    RAISE NOTICE 'Added last_escalated_at column';
-                END IF;
-
-                -- Add PPPoE coordinates columns
-                IF NOT EXISTS (
-                    SELECT 1 FROM information_schema.columns 
-                    WHERE table_name = 'pppoe_sessions' AND column_name = 'latitude'
-                ) THEN
-                    ALTER TABLE pppoe_sessions ADD COLUMN latitude TEXT;
-                    RAISE NOTICE 'Added latitude column to pppoe_sessions';
-                END IF;
-
-                IF NOT EXISTS (
-                    SELECT 1 FROM information_schema.columns 
-                    WHERE table_name = 'pppoe_sessions' AND column_name = 'longitude'
-                ) THEN
-                    ALTER TABLE pppoe_sessions ADD COLUMN longitude TEXT;
-                    RAISE NOTICE 'Added longitude column to pppoe_sessions';
-                END IF;
-
-                IF NOT EXISTS (
-                    SELECT 1 FROM information_schema.columns 
-                    WHERE table_name = 'pppoe_sessions' AND column_name = 'waypoints'
-                ) THEN
-                    ALTER TABLE pppoe_sessions ADD COLUMN waypoints TEXT;
-                    RAISE NOTICE 'Added waypoints column to pppoe_sessions';
-                END IF;
-            END $$;
-        `);
+        await runDataMigrations();
         console.log('✅ Database migrations complete');
     } catch (error) {
         console.error('⚠️ Migration warning:', error instanceof Error ? error.message : error);
@@ -129,6 +84,9 @@ app.listen(PORT, async () => {
 
     // Start background router polling
     startScheduler();
+
+    // Answer Telegram bot commands (when enabled in settings)
+    telegramBotService.start();
 });
 
 export default app;
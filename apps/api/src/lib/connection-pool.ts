@@ -0,0 +1,271 @@
+import { connectToRouter, type RouterConnection } from './mikrotik-api.js';
+
+export type PoolSessionState = 'open' | 'reconnecting' | 'failed';
+
+export interface PoolSessionStatus {
+    routerId: string;
+    state: PoolSessionState;
+    failures: number;
+    lastUsedAt: string;
+    nextRetryAt: string | null;
+}
+
+interface PoolEntry {
+    routerId: string;
+    config: RouterConnection;
+    fingerprint: string;
+    api: any | null;
+    state: PoolSessionState;
+    failures: number;
+    lastError: string | null;
+    lastUsed: number;
+    nextRetryAt: number | null;
+    pending: Promise<any> | null;
+    retryTimer: ReturnType<typeof setTimeout> | null;
+}
+
+// Sessions unused for this long are closed (longest adaptive polling tier is 5 minutes)
+const IDLE_TIMEOUT = 10 * 60 * 1000;
+
+// How often idle sessions are swept
+const SWEEP_INTERVAL = 60 * 1000;
+
+// Reconnect backoff: 5s, 10s, 20s ... capped at 2 minutes
+const BACKOFF_BASE = 5 * 1000;
+const BACKOFF_MAX = 2 * 60 * 1000;
+
+// Background reconnect attempts before a dropped session is marked failed
+const MAX_RECONNECT_ATTEMPTS = 5;
+
+/**
+ * RouterOS connection pool - keeps one long-lived API session per router
+ * so polling and on-demand requests don't pay for a login every time.
+ */
+class RouterConnectionPool {
+    private entries: Map<string, PoolEntry> = new Map();
+    private sweepTimer: ReturnType<typeof setInterval> | null = null;
+
+    /**
+     * Borrow the session for a router, connecting (or reconnecting) if needed.
+     * Throws while a failed router is still inside its backoff window.
+     */
+    async acquire(routerId: string, config: RouterConnection): Promise<any> {
+        this.ensureSweeper();
+
+        const fingerprint = this.getFingerprint(config);
+        let entry = this.entries.get(routerId);
+
+        // Credentials or address changed underneath us - start over
+        if (entry && entry.fingerprint !== fingerprint) {
+            this.invalidate(routerId);
+            entry = undefined;
+        }
+
+        if (!entry) {
+            entry = {
+                routerId,
+                config,
+                fingerprint,
+                api: null,
+                state: 'reconnecting',
+                failures: 0,
+                lastError: null,
+                lastUsed: Date.now(),
+                nextRetryAt: null,
+                pending: null,
+                retryTimer: null,
+            };
+            this.entries.set(routerId, entry);
+        }
+
+        entry.lastUsed = Date.now();
+
+        if (entry.state === 'open' && entry.api?.connected) {
+            return entry.api;
+        }
+
+        if (entry.pending) {
+            return entry.pending;
+        }
+
+        if (entry.state === 'failed' && entry.nextRetryAt && Date.now() < entry.nextRetryAt) {
+            const waitSeconds = Math.ceil((entry.nextRetryAt - Date.now()) / 1000);
+            throw new Error(`cannot connect to ${config.host} (retry in ${waitSeconds}s): ${entry.lastError || 'unknown error'}`);
+        }
+
+        return this.connect(entry);
+    }
+
+    /**
+     * Close and forget the session for a router.
+     * Used when credentials change, the router is deleted or rebooted.
+     */
+    invalidate(routerId: string): void {
+        const entry = this.entries.get(routerId);
+        if (!entry) return;
+
+        this.entries.delete(routerId);
+        if (entry.retryTimer) clearTimeout(entry.retryTimer);
+        this.closeApi(entry.api);
+    }
+
+    /**
+     * Current pool state for the health endpoint
+     */
+    getStatus(): {
+        total: number;
+        open: number;
+        reconnecting: number;
+        failed: number;
+        sessions: PoolSessionStatus[];
+    } {
+        const sessions: PoolSessionStatus[] = Array.from(this.entries.values()).map((entry) => ({
+            routerId: entry.routerId,
+            state: entry.state,
+            failures: entry.failures,
+            lastUsedAt: new Date(entry.lastUsed).toISOString(),
+            nextRetryAt: entry.nextRetryAt ? new Date(entry.nextRetryAt).toISOString() : null,
+        }));
+
+        return {
+            total: sessions.length,
+            open: sessions.filter((s) => s.state === 'open').length,
+            reconnecting: sessions.filter((s) => s.state === 'reconnecting').length,
+            failed: sessions.filter((s) => s.state === 'failed').length,
+            sessions,
+        };
+    }
+
+    private connect(entry: PoolEntry): Promise<any> {
+        entry.state = 'reconnecting';
+
+        const pending = connectToRouter(entry.config)
+            .then((api) => {
+                // Invalidated while we were connecting
+                if (this.entries.get(entry.routerId) !== entry) {
+                    this.closeApi(api);
+                    throw new Error(`cannot connect to ${entry.config.host}: session was reset`);
+                }
+
+                entry.api = api;
+                entry.state = 'open';
+                entry.failures = 0;
+                entry.lastError = null;
+                entry.nextRetryAt = null;
+                this.attachListeners(entry, api);
+                return api;
+            })
+            .catch((error) => {
+                if (this.entries.get(entry.routerId) === entry) {
+                    entry.failures++;
+                    entry.state = 'failed';
+                    entry.lastError = error instanceof Error ? error.message : String(error);
+                    entry.nextRetryAt = Date.now() + this.getBackoff(entry.failures);
+                }
+                throw error;
+            })
+            .finally(() => {
+                entry.pending = null;
+            });
+
+        entry.pending = pending;
+        return pending;
+    }
+
+    /**
+     * Watch a live session so a dropped socket gets reconnected in the background
+     */
+    private attachListeners(entry: PoolEntry, api: any): void {
+        const onDrop = (error?: unknown) => {
+            if (entry.api !== api) return;
+
+            entry.api = null;
+            if (error) {
+                entry.lastError = error instanceof Error ? error.message : String(error);
+            }
+            this.closeApi(api);
+
+            if (this.entries.get(entry.routerId) !== entry) return;
+
+            console.warn(`[Pool] Session for router ${entry.config.host} dropped${entry.lastError ? `: ${entry.lastError}` : ''}`);
+            entry.state = 'reconnecting';
+            this.scheduleReconnect(entry);
+        };
+
+        // An 'error' event without a listener would crash the process
+        api.on('error', onDrop);
+        api.on('close', () => onDrop());
+    }
+
+    private scheduleReconnect(entry: PoolEntry): void {
+        if (entry.retryTimer) clearTimeout(entry.retryTimer);
+
+        // Nobody is using this router anymore - let the sweeper drop it
+        if (Date.now() - entry.lastUsed > IDLE_TIMEOUT) {
+            this.invalidate(entry.routerId);
+            return;
+        }
+
+        const delay = this.getBackoff(entry.failures + 1);
+        entry.nextRetryAt = Date.now() + delay;
+
+        entry.retryTimer = setTimeout(() => {
+            entry.retryTimer = null;
+            if (this.entries.get(entry.routerId) !== entry || entry.pending || entry.api) return;
+
+            this.connect(entry)
+                .then(() => {
+                    console.log(`[Pool] Reconnected to router ${entry.config.host}`);
+                })
+                .catch(() => {
+                    if (entry.failures < MAX_RECONNECT_ATTEMPTS) {
+                        entry.state = 'reconnecting';
+                        this.scheduleReconnect(entry);
+                    } else {
+                        console.warn(`[Pool] Giving up on router ${entry.config.host} after ${entry.failures} attempts`);
+                    }
+                });
+        }, delay);
+        entry.retryTimer.unref?.();
+    }
+
+    /**
+     * Close sessions that haven't been borrowed within the idle timeout
+     */
+    private sweepIdle(): void {
+        const now = Date.now();
+        for (const entry of Array.from(this.entries.values())) {
+            if (!entry.pending && now - entry.lastUsed > IDLE_TIMEOUT) {
+                this.invalidate(entry.routerId);
+            }
+        }
+    }
+
+    private ensureSweeper(): void {
+        if (this.sweepTimer) return;
+        this.sweepTimer = setInterval(() => this.sweepIdle(), SWEEP_INTERVAL);
+        this.sweepTimer.unref?.();
+    }
+
+    private getBackoff(failures: number): number {
+        return Math.min(BACKOFF_BASE * Math.pow(2, Math.max(failures - 1, 0)), BACKOFF_MAX);
+    }
+
+    private getFingerprint(config: RouterConnection): string {
+        return `${config.host}:${config.port}:${config.username}:${config.password}`;
+    }
+
+    private closeApi(api: any): void {
+        if (!api) return;
+        api.removeAllListeners?.('close');
+        // Keep a no-op error listener so late socket errors don't crash the process
+        api.removeAllListeners?.('error');
+        api.on?.('error', () => { });
+        if (api.connected) {
+            api.close().catch(() => { });
+        }
+    }
+}
+
+// Export singleton instance
+export const routerConnectionPool = new RouterConnectionPool();
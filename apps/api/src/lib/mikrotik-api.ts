@@ -607,6 +607,106 @@ export interface PppSession {
     limitBytesOut?: number;
 }
 
+export interface PppTrafficCounters {
+    uploadBytes: number;    // received from the subscriber (rx-byte)
+    downloadBytes: number;  // sent to the subscriber (tx-byte)
+}
+
+/**
+ * Get byte counters of the dynamic PPPoE server interfaces (<pppoe-username>), keyed by username.
+ * Counters start at zero with every new session.
+ */
+export async function getPppTrafficCounters(api: any): Promise<Map<string, PppTrafficCounters>> {
+    const result = await api.write([
+        '/interface/print',
+        '?type=pppoe-in',
+        '=.proplist=name,rx-byte,tx-byte',
+    ]);
+
+    const counters = new Map<string, PppTrafficCounters>();
+    for (const iface of result) {
+        const match = /^<pppoe-(.+)>$/.exec(iface.name || '');
+        if (!match) continue;
+
+        counters.set(match[1], {
+            uploadBytes: parseInt(iface['rx-byte'] || '0', 10),
+            downloadBytes: parseInt(iface['tx-byte'] || '0', 10),
+        });
+    }
+    return counters;
+}
+
+export interface PppSecretData {
+    name: string;
+    service: string;
+    profile?: string;
+    disabled: boolean;
+    remoteAddress?: string;
+    comment?: string;
+}
+
+/**
+ * Get PPP secrets (subscriber accounts) that can be used for PPPoE, without passwords
+ */
+export async function getPppSecrets(api: any): Promise<PppSecretData[]> {
+    const result = await api.write([
+        '/ppp/secret/print',
+        '=.proplist=name,service,profile,disabled,remote-address,comment',
+    ]);
+
+    return result
+        .filter((secret: any) => !secret.service || secret.service === 'any' || secret.service === 'pppoe')
+        .map((secret: any) => ({
+            name: secret.name,
+            service: secret.service || 'any',
+            profile: secret.profile,
+            disabled: secret.disabled === true || secret.disabled === 'true',
+            remoteAddress: secret['remote-address'],
+            comment: secret.comment,
+        }));
+}
+
+/**
+ * Disconnect a user's active PPP session(s). Returns false if the user was not online.
+ */
+export async function removePppActive(api: any, name: string): Promise<boolean> {
+    const sessions = await api.write(['/ppp/active/print', `?name=${name}`, '=.proplist=.id']);
+    for (const session of sessions) {
+        await api.write(['/ppp/active/remove', `=.id=${session['.id']}`]);
+    }
+    return sessions.length > 0;
+}
+
+/**
+ * Enable/disable a PPP secret or change its profile. Applies from the next login.
+ */
+export async function updatePppSecret(
+    api: any,
+    name: string,
+    data: { disabled?: boolean; profile?: string }
+): Promise<void> {
+    const secrets = await api.write(['/ppp/secret/print', `?name=${name}`, '=.proplist=.id']);
+    if (secrets.length === 0) {
+        throw new Error(`PPP secret ${name} not found`);
+    }
+
+    const params: string[] = [`=.id=${secrets[0]['.id']}`];
+    if (data.disabled !== undefined) params.push(`=disabled=${data.disabled ? 'yes' : 'no'}`);
+    if (data.profile) params.push(`=profile=${data.profile}`);
+
+    if (params.length > 1) {
+        await api.write(['/ppp/secret/set', ...params]);
+    }
+}
+
+/**
+ * Get the names of the PPP profiles configured on the router
+ */
+export async function getPppProfiles(api: any): Promise<string[]> {
+    const result = await api.write(['/ppp/profile/print', '=.proplist=name']);
+    return result.map((profile: any) => profile.name);
+}
+
 /**
  * Get active PPP sessions with details
  */
@@ -1,5 +1,6 @@
-import { routerService, settingsService } from '../services/index.js';
+import { routerService, settingsService, netwatchMetricsService, interfaceMetricsService, metricsRetentionService, notificationDeliveryService } from '../services/index.js';
 import { alertEscalationService } from '../services/alert-escalation.service.js';
+import { notificationService } from '../services/notification.service.js';
 import { db } from '../db/index.js';
 import { routerNetwatch } from '../db/schema/index.js';
 import { count } from 'drizzle-orm';
@@ -7,8 +8,18 @@ import { count } from 'drizzle-orm';
 // Default polling interval in milliseconds (2 minutes)
 const DEFAULT_POLLING_INTERVAL = 2 * 60 * 1000;
 
-// Escalation check interval (5 minutes)
-const ESCALATION_CHECK_INTERVAL = 5 * 60 * 1000;
+// Escalation check interval (1 minute) - policy levels are set in minutes
+const ESCALATION_CHECK_INTERVAL = 60 * 1000;
+
+// Metrics rollup interval (5 minutes) and retention purge interval (1 hour)
+const METRICS_ROLLUP_INTERVAL = 5 * 60 * 1000;
+const METRICS_PURGE_INTERVAL = 60 * 60 * 1000;
+
+// Notification retry queue check interval (30 seconds)
+const NOTIFICATION_RETRY_INTERVAL = 30 * 1000;
+
+// Notification batch/digest queue check interval (10 seconds)
+const NOTIFICATION_QUEUE_INTERVAL = 10 * 1000;
 
 // Per-router timeout (60 seconds)
 const ROUTER_TIMEOUT = 60 * 1000;
@@ -32,6 +43,10 @@ const SCALING_TIERS: { maxDevices: number; config: ScalingConfig }[] = [
 
 let pollingInterval: ReturnType<typeof setInterval> | null = null;
 let escalationInterval: ReturnType<typeof setInterval> | null = null;
+let metricsRollupInterval: ReturnType<typeof setInterval> | null = null;
+let metricsPurgeInterval: ReturnType<typeof setInterval> | null = null;
+let notificationRetryInterval: ReturnType<typeof setInterval> | null = null;
+let notificationQueueInterval: ReturnType<typeof setInterval> | null = null;
 let isPolling = false;
 let pollingStartTime: number | null = null;
 let currentScalingConfig: ScalingConfig = SCALING_TIERS[0].config;
@@ -212,6 +227,91 @@ async function checkAlertEscalation(): Promise<void> {
     }
 }
 
+/**
+ * Retry failed notification deliveries that are due
+ */
+async function retryNotifications(): Promise<void> {
+    try {
+        const processed = await notificationDeliveryService.processRetryQueue();
+        if (processed > 0) {
+            console.log(`🔁 Retried ${processed} notification deliver${processed === 1 ? 'y' : 'ies'}`);
+        }
+    } catch (error) {
+        console.error('❌ Notification retry error:', error instanceof Error ? error.message : error);
+    }
+}
+
+/**
+ * Send notification batches and digests that are due
+ */
+async function flushNotificationQueue(): Promise<void> {
+    try {
+        const sent = await notificationService.flushQueue();
+        if (sent > 0) {
+            console.log(`📨 Sent ${sent} notification summar${sent === 1 ? 'y' : 'ies'}`);
+        }
+    } catch (error) {
+        console.error('❌ Notification queue error:', error instanceof Error ? error.message : error);
+    }
+}
+
+/**
+ * Roll raw netwatch samples up into 5-minute/hourly buckets
+ * and raw router metrics into hourly buckets
+ */
+async function rollupMetrics(): Promise<void> {
+    try {
+        await netwatchMetricsService.runRollups();
+        await metricsRetentionService.runRollups();
+    } catch (error) {
+        console.error('❌ Metrics rollup error:', error instanceof Error ? error.message : error);
+    }
+}
+
+/**
+ * One-time rollup of router metrics recorded before the hourly/daily tiers existed
+ */
+async function backfillMetricsRollups(): Promise<void> {
+    try {
+        if (await metricsRetentionService.backfillRollups()) {
+            console.log('📊 Rolled up existing router metrics into hourly/daily buckets');
+        }
+    } catch (error) {
+        console.error('❌ Metrics backfill error:', error instanceof Error ? error.message : error);
+    }
+}
+
+/**
+ * Retention job - downsample router metrics into hourly/daily aggregates
+ * and delete metrics history past its retention window
+ */
+async function purgeMetrics(): Promise<void> {
+    try {
+        const routerResult = await metricsRetentionService.purgeExpired();
+        if (routerResult.raw + routerResult.hourly + routerResult.daily > 0) {
+            console.log(`🧹 Purged router metrics: ${routerResult.raw} raw, ${routerResult.hourly} hourly, ${routerResult.daily} daily rows`);
+        }
+
+        const result = await netwatchMetricsService.purgeExpired();
+        const total = result.raw + result.rollup5m + result.rollup1h;
+        if (total > 0) {
+            console.log(`🧹 Purged netwatch history: ${result.raw} raw, ${result.rollup5m} 5m, ${result.rollup1h} 1h rows`);
+        }
+
+        const interfaceRows = await interfaceMetricsService.purgeExpired();
+        if (interfaceRows > 0) {
+            console.log(`🧹 Purged interface history: ${interfaceRows} rows`);
+        }
+
+        const deliveryRows = await notificationDeliveryService.purgeExpired();
+        if (deliveryRows > 0) {
+            console.log(`🧹 Purged notification deliveries: ${deliveryRows} rows`);
+        }
+    } catch (error) {
+        console.error('❌ Metrics purge error:', error instanceof Error ? error.message : error);
+    }
+}
+
 /**
  * Start the background polling scheduler
  */
@@ -220,7 +320,7 @@ export async function startScheduler(): Promise<void> {
     const minutes = Math.round(interval / 60000);
 
     console.log(`⏰ Starting router polling scheduler (every ${minutes} minute${minutes > 1 ? 's' : ''})`);
-    console.log(`⏰ Starting alert escalation checker (every 5 minutes)`);
+    console.log(`⏰ Starting alert escalation checker (every minute)`);
 
     // Run initial poll after a short delay (give server time to fully start)
     setTimeout(() => {
@@ -237,6 +337,17 @@ export async function startScheduler(): Promise<void> {
 
     // Set up recurring escalation check
     escalationInterval = setInterval(checkAlertEscalation, ESCALATION_CHECK_INTERVAL);
+
+    // Set up metrics history rollup and retention
+    setTimeout(backfillMetricsRollups, 15000);
+    metricsRollupInterval = setInterval(rollupMetrics, METRICS_ROLLUP_INTERVAL);
+    metricsPurgeInterval = setInterval(purgeMetrics, METRICS_PURGE_INTERVAL);
+
+    // Set up notification retry queue
+    notificationRetryInterval = setInterval(retryNotifications, NOTIFICATION_RETRY_INTERVAL);
+
+    // Set up notification batch/digest queue
+    notificationQueueInterval = setInterval(flushNotificationQueue, NOTIFICATION_QUEUE_INTERVAL);
 }
 
 /**
@@ -253,6 +364,25 @@ export function stopScheduler(): void {
         escalationInterval = null;
         console.log('🛑 Alert escalation checker stopped');
     }
+    if (metricsRollupInterval) {
+        clearInterval(metricsRollupInterval);
+        metricsRollupInterval = null;
+    }
+    if (metricsPurgeInterval) {
+        clearInterval(metricsPurgeInterval);
+        metricsPurgeInterval = null;
+        console.log('🛑 Metrics rollup/retention stopped');
+    }
+    if (notificationRetryInterval) {
+        clearInterval(notificationRetryInterval);
+        notificationRetryInterval = null;
+        console.log('🛑 Notification retry queue stopped');
+    }
+    if (notificationQueueInterval) {
+        clearInterval(notificationQueueInterval);
+        notificationQueueInterval = null;
+        console.log('🛑 Notification batch queue stopped');
+    }
 }
 
 /**
@@ -269,5 +399,9 @@ export default {
     restart: restartScheduler,
     pollNow: pollAllRouters,
     checkEscalation: checkAlertEscalation,
+    rollupMetrics,
+    purgeMetrics,
+    retryNotifications,
+    flushNotificationQueue,
 };
 
@@ -0,0 +1,133 @@
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export interface LocalTime {
+    weekday: number; // 0 = Sunday
+    minutes: number; // since midnight
+}
+
+/**
+ * Weekday and minutes since midnight in a timezone
+ */
+export function getLocalTime(date: Date, timezone: string): LocalTime {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+    }).formatToParts(date);
+
+    const get = (type: string) => parts.find((part) => part.type === type)?.value || '';
+
+    return {
+        weekday: WEEKDAYS.indexOf(get('weekday')),
+        minutes: Number(get('hour')) * 60 + Number(get('minute')),
+    };
+}
+
+/**
+ * Calendar date in a timezone as "YYYY-MM-DD"
+ */
+export function getLocalDate(date: Date, timezone: string): string {
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+    }).format(date);
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant, in minutes
+ */
+export function getTimezoneOffset(date: Date, timezone: string): number {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23',
+    }).formatToParts(date);
+
+    const get = (type: string) => Number(parts.find((part) => part.type === type)?.value);
+    const wallClock = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+
+    return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Start of the hour or day a date falls in, in a timezone
+ */
+export function startOfLocal(date: Date, unit: 'hour' | 'day', timezone: string): Date {
+    const unitMs = unit === 'hour' ? 60 * 60 * 1000 : 24 * 60 * 60 * 1000;
+    const offsetMs = getTimezoneOffset(date, timezone) * 60000;
+    const localStart = Math.floor((date.getTime() + offsetMs) / unitMs) * unitMs;
+
+    // Take the offset at the start itself, which differs when a DST change falls in between
+    return new Date(localStart - getTimezoneOffset(new Date(localStart - offsetMs), timezone) * 60000);
+}
+
+/**
+ * "HH:MM" -> minutes since midnight
+ */
+export function parseTimeOfDay(value: string): number {
+    const [hour, minute] = value.split(':').map(Number);
+    return hour * 60 + minute;
+}
+
+/**
+ * Check whether a daily range covers a local time.
+ * A range that ends at or before its start runs past midnight (22:00-06:00);
+ * equal start and end cover the whole day. `days` limits the weekday the range
+ * starts on; empty means every day.
+ */
+export function isInDailyWindow(local: LocalTime, start: string, end: string, days: number[] = []): boolean {
+    const startMinutes = parseTimeOfDay(start);
+    const endMinutes = parseTimeOfDay(end);
+
+    let startDay = local.weekday;
+    let inside: boolean;
+
+    if (startMinutes === endMinutes) {
+        inside = true;
+    } else if (startMinutes < endMinutes) {
+        inside = local.minutes >= startMinutes && local.minutes < endMinutes;
+    } else if (local.minutes >= startMinutes) {
+        inside = true;
+    } else {
+        // After midnight: the range started yesterday
+        inside = local.minutes < endMinutes;
+        startDay = (local.weekday + 6) % 7;
+    }
+
+    return inside && (days.length === 0 || days.includes(startDay));
+}
+
+/**
+ * Format duration as a short human readable string (e.g. "1d 3h", "2h 15m")
+ */
+export function formatDuration(ms: number): string {
+    const seconds = Math.floor(ms / 1000);
+    const minutes = Math.floor(seconds / 60);
+    const hours = Math.floor(minutes / 60);
+    const days = Math.floor(hours / 24);
+
+    if (days > 0) {
+        const remainingHours = hours % 24;
+        return remainingHours > 0 ? `${days}d ${remainingHours}h` : `${days}d`;
+    }
+
+    if (hours > 0) {
+        const remainingMinutes = minutes % 60;
+        return remainingMinutes > 0 ? `${hours}h ${remainingMinutes}m` : `${hours}h`;
+    }
+
+    if (minutes > 0) {
+        return `${minutes}m`;
+    }
+
+    return `${seconds}s`;
+}
@@ -1,11 +1,36 @@
-import { Router } from 'express';
-import { alertService } from '../services/index.js';
+import { Router, type Request } from 'express';
+import { z } from 'zod';
+import { alertService, alertActivityService, settingsService } from '../services/index.js';
 import { authMiddleware } from '../middleware/auth.middleware.js';
 import { requireOperator, requireAdmin, requireUser } from '../middleware/rbac.middleware.js';
 import { asyncHandler, ApiError } from '../middleware/error.middleware.js';
+import { alertSubjectTypeEnum } from '../db/schema/index.js';
 
 const router = Router();
 
+// Validation schemas
+const assignSchema = z.object({
+    userId: z.string().uuid().nullable(),
+});
+
+const commentSchema = z.object({
+    body: z.string().trim().min(1).max(5000),
+    parentId: z.string().uuid().nullable().optional(),
+});
+
+/**
+ * Load the alert of `:id`, as long as the current user may see its router
+ */
+async function findAccessibleAlert(req: Request) {
+    const alert = await alertService.findById(req.params.id);
+
+    if (!alert || !(await alertActivityService.canAccess(alert, req.user!.id, req.user!.role))) {
+        throw ApiError.notFound('Alert not found');
+    }
+
+    return alert;
+}
+
 // All routes require authentication
 router.use(authMiddleware);
 
@@ -22,6 +47,10 @@ router.get(
         const search = req.query.search as string;
         const routerId = req.query.routerId as string;
         const category = req.query.category as 'issues' | 'alerts';
+        const subjectType = req.query.subjectType
+            ? z.enum(alertSubjectTypeEnum.enumValues).parse(req.query.subjectType)
+            : undefined;
+        const subjectId = req.query.subjectId as string | undefined;
         const startDate = req.query.startDate ? new Date(req.query.startDate as string) : undefined;
         const endDate = req.query.endDate ? new Date(req.query.endDate as string) : undefined;
 
@@ -35,7 +64,9 @@ router.get(
             userRole: req.user?.role,
             search,
             routerId,
-            category
+            category,
+            subjectType,
+            subjectId,
         });
 
         res.json(result);
@@ -105,6 +136,148 @@ router.get(
     })
 );
 
+/**
+ * GET /api/alerts/:id/subtree
+ * Get a root cause alert with the downstream alerts attached to it
+ */
+router.get(
+    '/:id/subtree',
+    asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const tree = await alertService.findSubtree(id);
+
+        if (!tree) {
+            throw ApiError.notFound('Alert not found');
+        }
+
+        res.json({ data: tree });
+    })
+);
+
+/**
+ * GET /api/alerts/:id/timeline
+ * Creation, notifications sent, escalations, assignment, acknowledgement, comments and resolution
+ */
+router.get(
+    '/:id/timeline',
+    asyncHandler(async (req, res) => {
+        const alert = await findAccessibleAlert(req);
+        const timeline = await alertActivityService.getTimeline(alert);
+        res.json({ data: timeline });
+    })
+);
+
+/**
+ * GET /api/alerts/:id/comments
+ * Comment threads of an alert
+ */
+router.get(
+    '/:id/comments',
+    asyncHandler(async (req, res) => {
+        const alert = await findAccessibleAlert(req);
+        const comments = await alertActivityService.getComments(alert.id);
+        res.json({ data: comments });
+    })
+);
+
+/**
+ * POST /api/alerts/:id/comments
+ * Add a comment, or a reply with parentId
+ * Requires: User, Operator or Admin
+ */
+router.post(
+    '/:id/comments',
+    requireUser,
+    asyncHandler(async (req, res) => {
+        const alert = await findAccessibleAlert(req);
+        const { body, parentId } = commentSchema.parse(req.body);
+
+        if (parentId) {
+            const parent = await alertActivityService.findComment(parentId);
+            if (!parent || parent.alertId !== alert.id) {
+                throw ApiError.badRequest('Parent comment not found on this alert');
+            }
+        }
+
+        const comment = await alertActivityService.addComment(alert.id, req.user!.id, body, parentId);
+        res.status(201).json({ data: comment });
+    })
+);
+
+/**
+ * DELETE /api/alerts/:id/comments/:commentId
+ * Delete a comment and its replies
+ * Requires: Comment author or Admin
+ */
+router.delete(
+    '/:id/comments/:commentId',
+    asyncHandler(async (req, res) => {
+        const alert = await findAccessibleAlert(req);
+        const comment = await alertActivityService.findComment(req.params.commentId);
+
+        if (!comment || comment.alertId !== alert.id) {
+            throw ApiError.notFound('Comment not found');
+        }
+        if (comment.userId !== req.user!.id && req.user!.role !== 'admin') {
+            throw ApiError.forbidden('Only the author or an admin can delete this comment');
+        }
+
+        await alertActivityService.deleteComment(comment.id);
+        res.json({ message: 'Comment deleted' });
+    })
+);
+
+/**
+ * GET /api/alerts/:id/assignees
+ * Users the alert can be assigned to (admins and users with access to its router)
+ * Requires: Operator or Admin
+ */
+router.get(
+    '/:id/assignees',
+    requireOperator,
+    asyncHandler(async (req, res) => {
+        const alert = await findAccessibleAlert(req);
+        const assignees = await alertActivityService.getAssignees(alert);
+        res.json({ data: assignees });
+    })
+);
+
+/**
+ * PUT /api/alerts/:id/assign
+ * Assign the alert to a user (null unassigns)
+ * Requires: Operator or Admin
+ */
+router.put(
+    '/:id/assign',
+    requireOperator,
+    asyncHandler(async (req, res) => {
+        const alert = await findAccessibleAlert(req);
+        const { userId } = assignSchema.parse(req.body);
+
+        let assignee = null;
+        if (userId) {
+            const assignees = await alertActivityService.getAssignees(alert);
+            assignee = assignees.find((candidate) => candidate.id === userId);
+            if (!assignee) {
+                throw ApiError.badRequest('User cannot be assigned to this alert');
+            }
+        }
+
+        const updated = await alertActivityService.assign(alert, assignee, req.user!.id);
+
+        await settingsService.logAction(
+            assignee ? 'assign' : 'unassign',
+            'alert',
+            alert.id,
+            req.user!.id,
+            assignee ? { assigneeId: assignee.id, assigneeName: assignee.name } : undefined,
+            req
+        );
+
+        res.json({ data: updated });
+    })
+);
+
 /**
  * PUT /api/alerts/:id/acknowledge
  * Acknowledge an alert
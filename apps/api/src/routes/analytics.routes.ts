@@ -163,6 +163,21 @@ router.get(
     })
 );
 
+/**
+ * GET /api/analytics/pppoe/inactive
+ * Get PPP secrets not online for `days` (default 30) or never seen online
+ */
+router.get(
+    '/pppoe/inactive',
+    asyncHandler(async (req, res) => {
+        const days = Math.min(Math.max(parseInt(req.query.days as string) || 30, 1), 365);
+        const routerId = req.query.routerId as string | undefined;
+        // @ts-ignore
+        const data = await analyticsService.getInactivePppoeSubscribers(days, routerId, req.user?.id, req.user?.role);
+        res.json({ data });
+    })
+);
+
 /**
  * GET /api/analytics/issues
  * Get frequent issues analysis
@@ -0,0 +1,106 @@
+import { Router } from 'express';
+import { z } from 'zod';
+import { escalationPolicyService, settingsService } from '../services/index.js';
+import { authMiddleware } from '../middleware/auth.middleware.js';
+import { requireAdmin } from '../middleware/rbac.middleware.js';
+import { asyncHandler, ApiError } from '../middleware/error.middleware.js';
+
+const router = Router();
+
+// Validation schemas
+const escalationLevelSchema = z.object({
+    afterMinutes: z.number().int().min(1).max(30 * 24 * 60),
+    notificationGroupId: z.string().uuid().nullable(),
+});
+
+const escalationPolicySchema = z.object({
+    name: z.string().min(1).max(100),
+    description: z.string().nullable().optional(),
+    levels: z.array(escalationLevelSchema).min(1).max(10),
+    stopOnAcknowledge: z.boolean().optional(),
+    isDefault: z.boolean().optional(),
+    routerGroupIds: z.array(z.string().uuid()).optional(),
+}).refine(
+    (data) => new Set(data.levels.map((level) => level.afterMinutes)).size === data.levels.length,
+    { message: 'Each level needs a different delay', path: ['levels'] }
+);
+
+// All routes require authentication
+router.use(authMiddleware);
+
+/**
+ * GET /api/escalation-policies
+ * List escalation policies with the router groups they are attached to
+ */
+router.get(
+    '/',
+    asyncHandler(async (_req, res) => {
+        const policies = await escalationPolicyService.findAll();
+        res.json({ data: policies });
+    })
+);
+
+/**
+ * POST /api/escalation-policies
+ * Create an escalation policy
+ * Requires: Admin
+ */
+router.post(
+    '/',
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+        const { routerGroupIds, ...data } = escalationPolicySchema.parse(req.body);
+        const policy = await escalationPolicyService.create(data, routerGroupIds);
+
+        await settingsService.logAction('create', 'escalation_policy', policy.id, req.user!.id, { name: policy.name }, req);
+
+        res.status(201).json({ data: policy });
+    })
+);
+
+/**
+ * PUT /api/escalation-policies/:id
+ * Update an escalation policy
+ * Requires: Admin
+ */
+router.put(
+    '/:id',
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const { routerGroupIds, ...data } = escalationPolicySchema.parse(req.body);
+        const policy = await escalationPolicyService.update(id, data, routerGroupIds);
+
+        if (!policy) {
+            throw ApiError.notFound('Escalation policy not found');
+        }
+
+        await settingsService.logAction('update', 'escalation_policy', id, req.user!.id, { name: policy.name }, req);
+
+        res.json({ data: policy });
+    })
+);
+
+/**
+ * DELETE /api/escalation-policies/:id
+ * Delete an escalation policy
+ * Requires: Admin
+ */
+router.delete(
+    '/:id',
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const deleted = await escalationPolicyService.delete(id);
+
+        if (!deleted) {
+            throw ApiError.notFound('Escalation policy not found');
+        }
+
+        await settingsService.logAction('delete', 'escalation_policy', id, req.user!.id, undefined, req);
+
+        res.json({ message: 'Escalation policy deleted' });
+    })
+);
+
+export default router;
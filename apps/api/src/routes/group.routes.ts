@@ -1,8 +1,8 @@
 import { Router } from 'express';
 import { z } from 'zod';
-import { groupService } from '../services/index.js';
+import { groupService, settingsService, thresholdProfileService, thresholdProfileSchema, escalationPolicyService } from '../services/index.js';
 import { authMiddleware } from '../middleware/auth.middleware.js';
-import { requireAdmin } from '../middleware/rbac.middleware.js';
+import { requireAdmin, requireOperator } from '../middleware/rbac.middleware.js';
 import { asyncHandler, ApiError } from '../middleware/error.middleware.js';
 
 const router = Router();
@@ -12,12 +12,14 @@ const createGroupSchema = z.object({
     name: z.string().min(1).max(100),
     description: z.string().optional(),
     color: z.string().regex(/^#[0-9A-Fa-f]{6}$/).optional(),
+    escalationPolicyId: z.string().uuid().nullable().optional(),
 });
 
 const updateGroupSchema = z.object({
     name: z.string().min(1).max(100).optional(),
     description: z.string().optional(),
     color: z.string().regex(/^#[0-9A-Fa-f]{6}$/).optional(),
+    escalationPolicyId: z.string().uuid().nullable().optional(),
 });
 
 // All routes require authentication
@@ -35,6 +37,18 @@ router.get(
     })
 );
 
+/**
+ * GET /api/groups/thresholds
+ * List all alert threshold profiles (router and group level)
+ */
+router.get(
+    '/thresholds',
+    asyncHandler(async (_req, res) => {
+        const profiles = await thresholdProfileService.findAll();
+        res.json({ data: profiles });
+    })
+);
+
 /**
  * GET /api/groups/:id
  * Get group by ID
@@ -53,6 +67,73 @@ router.get(
     })
 );
 
+/**
+ * GET /api/groups/:id/thresholds
+ * Get the group's alert threshold profile
+ */
+router.get(
+    '/:id/thresholds',
+    asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const profile = await thresholdProfileService.find({ groupId: id });
+        res.json({ data: profile || null });
+    })
+);
+
+/**
+ * PUT /api/groups/:id/thresholds
+ * Set alert threshold overrides for every router in the group
+ * Requires: Operator or Admin
+ */
+router.put(
+    '/:id/thresholds',
+    requireOperator,
+    asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const data = thresholdProfileSchema.parse(req.body);
+        const group = await groupService.findById(id);
+
+        if (!group) {
+            throw ApiError.notFound('Group not found');
+        }
+
+        const profile = await thresholdProfileService.upsert({ groupId: id }, data);
+
+        await settingsService.logAction(
+            'update',
+            'threshold_profile',
+            id,
+            req.user!.id,
+            { group: group.name, thresholds: data },
+            req
+        );
+
+        res.json({ data: profile });
+    })
+);
+
+/**
+ * DELETE /api/groups/:id/thresholds
+ * Remove the group's threshold overrides
+ * Requires: Operator or Admin
+ */
+router.delete(
+    '/:id/thresholds',
+    requireOperator,
+    asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const deleted = await thresholdProfileService.delete({ groupId: id });
+
+        if (!deleted) {
+            throw ApiError.notFound('Threshold profile not found');
+        }
+
+        await settingsService.logAction('delete', 'threshold_profile', id, req.user!.id, { scope: 'group' }, req);
+
+        res.json({ message: 'Threshold profile removed' });
+    })
+);
+
 /**
  * POST /api/groups
  * Create a new group
@@ -64,6 +145,7 @@ router.post(
     asyncHandler(async (req, res) => {
         const data = createGroupSchema.parse(req.body);
         const group = await groupService.create(data);
+        escalationPolicyService.invalidateCache();
 
         res.status(201).json({ data: group });
     })
@@ -87,6 +169,8 @@ router.put(
             throw ApiError.notFound('Group not found');
         }
 
+        escalationPolicyService.invalidateCache();
+
         res.json({ data: group });
     })
 );
@@ -107,6 +191,8 @@ router.delete(
             throw ApiError.notFound('Group not found');
         }
 
+        escalationPolicyService.invalidateCache();
+
         res.json({ message: 'Group deleted successfully' });
     })
 );
@@ -9,8 +9,12 @@ import dashboardRoutes from './dashboard.routes.js';
 import settingsRoutes from './settings.routes.js';
 import analyticsRoutes from './analytics.routes.js';
 import pppoeRoutes from './pppoe.routes.js';
+import maintenanceRoutes from './maintenance.routes.js';
+import notificationRuleRoutes from './notification-rule.routes.js';
+import escalationPolicyRoutes from './escalation-policy.routes.js';
 import { notificationRoutes } from './notification.routes.js';
 import { eventsRoutes } from './events.routes.js';
+import { routerConnectionPool } from '../lib/connection-pool.js';
 
 const router = Router();
 
@@ -20,6 +24,7 @@ router.get('/health', (_req, res) => {
         status: 'ok',
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
+        routerConnections: routerConnectionPool.getStatus(),
     });
 });
 
@@ -34,7 +39,10 @@ router.use('/dashboard', dashboardRoutes);
 router.use('/settings', settingsRoutes);
 router.use('/analytics', analyticsRoutes);
 router.use('/pppoe', pppoeRoutes);
+router.use('/maintenance', maintenanceRoutes);
 router.use('/notification-groups', notificationRoutes);
+router.use('/notification-rules', notificationRuleRoutes);
+router.use('/escalation-policies', escalationPolicyRoutes);
 router.use('/events', eventsRoutes);
 
 export default router;
@@ -0,0 +1,153 @@
+import { Router } from 'express';
+import { z } from 'zod';
+import { maintenanceService, settingsService } from '../services/index.js';
+import { authMiddleware } from '../middleware/auth.middleware.js';
+import { requireOperator } from '../middleware/rbac.middleware.js';
+import { asyncHandler, ApiError } from '../middleware/error.middleware.js';
+
+const router = Router();
+
+// Validation schemas
+const maintenanceWindowSchema = z.object({
+    name: z.string().min(1).max(100),
+    description: z.string().nullable().optional(),
+    scope: z.enum(['router', 'group', 'netwatch']),
+    routerId: z.string().uuid().nullable().optional(),
+    groupId: z.string().uuid().nullable().optional(),
+    netwatchIds: z.array(z.string().uuid()).optional(),
+    recurrence: z.enum(['once', 'weekly']),
+    startsAt: z.coerce.date().nullable().optional(),
+    endsAt: z.coerce.date().nullable().optional(),
+    daysOfWeek: z.array(z.number().int().min(0).max(6)).optional(),
+    startTime: z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/).nullable().optional(),
+    durationMinutes: z.number().int().min(1).max(1440).nullable().optional(),
+    enabled: z.boolean().optional(),
+}).refine(
+    (data) => data.scope !== 'router' || !!data.routerId,
+    { message: 'Router is required for a router window', path: ['routerId'] }
+).refine(
+    (data) => data.scope !== 'group' || !!data.groupId,
+    { message: 'Group is required for a group window', path: ['groupId'] }
+).refine(
+    (data) => data.scope !== 'netwatch' || (data.netwatchIds?.length ?? 0) > 0,
+    { message: 'Select at least one netwatch host', path: ['netwatchIds'] }
+).refine(
+    (data) => data.recurrence !== 'once' || (!!data.startsAt && !!data.endsAt),
+    { message: 'Start and end are required for a one-off window', path: ['startsAt'] }
+).refine(
+    (data) => !data.startsAt || !data.endsAt || data.startsAt < data.endsAt,
+    { message: 'End must be after start', path: ['endsAt'] }
+).refine(
+    (data) => data.recurrence !== 'weekly' || ((data.daysOfWeek?.length ?? 0) > 0 && !!data.startTime && !!data.durationMinutes),
+    { message: 'Days, start time and duration are required for a weekly window', path: ['daysOfWeek'] }
+);
+
+type MaintenanceWindowInput = z.infer<typeof maintenanceWindowSchema>;
+
+// Only keep the target that matches the scope
+const toWindowValues = (data: MaintenanceWindowInput) => ({
+    ...data,
+    routerId: data.scope === 'group' ? null : data.routerId ?? null,
+    groupId: data.scope === 'group' ? data.groupId ?? null : null,
+    netwatchIds: data.scope === 'netwatch' ? data.netwatchIds ?? [] : [],
+});
+
+// All routes require authentication
+router.use(authMiddleware);
+
+/**
+ * GET /api/maintenance
+ * List all maintenance windows with their current state
+ */
+router.get(
+    '/',
+    asyncHandler(async (_req, res) => {
+        const windows = await maintenanceService.findAll();
+        res.json({ data: windows });
+    })
+);
+
+/**
+ * GET /api/maintenance/active
+ * Routers and netwatch entries currently in maintenance
+ */
+router.get(
+    '/active',
+    asyncHandler(async (_req, res) => {
+        const state = await maintenanceService.getState();
+        res.json({
+            data: {
+                routerIds: [...state.routers.keys()],
+                netwatchIds: [...state.netwatch.keys()],
+            },
+        });
+    })
+);
+
+/**
+ * POST /api/maintenance
+ * Create a maintenance window
+ * Requires: Operator or Admin
+ */
+router.post(
+    '/',
+    requireOperator,
+    asyncHandler(async (req, res) => {
+        const data = maintenanceWindowSchema.parse(req.body);
+        const window = await maintenanceService.create({
+            ...toWindowValues(data),
+            createdBy: req.user!.id,
+        });
+
+        await settingsService.logAction('create', 'maintenance_window', window.id, req.user!.id, { name: window.name }, req);
+
+        res.status(201).json({ data: window });
+    })
+);
+
+/**
+ * PUT /api/maintenance/:id
+ * Update a maintenance window
+ * Requires: Operator or Admin
+ */
+router.put(
+    '/:id',
+    requireOperator,
+    asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const data = maintenanceWindowSchema.parse(req.body);
+        const window = await maintenanceService.update(id, toWindowValues(data));
+
+        if (!window) {
+            throw ApiError.notFound('Maintenance window not found');
+        }
+
+        await settingsService.logAction('update', 'maintenance_window', id, req.user!.id, { name: window.name }, req);
+
+        res.json({ data: window });
+    })
+);
+
+/**
+ * DELETE /api/maintenance/:id
+ * Delete a maintenance window
+ * Requires: Operator or Admin
+ */
+router.delete(
+    '/:id',
+    requireOperator,
+    asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const deleted = await maintenanceService.delete(id);
+
+        if (!deleted) {
+            throw ApiError.notFound('Maintenance window not found');
+        }
+
+        await settingsService.logAction('delete', 'maintenance_window', id, req.user!.id, undefined, req);
+
+        res.json({ message: 'Maintenance window deleted' });
+    })
+);
+
+export default router;
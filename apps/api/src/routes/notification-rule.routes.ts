@@ -0,0 +1,169 @@
+import { Router } from 'express';
+import { z } from 'zod';
+import { notificationRuleService, settingsService, userService } from '../services/index.js';
+import { authMiddleware } from '../middleware/auth.middleware.js';
+import { requireAdmin } from '../middleware/rbac.middleware.js';
+import { asyncHandler, ApiError } from '../middleware/error.middleware.js';
+import { alertSeverityEnum, alertTypeEnum } from '../db/schema/index.js';
+
+const router = Router();
+
+const timeOfDay = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Use HH:MM');
+
+// Validation schemas
+const notificationRuleSchema = z.object({
+    name: z.string().min(1).max(100),
+    enabled: z.boolean().optional(),
+    priority: z.number().int().min(0).max(10000).optional(),
+    severities: z.array(z.enum(alertSeverityEnum.enumValues)).optional(),
+    alertTypes: z.array(z.enum(alertTypeEnum.enumValues)).optional(),
+    routerGroupIds: z.array(z.string().uuid()).optional(),
+    daysOfWeek: z.array(z.number().int().min(0).max(6)).optional(),
+    startTime: timeOfDay.nullable().optional(),
+    endTime: timeOfDay.nullable().optional(),
+    action: z.enum(['notify', 'drop']),
+    targetGroupIds: z.array(z.string().uuid()).optional(),
+    includeRouterGroup: z.boolean().optional(),
+    ignoreQuietHours: z.boolean().optional(),
+}).refine(
+    (data) => !data.startTime === !data.endTime,
+    { message: 'Set both start and end time, or neither', path: ['endTime'] }
+).refine(
+    (data) => data.action !== 'notify' || (data.targetGroupIds?.length ?? 0) > 0 || !!data.includeRouterGroup,
+    { message: 'Select at least one notification group', path: ['targetGroupIds'] }
+);
+
+const quietHoursSchema = z.object({
+    enabled: z.boolean(),
+    start: timeOfDay,
+    end: timeOfDay,
+});
+
+type NotificationRuleInput = z.infer<typeof notificationRuleSchema>;
+
+// Times are kept in the timezone of the admin saving them
+const getEditorTimezone = async (userId: string) => (await userService.findById(userId))?.timezone ?? null;
+
+// A dropped alert has no targets
+const toRuleValues = (data: NotificationRuleInput, timezone: string | null) => ({
+    ...data,
+    timezone,
+    startTime: data.startTime ?? null,
+    endTime: data.endTime ?? null,
+    targetGroupIds: data.action === 'drop' ? [] : data.targetGroupIds ?? [],
+    includeRouterGroup: data.action === 'drop' ? false : data.includeRouterGroup ?? false,
+});
+
+// All routes require authentication
+router.use(authMiddleware);
+
+/**
+ * GET /api/notification-rules
+ * List routing rules in evaluation order
+ */
+router.get(
+    '/',
+    asyncHandler(async (_req, res) => {
+        const rules = await notificationRuleService.findAll();
+        res.json({ data: rules });
+    })
+);
+
+/**
+ * GET /api/notification-rules/quiet-hours
+ * Global quiet hours, with the timezone they are evaluated in
+ */
+router.get(
+    '/quiet-hours',
+    asyncHandler(async (_req, res) => {
+        const quietHours = await notificationRuleService.getQuietHours();
+        res.json({ data: quietHours });
+    })
+);
+
+/**
+ * PUT /api/notification-rules/quiet-hours
+ * Update global quiet hours
+ * Requires: Admin
+ */
+router.put(
+    '/quiet-hours',
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+        const data = { ...quietHoursSchema.parse(req.body), timezone: await getEditorTimezone(req.user!.id) };
+        const setting = await settingsService.setSetting(
+            'notificationQuietHours',
+            data,
+            'Hold back alert notifications during these hours'
+        );
+
+        await settingsService.logAction('update', 'settings', setting.id, req.user!.id, { key: 'notificationQuietHours' }, req);
+
+        res.json({ data });
+    })
+);
+
+/**
+ * POST /api/notification-rules
+ * Create a routing rule
+ * Requires: Admin
+ */
+router.post(
+    '/',
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+        const data = notificationRuleSchema.parse(req.body);
+        const rule = await notificationRuleService.create(toRuleValues(data, await getEditorTimezone(req.user!.id)));
+
+        await settingsService.logAction('create', 'notification_rule', rule.id, req.user!.id, { name: rule.name }, req);
+
+        res.status(201).json({ data: rule });
+    })
+);
+
+/**
+ * PUT /api/notification-rules/:id
+ * Update a routing rule
+ * Requires: Admin
+ */
+router.put(
+    '/:id',
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const data = notificationRuleSchema.parse(req.body);
+        const rule = await notificationRuleService.update(id, toRuleValues(data, await getEditorTimezone(req.user!.id)));
+
+        if (!rule) {
+            throw ApiError.notFound('Notification rule not found');
+        }
+
+        await settingsService.logAction('update', 'notification_rule', id, req.user!.id, { name: rule.name }, req);
+
+        res.json({ data: rule });
+    })
+);
+
+/**
+ * DELETE /api/notification-rules/:id
+ * Delete a routing rule
+ * Requires: Admin
+ */
+router.delete(
+    '/:id',
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const deleted = await notificationRuleService.delete(id);
+
+        if (!deleted) {
+            throw ApiError.notFound('Notification rule not found');
+        }
+
+        await settingsService.logAction('delete', 'notification_rule', id, req.user!.id, undefined, req);
+
+        res.json({ message: 'Notification rule deleted' });
+    })
+);
+
+export default router;
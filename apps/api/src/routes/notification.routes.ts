@@ -1,28 +1,66 @@
 import { Router } from 'express';
+import { randomUUID } from 'crypto';
 import { db } from '../db/index.js';
-import { notificationGroups } from '../db/schema/index.js';
+import { notificationGroups, alertSeverityEnum } from '../db/schema/index.js';
 import { eq, desc } from 'drizzle-orm';
 import { z } from 'zod';
 import { requireAdmin } from '../middleware/rbac.middleware.js';
 import { authMiddleware } from '../middleware/auth.middleware.js';
+import { getNotificationChannel } from '../services/notification-channels/index.js';
+import { notificationDeliveryService } from '../services/index.js';
+import { notificationService } from '../services/notification.service.js';
 
 const router = Router();
 
 // All routes require authentication
 router.use(authMiddleware);
 
+// A channel's config is checked by the channel implementation; disabled
+// channels may be saved half-filled
+const channelSchema = z.object({
+    id: z.string().uuid().optional(),
+    type: z.string().min(1),
+    enabled: z.boolean().default(true),
+    config: z.record(z.unknown()).default({}),
+});
+
 // Schema for key validation
 const notificationGroupSchema = z.object({
     name: z.string().min(1),
-    telegramEnabled: z.boolean().optional(),
-    telegramBotToken: z.string().optional().nullable(),
-    telegramChatId: z.string().optional().nullable(),
-    telegramThreadId: z.string().optional().nullable(),
-    whatsappEnabled: z.boolean().optional(),
-    whatsappUrl: z.string().optional().nullable(),
-    whatsappKey: z.string().optional().nullable(),
-    whatsappTo: z.string().optional().nullable(),
-});
+    channels: z.array(channelSchema).default([]),
+    messageTemplate: z.string().optional().nullable(),
+    batchWindowSeconds: z.number().int().min(0).max(3600).optional(),
+    digestMode: z.enum(['off', 'hourly', 'daily']).optional(),
+    digestSeverities: z.array(z.enum(alertSeverityEnum.enumValues)).optional(),
+    digestHour: z.number().int().min(0).max(23).optional(),
+    summaryTemplate: z.string().optional().nullable(),
+    summaryItemTemplate: z.string().optional().nullable(),
+}).superRefine((data, ctx) => {
+    data.channels.forEach((channel, index) => {
+        const implementation = getNotificationChannel(channel.type);
+        if (!implementation) {
+            ctx.addIssue({
+                code: z.ZodIssueCode.custom,
+                message: `Unknown channel type: ${channel.type}`,
+                path: ['channels', index, 'type'],
+            });
+            return;
+        }
+
+        if (!channel.enabled) return;
+
+        const result = implementation.configSchema.safeParse(channel.config);
+        if (!result.success) {
+            result.error.issues.forEach((issue) => ctx.addIssue({
+                ...issue,
+                path: ['channels', index, 'config', ...issue.path],
+            }));
+        }
+    });
+}).transform((data) => ({
+    ...data,
+    channels: data.channels.map((channel) => ({ ...channel, id: channel.id || randomUUID() })),
+}));
 
 // Get all groups (accessible by operators and admins for dropdown selection)
 router.get('/', async (_req, res) => {
@@ -37,6 +75,54 @@ router.get('/', async (_req, res) => {
     }
 });
 
+// Recent failed deliveries across all groups
+router.get('/deliveries/failed', async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit as string) || 50, 1), 200);
+        const deliveries = await notificationDeliveryService.findFailed(limit);
+        res.json({ data: deliveries });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch failed deliveries' });
+    }
+});
+
+// Recent deliveries of a group, newest first
+router.get('/:id/deliveries', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const limit = Math.min(Math.max(parseInt(req.query.limit as string) || 50, 1), 200);
+        const deliveries = await notificationDeliveryService.findByGroup(id, limit);
+        res.json({ data: deliveries });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch notification deliveries' });
+    }
+});
+
+// Send a test message through the group's enabled channels
+router.post('/:id/test', requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const [group] = await db
+            .select()
+            .from(notificationGroups)
+            .where(eq(notificationGroups.id, id));
+
+        if (!group) {
+            return res.status(404).json({ error: 'Notification group not found' });
+        }
+
+        if (!group.channels.some((channel) => channel.enabled)) {
+            return res.status(400).json({ error: 'Group has no enabled channels' });
+        }
+
+        const deliveries = await notificationService.sendTestMessage(group);
+        res.json({ data: deliveries });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to send test message' });
+    }
+});
+
 // Create group
 router.post('/', requireAdmin, async (req, res) => {
     try {
@@ -1,5 +1,8 @@
-import { Router } from 'express';
+import { Router, type Request, type Response } from 'express';
 import { pppoeService } from '../services/pppoe.service.js';
+import { pppoeUsageService } from '../services/pppoe-usage.service.js';
+import { routerService } from '../services/router.service.js';
+import { settingsService } from '../services/settings.service.js';
 import { authMiddleware } from '../middleware/auth.middleware.js';
 import { requireOperator } from '../middleware/rbac.middleware.js';
 
@@ -44,6 +47,78 @@ router.get('/map', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/pppoe/usage/top
+ * Heaviest users over the last `days` (default 7, max 90)
+ */
+router.get('/usage/top', async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days as string) || 7, 1), 90);
+        const limit = Math.min(Math.max(parseInt(req.query.limit as string) || 10, 1), 100);
+        const range = await pppoeUsageService.getDayRange(days);
+
+        const totals = await pppoeUsageService.getTotals(range, {
+            routerId: req.query.routerId as string | undefined,
+            userId: req.user!.id,
+            userRole: req.user!.role,
+            limit,
+        });
+
+        res.json({ data: { days, ...range, users: totals } });
+    } catch (error) {
+        console.error('Failed to get PPPoE top users:', error);
+        res.status(500).json({ error: 'Failed to get PPPoE top users' });
+    }
+});
+
+/**
+ * GET /api/pppoe/usage/export?month=YYYY-MM
+ * Usage per customer for one month as CSV, for billing
+ */
+router.get('/usage/export', async (req, res) => {
+    try {
+        const month = req.query.month as string | undefined;
+        if (!month || !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+            return res.status(400).json({ error: 'month must be in YYYY-MM format' });
+        }
+
+        const totals = await pppoeUsageService.getTotals(pppoeUsageService.getMonthRange(month), {
+            routerId: req.query.routerId as string | undefined,
+            userId: req.user!.id,
+            userRole: req.user!.role,
+        });
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="pppoe-usage-${month}.csv"`);
+        res.send(pppoeUsageService.toCsv(month, totals));
+    } catch (error) {
+        console.error('Failed to export PPPoE usage:', error);
+        res.status(500).json({ error: 'Failed to export PPPoE usage' });
+    }
+});
+
+/**
+ * GET /api/pppoe/profiles?routerId=
+ * PPP profile names configured on a router (requires operator or admin)
+ */
+router.get('/profiles', requireOperator, async (req, res) => {
+    try {
+        const routerId = req.query.routerId as string | undefined;
+        if (!routerId) {
+            return res.status(400).json({ error: 'routerId is required' });
+        }
+        if (!(await pppoeService.canAccess({ routerId }, req.user!.id, req.user!.role))) {
+            return res.status(404).json({ error: 'Router not found' });
+        }
+
+        const profiles = await routerService.getPppProfiles(routerId);
+        res.json({ data: profiles });
+    } catch (error) {
+        console.error('Failed to get PPP profiles:', error);
+        res.status(500).json({ error: 'Failed to get PPP profiles' });
+    }
+});
+
 /**
  * GET /api/pppoe/:id
  * Get a single PPPoE session
@@ -61,6 +136,157 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/pppoe/:id/history
+ * Connection log of the session's user over the last `days` (default 7, max 90), newest first
+ */
+router.get('/:id/history', async (req, res) => {
+    try {
+        const session = await pppoeService.findById(req.params.id);
+        if (!session || !(await pppoeService.canAccess(session, req.user!.id, req.user!.role))) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        const days = Math.min(Math.max(parseInt(req.query.days as string) || 7, 1), 90);
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+        const history = await pppoeService.getHistory(session, since);
+
+        res.json({ data: { session, days, ...history } });
+    } catch (error) {
+        console.error('Failed to get PPPoE session history:', error);
+        res.status(500).json({ error: 'Failed to get PPPoE session history' });
+    }
+});
+
+/**
+ * GET /api/pppoe/:id/usage
+ * Daily traffic of the session's user over the last `days` (default 30, max 90)
+ */
+router.get('/:id/usage', async (req, res) => {
+    try {
+        const session = await pppoeService.findById(req.params.id);
+        if (!session || !(await pppoeService.canAccess(session, req.user!.id, req.user!.role))) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        const days = Math.min(Math.max(parseInt(req.query.days as string) || 30, 1), 90);
+        const range = await pppoeUsageService.getDayRange(days);
+        const usage = await pppoeUsageService.getDailyUsage(session.routerId, session.name, range);
+
+        res.json({ data: { days, ...range, usage } });
+    } catch (error) {
+        console.error('Failed to get PPPoE session usage:', error);
+        res.status(500).json({ error: 'Failed to get PPPoE session usage' });
+    }
+});
+
+/**
+ * POST /api/pppoe/:id/disconnect
+ * Remove the user's active session on the router (requires operator or admin)
+ */
+router.post('/:id/disconnect', requireOperator, async (req, res) => {
+    try {
+        const session = await pppoeService.findById(req.params.id);
+        if (!session || !(await pppoeService.canAccess(session, req.user!.id, req.user!.role))) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        const result = await routerService.disconnectPppUser(session.routerId, session.name);
+
+        await settingsService.logAction(
+            'disconnect',
+            'pppoe_session',
+            session.id,
+            req.user!.id,
+            { username: session.name, routerId: session.routerId, ...result },
+            req
+        );
+
+        res.json({ data: result });
+    } catch (error) {
+        console.error('Failed to disconnect PPPoE session:', error);
+        res.status(500).json({ error: 'Failed to disconnect session' });
+    }
+});
+
+/**
+ * Enable or disable the user's PPP secret. Disabling also kicks the active session, since a
+ * disabled secret only stops the next login.
+ */
+const setSecretDisabled = (disabled: boolean) => async (req: Request, res: Response) => {
+    const action = disabled ? 'disable' : 'enable';
+    try {
+        const session = await pppoeService.findById(req.params.id);
+        if (!session || !(await pppoeService.canAccess(session, req.user!.id, req.user!.role))) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        const result = await routerService.updatePppSecret(session.routerId, session.name, { disabled }, disabled);
+
+        await settingsService.logAction(
+            action,
+            'pppoe_session',
+            session.id,
+            req.user!.id,
+            { username: session.name, routerId: session.routerId, ...result },
+            req
+        );
+
+        res.json({ data: result });
+    } catch (error) {
+        console.error(`Failed to ${action} PPP secret:`, error);
+        res.status(500).json({ error: `Failed to ${action} secret` });
+    }
+};
+
+/**
+ * POST /api/pppoe/:id/enable
+ * POST /api/pppoe/:id/disable
+ * Enable/disable the user's PPP secret (requires operator or admin)
+ */
+router.post('/:id/enable', requireOperator, setSecretDisabled(false));
+router.post('/:id/disable', requireOperator, setSecretDisabled(true));
+
+/**
+ * PUT /api/pppoe/:id/profile
+ * Change the user's PPP profile, e.g. to an isolation profile. The active session is kicked so
+ * the new profile applies right away unless `disconnect` is false (requires operator or admin)
+ */
+router.put('/:id/profile', requireOperator, async (req, res) => {
+    try {
+        const { profile, disconnect } = req.body;
+        if (typeof profile !== 'string' || !profile.trim()) {
+            return res.status(400).json({ error: 'profile is required' });
+        }
+
+        const session = await pppoeService.findById(req.params.id);
+        if (!session || !(await pppoeService.canAccess(session, req.user!.id, req.user!.role))) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        const result = await routerService.updatePppSecret(
+            session.routerId,
+            session.name,
+            { profile: profile.trim() },
+            disconnect !== false
+        );
+
+        await settingsService.logAction(
+            'update_profile',
+            'pppoe_session',
+            session.id,
+            req.user!.id,
+            { username: session.name, routerId: session.routerId, profile: profile.trim(), ...result },
+            req
+        );
+
+        res.json({ data: result });
+    } catch (error) {
+        console.error('Failed to change PPP profile:', error);
+        res.status(500).json({ error: 'Failed to change profile' });
+    }
+});
+
 /**
  * PATCH /api/pppoe/:id/coordinates
  * Update PPPoE session coordinates, waypoints and connection info (requires operator or admin)
@@ -1,6 +1,6 @@
 import { Router } from 'express';
 import { z } from 'zod';
-import { routerService } from '../services/index.js';
+import { routerService, alertService, netwatchMetricsService, interfaceMetricsService, thresholdProfileService, thresholdProfileSchema, maintenanceService } from '../services/index.js';
 import { authMiddleware } from '../middleware/auth.middleware.js';
 import { requireOperator, requireAdmin } from '../middleware/rbac.middleware.js';
 import { asyncHandler, ApiError } from '../middleware/error.middleware.js';
@@ -57,7 +57,9 @@ router.use(authMiddleware);
 router.get(
     '/',
     asyncHandler(async (req, res) => {
-        const routers = await routerService.findAll(req.user?.id, req.user?.role);
+        const routers = await maintenanceService.annotateRouters(
+            await routerService.findAll(req.user?.id, req.user?.role)
+        );
 
         // Remove sensitive data
         const sanitized = routers.map(({ passwordEncrypted, ...router }) => router);
@@ -82,8 +84,9 @@ router.get(
 
         // Remove sensitive data
         const { passwordEncrypted, ...sanitized } = router;
+        const [annotated] = await maintenanceService.annotateRouters([sanitized]);
 
-        res.json({ data: sanitized });
+        res.json({ data: annotated });
     })
 );
 
@@ -297,6 +300,82 @@ router.post(
     })
 );
 
+/**
+ * GET /api/routers/:id/thresholds
+ * Get the router's alert threshold profile, its group's profile, the effective values
+ * and the values it inherits from its group / global settings
+ */
+router.get(
+    '/:id/thresholds',
+    asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const existing = await routerService.findById(id);
+
+        if (!existing) {
+            throw ApiError.notFound('Router not found');
+        }
+
+        const { routerProfile, groupProfile } = await thresholdProfileService.findForRouter(id);
+        const { thresholds, sources, inherited } = await alertService.getEffectiveThresholds(id);
+
+        res.json({ data: { profile: routerProfile, groupProfile, effective: thresholds, sources, inherited } });
+    })
+);
+
+/**
+ * PUT /api/routers/:id/thresholds
+ * Set alert threshold overrides for a router (null fields inherit from the group/global values)
+ * Requires: Operator or Admin
+ */
+router.put(
+    '/:id/thresholds',
+    requireOperator,
+    asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const data = thresholdProfileSchema.parse(req.body);
+        const existing = await routerService.findById(id);
+
+        if (!existing) {
+            throw ApiError.notFound('Router not found');
+        }
+
+        const profile = await thresholdProfileService.upsert({ routerId: id }, data);
+
+        await settingsService.logAction(
+            'update',
+            'threshold_profile',
+            id,
+            req.user!.id,
+            { router: existing.name, thresholds: data },
+            req
+        );
+
+        res.json({ data: profile });
+    })
+);
+
+/**
+ * DELETE /api/routers/:id/thresholds
+ * Remove the router's threshold overrides
+ * Requires: Operator or Admin
+ */
+router.delete(
+    '/:id/thresholds',
+    requireOperator,
+    asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const deleted = await thresholdProfileService.delete({ routerId: id });
+
+        if (!deleted) {
+            throw ApiError.notFound('Threshold profile not found');
+        }
+
+        await settingsService.logAction('delete', 'threshold_profile', id, req.user!.id, { scope: 'router' }, req);
+
+        res.json({ message: 'Threshold profile removed' });
+    })
+);
+
 /**
  * GET /api/routers/:id/interfaces
  * Get router interfaces
@@ -311,6 +390,64 @@ router.get(
     })
 );
 
+const updateInterfaceSchema = z.object({
+    monitored: z.boolean(),
+});
+
+/**
+ * PUT /api/routers/:id/interfaces/:interfaceId
+ * Toggle link monitoring (interface down / flap alerts) for an interface
+ * Requires: Operator or Admin
+ */
+router.put(
+    '/:id/interfaces/:interfaceId',
+    requireOperator,
+    asyncHandler(async (req, res) => {
+        const { id, interfaceId } = req.params;
+        const { monitored } = updateInterfaceSchema.parse(req.body);
+        const iface = await routerService.setInterfaceMonitored(id, interfaceId, monitored);
+
+        if (!iface) {
+            throw ApiError.notFound('Interface not found');
+        }
+
+        await settingsService.logAction(
+            'update',
+            'interface',
+            interfaceId,
+            req.user!.id,
+            { routerId: id, name: iface.name, monitored },
+            req
+        );
+
+        res.json({ data: iface });
+    })
+);
+
+const interfaceHistorySchema = z.object({
+    range: z.enum(['1h', '24h', '7d', '30d']).optional().default('24h'),
+});
+
+/**
+ * GET /api/routers/:id/interfaces/:interfaceId/history
+ * Get downsampled traffic history with 95th percentile for an interface
+ * Query: range (1h, 24h, 7d, 30d)
+ */
+router.get(
+    '/:id/interfaces/:interfaceId/history',
+    asyncHandler(async (req, res) => {
+        const { id, interfaceId } = req.params;
+        const { range } = interfaceHistorySchema.parse(req.query);
+        const history = await interfaceMetricsService.getHistory(id, interfaceId, range);
+
+        if (!history) {
+            throw ApiError.notFound('Interface not found');
+        }
+
+        res.json({ data: history });
+    })
+);
+
 /**
  * GET /api/routers/:id/metrics
  * Get latest router metrics
@@ -405,6 +542,10 @@ const createNetwatchSchema = z.object({
     waypoints: z.string().optional(),
     connectionType: z.enum(['router', 'client']).optional(),
     connectedToId: z.string().uuid().optional(),
+    // Per-entry performance thresholds (null = inherit from device type / router)
+    latencyThreshold: z.number().int().min(1).max(10000).nullable().optional(),
+    packetLossThreshold: z.number().int().min(0).max(100).nullable().optional(),
+    consecutiveBreaches: z.number().int().min(1).max(20).nullable().optional(),
 });
 
 const updateNetwatchSchema = z.object({
@@ -425,6 +566,10 @@ const updateNetwatchSchema = z.object({
     waypoints: z.string().nullable().optional(),
     connectionType: z.enum(['router', 'client']).optional(),
     connectedToId: z.string().uuid().optional().nullable(),
+    // Per-entry performance thresholds (null = inherit from device type / router)
+    latencyThreshold: z.number().int().min(1).max(10000).nullable().optional(),
+    packetLossThreshold: z.number().int().min(0).max(100).nullable().optional(),
+    consecutiveBreaches: z.number().int().min(1).max(20).nullable().optional(),
 });
 
 /**
@@ -435,11 +580,36 @@ router.get(
     '/:id/netwatch',
     asyncHandler(async (req, res) => {
         const { id } = req.params;
-        const netwatch = await routerService.getNetwatch(id);
+        const netwatch = await maintenanceService.annotateNetwatch(await routerService.getNetwatch(id));
         res.json({ data: netwatch });
     })
 );
 
+const netwatchHistorySchema = z.object({
+    range: z.enum(['1h', '6h', '24h', '7d', '30d']).optional().default('24h'),
+    resolution: z.enum(['raw', '5m', '1h']).optional(),
+});
+
+/**
+ * GET /api/routers/:id/netwatch/:netwatchId/history
+ * Get latency / packet loss history for a netwatch entry
+ * Query: range (1h, 6h, 24h, 7d, 30d), resolution (raw, 5m, 1h - picked from range if omitted)
+ */
+router.get(
+    '/:id/netwatch/:netwatchId/history',
+    asyncHandler(async (req, res) => {
+        const { id, netwatchId } = req.params;
+        const { range, resolution } = netwatchHistorySchema.parse(req.query);
+        const history = await netwatchMetricsService.getHistory(id, netwatchId, range, resolution);
+
+        if (!history) {
+            throw ApiError.notFound('Netwatch entry not found');
+        }
+
+        res.json({ data: history });
+    })
+);
+
 /**
  * POST /api/routers/:id/netwatch
  * Create a netwatch entry
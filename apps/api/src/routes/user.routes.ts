@@ -20,6 +20,11 @@ const updateRoleSchema = z.object({
     role: z.enum(['admin', 'operator', 'user']),
 });
 
+const updateTelegramSchema = z.object({
+    // Numeric Telegram user ID, as shown by the bot's /start reply
+    telegramChatId: z.string().trim().regex(/^\d{1,20}$/, 'Telegram ID must be numeric').nullable(),
+});
+
 const updatePasswordSchema = z.object({
     password: z.string().min(8, 'Password must be at least 8 characters'),
 });
@@ -225,6 +230,45 @@ router.put(
     })
 );
 
+/**
+ * PUT /api/users/:id/telegram
+ * Link a Telegram account for bot commands (null unlinks)
+ * Requires: Admin
+ */
+router.put(
+    '/:id/telegram',
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const { telegramChatId } = updateTelegramSchema.parse(req.body);
+
+        if (telegramChatId) {
+            const linkedUser = await userService.findByTelegramChatId(telegramChatId);
+            if (linkedUser && linkedUser.id !== id) {
+                throw ApiError.badRequest(`Telegram ID is already linked to ${linkedUser.name}`);
+            }
+        }
+
+        const user = await userService.update(id, { telegramChatId });
+
+        if (!user) {
+            throw ApiError.notFound('User not found');
+        }
+
+        // Log action
+        await settingsService.logAction(
+            'update_telegram',
+            'user',
+            id,
+            req.user!.id,
+            { linked: !!telegramChatId },
+            req
+        );
+
+        res.json({ data: user });
+    })
+);
+
 /**
  * PUT /api/users/:id/password
  * Update user password (admin only)
@@ -15,6 +15,7 @@ async function cleanupOrphanedAlerts() {
             .from(alerts)
             .where(and(
                 eq(alerts.type, 'netwatch_down'),
+                eq(alerts.subjectType, 'netwatch'),
                 eq(alerts.resolved, false)
             ));
 
@@ -23,20 +24,11 @@ async function cleanupOrphanedAlerts() {
         let resolvedCount = 0;
 
         for (const alert of unresolvedAlerts) {
-            // Extract IP from alert message
-            const ipMatch = alert.message.match(/(\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3})/);
-            if (!ipMatch) continue;
-
-            const host = ipMatch[1];
-
-            // Check current status in routerNetwatch
+            // Check current status of the alert's netwatch entry
             const [netwatch] = await db
                 .select()
                 .from(routerNetwatch)
-                .where(and(
-                    eq(routerNetwatch.routerId, alert.routerId),
-                    eq(routerNetwatch.host, host)
-                ));
+                .where(eq(routerNetwatch.id, alert.subjectId));
 
             if (netwatch && netwatch.status === 'up') {
                 // Device is UP but alert is still unresolved - fix it!
@@ -48,7 +40,7 @@ async function cleanupOrphanedAlerts() {
                     })
                     .where(eq(alerts.id, alert.id));
 
-                console.log(`✅ Resolved orphaned alert ${alert.id} for ${host} (device is currently UP)`);
+                console.log(`✅ Resolved orphaned alert ${alert.id} for ${netwatch.host} (device is currently UP)`);
                 resolvedCount++;
             }
         }
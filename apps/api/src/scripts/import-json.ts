@@ -134,7 +134,8 @@ async function importFromJson() {
             console.log(`\nImporting ${data.alerts.length} alerts...`);
             for (const item of data.alerts) {
                 try {
-                    await db.insert(alerts).values(item).onConflictDoNothing();
+                    // Exports from before alert subjects: attach the alert to its router
+                    await db.insert(alerts).values({ ...item, subjectId: item.subjectId ?? item.routerId }).onConflictDoNothing();
                 } catch (e: any) {
                     console.warn(`  Skip alert: ${e.message?.substring(0, 50)}`);
                 }
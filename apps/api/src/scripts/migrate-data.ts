@@ -0,0 +1,22 @@
+import 'dotenv/config';
+import { runDataMigrations } from '../db/data-migrations.js';
+
+// Run before `npm run db:push` when upgrading: moves and backfills data the push would drop or reject
+const run = async () => {
+    if (!process.env.DATABASE_URL) {
+        console.error('❌ Error: DATABASE_URL not found in .env');
+        process.exit(1);
+    }
+
+    console.log('🔧 Running data migrations...');
+    try {
+        await runDataMigrations();
+        console.log('🎉 Data migrations completed successfully!');
+        process.exit(0);
+    } catch (err) {
+        console.error('❌ Data migrations failed:', err);
+        process.exit(1);
+    }
+};
+
+run();
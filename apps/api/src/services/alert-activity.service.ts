@@ -0,0 +1,278 @@
+import { and, asc, eq, inArray, or, sql } from 'drizzle-orm';
+import { db } from '../db/index.js';
+import {
+    alertComments,
+    alertEvents,
+    alerts,
+    userRouters,
+    users,
+    type Alert,
+    type AlertComment,
+    type AlertEvent,
+} from '../db/schema/index.js';
+
+export type AlertTimelineEntryType =
+    | 'created'
+    | 'notified'
+    | 'escalated'
+    | 'assigned'
+    | 'unassigned'
+    | 'acknowledged'
+    | 'comment'
+    | 'resolved';
+
+export interface AlertTimelineEntry {
+    id: string;
+    type: AlertTimelineEntryType;
+    at: Date;
+    userId: string | null;
+    userName: string | null;
+    details: Record<string, unknown>;
+}
+
+export interface AlertCommentNode extends AlertComment {
+    userName: string | null;
+    replies: AlertCommentNode[];
+}
+
+export interface AlertAssignee {
+    id: string;
+    name: string;
+    email: string;
+    role: string;
+}
+
+/**
+ * Alert Activity Service - assignment, comments and the incident timeline of an alert
+ */
+export class AlertActivityService {
+    /**
+     * Whether a user may see an alert: admins see all, others only their assigned routers
+     */
+    async canAccess(alert: Alert, userId: string, userRole: string): Promise<boolean> {
+        if (userRole === 'admin') return true;
+
+        const [assigned] = await db
+            .select({ routerId: userRouters.routerId })
+            .from(userRouters)
+            .where(and(eq(userRouters.userId, userId), eq(userRouters.routerId, alert.routerId)));
+        return !!assigned;
+    }
+
+    /**
+     * Users an alert can be assigned to: admins and users with access to its router
+     */
+    async getAssignees(alert: Alert): Promise<AlertAssignee[]> {
+        const routerUsers = db
+            .select({ userId: userRouters.userId })
+            .from(userRouters)
+            .where(eq(userRouters.routerId, alert.routerId));
+
+        return db
+            .select({ id: users.id, name: users.name, email: users.email, role: users.role })
+            .from(users)
+            .where(or(eq(users.role, 'admin'), inArray(users.id, routerUsers)))
+            .orderBy(asc(users.name));
+    }
+
+    /**
+     * Assign an alert to a user, or unassign it with null
+     */
+    async assign(alert: Alert, assignee: AlertAssignee | null, actorId: string): Promise<Alert> {
+        return db.transaction(async (tx) => {
+            const [updated] = await tx
+                .update(alerts)
+                .set({ assignedTo: assignee?.id ?? null, assignedAt: assignee ? new Date() : null })
+                .where(eq(alerts.id, alert.id))
+                .returning();
+
+            await tx.insert(alertEvents).values({
+                alertId: alert.id,
+                type: assignee ? 'assigned' : 'unassigned',
+                userId: actorId,
+                details: assignee
+                    ? { assigneeId: assignee.id, assigneeName: assignee.name }
+                    : { previousAssigneeId: alert.assignedTo },
+            });
+
+            return updated;
+        });
+    }
+
+    /**
+     * Record a timeline event raised by the system (e.g. an escalation)
+     */
+    async recordEvent(
+        alertId: string,
+        type: AlertEvent['type'],
+        details: Record<string, unknown> = {},
+        userId: string | null = null
+    ): Promise<AlertEvent> {
+        const [event] = await db.insert(alertEvents).values({ alertId, type, userId, details }).returning();
+        return event;
+    }
+
+    /**
+     * Record that a notification about these alerts went out (one delivery, possibly a summary)
+     */
+    async recordNotified(alertIds: string[], details: Record<string, unknown>): Promise<void> {
+        if (alertIds.length === 0) return;
+
+        // Alerts of a summary may have been deleted while it was queued
+        const existing = await db
+            .select({ id: alerts.id })
+            .from(alerts)
+            .where(inArray(alerts.id, alertIds));
+        if (existing.length === 0) return;
+
+        await db
+            .insert(alertEvents)
+            .values(existing.map(({ id }) => ({ alertId: id, type: 'notified' as const, details })));
+    }
+
+    /**
+     * Update the outcome of a delivery on the alerts it was about, once its retries are over
+     */
+    async updateNotified(deliveryId: string, details: Record<string, unknown>): Promise<void> {
+        await db
+            .update(alertEvents)
+            .set({ details: sql`${alertEvents.details} || ${JSON.stringify(details)}::jsonb` })
+            .where(and(
+                eq(alertEvents.type, 'notified'),
+                sql`${alertEvents.details}->>'deliveryId' = ${deliveryId}`
+            ));
+    }
+
+    /**
+     * Comments of an alert as threads, oldest first
+     */
+    async getComments(alertId: string): Promise<AlertCommentNode[]> {
+        const rows = await db
+            .select({ comment: alertComments, userName: users.name })
+            .from(alertComments)
+            .leftJoin(users, eq(alertComments.userId, users.id))
+            .where(eq(alertComments.alertId, alertId))
+            .orderBy(asc(alertComments.createdAt));
+
+        const nodes = new Map<string, AlertCommentNode>(
+            rows.map(({ comment, userName }) => [comment.id, { ...comment, userName, replies: [] }])
+        );
+
+        const threads: AlertCommentNode[] = [];
+        for (const node of nodes.values()) {
+            const parent = node.parentId ? nodes.get(node.parentId) : undefined;
+            if (parent) {
+                parent.replies.push(node);
+            } else {
+                threads.push(node);
+            }
+        }
+        return threads;
+    }
+
+    /**
+     * Get comment by ID
+     */
+    async findComment(id: string): Promise<AlertComment | undefined> {
+        const [comment] = await db.select().from(alertComments).where(eq(alertComments.id, id));
+        return comment;
+    }
+
+    /**
+     * Add a comment, or a reply when parentId is given
+     */
+    async addComment(alertId: string, userId: string, body: string, parentId?: string | null): Promise<AlertComment> {
+        const [comment] = await db
+            .insert(alertComments)
+            .values({ alertId, userId, body, parentId: parentId ?? null })
+            .returning();
+        return comment;
+    }
+
+    /**
+     * Delete a comment with its replies
+     */
+    async deleteComment(id: string): Promise<boolean> {
+        const result = await db.delete(alertComments).where(eq(alertComments.id, id)).returning();
+        return result.length > 0;
+    }
+
+    /**
+     * Everything that happened to an alert, oldest first: creation, notifications
+     * sent, escalations, assignment, acknowledgement, comments and resolution
+     */
+    async getTimeline(alert: Alert): Promise<AlertTimelineEntry[]> {
+        const entries: AlertTimelineEntry[] = [{
+            id: `created-${alert.id}`,
+            type: 'created',
+            at: alert.createdAt,
+            userId: null,
+            userName: null,
+            details: { severity: alert.severity, title: alert.title, suppressed: alert.suppressed },
+        }];
+
+        const events = await db
+            .select({ event: alertEvents, userName: users.name })
+            .from(alertEvents)
+            .leftJoin(users, eq(alertEvents.userId, users.id))
+            .where(eq(alertEvents.alertId, alert.id));
+
+        for (const { event, userName } of events) {
+            entries.push({
+                id: event.id,
+                type: event.type,
+                at: event.createdAt,
+                userId: event.userId,
+                userName,
+                details: event.details,
+            });
+        }
+
+        const comments = await db
+            .select({ comment: alertComments, userName: users.name })
+            .from(alertComments)
+            .leftJoin(users, eq(alertComments.userId, users.id))
+            .where(eq(alertComments.alertId, alert.id));
+
+        for (const { comment, userName } of comments) {
+            entries.push({
+                id: comment.id,
+                type: 'comment',
+                at: comment.createdAt,
+                userId: comment.userId,
+                userName,
+                details: { body: comment.body, parentId: comment.parentId },
+            });
+        }
+
+        if (alert.acknowledged && alert.acknowledgedAt) {
+            const [acknowledgedBy] = alert.acknowledgedBy
+                ? await db.select({ name: users.name }).from(users).where(eq(users.id, alert.acknowledgedBy))
+                : [];
+            entries.push({
+                id: `acknowledged-${alert.id}`,
+                type: 'acknowledged',
+                at: alert.acknowledgedAt,
+                userId: alert.acknowledgedBy,
+                userName: acknowledgedBy?.name ?? null,
+                details: {},
+            });
+        }
+
+        if (alert.resolved && alert.resolvedAt) {
+            entries.push({
+                id: `resolved-${alert.id}`,
+                type: 'resolved',
+                at: alert.resolvedAt,
+                userId: null,
+                userName: null,
+                details: {},
+            });
+        }
+
+        return entries.sort((a, b) => a.at.getTime() - b.at.getTime());
+    }
+}
+
+// Export singleton instance
+export const alertActivityService = new AlertActivityService();
@@ -2,51 +2,17 @@ import { db } from '../db/index.js';
 import { alerts, routers, routerNetwatch } from '../db/schema/index.js';
 import { eq, and, inArray } from 'drizzle-orm';
 import { notificationService } from './notification.service.js';
+import { maintenanceService } from './maintenance.service.js';
+import { escalationPolicyService } from './escalation-policy.service.js';
+import { alertActivityService } from './alert-activity.service.js';
+import { formatDuration } from '../lib/time-utils.js';
 
-// Escalation thresholds in milliseconds
-const ESCALATION_THRESHOLDS = [
-    { level: 1, after: 1 * 60 * 60 * 1000, label: '1 jam' },      // 1 hour
-    { level: 2, after: 3 * 60 * 60 * 1000, label: '3 jam' },      // 3 hours
-    { level: 3, after: 12 * 60 * 60 * 1000, label: '12 jam' },    // 12 hours
-    { level: 4, after: 24 * 60 * 60 * 1000, label: '1 hari' },    // 1 day
-    { level: 5, after: 3 * 24 * 60 * 60 * 1000, label: '3 hari' }, // 3 days
-];
-
-/**
- * Format duration to human readable Indonesian string
- */
-function formatDuration(ms: number): string {
-    const seconds = Math.floor(ms / 1000);
-    const minutes = Math.floor(seconds / 60);
-    const hours = Math.floor(minutes / 60);
-    const days = Math.floor(hours / 24);
-
-    if (days > 0) {
-        const remainingHours = hours % 24;
-        if (remainingHours > 0) {
-            return `${days} hari ${remainingHours} jam`;
-        }
-        return `${days} hari`;
-    }
-
-    if (hours > 0) {
-        const remainingMinutes = minutes % 60;
-        if (remainingMinutes > 0) {
-            return `${hours} jam ${remainingMinutes} menit`;
-        }
-        return `${hours} jam`;
-    }
-
-    if (minutes > 0) {
-        return `${minutes} menit`;
-    }
-
-    return `${seconds} detik`;
-}
+const MINUTE_MS = 60 * 1000;
 
 export class AlertEscalationService {
     /**
-     * Check all unresolved down alerts and escalate if needed
+     * Check all unresolved down alerts and escalate them by the escalation
+     * policy of their router's group
      */
     async checkAndEscalateAlerts(): Promise<void> {
         try {
@@ -84,56 +50,57 @@ export class AlertEscalationService {
                 }
 
                 // For netwatch_down alerts, check if device is actually UP now
-                if (alert.type === 'netwatch_down') {
-                    const ipMatch = alert.message.match(/(\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3})/);
-                    if (ipMatch) {
-                        const [netwatch] = await db
-                            .select()
-                            .from(routerNetwatch)
-                            .where(and(
-                                eq(routerNetwatch.routerId, alert.routerId),
-                                eq(routerNetwatch.host, ipMatch[1])
-                            ));
-
-                        // If device is UP, resolve the alert instead of escalating
-                        if (netwatch && netwatch.status === 'up') {
-                            await db
-                                .update(alerts)
-                                .set({
-                                    resolved: true,
-                                    resolvedAt: new Date(),
-                                })
-                                .where(eq(alerts.id, alert.id));
-                            console.log(`[ESCALATION] Auto-resolved alert ${alert.id} for ${ipMatch[1]} (device is now UP)`);
-                            continue; // Skip escalation
-                        }
+                if (alert.type === 'netwatch_down' && alert.subjectType === 'netwatch') {
+                    const [netwatch] = await db
+                        .select()
+                        .from(routerNetwatch)
+                        .where(eq(routerNetwatch.id, alert.subjectId));
+
+                    // If device is UP, resolve the alert instead of escalating
+                    if (netwatch && netwatch.status === 'up') {
+                        await db
+                            .update(alerts)
+                            .set({
+                                resolved: true,
+                                resolvedAt: new Date(),
+                            })
+                            .where(eq(alerts.id, alert.id));
+                        console.log(`[ESCALATION] Auto-resolved alert ${alert.id} for ${netwatch.host} (device is now UP)`);
+                        continue; // Skip escalation
                     }
                 }
 
-                // Skip if already at max escalation level
-                if (alert.escalationLevel >= ESCALATION_THRESHOLDS.length) {
+                // Downstream outages escalate with their root cause alert
+                if (alert.suppressed) {
                     continue;
                 }
 
-                const timeSinceCreation = now - new Date(alert.createdAt).getTime();
-                const currentLevel = alert.escalationLevel;
-                const nextThreshold = ESCALATION_THRESHOLDS[currentLevel];
-
-                if (!nextThreshold) continue;
-
-                // Check if we've passed the threshold for the next level
-                if (timeSinceCreation >= nextThreshold.after) {
-                    // Check if we haven't already escalated recently
-                    // (prevent duplicate escalation within 5 minutes)
-                    if (alert.lastEscalatedAt) {
-                        const timeSinceLastEscalation = now - new Date(alert.lastEscalatedAt).getTime();
-                        if (timeSinceLastEscalation < 5 * 60 * 1000) {
-                            continue;
-                        }
-                    }
+                const [router] = await db
+                    .select({ groupId: routers.groupId })
+                    .from(routers)
+                    .where(eq(routers.id, alert.routerId));
+
+                const policy = await escalationPolicyService.getPolicyForRouterGroup(router?.groupId ?? null);
+                const nextLevel = policy?.levels[alert.escalationLevel];
+
+                // No policy, or already at the policy's last level
+                if (!policy || !nextLevel) {
+                    continue;
+                }
+
+                // Someone is on it
+                if (policy.stopOnAcknowledge && alert.acknowledged) {
+                    continue;
+                }
+
+                // Don't escalate while the device is in a maintenance window
+                if (await maintenanceService.getWindowForAlert(alert)) {
+                    continue;
+                }
 
-                    // Time to escalate!
-                    await this.escalateAlert(alert, nextThreshold.level, timeSinceCreation);
+                const timeSinceCreation = now - new Date(alert.createdAt).getTime();
+                if (timeSinceCreation >= nextLevel.afterMinutes * MINUTE_MS) {
+                    await this.escalateAlert(alert, alert.escalationLevel + 1, nextLevel.notificationGroupId, timeSinceCreation);
                 }
             }
         } catch (error) {
@@ -142,24 +109,37 @@ export class AlertEscalationService {
     }
 
     /**
-     * Escalate an alert to the next level
+     * Escalate an alert to the next level and page that level's notification group
+     * (or the alert's routed groups when the level names none)
      */
     private async escalateAlert(
         alert: typeof alerts.$inferSelect,
         newLevel: number,
+        notificationGroupId: string | null,
         downtime: number
     ): Promise<void> {
         try {
             console.log(`[ESCALATION] Escalating alert ${alert.id} to level ${newLevel}`);
 
-            // Update alert with new escalation level
-            await db
+            // Claim the level, so an overlapping check cannot page twice
+            const [claimed] = await db
                 .update(alerts)
                 .set({
                     escalationLevel: newLevel,
                     lastEscalatedAt: new Date(),
                 })
-                .where(eq(alerts.id, alert.id));
+                .where(and(eq(alerts.id, alert.id), eq(alerts.escalationLevel, alert.escalationLevel)))
+                .returning({ id: alerts.id });
+
+            if (!claimed) {
+                return;
+            }
+
+            await alertActivityService.recordEvent(alert.id, 'escalated', {
+                level: newLevel,
+                notificationGroupId,
+                downtime: formatDuration(downtime),
+            });
 
             // Get router data for notification
             const [router] = await db
@@ -172,38 +152,8 @@ export class AlertEscalationService {
                 return;
             }
 
-            // Try to get netwatch data for netwatch alerts
-            let netwatchData: {
-                name: string;
-                host: string;
-                latitude: string | null;
-                longitude: string | null;
-                location: string | null;
-            } | null = null;
-
-            if (alert.type === 'netwatch_down') {
-                // Extract IP from alert message
-                const ipMatch = alert.message.match(/(\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3})/);
-                if (ipMatch) {
-                    const [netwatch] = await db
-                        .select()
-                        .from(routerNetwatch)
-                        .where(and(
-                            eq(routerNetwatch.routerId, alert.routerId),
-                            eq(routerNetwatch.host, ipMatch[1])
-                        ));
-
-                    if (netwatch) {
-                        netwatchData = {
-                            name: netwatch.name || ipMatch[1],
-                            host: netwatch.host,
-                            latitude: netwatch.latitude,
-                            longitude: netwatch.longitude,
-                            location: netwatch.location,
-                        };
-                    }
-                }
-            }
+            // Netwatch data for alerts about a netwatch entry
+            const netwatchData = await notificationService.getNetwatchData(alert);
 
             // Send escalation notification
             await notificationService.sendEscalationNotification(
@@ -211,7 +161,8 @@ export class AlertEscalationService {
                 router,
                 newLevel,
                 formatDuration(downtime),
-                netwatchData
+                netwatchData,
+                notificationGroupId
             );
 
             console.log(`[ESCALATION] Alert ${alert.id} escalated to level ${newLevel} successfully`);
@@ -6,11 +6,19 @@ import {
     userRouters,
     users,
     routers,
+    pppoeSessions,
     type Alert,
+    type AlertSubjectType,
     type NewAlert,
+    type RouterNetwatch,
 } from '../db/schema/index.js';
 import { inArray } from 'drizzle-orm';
+import { alias } from 'drizzle-orm/pg-core';
 import { notificationService } from './notification.service.js';
+import { thresholdProfileService, THRESHOLD_FIELDS, type ThresholdField } from './threshold-profile.service.js';
+import { settingsService } from './settings.service.js';
+import { maintenanceService } from './maintenance.service.js';
+import { topologyService, type TopologyNode } from './topology.service.js';
 import { eventEmitter } from './event-emitter.service.js';
 
 // Default threshold values
@@ -19,8 +27,76 @@ const DEFAULT_THRESHOLDS = {
     cpuCritical: 90,
     memoryWarning: 80,
     memoryCritical: 95,
+    latencyWarning: 100, // ms
+    packetLossWarning: 0, // %
+    diskWarning: 85,
+    diskCritical: 95,
+    temperatureWarning: 70, // °C
+    temperatureCritical: 80, // °C
+    voltageLow: 10, // V - tighten per router/group to match the power supply
+    voltageHigh: 57, // V
 };
 
+export type ThresholdSource = 'router' | 'group' | 'global';
+
+interface NetwatchState {
+    lastStatus: 'up' | 'down';
+    // Set while the host is down; cleared when it comes back
+    downSince: number | null;
+    downPolls: number;
+    // A down (or flap) alert went out for the current outage
+    alerted: boolean;
+    transitions: number[];
+    flapping: boolean;
+}
+
+// The netwatch entry a netwatch alert is about
+export type NetwatchSubject = Pick<RouterNetwatch, 'id' | 'host'>;
+
+// What an alert is about, see the alerts schema
+export interface AlertSubject {
+    subjectType: AlertSubjectType;
+    subjectId: string;
+}
+
+// New alerts default to the router as subject
+export type CreateAlertInput = Omit<NewAlert, 'subjectId'> & { subjectId?: string };
+
+// Second join on users for the assignee next to acknowledgedBy
+const assignees = alias(users, 'assignees');
+
+// A root cause alert with the downstream alerts attached to it
+export interface AlertTreeNode extends Alert {
+    routerName: string | null;
+    children: AlertTreeNode[];
+}
+
+export type NetwatchDeviceType = 'client' | 'olt' | 'odp';
+
+export interface NetwatchPerformanceThresholds {
+    latencyWarning: number;
+    packetLossWarning: number;
+    consecutiveBreaches: number;
+}
+
+// Breaches in a row before a performance alert, so a single slow or lost ping doesn't page anyone
+const DEFAULT_CONSECUTIVE_BREACHES = 3;
+
+// Link flap detection: this many up/down transitions within the window raise a flap alert
+const DEFAULT_FLAP_TRANSITIONS = 4;
+const DEFAULT_FLAP_WINDOW_MINUTES = 10;
+
+// Netwatch hold-down: a host must stay down this many polls (or seconds, 0 = off) before alerting
+const DEFAULT_NETWATCH_HOLD_DOWN_POLLS = 2;
+const DEFAULT_NETWATCH_HOLD_DOWN_SECONDS = 0;
+
+// Netwatch flap detection, same idea as for interfaces
+const DEFAULT_NETWATCH_FLAP_TRANSITIONS = 4;
+const DEFAULT_NETWATCH_FLAP_WINDOW_MINUTES = 10;
+
+// A reboot is "planned" if it was requested from the app this long before it happened
+const PLANNED_REBOOT_WINDOW_MINUTES = 15;
+
 // Cooldown period in minutes - don't create duplicate alerts within this period
 const ALERT_COOLDOWN_MINUTES = 30;
 
@@ -29,12 +105,28 @@ const ALERT_COOLDOWN_MINUTES = 30;
  */
 export class AlertService {
     /**
-     * Find recent unresolved alert of the same type for deduplication
+     * Consecutive latency/packet loss breaches per netwatch entry (reset by a good sample)
+     */
+    private performanceBreaches: Map<string, number> = new Map();
+
+    /**
+     * Recent link transition timestamps per monitored interface, for flap detection
+     */
+    private linkTransitions: Map<string, number[]> = new Map();
+
+    /**
+     * Hold-down and flap state per netwatch entry ID
+     */
+    private netwatchStates: Map<string, NetwatchState> = new Map();
+
+    /**
+     * Find recent unresolved alert of the same type (and subject, if given) for deduplication
      * Returns the existing alert if found within cooldown period
      */
     private async findRecentUnresolvedAlert(
         routerId: string,
-        type: 'status_change' | 'high_cpu' | 'high_memory' | 'high_disk' | 'interface_down' | 'netwatch_down' | 'threshold' | 'reboot' | 'pppoe_connect' | 'pppoe_disconnect'
+        type: Alert['type'],
+        subject?: AlertSubject
     ): Promise<Alert | null> {
         const cooldownTime = new Date(Date.now() - ALERT_COOLDOWN_MINUTES * 60 * 1000);
 
@@ -44,7 +136,9 @@ export class AlertService {
             .where(and(
                 eq(alerts.routerId, routerId),
                 eq(alerts.type, type),
-                isNull(alerts.resolvedAt)
+                isNull(alerts.resolvedAt),
+                subject ? eq(alerts.subjectType, subject.subjectType) : undefined,
+                subject ? eq(alerts.subjectId, subject.subjectId) : undefined
             ))
             .orderBy(desc(alerts.createdAt))
             .limit(1);
@@ -57,17 +151,31 @@ export class AlertService {
     }
 
     /**
-     * Get alert thresholds from settings
+     * Get alert thresholds from settings.
+     * When a router is given, its own profile and then its group's profile override the global values.
      */
-    private async getThresholds(): Promise<{
+    private async getThresholds(routerId?: string): Promise<{
         cpuWarning: number;
         cpuCritical: number;
         memoryWarning: number;
         memoryCritical: number;
+        latencyWarning: number;
+        packetLossWarning: number;
+        diskWarning: number;
+        diskCritical: number;
+        temperatureWarning: number;
+        temperatureCritical: number;
+        voltageLow: number;
+        voltageHigh: number;
         alertsEnabled: boolean;
         statusChangeAlerts: boolean;
         highCpuAlerts: boolean;
         highMemoryAlerts: boolean;
+        highDiskAlerts: boolean;
+        temperatureAlerts: boolean;
+        voltageAlerts: boolean;
+        interfaceAlerts: boolean;
+        rebootAlerts: boolean;
     }> {
         const settings = await db.select().from(appSettings);
         const settingsMap: Record<string, unknown> = {};
@@ -75,16 +183,73 @@ export class AlertService {
             settingsMap[s.key] = s.value;
         });
 
-        return {
+        const thresholds = {
             cpuWarning: (settingsMap.alertThresholdCpuWarning as number) ?? DEFAULT_THRESHOLDS.cpuWarning,
             cpuCritical: (settingsMap.alertThresholdCpuCritical as number) ?? DEFAULT_THRESHOLDS.cpuCritical,
             memoryWarning: (settingsMap.alertThresholdMemoryWarning as number) ?? DEFAULT_THRESHOLDS.memoryWarning,
             memoryCritical: (settingsMap.alertThresholdMemoryCritical as number) ?? DEFAULT_THRESHOLDS.memoryCritical,
+            latencyWarning: (settingsMap.alertThresholdLatencyWarning as number) ?? DEFAULT_THRESHOLDS.latencyWarning,
+            packetLossWarning: (settingsMap.alertThresholdPacketLossWarning as number) ?? DEFAULT_THRESHOLDS.packetLossWarning,
+            diskWarning: (settingsMap.alertThresholdDiskWarning as number) ?? DEFAULT_THRESHOLDS.diskWarning,
+            diskCritical: (settingsMap.alertThresholdDiskCritical as number) ?? DEFAULT_THRESHOLDS.diskCritical,
+            temperatureWarning: (settingsMap.alertThresholdTemperatureWarning as number) ?? DEFAULT_THRESHOLDS.temperatureWarning,
+            temperatureCritical: (settingsMap.alertThresholdTemperatureCritical as number) ?? DEFAULT_THRESHOLDS.temperatureCritical,
+            voltageLow: (settingsMap.alertThresholdVoltageLow as number) ?? DEFAULT_THRESHOLDS.voltageLow,
+            voltageHigh: (settingsMap.alertThresholdVoltageHigh as number) ?? DEFAULT_THRESHOLDS.voltageHigh,
             alertsEnabled: settingsMap.alertsEnabled !== false,
             statusChangeAlerts: settingsMap.statusChangeAlerts !== false,
             highCpuAlerts: settingsMap.highCpuAlerts !== false,
             highMemoryAlerts: settingsMap.highMemoryAlerts !== false,
+            highDiskAlerts: settingsMap.highDiskAlerts !== false,
+            temperatureAlerts: settingsMap.temperatureAlerts !== false,
+            voltageAlerts: settingsMap.voltageAlerts !== false,
+            interfaceAlerts: settingsMap.interfaceAlerts !== false,
+            rebootAlerts: settingsMap.rebootAlerts !== false,
         };
+
+        if (!routerId) {
+            return thresholds;
+        }
+
+        const { routerProfile, groupProfile } = await thresholdProfileService.findForRouter(routerId);
+        for (const field of THRESHOLD_FIELDS) {
+            thresholds[field] = routerProfile?.[field] ?? groupProfile?.[field] ?? thresholds[field];
+        }
+
+        return thresholds;
+    }
+
+    /**
+     * Get the thresholds that apply to a router, where each value comes from,
+     * and what the router would inherit without its own profile
+     */
+    async getEffectiveThresholds(routerId: string): Promise<{
+        thresholds: Record<ThresholdField, number>;
+        sources: Record<ThresholdField, ThresholdSource>;
+        inherited: Record<ThresholdField, number>;
+    }> {
+        const global = await this.getThresholds();
+        const { routerProfile, groupProfile } = await thresholdProfileService.findForRouter(routerId);
+
+        const thresholds = {} as Record<ThresholdField, number>;
+        const sources = {} as Record<ThresholdField, ThresholdSource>;
+        const inherited = {} as Record<ThresholdField, number>;
+        for (const field of THRESHOLD_FIELDS) {
+            inherited[field] = groupProfile?.[field] ?? global[field];
+
+            if (routerProfile?.[field] != null) {
+                thresholds[field] = routerProfile[field]!;
+                sources[field] = 'router';
+            } else if (groupProfile?.[field] != null) {
+                thresholds[field] = groupProfile[field]!;
+                sources[field] = 'group';
+            } else {
+                thresholds[field] = global[field];
+                sources[field] = 'global';
+            }
+        }
+
+        return { thresholds, sources, inherited };
     }
 
     /**
@@ -109,6 +274,8 @@ export class AlertService {
         search?: string;
         routerId?: string;
         category?: 'issues' | 'alerts';
+        subjectType?: AlertSubjectType;
+        subjectId?: string;
     } = {}): Promise<{ data: any[]; meta: { total: number; page: number; limit: number; totalPages: number } }> {
         const page = options.page || 1;
         const limit = options.limit || 100;
@@ -120,10 +287,14 @@ export class AlertService {
             .select({
                 ...getTableColumns(alerts),
                 acknowledgedByName: users.name,
+                assignedToName: assignees.name,
                 routerName: routers.name,
+                // Downstream alerts attached to this one as root cause
+                childCount: sql<number>`(SELECT COUNT(*)::int FROM alerts AS child WHERE child.parent_alert_id = ${alerts.id})`,
             })
             .from(alerts)
             .leftJoin(users, eq(alerts.acknowledgedBy, users.id))
+            .leftJoin(assignees, eq(alerts.assignedTo, assignees.id))
             .leftJoin(routers, eq(alerts.routerId, routers.id))
             .$dynamic();
 
@@ -150,6 +321,14 @@ export class AlertService {
             filters.push(eq(alerts.routerId, options.routerId));
         }
 
+        // Subject filtering (e.g. every alert about one netwatch host or PPPoE user)
+        if (options.subjectType) {
+            filters.push(eq(alerts.subjectType, options.subjectType));
+        }
+        if (options.subjectId) {
+            filters.push(eq(alerts.subjectId, options.subjectId));
+        }
+
         // Search filtering
         if (options.search) {
             const searchTerm = `%${options.search}%`;
@@ -182,7 +361,7 @@ export class AlertService {
 
         // Category filtering
         if (options.category) {
-            const issueTypesList = ['high_cpu', 'high_memory', 'high_disk', 'threshold', 'reboot'];
+            const issueTypesList = ['high_cpu', 'high_memory', 'high_disk', 'high_temperature', 'voltage', 'threshold', 'reboot'];
             const connectivityTypesList = ['status_change', 'netwatch_down', 'interface_down', 'pppoe_connect', 'pppoe_disconnect'];
 
             if (options.category === 'issues') {
@@ -346,17 +525,22 @@ export class AlertService {
     }
 
     /**
-     * Create a new alert
+     * Create a new alert (about the router itself unless a subject is given)
      */
-    async create(data: NewAlert): Promise<Alert> {
-        const [alert] = await db.insert(alerts).values(data).returning();
+    async create(data: CreateAlertInput): Promise<Alert> {
+        const [alert] = await db
+            .insert(alerts)
+            .values({ ...data, subjectId: data.subjectId ?? data.routerId })
+            .returning();
 
         // Trigger notification
         if (data.routerId) {
-            // Fire and forget notification to avoid blocking the alert creation
-            notificationService.notifyAlert(alert, data.routerId).catch(err =>
-                console.error('Failed to trigger notification:', err)
-            );
+            // Downstream outages and alerts inside a maintenance window are recorded but not notified
+            if (alert.suppressed) {
+                console.log(`[ALERT] Notification suppressed for ${alert.id} (root cause: ${alert.parentAlertId || 'pending'})`);
+            } else {
+                await this.notifyOutsideMaintenance(alert);
+            }
 
             // Get users assigned to this router
             const assignedUsers = await db
@@ -388,6 +572,22 @@ export class AlertService {
         return alert;
     }
 
+    /**
+     * Send the notification for an alert unless a maintenance window covers it
+     */
+    private async notifyOutsideMaintenance(alert: Alert): Promise<void> {
+        const maintenanceWindow = await maintenanceService.getWindowForAlert(alert);
+        if (maintenanceWindow) {
+            console.log(`[ALERT] Notification suppressed for ${alert.id} (maintenance: ${maintenanceWindow.name})`);
+            return;
+        }
+
+        // Fire and forget notification to avoid blocking the alert creation
+        notificationService.notifyAlert(alert, alert.routerId).catch(err =>
+            console.error('Failed to trigger notification:', err)
+        );
+    }
+
     /**
      * Acknowledge an alert
      */
@@ -425,7 +625,7 @@ export class AlertService {
      * Check if alert is an "issue" (System/Performance) vs "alert" (Connectivity/Status)
      */
     private isIssue(alert: Alert): boolean {
-        const issueTypes = ['high_cpu', 'high_memory', 'high_disk', 'threshold', 'system'];
+        const issueTypes = ['high_cpu', 'high_memory', 'high_disk', 'high_temperature', 'voltage', 'threshold', 'system'];
 
         if (issueTypes.includes(alert.type)) return true;
         if (alert.type === 'threshold') return true;
@@ -714,9 +914,11 @@ export class AlertService {
     async createNetwatchAlert(
         routerId: string,
         deviceName: string,
-        host: string,
-        status: 'up' | 'down'
+        netwatch: NetwatchSubject,
+        status: 'up' | 'down',
+        topology?: TopologyNode[]
     ): Promise<Alert | null> {
+        const { host } = netwatch;
         const thresholds = await this.getThresholds();
 
         // Check if alerts are enabled
@@ -732,77 +934,412 @@ export class AlertService {
 
         console.log(`[ALERT DEBUG] createNetwatchAlert called: host=${host}, status=${status}, routerId=${routerId}`);
 
+        const subject = this.netwatchSubject(netwatch, deviceName);
+
         // If status is UP, resolve any existing DOWN alerts for this host
         if (status === 'up') {
-            // Find all unresolved netwatch_down alerts for this router that contain this host
-            const unresolvedAlerts = await db
-                .select()
-                .from(alerts)
-                .where(and(
-                    eq(alerts.routerId, routerId),
-                    eq(alerts.type, 'netwatch_down'),
-                    eq(alerts.resolved, false)
-                ));
+            const resolvedCount = await this.resolveOpenAlerts(routerId, 'netwatch_down', subject);
 
-            let resolvedCount = 0;
-            // Resolve alerts that match this host
-            for (const alert of unresolvedAlerts) {
-                if (alert.message.includes(host)) {
-                    await db
-                        .update(alerts)
-                        .set({
-                            resolved: true,
-                            resolvedAt: new Date(),
-                        })
-                        .where(eq(alerts.id, alert.id));
-                    console.log(`[ALERT] Auto-resolved alert ${alert.id} for ${host} (now UP)`);
-                    resolvedCount++;
-                }
+            // Recovery notice only when a down alert actually went out for this outage
+            if (resolvedCount === 0) {
+                return null;
             }
 
-            // Create notification that device is UP if we resolved something or if we want to notify even if we missed the DOWN event (optional)
-            // User requested: "is down tetapi setelah up tidak adad notifikasi" -> implies they want notification on UP.
+            return this.create({
+                routerId,
+                type: 'status_change',
+                severity: 'info',
+                title: `Device ${deviceName || host} is back UP`,
+                message: `Netwatch host ${host} (${deviceName}) is now reachable. Resolved ${resolvedCount} downtime alert(s).`,
+                ...subject,
+            });
+        }
 
-            // Deduplicate UP alerts (don't spam if it's already UP)
-            // But usually UP event comes once. 
-            // Let's create an INFO alert.
+        // Deduplicate: check if we already alerted about this specific device being down recently
+        const existing = await this.findRecentUnresolvedAlert(routerId, 'netwatch_down', subject);
+        if (existing) {
+            return null;
+        }
 
-            if (resolvedCount > 0) {
-                return this.create({
-                    routerId,
-                    type: 'status_change',
-                    severity: 'info',
-                    title: `Device ${deviceName || host} is back UP`,
-                    message: `Netwatch host ${host} (${deviceName}) is now reachable. Resolved ${resolvedCount} downtime alert(s).`,
-                });
-            } else {
-                // Even if no specific DOWN alert was resolved (maybe expired), still notify UP if desired
-                // forcing notification for visibility
+        // Walk up the connectedToId chain - if an upstream device is down too, this is a symptom
+        const nodes = topology || await topologyService.getNetwatchNodes(routerId);
+        const node = nodes.find((n) => n.id === netwatch.id);
+        const rootCause = node ? topologyService.findRootCause(nodes, node.id) : null;
+
+        if (rootCause) {
+            const rootAlert = await this.findOpenNetwatchAlert(routerId, rootCause.id);
+            // Root went down in this same sync pass or is still in hold-down - its alert
+            // is created later and adopts this one
+            const rootState = this.netwatchStates.get(rootCause.id);
+            const rootPending = !rootAlert && (rootCause.previousStatus === 'up' || (!!rootState?.downSince && !rootState.alerted));
+
+            if (rootAlert || rootPending) {
                 return this.create({
                     routerId,
-                    type: 'status_change',
-                    severity: 'info',
-                    title: `Device ${deviceName || host} is back UP`,
-                    message: `Netwatch host ${host} (${deviceName}) is now reachable.`,
+                    type: 'netwatch_down',
+                    severity: 'warning',
+                    title: `Device ${deviceName || host} is down`,
+                    message: `Netwatch host ${host} (${deviceName}) is now down (upstream ${rootCause.name || rootCause.host} is down)`,
+                    parentAlertId: rootAlert?.id ?? null,
+                    suppressed: true,
+                    ...subject,
                 });
             }
         }
 
-        // Deduplicate: check if we already alerted about this specific device being down recently
-        const existing = await this.findRecentUnresolvedAlert(routerId, 'netwatch_down');
-        if (existing && existing.message.includes(host)) {
+        const alert = await this.create({
+            routerId,
+            type: 'netwatch_down', // distinct type for filtering
+            severity: 'warning',
+            title: `Device ${deviceName || host} is down`,
+            message: `Netwatch host ${host} (${deviceName}) is now down`,
+            ...subject,
+        });
+
+        if (node) {
+            await this.adoptDownstreamAlerts(alert, nodes, node.id);
+        }
+
+        return alert;
+    }
+
+    /**
+     * Feed one netwatch poll result through hold-down and flap detection.
+     * Called on every sync for hosts with a known status. A down alert is only raised once
+     * the host stayed down for the configured polls/seconds, repeated transitions collapse
+     * into one "flapping" alert, and a recovery is only sent if a down alert went out.
+     */
+    async trackNetwatchStatus(
+        routerId: string,
+        deviceName: string,
+        netwatch: NetwatchSubject,
+        status: 'up' | 'down',
+        topology?: TopologyNode[]
+    ): Promise<Alert | null> {
+        const key = netwatch.id;
+        const now = Date.now();
+        let state = this.netwatchStates.get(key);
+
+        if (!state) {
+            // First poll since start: an open down alert means we already paged for this outage
+            const openAlert = status === 'down' ? await this.findOpenNetwatchAlert(routerId, netwatch.id) : undefined;
+            state = {
+                lastStatus: status,
+                downSince: status === 'down' ? now : null,
+                downPolls: 0,
+                alerted: !!openAlert,
+                transitions: [],
+                flapping: false,
+            };
+            this.netwatchStates.set(key, state);
+        }
+
+        const flapTransitions = await settingsService.getSettingValue<number>('netwatchFlapTransitions', DEFAULT_NETWATCH_FLAP_TRANSITIONS);
+        const flapWindowMinutes = await settingsService.getSettingValue<number>('netwatchFlapWindowMinutes', DEFAULT_NETWATCH_FLAP_WINDOW_MINUTES);
+        const windowStart = now - flapWindowMinutes * 60 * 1000;
+        const changed = state.lastStatus !== status;
+
+        state.transitions = state.transitions.filter((t) => t >= windowStart);
+        if (changed) {
+            state.transitions.push(now);
+        }
+        state.lastStatus = status;
+
+        if (state.transitions.length >= flapTransitions) {
+            return this.reportNetwatchFlap(routerId, deviceName, netwatch, status, state, flapWindowMinutes);
+        }
+
+        if (state.flapping) {
+            // Still inside the window - wait until the host has been stable for a full window
+            if (state.transitions.length > 0) return null;
+            return this.settleNetwatchFlap(routerId, deviceName, netwatch, status, state);
+        }
+
+        if (status === 'up') {
+            const wasAlerted = state.alerted;
+            state.downSince = null;
+            state.downPolls = 0;
+            state.alerted = false;
+
+            return changed && wasAlerted ? this.createNetwatchAlert(routerId, deviceName, netwatch, 'up') : null;
+        }
+
+        if (state.downSince === null) {
+            state.downSince = now;
+        }
+        state.downPolls++;
+
+        if (state.alerted) return null;
+
+        const holdPolls = await settingsService.getSettingValue<number>('netwatchHoldDownPolls', DEFAULT_NETWATCH_HOLD_DOWN_POLLS);
+        const holdSeconds = await settingsService.getSettingValue<number>('netwatchHoldDownSeconds', DEFAULT_NETWATCH_HOLD_DOWN_SECONDS);
+        const heldPolls = state.downPolls >= Math.max(1, holdPolls);
+        const heldSeconds = holdSeconds > 0 && now - state.downSince >= holdSeconds * 1000;
+
+        if (!heldPolls && !heldSeconds) {
+            return null;
+        }
+
+        const alert = await this.createNetwatchAlert(routerId, deviceName, netwatch, 'down', topology);
+        // Null here means alerts are disabled or an alert is already open - either way we're done
+        state.alerted = true;
+        return alert;
+    }
+
+    /**
+     * Raise (or update) the single flap alert for a netwatch host
+     */
+    private async reportNetwatchFlap(
+        routerId: string,
+        deviceName: string,
+        netwatch: NetwatchSubject,
+        status: 'up' | 'down',
+        state: NetwatchState,
+        flapWindowMinutes: number
+    ): Promise<Alert | null> {
+        const { host } = netwatch;
+        const message = `Netwatch host ${host} (${deviceName}) changed state ${state.transitions.length} times in the last ${flapWindowMinutes} minutes (currently ${status})`;
+        const openAlert = await this.findOpenNetwatchAlert(routerId, netwatch.id);
+
+        state.flapping = true;
+        state.alerted = true;
+
+        if (openAlert?.title.includes('is flapping')) {
+            // Keep the transition count current instead of paging again
+            await db.update(alerts).set({ message }).where(eq(alerts.id, openAlert.id));
+            return null;
+        }
+
+        // Replace a plain down alert with the flap alert
+        if (openAlert) {
+            await this.resolve(openAlert.id);
+        }
+
+        const thresholds = await this.getThresholds();
+        if (!thresholds.alertsEnabled || !thresholds.statusChangeAlerts) {
             return null;
         }
 
         return this.create({
             routerId,
-            type: 'netwatch_down', // distinct type for filtering
+            type: 'netwatch_down',
             severity: 'warning',
-            title: `Device ${deviceName || host} is down`,
-            message: `Netwatch host ${host} (${deviceName}) is now down`,
+            title: `Device ${deviceName || host} is flapping`,
+            message,
+            ...this.netwatchSubject(netwatch, deviceName),
         });
     }
 
+    /**
+     * A flapping host was stable for a full window: close the flap alert.
+     * If it settled down, treat it as a regular outage that already paged.
+     */
+    private async settleNetwatchFlap(
+        routerId: string,
+        deviceName: string,
+        netwatch: NetwatchSubject,
+        status: 'up' | 'down',
+        state: NetwatchState
+    ): Promise<Alert | null> {
+        state.flapping = false;
+
+        if (status === 'down') {
+            // The flap alert doubles as the down alert until the host recovers
+            return null;
+        }
+
+        state.downSince = null;
+        state.downPolls = 0;
+        state.alerted = false;
+
+        return this.createNetwatchAlert(routerId, deviceName, netwatch, 'up');
+    }
+
+    /**
+     * Attach the open outages below a root cause to its alert and stop notifying them
+     */
+    private async adoptDownstreamAlerts(rootAlert: Alert, nodes: TopologyNode[], rootNodeId: string): Promise<void> {
+        const descendants = topologyService.getDescendants(nodes, rootNodeId);
+        if (descendants.length === 0) return;
+
+        const descendantIds = new Set(descendants.map((n) => n.id));
+        const openAlerts = await db
+            .select()
+            .from(alerts)
+            .where(and(
+                eq(alerts.routerId, rootAlert.routerId),
+                inArray(alerts.type, ['netwatch_down', 'pppoe_disconnect']),
+                eq(alerts.resolved, false),
+                isNull(alerts.parentAlertId)
+            ));
+
+        // Netwatch alerts are about a netwatch entry, PPPoE alerts about a user
+        const sessions = await db
+            .select({ name: pppoeSessions.name, connectedToId: pppoeSessions.connectedToId })
+            .from(pppoeSessions)
+            .where(eq(pppoeSessions.routerId, rootAlert.routerId));
+        const downstreamUsers = new Set(
+            sessions
+                .filter((session) => session.connectedToId && descendantIds.has(session.connectedToId))
+                .map((session) => session.name)
+        );
+
+        const children = openAlerts.filter((alert) =>
+            alert.id !== rootAlert.id && (
+                alert.subjectType === 'netwatch'
+                    ? descendantIds.has(alert.subjectId)
+                    : alert.subjectType === 'pppoe' && downstreamUsers.has(alert.subjectId)
+            )
+        );
+        if (children.length === 0) return;
+
+        await db
+            .update(alerts)
+            .set({ parentAlertId: rootAlert.id, suppressed: true })
+            .where(inArray(alerts.id, children.map((alert) => alert.id)));
+
+        console.log(`[ALERT] Attached ${children.length} downstream alert(s) to root cause ${rootAlert.id}`);
+    }
+
+    /**
+     * Re-check the suppressed downstream alerts of a router after a netwatch sync pass.
+     * They follow the current root cause; once none is left (the root recovered, was
+     * resolved, or its hold-down ended without an alert) they are notified on their own.
+     */
+    async releaseDownstreamAlerts(routerId: string, topology: TopologyNode[]): Promise<number> {
+        const suppressedAlerts = await db
+            .select()
+            .from(alerts)
+            .where(and(
+                eq(alerts.routerId, routerId),
+                inArray(alerts.type, ['netwatch_down', 'pppoe_disconnect']),
+                eq(alerts.resolved, false),
+                eq(alerts.suppressed, true)
+            ));
+        if (suppressedAlerts.length === 0) return 0;
+
+        // PPPoE users hang below the device their session is connected to
+        const sessions = await db
+            .select({ name: pppoeSessions.name, status: pppoeSessions.status, connectedToId: pppoeSessions.connectedToId })
+            .from(pppoeSessions)
+            .where(eq(pppoeSessions.routerId, routerId));
+        const sessionsByName = new Map(sessions.map((session) => [session.name, session]));
+
+        const released: Alert[] = [];
+        for (const alert of suppressedAlerts) {
+            const session = alert.subjectType === 'pppoe' ? sessionsByName.get(alert.subjectId) : undefined;
+            const node = alert.subjectType === 'netwatch' ? topology.find((n) => n.id === alert.subjectId) : undefined;
+
+            // Outages that are already over stay quiet (disconnect alerts never resolve on their own)
+            if (session?.status === 'active' || node?.status === 'up') continue;
+
+            const rootCause = node
+                ? topologyService.findRootCause(topology, node.id)
+                : session?.connectedToId ? topologyService.findRootCause(topology, session.connectedToId, true) : null;
+
+            const rootAlert = rootCause ? await this.findOpenNetwatchAlert(routerId, rootCause.id) : undefined;
+            if (rootAlert) {
+                // An upstream device further up (or the flap alert that replaced the root) takes over
+                if (alert.parentAlertId !== rootAlert.id) {
+                    await db.update(alerts).set({ parentAlertId: rootAlert.id }).where(eq(alerts.id, alert.id));
+                }
+                continue;
+            }
+
+            const rootState = rootCause ? this.netwatchStates.get(rootCause.id) : undefined;
+            if (rootState?.downSince && !rootState.alerted) {
+                // Root is still in hold-down - its alert will adopt this one
+                continue;
+            }
+
+            released.push({ ...alert, parentAlertId: null, suppressed: false });
+        }
+
+        if (released.length === 0) return 0;
+
+        await db
+            .update(alerts)
+            .set({ parentAlertId: null, suppressed: false })
+            .where(inArray(alerts.id, released.map((alert) => alert.id)));
+
+        console.log(`[ALERT] Released ${released.length} downstream alert(s) without an active root cause`);
+
+        for (const alert of released) {
+            await this.notifyOutsideMaintenance(alert);
+        }
+
+        return released.length;
+    }
+
+    /**
+     * Find the open netwatch_down alert for a netwatch entry
+     */
+    private async findOpenNetwatchAlert(routerId: string, netwatchId: string): Promise<Alert | undefined> {
+        const [openAlert] = await db
+            .select()
+            .from(alerts)
+            .where(and(
+                eq(alerts.routerId, routerId),
+                eq(alerts.type, 'netwatch_down'),
+                eq(alerts.subjectType, 'netwatch'),
+                eq(alerts.subjectId, netwatchId),
+                eq(alerts.resolved, false)
+            ))
+            .orderBy(desc(alerts.createdAt))
+            .limit(1);
+
+        return openAlert;
+    }
+
+    /**
+     * Subject fields for an alert about a netwatch entry
+     */
+    private netwatchSubject(netwatch: NetwatchSubject, deviceName: string) {
+        return {
+            subjectType: 'netwatch' as const,
+            subjectId: netwatch.id,
+            subjectContext: { host: netwatch.host, name: deviceName },
+        };
+    }
+
+    /**
+     * Get an alert with the downstream alerts attached to it, recursively
+     */
+    async findSubtree(id: string): Promise<AlertTreeNode | null> {
+        const [root] = await db
+            .select({ ...getTableColumns(alerts), routerName: routers.name })
+            .from(alerts)
+            .leftJoin(routers, eq(alerts.routerId, routers.id))
+            .where(eq(alerts.id, id));
+        if (!root) return null;
+
+        const tree: AlertTreeNode = { ...root, children: [] };
+        const visited = new Set<string>([root.id]);
+        let level = [tree];
+
+        while (level.length > 0) {
+            const children = await db
+                .select({ ...getTableColumns(alerts), routerName: routers.name })
+                .from(alerts)
+                .leftJoin(routers, eq(alerts.routerId, routers.id))
+                .where(inArray(alerts.parentAlertId, level.map((node) => node.id)))
+                .orderBy(asc(alerts.createdAt));
+
+            const next: AlertTreeNode[] = [];
+            for (const child of children) {
+                if (visited.has(child.id)) continue;
+                visited.add(child.id);
+
+                const childNode: AlertTreeNode = { ...child, children: [] };
+                level.find((node) => node.id === child.parentAlertId)?.children.push(childNode);
+                next.push(childNode);
+            }
+            level = next;
+        }
+
+        return tree;
+    }
+
     /**
      * Create status change alert (respects settings)
      */
@@ -843,7 +1380,7 @@ export class AlertService {
         routerName: string,
         cpuLoad: number
     ): Promise<Alert | null> {
-        const thresholds = await this.getThresholds();
+        const thresholds = await this.getThresholds(routerId);
 
         // Check if alerts are enabled
         if (!thresholds.alertsEnabled || !thresholds.highCpuAlerts) {
@@ -880,7 +1417,7 @@ export class AlertService {
         routerName: string,
         memoryPercent: number
     ): Promise<Alert | null> {
-        const thresholds = await this.getThresholds();
+        const thresholds = await this.getThresholds(routerId);
 
         // Check if alerts are enabled
         if (!thresholds.alertsEnabled || !thresholds.highMemoryAlerts) {
@@ -909,18 +1446,347 @@ export class AlertService {
         });
     }
 
+    /**
+     * Create high disk usage alert, or resolve open ones once usage is back below the warning threshold
+     */
+    async createHighDiskAlert(
+        routerId: string,
+        routerName: string,
+        diskPercent: number
+    ): Promise<Alert | null> {
+        const thresholds = await this.getThresholds(routerId);
+
+        if (!thresholds.alertsEnabled || !thresholds.highDiskAlerts) {
+            return null;
+        }
+
+        if (diskPercent < thresholds.diskWarning) {
+            await this.resolveOpenAlerts(routerId, 'high_disk');
+            return null;
+        }
+
+        const existingAlert = await this.findRecentUnresolvedAlert(routerId, 'high_disk');
+        if (existingAlert) {
+            return null;
+        }
+
+        const severity = diskPercent >= thresholds.diskCritical ? 'critical' : 'warning';
+
+        return this.create({
+            routerId,
+            type: 'high_disk',
+            severity,
+            title: `Disk almost full on ${routerName}`,
+            message: `Disk usage is at ${diskPercent}% (threshold: ${severity === 'critical' ? thresholds.diskCritical : thresholds.diskWarning}%)`,
+        });
+    }
+
+    /**
+     * Create over-temperature alert, or resolve open ones once the board has cooled down
+     */
+    async createHighTemperatureAlert(
+        routerId: string,
+        routerName: string,
+        temperature: number
+    ): Promise<Alert | null> {
+        const thresholds = await this.getThresholds(routerId);
+
+        if (!thresholds.alertsEnabled || !thresholds.temperatureAlerts) {
+            return null;
+        }
+
+        if (temperature < thresholds.temperatureWarning) {
+            await this.resolveOpenAlerts(routerId, 'high_temperature');
+            return null;
+        }
+
+        const existingAlert = await this.findRecentUnresolvedAlert(routerId, 'high_temperature');
+        if (existingAlert) {
+            return null;
+        }
+
+        const severity = temperature >= thresholds.temperatureCritical ? 'critical' : 'warning';
+
+        return this.create({
+            routerId,
+            type: 'high_temperature',
+            severity,
+            title: `High temperature on ${routerName}`,
+            message: `Board temperature is ${temperature}°C (threshold: ${severity === 'critical' ? thresholds.temperatureCritical : thresholds.temperatureWarning}°C)`,
+        });
+    }
+
+    /**
+     * Create under/over-voltage alert, or resolve open ones once the input voltage is back in range.
+     * A sagging supply voltage is often the first sign of a failing power supply.
+     */
+    async createVoltageAlert(
+        routerId: string,
+        routerName: string,
+        voltage: number
+    ): Promise<Alert | null> {
+        const thresholds = await this.getThresholds(routerId);
+
+        if (!thresholds.alertsEnabled || !thresholds.voltageAlerts) {
+            return null;
+        }
+
+        const isLow = voltage < thresholds.voltageLow;
+        const isHigh = voltage > thresholds.voltageHigh;
+
+        if (!isLow && !isHigh) {
+            await this.resolveOpenAlerts(routerId, 'voltage');
+            return null;
+        }
+
+        const existingAlert = await this.findRecentUnresolvedAlert(routerId, 'voltage');
+        if (existingAlert) {
+            return null;
+        }
+
+        return this.create({
+            routerId,
+            type: 'voltage',
+            severity: 'critical',
+            title: `${isLow ? 'Under' : 'Over'}-voltage on ${routerName}`,
+            message: isLow
+                ? `Input voltage is ${voltage}V (minimum: ${thresholds.voltageLow}V) - check the power supply`
+                : `Input voltage is ${voltage}V (maximum: ${thresholds.voltageHigh}V)`,
+        });
+    }
+
+    /**
+     * Resolve all open alerts of a type for a router (the condition has recovered).
+     * With a subject, only the alerts about that netwatch entry, PPPoE user or interface.
+     */
+    private async resolveOpenAlerts(
+        routerId: string,
+        type: Alert['type'],
+        subject?: AlertSubject
+    ): Promise<number> {
+        const resolved = await db
+            .update(alerts)
+            .set({
+                resolved: true,
+                resolvedAt: new Date(),
+            })
+            .where(and(
+                eq(alerts.routerId, routerId),
+                eq(alerts.type, type),
+                eq(alerts.resolved, false),
+                subject ? eq(alerts.subjectType, subject.subjectType) : undefined,
+                subject ? eq(alerts.subjectId, subject.subjectId) : undefined
+            ))
+            .returning({ id: alerts.id });
+
+        if (resolved.length > 0) {
+            const target = subject ? `${subject.subjectType} ${subject.subjectId}` : `router ${routerId}`;
+            console.log(`[ALERT] Auto-resolved ${resolved.length} ${type} alert(s) for ${target}`);
+        }
+        return resolved.length;
+    }
+
+    /**
+     * Handle a link state change on a monitored interface.
+     * Creates an interface_down alert when the link drops and resolves it when it comes back.
+     * When the link changes state too often within the flap window, a single flap alert is
+     * raised instead and the individual down/up alerts are suppressed until it settles.
+     */
+    async handleInterfaceLinkChange(
+        routerId: string,
+        routerName: string,
+        iface: { id: string; name: string; comment?: string | null },
+        running: boolean
+    ): Promise<Alert | null> {
+        const thresholds = await this.getThresholds(routerId);
+
+        if (!thresholds.alertsEnabled || !thresholds.interfaceAlerts) {
+            return null;
+        }
+
+        const label = iface.comment ? `${iface.name} (${iface.comment})` : iface.name;
+        const marker = `Interface "${iface.name}"`;
+        const subject = {
+            subjectType: 'interface' as const,
+            subjectId: iface.id,
+            subjectContext: { name: iface.name, comment: iface.comment ?? null },
+        };
+
+        // Track transitions inside the flap window
+        const flapTransitions = await settingsService.getSettingValue<number>('interfaceFlapTransitions', DEFAULT_FLAP_TRANSITIONS);
+        const flapWindowMinutes = await settingsService.getSettingValue<number>('interfaceFlapWindowMinutes', DEFAULT_FLAP_WINDOW_MINUTES);
+        const now = Date.now();
+        const windowStart = now - flapWindowMinutes * 60 * 1000;
+        const transitions = (this.linkTransitions.get(iface.id) || []).filter((t) => t >= windowStart);
+        transitions.push(now);
+        this.linkTransitions.set(iface.id, transitions);
+
+        const openAlerts = await this.findOpenInterfaceAlerts(routerId, iface.id);
+        const openFlapAlert = openAlerts.find((alert) => alert.title.includes('is flapping'));
+
+        if (transitions.length >= flapTransitions) {
+            if (openFlapAlert) {
+                return null;
+            }
+
+            return this.create({
+                routerId,
+                type: 'interface_down',
+                severity: 'warning',
+                title: `Interface ${label} is flapping on ${routerName}`,
+                message: `${marker} changed state ${transitions.length} times in the last ${flapWindowMinutes} minutes (currently ${running ? 'up' : 'down'})`,
+                ...subject,
+            });
+        }
+
+        if (!running) {
+            // A flap alert is still open - don't page again for every drop
+            if (openFlapAlert || openAlerts.length > 0) {
+                return null;
+            }
+
+            return this.create({
+                routerId,
+                type: 'interface_down',
+                severity: 'critical',
+                title: `Interface ${label} is down on ${routerName}`,
+                message: `${marker} on ${routerName} lost link`,
+                ...subject,
+            });
+        }
+
+        // Link is back up: resolve the down (and settled flap) alerts for this interface
+        for (const alert of openAlerts) {
+            await this.resolve(alert.id);
+        }
+
+        if (openAlerts.length === 0 || openFlapAlert) {
+            return null;
+        }
+
+        return this.create({
+            routerId,
+            type: 'status_change',
+            severity: 'info',
+            title: `Interface ${label} is back up on ${routerName}`,
+            message: `${marker} on ${routerName} has link again. Resolved ${openAlerts.length} interface alert(s).`,
+            ...subject,
+        });
+    }
+
+    /**
+     * Resolve a flap alert once the interface has been stable (and up) for a full flap window.
+     * Called on every sync for monitored interfaces whose link state did not change.
+     */
+    async settleInterfaceFlap(
+        routerId: string,
+        iface: { id: string; name: string },
+        running: boolean
+    ): Promise<void> {
+        const transitions = this.linkTransitions.get(iface.id);
+        if (!transitions) return;
+
+        const flapWindowMinutes = await settingsService.getSettingValue<number>('interfaceFlapWindowMinutes', DEFAULT_FLAP_WINDOW_MINUTES);
+        const windowStart = Date.now() - flapWindowMinutes * 60 * 1000;
+        if (transitions.some((t) => t >= windowStart)) return;
+
+        this.linkTransitions.delete(iface.id);
+        if (!running) return;
+
+        const openAlerts = await this.findOpenInterfaceAlerts(routerId, iface.id);
+        for (const alert of openAlerts) {
+            await this.resolve(alert.id);
+        }
+    }
+
+    /**
+     * Unresolved interface_down (and flap) alerts for one interface of a router
+     */
+    private async findOpenInterfaceAlerts(routerId: string, interfaceId: string): Promise<Alert[]> {
+        return db
+            .select()
+            .from(alerts)
+            .where(and(
+                eq(alerts.routerId, routerId),
+                eq(alerts.type, 'interface_down'),
+                eq(alerts.subjectType, 'interface'),
+                eq(alerts.subjectId, interfaceId),
+                eq(alerts.resolved, false)
+            ));
+    }
+
+    /**
+     * Create reboot alert after the router's uptime went backwards between two polls.
+     * Reboots requested through POST /api/routers/:id/reboot shortly before are tagged as
+     * planned and linked to the audit log entry of the user who triggered them.
+     */
+    async createRebootAlert(
+        routerId: string,
+        routerName: string,
+        previousUptime: number,
+        currentUptime: number
+    ): Promise<Alert | null> {
+        const thresholds = await this.getThresholds(routerId);
+
+        if (!thresholds.alertsEnabled || !thresholds.rebootAlerts) {
+            return null;
+        }
+
+        // Only a reboot the router accepted counts; failed requests are logged too
+        const rebootedAt = new Date(Date.now() - currentUptime * 1000);
+        const rebootRequest = await settingsService.findLatestAuditLog(
+            'reboot',
+            'router',
+            routerId,
+            new Date(rebootedAt.getTime() - PLANNED_REBOOT_WINDOW_MINUTES * 60 * 1000),
+            { success: true }
+        );
+        const planned = !!rebootRequest;
+
+        const uptimeInfo = `Uptime dropped from ${this.formatDuration(previousUptime)} to ${this.formatDuration(currentUptime)}, estimated reboot at ${rebootedAt.toISOString()}.`;
+
+        return this.create({
+            routerId,
+            type: 'reboot',
+            severity: planned ? 'info' : 'warning',
+            title: planned ? `Planned reboot of ${routerName}` : `Router ${routerName} rebooted`,
+            message: planned
+                ? `${uptimeInfo} Reboot requested by ${rebootRequest!.userName || 'a user'}.`
+                : `${uptimeInfo} The reboot was not requested from this app.`,
+            planned,
+            auditLogId: planned ? rebootRequest!.id : undefined,
+        });
+    }
+
     /**
      * Check router metrics and create alerts if thresholds are exceeded
+     * (router/group threshold profiles take precedence over the global values).
+     * Disk, temperature and voltage alerts resolve themselves when the value recovers.
      */
     async checkAndCreateMetricAlerts(
         routerId: string,
         routerName: string,
         cpuLoad?: number,
         totalMemory?: number,
-        usedMemory?: number
-    ): Promise<{ cpuAlert: Alert | null; memoryAlert: Alert | null }> {
+        usedMemory?: number,
+        health: {
+            totalDisk?: number;
+            usedDisk?: number;
+            temperature?: number;
+            voltage?: number;
+        } = {}
+    ): Promise<{
+        cpuAlert: Alert | null;
+        memoryAlert: Alert | null;
+        diskAlert: Alert | null;
+        temperatureAlert: Alert | null;
+        voltageAlert: Alert | null;
+    }> {
         let cpuAlert: Alert | null = null;
         let memoryAlert: Alert | null = null;
+        let diskAlert: Alert | null = null;
+        let temperatureAlert: Alert | null = null;
+        let voltageAlert: Alert | null = null;
 
         // Check CPU
         if (cpuLoad !== undefined && cpuLoad !== null) {
@@ -933,7 +1799,23 @@ export class AlertService {
             memoryAlert = await this.createHighMemoryAlert(routerId, routerName, memoryPercent);
         }
 
-        return { cpuAlert, memoryAlert };
+        // Check Disk
+        if (health.totalDisk && health.usedDisk !== undefined && health.usedDisk !== null) {
+            const diskPercent = Math.round((health.usedDisk / health.totalDisk) * 100);
+            diskAlert = await this.createHighDiskAlert(routerId, routerName, diskPercent);
+        }
+
+        // Check board temperature (not every board has a sensor)
+        if (health.temperature !== undefined && health.temperature !== null) {
+            temperatureAlert = await this.createHighTemperatureAlert(routerId, routerName, health.temperature);
+        }
+
+        // Check input voltage (not every board reports it)
+        if (health.voltage !== undefined && health.voltage !== null && health.voltage > 0) {
+            voltageAlert = await this.createVoltageAlert(routerId, routerName, health.voltage);
+        }
+
+        return { cpuAlert, memoryAlert, diskAlert, temperatureAlert, voltageAlert };
     }
 
     /**
@@ -977,6 +1859,9 @@ export class AlertService {
             severity: 'info',
             title: `PPPoE: ${username} connected`,
             message: `User ${username} connected to ${routerName}. IP: ${ipAddress}`,
+            subjectType: 'pppoe',
+            subjectId: username,
+            subjectContext: { username, address: ipAddress },
         });
     }
 
@@ -988,7 +1873,8 @@ export class AlertService {
         routerName: string,
         username: string,
         ipAddress: string,
-        sessionDurationSeconds: number
+        sessionDurationSeconds: number,
+        connectedToId?: string | null
     ): Promise<Alert | null> {
         const thresholds = await this.getThresholds();
 
@@ -999,39 +1885,134 @@ export class AlertService {
 
         const duration = this.formatDuration(sessionDurationSeconds);
 
+        // A subscriber behind a failed OLT/ODP is a symptom of that outage
+        let rootAlert: Alert | undefined;
+        if (connectedToId) {
+            const nodes = await topologyService.getNetwatchNodes(routerId);
+            const rootCause = topologyService.findRootCause(nodes, connectedToId, true);
+            if (rootCause) {
+                rootAlert = await this.findOpenNetwatchAlert(routerId, rootCause.id);
+            }
+        }
+
         return this.create({
             routerId,
             type: 'pppoe_disconnect',
             severity: 'warning',
             title: `PPPoE: ${username} disconnected`,
             message: `User ${username} disconnected from ${routerName}. IP: ${ipAddress}. Session duration: ${duration}`,
+            parentAlertId: rootAlert?.id ?? null,
+            suppressed: !!rootAlert,
+            subjectType: 'pppoe',
+            subjectId: username,
+            subjectContext: { username, address: ipAddress, sessionDurationSeconds },
         });
     }
 
     /**
-     * Create performance alert (high latency or packet loss)
+     * Resolve latency/packet loss thresholds for netwatch entries.
+     * Order: netwatch entry override -> device type thresholds -> router/group profile -> global.
+     */
+    async getNetwatchThresholds(
+        routerId: string,
+        entries: RouterNetwatch[]
+    ): Promise<Map<string, NetwatchPerformanceThresholds>> {
+        const base = await this.getThresholds(routerId);
+        const deviceTypes = await settingsService.getSettingValue<Partial<Record<NetwatchDeviceType, Partial<NetwatchPerformanceThresholds>>>>(
+            'netwatchDeviceTypeThresholds',
+            {}
+        );
+        const defaultBreaches = await settingsService.getSettingValue<number>('netwatchConsecutiveBreaches', DEFAULT_CONSECUTIVE_BREACHES);
+
+        const result = new Map<string, NetwatchPerformanceThresholds>();
+        for (const entry of entries) {
+            const typeThresholds = deviceTypes?.[(entry.deviceType || 'client') as NetwatchDeviceType] || {};
+
+            result.set(entry.id, {
+                latencyWarning: entry.latencyThreshold ?? typeThresholds.latencyWarning ?? base.latencyWarning,
+                packetLossWarning: entry.packetLossThreshold ?? typeThresholds.packetLossWarning ?? base.packetLossWarning,
+                consecutiveBreaches: Math.max(1, entry.consecutiveBreaches ?? typeThresholds.consecutiveBreaches ?? defaultBreaches),
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Count a latency/packet loss sample against the entry's thresholds and create a
+     * performance alert once the breach has lasted the configured number of samples
+     */
+    async checkNetwatchPerformance(
+        routerId: string,
+        routerName: string,
+        entry: RouterNetwatch,
+        latency: number,
+        packetLoss: number,
+        limits: NetwatchPerformanceThresholds
+    ): Promise<Alert | null> {
+        const isBreach = latency > limits.latencyWarning || packetLoss > limits.packetLossWarning;
+
+        if (!isBreach) {
+            this.performanceBreaches.delete(entry.id);
+            return null;
+        }
+
+        const breaches = (this.performanceBreaches.get(entry.id) || 0) + 1;
+        this.performanceBreaches.set(entry.id, breaches);
+
+        if (breaches < limits.consecutiveBreaches) {
+            return null;
+        }
+
+        return this.createPerformanceAlert(
+            routerId,
+            routerName,
+            entry,
+            entry.name || entry.host,
+            latency,
+            packetLoss,
+            limits
+        );
+    }
+
+    /**
+     * Forget the breach streak of a netwatch entry (e.g. when the ping failed outright)
+     */
+    resetNetwatchBreaches(netwatchId: string): void {
+        this.performanceBreaches.delete(netwatchId);
+    }
+
+    /**
+     * Create performance alert (high latency or packet loss above the router's thresholds)
      */
     async createPerformanceAlert(
         routerId: string,
         routerName: string,
-        host: string,
+        netwatch: NetwatchSubject,
         deviceName: string,
         latency: number,
-        packetLoss: number
+        packetLoss: number,
+        limits?: Pick<NetwatchPerformanceThresholds, 'latencyWarning' | 'packetLossWarning'>
     ): Promise<Alert | null> {
-        const thresholds = await this.getThresholds();
+        const routerThresholds = await this.getThresholds(routerId);
+
+        if (!routerThresholds.alertsEnabled) return null;
+
+        // Netwatch-level limits (device type / entry overrides) win over the router's thresholds
+        const thresholds = limits || routerThresholds;
 
-        if (!thresholds.alertsEnabled) return null;
+        const { host } = netwatch;
+        const subject = this.netwatchSubject(netwatch, deviceName);
 
         // Use 'threshold' type for now as planned
         // Deduplicate: check if we already alerted about this host recently
-        const existing = await this.findRecentUnresolvedAlert(routerId, 'threshold');
-        if (existing && existing.message.includes(host)) {
+        const existing = await this.findRecentUnresolvedAlert(routerId, 'threshold', subject);
+        if (existing) {
             return null;
         }
 
-        const isHighLatency = latency > 100;
-        const isPacketLoss = packetLoss > 0;
+        const isHighLatency = latency > thresholds.latencyWarning;
+        const isPacketLoss = packetLoss > thresholds.packetLossWarning;
 
         // Don't alert if checks pass (should be handled by caller but safe to check)
         if (!isHighLatency && !isPacketLoss) return null;
@@ -1039,8 +2020,8 @@ export class AlertService {
         let title = `Performance Issue: ${deviceName}`;
         let message = `Host ${host} (${deviceName}) has issues:`;
 
-        if (isHighLatency) message += ` Latency ${latency}ms (>100ms).`;
-        if (isPacketLoss) message += ` Packet Loss ${packetLoss}%.`;
+        if (isHighLatency) message += ` Latency ${latency}ms (>${thresholds.latencyWarning}ms).`;
+        if (isPacketLoss) message += ` Packet Loss ${packetLoss}% (>${thresholds.packetLossWarning}%).`;
 
         return this.create({
             routerId,
@@ -1048,6 +2029,7 @@ export class AlertService {
             severity: 'warning',
             title,
             message,
+            ...subject,
         });
     }
 }
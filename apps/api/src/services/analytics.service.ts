@@ -1,6 +1,9 @@
 import { db } from '../db/index.js';
-import { alerts, routers, routerMetrics, routerNetwatch, auditLogs, userRouters, pppoeSessions } from '../db/schema/index.js';
+import { alerts, routers, routerMetrics, routerMetricsRollup, routerNetwatch, auditLogs, userRouters, pppoeSessions, pppoeSessionEvents, pppSecrets } from '../db/schema/index.js';
 import { sql, eq, and, gte, lte, desc, count, avg, inArray, notInArray } from 'drizzle-orm';
+import { metricsRetentionService } from './metrics-retention.service.js';
+import { settingsService } from './settings.service.js';
+import { startOfLocal } from '../lib/time-utils.js';
 
 export interface DateRange {
     startDate: Date;
@@ -56,6 +59,19 @@ export interface AuditLogEntry {
     createdAt: Date;
 }
 
+export interface InactivePppoeSubscriber {
+    routerId: string;
+    routerName: string | null;
+    name: string;
+    profile: string | null;
+    disabled: boolean;
+    remoteAddress: string | null;
+    comment: string | null;
+    status: 'never_connected' | 'inactive';
+    lastSeen: Date | null;
+    trackedSince: Date; // When the secret was first synced; "never connected" only covers the time since
+}
+
 class AnalyticsService {
     /**
      * Get default date range (last 30 days)
@@ -327,7 +343,8 @@ class AnalyticsService {
     }
 
     /**
-     * Get performance trends (CPU/Memory average by hour)
+     * Get performance trends (CPU/Memory average by hour, or by day for long ranges).
+     * Reads raw metrics while they are retained, otherwise the hourly/daily rollups.
      */
     async getPerformanceTrends(dateRange?: DateRange, routerId?: string, userId?: string, userRole?: string): Promise<PerformanceData[]> {
         const range = dateRange || this.getDefaultDateRange();
@@ -338,15 +355,50 @@ class AnalyticsService {
             if (allowedIds.length === 0) return [];
         }
 
+        if (routerId && userRole !== 'admin' && !allowedIds.includes(routerId)) {
+            throw new Error('Access denied to this router');
+        }
+
+        const tier = await metricsRetentionService.getTierForRange(range.startDate, range.endDate);
+
+        if (tier !== 'raw') {
+            const conditions: any[] = [
+                eq(routerMetricsRollup.resolution, tier),
+                gte(routerMetricsRollup.bucketStart, await this.startOfBucket(range.startDate, tier === '1d' ? 'day' : 'hour')),
+                lte(routerMetricsRollup.bucketStart, range.endDate),
+            ];
+
+            if (routerId) {
+                conditions.push(eq(routerMetricsRollup.routerId, routerId));
+            } else if (userRole !== 'admin') {
+                conditions.push(inArray(routerMetricsRollup.routerId, allowedIds));
+            }
+
+            // Weight each bucket by its sample count when averaging across routers
+            const results = await db
+                .select({
+                    timestamp: sql<string>`${routerMetricsRollup.bucketStart}`,
+                    avgCpu: sql<number>`SUM(${routerMetricsRollup.avgCpu} * ${routerMetricsRollup.sampleCount}) / NULLIF(SUM(CASE WHEN ${routerMetricsRollup.avgCpu} IS NOT NULL THEN ${routerMetricsRollup.sampleCount} END), 0)`,
+                    avgMemory: sql<number>`SUM(COALESCE(${routerMetricsRollup.avgMemoryPercent}, 0) * ${routerMetricsRollup.sampleCount}) / NULLIF(SUM(${routerMetricsRollup.sampleCount}), 0)`,
+                })
+                .from(routerMetricsRollup)
+                .where(and(...conditions))
+                .groupBy(routerMetricsRollup.bucketStart)
+                .orderBy(routerMetricsRollup.bucketStart);
+
+            return results.map(r => ({
+                timestamp: String(r.timestamp),
+                avgCpu: Math.round((Number(r.avgCpu) || 0) * 10) / 10,
+                avgMemory: Math.round((Number(r.avgMemory) || 0) * 10) / 10,
+            }));
+        }
+
         const conditions: any[] = [
             gte(routerMetrics.recordedAt, range.startDate),
             lte(routerMetrics.recordedAt, range.endDate),
         ];
 
         if (routerId) {
-            if (userRole !== 'admin' && !allowedIds.includes(routerId)) {
-                throw new Error('Access denied to this router');
-            }
             conditions.push(eq(routerMetrics.routerId, routerId));
         } else if (userRole !== 'admin') {
             conditions.push(inArray(routerMetrics.routerId, allowedIds));
@@ -372,6 +424,15 @@ class AnalyticsService {
         }));
     }
 
+    /**
+     * Start of the rollup bucket a date falls in (buckets are keyed by their start
+     * and follow the app timezone)
+     */
+    private async startOfBucket(date: Date, unit: 'hour' | 'day'): Promise<Date> {
+        const timezone = await settingsService.getSettingValue<string>('timezone', 'Asia/Jakarta');
+        return startOfLocal(date, unit, timezone);
+    }
+
     /**
      * Get audit logs with pagination
      */
@@ -482,6 +543,7 @@ class AnalyticsService {
 
         const conditions: any[] = [
             eq(alerts.type, 'netwatch_down'),
+            eq(alerts.subjectType, 'netwatch'),
             gte(alerts.createdAt, range.startDate),
             lte(alerts.createdAt, range.endDate),
         ];
@@ -495,37 +557,43 @@ class AnalyticsService {
             conditions.push(inArray(alerts.routerId, allowedIds));
         }
 
-        // Get netwatch down alerts grouped by host
+        // Get netwatch down alerts grouped by netwatch entry
         const results = await db
             .select({
-                host: sql<string>`SUBSTRING(${alerts.message} FROM '(\\d{1,3}\\.\\d{1,3}\\.\\d{1,3}\\.\\d{1,3})')`.as('host'),
+                netwatchId: alerts.subjectId,
+                // Host/name the alerts were raised with, for entries deleted since
+                host: sql<string | null>`MAX(${alerts.subjectContext}->>'host')`,
+                name: sql<string | null>`MAX(${alerts.subjectContext}->>'name')`,
                 incidents: count(),
             })
             .from(alerts)
             .where(and(...conditions))
-            .groupBy(sql`SUBSTRING(${alerts.message} FROM '(\\d{1,3}\\.\\d{1,3}\\.\\d{1,3}\\.\\d{1,3})')`)
+            .groupBy(alerts.subjectId)
             .orderBy(desc(count()))
             .limit(limit);
 
-        // Get device names
-        const devicesWithNames = await Promise.all(
-            results.map(async (r) => {
-                if (!r.host) return null;
-                const [device] = await db
-                    .select({ name: routerNetwatch.name })
-                    .from(routerNetwatch)
-                    .where(eq(routerNetwatch.host, r.host))
-                    .limit(1);
+        if (results.length === 0) return [];
+
+        // Get current device names
+        const devices = await db
+            .select({ id: routerNetwatch.id, name: routerNetwatch.name, host: routerNetwatch.host })
+            .from(routerNetwatch)
+            .where(inArray(routerNetwatch.id, results.map((r) => r.netwatchId)));
+        const deviceMap = new Map(devices.map((device) => [device.id, device]));
+
+        return results
+            .map((r) => {
+                const device = deviceMap.get(r.netwatchId);
+                const host = device?.host || r.host;
+                if (!host) return null;
 
                 return {
-                    name: device?.name || r.host,
-                    host: r.host,
+                    name: device?.name || r.name || host,
+                    host,
                     incidents: Number(r.incidents) || 0,
                 };
             })
-        );
-
-        return devicesWithNames.filter((d): d is NonNullable<typeof d> => d !== null);
+            .filter((d): d is NonNullable<typeof d> => d !== null);
     }
 
     /**
@@ -706,6 +774,68 @@ class AnalyticsService {
 
         return withRouterNames.slice(0, 10); // Limit to 10
     }
+
+    /**
+     * Get PPP secrets that have not been online for `days` days or were never seen online.
+     * Last seen comes from the tracked session and the connection log, so it only reaches back to
+     * when monitoring started.
+     */
+    async getInactivePppoeSubscribers(days: number = 30, routerId?: string, userId?: string, userRole?: string): Promise<InactivePppoeSubscriber[]> {
+        let allowedIds: string[] = [];
+        if (userId && userRole && userRole !== 'admin') {
+            allowedIds = await this.getAllowedRouterIds(userId, userRole);
+            if (allowedIds.length === 0) return [];
+        }
+
+        const conditions: any[] = [];
+        if (routerId) {
+            if (userRole !== 'admin' && !allowedIds.includes(routerId)) {
+                throw new Error('Access denied to this router');
+            }
+            conditions.push(eq(pppSecrets.routerId, routerId));
+        } else if (userRole !== 'admin') {
+            conditions.push(inArray(pppSecrets.routerId, allowedIds));
+        }
+
+        const cutoff = new Date();
+        cutoff.setDate(cutoff.getDate() - days);
+
+        // GREATEST skips NULLs: either source alone is enough
+        const lastSeen = sql<Date | null>`GREATEST(${pppoeSessions.lastSeen}, (
+            SELECT MAX(${pppoeSessionEvents.createdAt}) FROM ${pppoeSessionEvents}
+            WHERE ${pppoeSessionEvents.routerId} = ${pppSecrets.routerId} AND ${pppoeSessionEvents.name} = ${pppSecrets.name}
+        ))`.mapWith(pppoeSessions.lastSeen);
+
+        const rows = await db
+            .select({
+                routerId: pppSecrets.routerId,
+                routerName: routers.name,
+                name: pppSecrets.name,
+                profile: pppSecrets.profile,
+                disabled: pppSecrets.disabled,
+                remoteAddress: pppSecrets.remoteAddress,
+                comment: pppSecrets.comment,
+                trackedSince: pppSecrets.createdAt,
+                sessionStatus: pppoeSessions.status,
+                lastSeen,
+            })
+            .from(pppSecrets)
+            .leftJoin(routers, eq(pppSecrets.routerId, routers.id))
+            .leftJoin(pppoeSessions, and(
+                eq(pppoeSessions.routerId, pppSecrets.routerId),
+                eq(pppoeSessions.name, pppSecrets.name)
+            ))
+            .where(and(...conditions));
+
+        return rows
+            .filter(r => r.sessionStatus !== 'active' && (!r.lastSeen || r.lastSeen < cutoff))
+            .map(({ sessionStatus, ...r }) => ({
+                ...r,
+                status: r.lastSeen ? 'inactive' as const : 'never_connected' as const,
+            }))
+            // Never connected first, then the longest gone
+            .sort((a, b) => (a.lastSeen?.getTime() ?? 0) - (b.lastSeen?.getTime() ?? 0));
+    }
     /**
      * Get issues analysis (frequent issues)
      */
@@ -787,32 +917,64 @@ class AnalyticsService {
             if (allowedIds.length === 0) return [];
         }
 
-        const conditions: any[] = [
-            gte(routerMetrics.recordedAt, range.startDate),
-            lte(routerMetrics.recordedAt, range.endDate),
-        ];
+        if (routerId && userRole !== 'admin' && !allowedIds.includes(routerId)) {
+            throw new Error('Access denied to this router');
+        }
 
-        if (routerId) {
-            if (userRole !== 'admin' && !allowedIds.includes(routerId)) {
-                throw new Error('Access denied to this router');
+        // Hour-of-day analysis needs at least hourly resolution, so never read the daily tier
+        const tier = await metricsRetentionService.getTierForRange(range.startDate, range.endDate);
+
+        let results: { routerId: string; hour: number; avgCpu: string | number | null; peakCount: number }[];
+
+        if (tier !== 'raw') {
+            const conditions: any[] = [
+                eq(routerMetricsRollup.resolution, '1h'),
+                gte(routerMetricsRollup.bucketStart, await this.startOfBucket(range.startDate, 'hour')),
+                lte(routerMetricsRollup.bucketStart, range.endDate),
+            ];
+
+            if (routerId) {
+                conditions.push(eq(routerMetricsRollup.routerId, routerId));
+            } else if (userRole !== 'admin') {
+                conditions.push(inArray(routerMetricsRollup.routerId, allowedIds));
             }
-            conditions.push(eq(routerMetrics.routerId, routerId));
-        } else if (userRole !== 'admin') {
-            conditions.push(inArray(routerMetrics.routerId, allowedIds));
-        }
 
-        // Group by router and hour, count peaks (CPU > 90%)
-        const results = await db
-            .select({
-                routerId: routerMetrics.routerId,
-                hour: sql<number>`EXTRACT(HOUR FROM ${routerMetrics.recordedAt})`.as('hour'),
-                avgCpu: avg(routerMetrics.cpuLoad),
-                peakCount: sql<number>`SUM(CASE WHEN ${routerMetrics.cpuLoad} > 90 THEN 1 ELSE 0 END)`,
-            })
-            .from(routerMetrics)
-            .where(and(...conditions))
-            .groupBy(routerMetrics.routerId, sql`EXTRACT(HOUR FROM ${routerMetrics.recordedAt})`)
-            .orderBy(desc(sql`SUM(CASE WHEN ${routerMetrics.cpuLoad} > 90 THEN 1 ELSE 0 END)`));
+            results = await db
+                .select({
+                    routerId: routerMetricsRollup.routerId,
+                    hour: sql<number>`EXTRACT(HOUR FROM ${routerMetricsRollup.bucketStart})`.as('hour'),
+                    avgCpu: sql<number>`SUM(${routerMetricsRollup.avgCpu} * ${routerMetricsRollup.sampleCount}) / NULLIF(SUM(CASE WHEN ${routerMetricsRollup.avgCpu} IS NOT NULL THEN ${routerMetricsRollup.sampleCount} END), 0)`,
+                    peakCount: sql<number>`SUM(${routerMetricsRollup.cpuPeakSamples})`,
+                })
+                .from(routerMetricsRollup)
+                .where(and(...conditions))
+                .groupBy(routerMetricsRollup.routerId, sql`EXTRACT(HOUR FROM ${routerMetricsRollup.bucketStart})`)
+                .orderBy(desc(sql`SUM(${routerMetricsRollup.cpuPeakSamples})`));
+        } else {
+            const conditions: any[] = [
+                gte(routerMetrics.recordedAt, range.startDate),
+                lte(routerMetrics.recordedAt, range.endDate),
+            ];
+
+            if (routerId) {
+                conditions.push(eq(routerMetrics.routerId, routerId));
+            } else if (userRole !== 'admin') {
+                conditions.push(inArray(routerMetrics.routerId, allowedIds));
+            }
+
+            // Group by router and hour, count peaks (CPU > 90%)
+            results = await db
+                .select({
+                    routerId: routerMetrics.routerId,
+                    hour: sql<number>`EXTRACT(HOUR FROM ${routerMetrics.recordedAt})`.as('hour'),
+                    avgCpu: avg(routerMetrics.cpuLoad),
+                    peakCount: sql<number>`SUM(CASE WHEN ${routerMetrics.cpuLoad} > 90 THEN 1 ELSE 0 END)`,
+                })
+                .from(routerMetrics)
+                .where(and(...conditions))
+                .groupBy(routerMetrics.routerId, sql`EXTRACT(HOUR FROM ${routerMetrics.recordedAt})`)
+                .orderBy(desc(sql`SUM(CASE WHEN ${routerMetrics.cpuLoad} > 90 THEN 1 ELSE 0 END)`));
+        }
 
         // Get router names
         const withNames = await Promise.all(
@@ -869,6 +1031,7 @@ class AnalyticsService {
 
         let query = db
             .select({
+                id: routerNetwatch.id,
                 host: routerNetwatch.host,
                 name: routerNetwatch.name,
                 lastDown: routerNetwatch.lastDown,
@@ -884,9 +1047,10 @@ class AnalyticsService {
 
         const netwatchEntries = await query;
 
-        // Count down incidents from alerts for each host
+        // Count down incidents from alerts for each netwatch entry
         const alertConditions: any[] = [
             eq(alerts.type, 'netwatch_down'),
+            eq(alerts.subjectType, 'netwatch'),
             gte(alerts.createdAt, range.startDate),
             lte(alerts.createdAt, range.endDate),
         ];
@@ -899,20 +1063,20 @@ class AnalyticsService {
 
         const incidentCounts = await db
             .select({
-                host: sql<string>`SUBSTRING(${alerts.message} FROM '(\\d{1,3}\\.\\d{1,3}\\.\\d{1,3}\\.\\d{1,3})')`.as('host'),
+                netwatchId: alerts.subjectId,
                 incidents: count(),
             })
             .from(alerts)
             .where(and(...alertConditions))
-            .groupBy(sql`SUBSTRING(${alerts.message} FROM '(\\d{1,3}\\.\\d{1,3}\\.\\d{1,3}\\.\\d{1,3})')`);
+            .groupBy(alerts.subjectId);
 
-        const incidentMap = new Map(incidentCounts.map(i => [i.host, Number(i.incidents)]));
+        const incidentMap = new Map(incidentCounts.map(i => [i.netwatchId, Number(i.incidents)]));
 
         // Calculate downtime for each entry
         const results: { host: string; name: string; totalDowntimeMinutes: number; incidentCount: number; routerId: string }[] = [];
 
         for (const entry of netwatchEntries) {
-            const incidents = incidentMap.get(entry.host) || 0;
+            const incidents = incidentMap.get(entry.id) || 0;
 
             // Estimate downtime based on incidents (average 30 min per incident) or calculate if we have timestamps
             let downtimeMinutes = incidents * 30; // Default estimation
@@ -1104,6 +1268,7 @@ class AnalyticsService {
 
         let netwatchQuery = db
             .select({
+                id: routerNetwatch.id,
                 host: routerNetwatch.host,
                 name: routerNetwatch.name,
                 latitude: routerNetwatch.latitude,
@@ -1118,9 +1283,10 @@ class AnalyticsService {
 
         const netwatchEntries = await netwatchQuery;
 
-        // Count incidents per host from alerts
+        // Count incidents per netwatch entry from alerts
         const alertConditions: any[] = [
             eq(alerts.type, 'netwatch_down'),
+            eq(alerts.subjectType, 'netwatch'),
             gte(alerts.createdAt, range.startDate),
             lte(alerts.createdAt, range.endDate),
         ];
@@ -1133,20 +1299,20 @@ class AnalyticsService {
 
         const incidentCounts = await db
             .select({
-                host: sql<string>`SUBSTRING(${alerts.message} FROM '(\\d{1,3}\\.\\d{1,3}\\.\\d{1,3}\\.\\d{1,3})')`.as('host'),
+                netwatchId: alerts.subjectId,
                 incidents: count(),
             })
             .from(alerts)
             .where(and(...alertConditions))
-            .groupBy(sql`SUBSTRING(${alerts.message} FROM '(\\d{1,3}\\.\\d{1,3}\\.\\d{1,3}\\.\\d{1,3})')`);
+            .groupBy(alerts.subjectId);
 
-        const incidentMap = new Map(incidentCounts.map(i => [i.host, Number(i.incidents)]));
+        const incidentMap = new Map(incidentCounts.map(i => [i.netwatchId, Number(i.incidents)]));
 
         // Build heatmap data (only entries with coordinates and incidents)
         const heatmapData: Map<string, { lat: number; lng: number; incidentCount: number; deviceNames: string[]; routerId: string }> = new Map();
 
         for (const entry of netwatchEntries) {
-            const incidents = incidentMap.get(entry.host) || 0;
+            const incidents = incidentMap.get(entry.id) || 0;
             if (incidents === 0 || !entry.latitude || !entry.longitude) continue;
 
             const lat = parseFloat(entry.latitude as string);
@@ -1,5 +1,6 @@
 import { routerService } from './router.service.js';
 import { alertService } from './alert.service.js';
+import { maintenanceService } from './maintenance.service.js';
 
 interface DashboardStats {
     routers: {
@@ -59,13 +60,13 @@ export class DashboardService {
      * Get map markers for all routers
      */
     async getMapMarkers(): Promise<MapMarker[]> {
-        const routers = await routerService.findAll();
+        const routers = await maintenanceService.annotateRouters(await routerService.findAll());
 
         return routers.map((router) => ({
             id: router.id,
             name: router.name,
             host: router.host,
-            status: router.status,
+            status: router.maintenance ? 'maintenance' : router.status,
             latitude: router.latitude ? parseFloat(router.latitude) : null,
             longitude: router.longitude ? parseFloat(router.longitude) : null,
             location: router.location,
@@ -0,0 +1,176 @@
+import { and, asc, eq, inArray, isNotNull, ne } from 'drizzle-orm';
+import { db } from '../db/index.js';
+import {
+    escalationPolicies,
+    routerGroups,
+    type EscalationPolicy,
+    type NewEscalationPolicy,
+} from '../db/schema/index.js';
+
+export interface EscalationPolicyWithGroups extends EscalationPolicy {
+    routerGroupIds: string[];
+}
+
+// Policies are looked up for every open alert on each escalation check
+const POLICY_CACHE_MS = 60 * 1000;
+
+/**
+ * Escalation Policy Service - per router group escalation levels for unresolved down alerts
+ */
+export class EscalationPolicyService {
+    private policyCache: {
+        policies: Map<string, EscalationPolicy>;
+        // Router group ID -> policy ID
+        groupPolicies: Map<string, string>;
+        defaultPolicy: EscalationPolicy | null;
+        expiresAt: number;
+    } | null = null;
+
+    /**
+     * Get all policies with the router groups they are attached to
+     */
+    async findAll(): Promise<EscalationPolicyWithGroups[]> {
+        const policies = await db.select().from(escalationPolicies).orderBy(asc(escalationPolicies.name));
+        const groups = await db
+            .select({ id: routerGroups.id, escalationPolicyId: routerGroups.escalationPolicyId })
+            .from(routerGroups)
+            .where(isNotNull(routerGroups.escalationPolicyId));
+
+        return policies.map((policy) => ({
+            ...policy,
+            routerGroupIds: groups.filter((group) => group.escalationPolicyId === policy.id).map((group) => group.id),
+        }));
+    }
+
+    /**
+     * Get policy by ID
+     */
+    async findById(id: string): Promise<EscalationPolicy | undefined> {
+        const [policy] = await db.select().from(escalationPolicies).where(eq(escalationPolicies.id, id));
+        return policy;
+    }
+
+    /**
+     * Create a policy and attach it to router groups
+     */
+    async create(data: NewEscalationPolicy, routerGroupIds: string[] = []): Promise<EscalationPolicy> {
+        const policy = await db.transaction(async (tx) => {
+            const [created] = await tx.insert(escalationPolicies).values(this.normalize(data)).returning();
+
+            if (created.isDefault) {
+                await tx
+                    .update(escalationPolicies)
+                    .set({ isDefault: false, updatedAt: new Date() })
+                    .where(and(eq(escalationPolicies.isDefault, true), ne(escalationPolicies.id, created.id)));
+            }
+            if (routerGroupIds.length > 0) {
+                await tx
+                    .update(routerGroups)
+                    .set({ escalationPolicyId: created.id, updatedAt: new Date() })
+                    .where(inArray(routerGroups.id, routerGroupIds));
+            }
+
+            return created;
+        });
+
+        this.policyCache = null;
+        return policy;
+    }
+
+    /**
+     * Update a policy. When `routerGroupIds` is given it replaces the groups the policy is attached to.
+     */
+    async update(
+        id: string,
+        data: Partial<NewEscalationPolicy>,
+        routerGroupIds?: string[]
+    ): Promise<EscalationPolicy | undefined> {
+        const policy = await db.transaction(async (tx) => {
+            const [updated] = await tx
+                .update(escalationPolicies)
+                .set({ ...this.normalize(data), updatedAt: new Date() })
+                .where(eq(escalationPolicies.id, id))
+                .returning();
+
+            if (!updated) return undefined;
+
+            if (updated.isDefault) {
+                await tx
+                    .update(escalationPolicies)
+                    .set({ isDefault: false, updatedAt: new Date() })
+                    .where(and(eq(escalationPolicies.isDefault, true), ne(escalationPolicies.id, id)));
+            }
+            if (routerGroupIds) {
+                await tx
+                    .update(routerGroups)
+                    .set({ escalationPolicyId: null, updatedAt: new Date() })
+                    .where(eq(routerGroups.escalationPolicyId, id));
+                if (routerGroupIds.length > 0) {
+                    await tx
+                        .update(routerGroups)
+                        .set({ escalationPolicyId: id, updatedAt: new Date() })
+                        .where(inArray(routerGroups.id, routerGroupIds));
+                }
+            }
+
+            return updated;
+        });
+
+        this.policyCache = null;
+        return policy;
+    }
+
+    /**
+     * Delete a policy; its router groups fall back to the default policy
+     */
+    async delete(id: string): Promise<boolean> {
+        const result = await db.delete(escalationPolicies).where(eq(escalationPolicies.id, id)).returning();
+        this.policyCache = null;
+        return result.length > 0;
+    }
+
+    /**
+     * Policy that applies to a router: its group's policy, else the default policy
+     */
+    async getPolicyForRouterGroup(groupId: string | null): Promise<EscalationPolicy | null> {
+        const cache = await this.getCache();
+        const policyId = groupId ? cache.groupPolicies.get(groupId) : undefined;
+        return (policyId && cache.policies.get(policyId)) || cache.defaultPolicy;
+    }
+
+    /**
+     * Drop the cached group -> policy mapping (router groups changed)
+     */
+    invalidateCache(): void {
+        this.policyCache = null;
+    }
+
+    // Levels are evaluated in order, so keep them sorted by delay
+    private normalize<T extends Partial<NewEscalationPolicy>>(data: T): T {
+        if (!data.levels) return data;
+        return { ...data, levels: [...data.levels].sort((a, b) => a.afterMinutes - b.afterMinutes) };
+    }
+
+    private async getCache() {
+        if (this.policyCache && this.policyCache.expiresAt > Date.now()) {
+            return this.policyCache;
+        }
+
+        const policies = await db.select().from(escalationPolicies);
+        const groups = await db
+            .select({ id: routerGroups.id, escalationPolicyId: routerGroups.escalationPolicyId })
+            .from(routerGroups)
+            .where(isNotNull(routerGroups.escalationPolicyId));
+
+        this.policyCache = {
+            policies: new Map(policies.map((policy) => [policy.id, policy])),
+            groupPolicies: new Map(groups.map((group) => [group.id, group.escalationPolicyId!])),
+            defaultPolicy: policies.find((policy) => policy.isDefault) || null,
+            expiresAt: Date.now() + POLICY_CACHE_MS,
+        };
+        return this.policyCache;
+    }
+}
+
+// Export singleton instance
+export const escalationPolicyService = new EscalationPolicyService();
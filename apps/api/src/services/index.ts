@@ -5,3 +5,16 @@ export * from './alert.service.js';
 export * from './settings.service.js';
 export * from './dashboard.service.js';
 export * from './pppoe.service.js';
+export * from './netwatch-metrics.service.js';
+export * from './interface-metrics.service.js';
+export * from './metrics-retention.service.js';
+export * from './threshold-profile.service.js';
+export * from './maintenance.service.js';
+export * from './topology.service.js';
+export * from './notification-delivery.service.js';
+export * from './notification-rule.service.js';
+export * from './notification-queue.service.js';
+export * from './escalation-policy.service.js';
+export * from './telegram-bot.service.js';
+export * from './alert-activity.service.js';
+export * from './pppoe-usage.service.js';
@@ -0,0 +1,160 @@
+import { eq, and, gte, lt, sql } from 'drizzle-orm';
+import { db } from '../db/index.js';
+import {
+    routerInterfaces,
+    interfaceSamples,
+    type NewInterfaceSample,
+} from '../db/schema/index.js';
+import { settingsService } from './settings.service.js';
+
+export type InterfaceHistoryRange = '1h' | '24h' | '7d' | '30d';
+
+export interface InterfaceHistoryPoint {
+    time: string;
+    txAvg: number;
+    rxAvg: number;
+    txMax: number;
+    rxMax: number;
+}
+
+export interface InterfaceHistory {
+    interfaceId: string;
+    interfaceName: string;
+    range: InterfaceHistoryRange;
+    bucketSeconds: number;
+    points: InterfaceHistoryPoint[];
+    percentile95: { tx: number; rx: number };
+    peak: { tx: number; rx: number };
+    average: { tx: number; rx: number };
+}
+
+// Range length and downsampling bucket size (keeps charts around 150-360 points)
+const RANGE_CONFIG: Record<InterfaceHistoryRange, { ms: number; bucketSeconds: number }> = {
+    '1h': { ms: 60 * 60 * 1000, bucketSeconds: 0 }, // raw samples
+    '24h': { ms: 24 * 60 * 60 * 1000, bucketSeconds: 5 * 60 },
+    '7d': { ms: 7 * 24 * 60 * 60 * 1000, bucketSeconds: 30 * 60 },
+    '30d': { ms: 30 * 24 * 60 * 60 * 1000, bucketSeconds: 2 * 60 * 60 },
+};
+
+// Keep a little more than the longest chart range by default
+const DEFAULT_RETENTION_DAYS = 35;
+
+/**
+ * Interface Metrics Service - traffic history and 95th percentile per interface
+ */
+export class InterfaceMetricsService {
+    /**
+     * Store the interface rates from one full sync
+     */
+    async recordSamples(samples: NewInterfaceSample[]): Promise<void> {
+        if (samples.length === 0) return;
+
+        try {
+            await db.insert(interfaceSamples).values(samples);
+        } catch (error) {
+            console.error('[INTERFACE] Failed to record traffic history:', error instanceof Error ? error.message : error);
+        }
+    }
+
+    /**
+     * Delete samples older than the retention window
+     */
+    async purgeExpired(): Promise<number> {
+        const days = await settingsService.getSettingValue<number>('interfaceSamplesRetentionDays', DEFAULT_RETENTION_DAYS);
+        const cutoff = new Date(Date.now() - Number(days) * 24 * 60 * 60 * 1000);
+
+        const deleted = await db
+            .delete(interfaceSamples)
+            .where(lt(interfaceSamples.recordedAt, cutoff))
+            .returning({ id: interfaceSamples.id });
+
+        return deleted.length;
+    }
+
+    /**
+     * Get downsampled traffic history for an interface.
+     * The 95th percentile is computed from the raw samples, not the downsampled points.
+     * Returns undefined if the interface doesn't belong to the router.
+     */
+    async getHistory(
+        routerId: string,
+        interfaceId: string,
+        range: InterfaceHistoryRange = '24h'
+    ): Promise<InterfaceHistory | undefined> {
+        const [iface] = await db
+            .select({ id: routerInterfaces.id, name: routerInterfaces.name })
+            .from(routerInterfaces)
+            .where(and(
+                eq(routerInterfaces.id, interfaceId),
+                eq(routerInterfaces.routerId, routerId)
+            ));
+
+        if (!iface) return undefined;
+
+        const { ms, bucketSeconds } = RANGE_CONFIG[range];
+        const from = new Date(Date.now() - ms);
+        const conditions = and(
+            eq(interfaceSamples.interfaceId, interfaceId),
+            gte(interfaceSamples.recordedAt, from)
+        );
+
+        // Interval is inlined (it comes from RANGE_CONFIG) so SELECT and GROUP BY render identically
+        const bucket = bucketSeconds > 0
+            ? sql`date_bin(${sql.raw(`'${bucketSeconds} seconds'`)}::interval, ${interfaceSamples.recordedAt}, TIMESTAMP '2000-01-01')`
+            : sql`${interfaceSamples.recordedAt}`;
+
+        const rows = await db
+            .select({
+                time: sql<Date>`${bucket}`.as('time'),
+                txAvg: sql<number>`AVG(${interfaceSamples.txRate})`,
+                rxAvg: sql<number>`AVG(${interfaceSamples.rxRate})`,
+                txMax: sql<number>`MAX(${interfaceSamples.txRate})`,
+                rxMax: sql<number>`MAX(${interfaceSamples.rxRate})`,
+            })
+            .from(interfaceSamples)
+            .where(conditions)
+            .groupBy(bucket)
+            .orderBy(bucket);
+
+        const [stats] = await db
+            .select({
+                tx95: sql<number>`PERCENTILE_CONT(0.95) WITHIN GROUP (ORDER BY ${interfaceSamples.txRate})`,
+                rx95: sql<number>`PERCENTILE_CONT(0.95) WITHIN GROUP (ORDER BY ${interfaceSamples.rxRate})`,
+                txPeak: sql<number>`MAX(${interfaceSamples.txRate})`,
+                rxPeak: sql<number>`MAX(${interfaceSamples.rxRate})`,
+                txAvg: sql<number>`AVG(${interfaceSamples.txRate})`,
+                rxAvg: sql<number>`AVG(${interfaceSamples.rxRate})`,
+            })
+            .from(interfaceSamples)
+            .where(conditions);
+
+        return {
+            interfaceId: iface.id,
+            interfaceName: iface.name,
+            range,
+            bucketSeconds,
+            points: rows.map((r) => ({
+                time: new Date(r.time).toISOString(),
+                txAvg: Math.round(Number(r.txAvg) || 0),
+                rxAvg: Math.round(Number(r.rxAvg) || 0),
+                txMax: Math.round(Number(r.txMax) || 0),
+                rxMax: Math.round(Number(r.rxMax) || 0),
+            })),
+            percentile95: {
+                tx: Math.round(Number(stats?.tx95) || 0),
+                rx: Math.round(Number(stats?.rx95) || 0),
+            },
+            peak: {
+                tx: Math.round(Number(stats?.txPeak) || 0),
+                rx: Math.round(Number(stats?.rxPeak) || 0),
+            },
+            average: {
+                tx: Math.round(Number(stats?.txAvg) || 0),
+                rx: Math.round(Number(stats?.rxAvg) || 0),
+            },
+        };
+    }
+}
+
+// Export singleton instance
+export const interfaceMetricsService = new InterfaceMetricsService();
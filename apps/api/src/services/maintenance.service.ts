@@ -0,0 +1,215 @@
+import { eq, desc } from 'drizzle-orm';
+import { db } from '../db/index.js';
+import {
+    maintenanceWindows,
+    routers,
+    routerGroups,
+    type Alert,
+    type MaintenanceWindow,
+    type NewMaintenanceWindow,
+} from '../db/schema/index.js';
+import { settingsService } from './settings.service.js';
+import { getLocalTime } from '../lib/time-utils.js';
+
+export interface MaintenanceWindowWithStatus extends MaintenanceWindow {
+    routerName: string | null;
+    groupName: string | null;
+    active: boolean;
+}
+
+/**
+ * What is in maintenance right now
+ */
+export interface MaintenanceState {
+    // Router ID -> window (router and group scoped windows)
+    routers: Map<string, MaintenanceWindow>;
+    // Netwatch ID -> window (netwatch scoped windows)
+    netwatch: Map<string, MaintenanceWindow>;
+}
+
+// Active windows are re-evaluated at most this often (alerts check them on every create)
+const STATE_CACHE_MS = 30 * 1000;
+
+/**
+ * Maintenance Service - scheduled maintenance windows for routers, groups and netwatch hosts
+ */
+export class MaintenanceService {
+    private stateCache: { state: MaintenanceState; expiresAt: number } | null = null;
+
+    /**
+     * Get all windows with router/group names and whether they are active now
+     */
+    async findAll(): Promise<MaintenanceWindowWithStatus[]> {
+        const rows = await db
+            .select({
+                window: maintenanceWindows,
+                routerName: routers.name,
+                groupName: routerGroups.name,
+            })
+            .from(maintenanceWindows)
+            .leftJoin(routers, eq(maintenanceWindows.routerId, routers.id))
+            .leftJoin(routerGroups, eq(maintenanceWindows.groupId, routerGroups.id))
+            .orderBy(desc(maintenanceWindows.createdAt));
+
+        const timezone = await this.getTimezone();
+        const now = new Date();
+
+        return rows.map((row) => ({
+            ...row.window,
+            routerName: row.routerName,
+            groupName: row.groupName,
+            active: this.isWindowActive(row.window, now, timezone),
+        }));
+    }
+
+    /**
+     * Get window by ID
+     */
+    async findById(id: string): Promise<MaintenanceWindow | undefined> {
+        const [window] = await db.select().from(maintenanceWindows).where(eq(maintenanceWindows.id, id));
+        return window;
+    }
+
+    /**
+     * Create a window
+     */
+    async create(data: NewMaintenanceWindow): Promise<MaintenanceWindow> {
+        const [window] = await db.insert(maintenanceWindows).values(data).returning();
+        this.stateCache = null;
+        return window;
+    }
+
+    /**
+     * Update a window
+     */
+    async update(id: string, data: Partial<NewMaintenanceWindow>): Promise<MaintenanceWindow | undefined> {
+        const [window] = await db
+            .update(maintenanceWindows)
+            .set({ ...data, updatedAt: new Date() })
+            .where(eq(maintenanceWindows.id, id))
+            .returning();
+        this.stateCache = null;
+        return window;
+    }
+
+    /**
+     * Delete a window
+     */
+    async delete(id: string): Promise<boolean> {
+        const result = await db.delete(maintenanceWindows).where(eq(maintenanceWindows.id, id)).returning();
+        this.stateCache = null;
+        return result.length > 0;
+    }
+
+    /**
+     * Resolve the active windows into the routers and netwatch hosts they cover
+     */
+    async getState(): Promise<MaintenanceState> {
+        if (this.stateCache && this.stateCache.expiresAt > Date.now()) {
+            return this.stateCache.state;
+        }
+
+        const timezone = await this.getTimezone();
+        const now = new Date();
+        const windows = (await db
+            .select()
+            .from(maintenanceWindows)
+            .where(eq(maintenanceWindows.enabled, true)))
+            .filter((window) => this.isWindowActive(window, now, timezone));
+
+        const state: MaintenanceState = { routers: new Map(), netwatch: new Map() };
+
+        for (const window of windows) {
+            if (window.scope === 'router' && window.routerId) {
+                state.routers.set(window.routerId, window);
+            } else if (window.scope === 'group' && window.groupId) {
+                const members = await db
+                    .select({ id: routers.id })
+                    .from(routers)
+                    .where(eq(routers.groupId, window.groupId));
+                members.forEach((member) => state.routers.set(member.id, window));
+            } else if (window.scope === 'netwatch') {
+                window.netwatchIds.forEach((netwatchId) => state.netwatch.set(netwatchId, window));
+            }
+        }
+
+        this.stateCache = { state, expiresAt: Date.now() + STATE_CACHE_MS };
+        return state;
+    }
+
+    /**
+     * Get the window an alert falls into, if any.
+     * Router/group windows cover every alert of the router, netwatch windows only
+     * alerts about one of their netwatch entries.
+     */
+    async getWindowForAlert(alert: Pick<Alert, 'routerId' | 'subjectType' | 'subjectId'>): Promise<MaintenanceWindow | null> {
+        const state = await this.getState();
+
+        const routerWindow = state.routers.get(alert.routerId);
+        if (routerWindow) return routerWindow;
+
+        return alert.subjectType === 'netwatch' ? state.netwatch.get(alert.subjectId) || null : null;
+    }
+
+    /**
+     * Add the `maintenance` flag to routers for the map and dashboards
+     */
+    async annotateRouters<T extends { id: string }>(list: T[]): Promise<(T & { maintenance: boolean })[]> {
+        const state = await this.getState();
+        return list.map((router) => ({ ...router, maintenance: state.routers.has(router.id) }));
+    }
+
+    /**
+     * Add the `maintenance` flag to netwatch entries (the whole router or the entry itself)
+     */
+    async annotateNetwatch<T extends { id: string; routerId: string }>(list: T[]): Promise<(T & { maintenance: boolean })[]> {
+        const state = await this.getState();
+        return list.map((entry) => ({
+            ...entry,
+            maintenance: state.routers.has(entry.routerId) || state.netwatch.has(entry.id),
+        }));
+    }
+
+    /**
+     * Check whether a window covers the given moment.
+     * Weekly windows may cross midnight, so yesterday's start is checked as well.
+     */
+    isWindowActive(window: MaintenanceWindow, now: Date, timezone: string): boolean {
+        if (!window.enabled) return false;
+
+        if (window.recurrence === 'once') {
+            return !!window.startsAt && !!window.endsAt && window.startsAt <= now && now < window.endsAt;
+        }
+
+        if (!window.startTime || !window.durationMinutes || window.daysOfWeek.length === 0) {
+            return false;
+        }
+
+        // Optional validity range for recurring windows
+        if (window.startsAt && now < window.startsAt) return false;
+        if (window.endsAt && now >= window.endsAt) return false;
+
+        const [startHour, startMinute] = window.startTime.split(':').map(Number);
+        const startMinutes = startHour * 60 + startMinute;
+        const { weekday, minutes } = getLocalTime(now, timezone);
+
+        for (const daysAgo of [0, 1]) {
+            const day = (weekday - daysAgo + 7) % 7;
+            if (!window.daysOfWeek.includes(day)) continue;
+
+            const sinceStart = minutes + daysAgo * 24 * 60 - startMinutes;
+            if (sinceStart >= 0 && sinceStart < window.durationMinutes) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    private async getTimezone(): Promise<string> {
+        return settingsService.getSettingValue<string>('timezone', 'Asia/Jakarta');
+    }
+}
+
+// Export singleton instance
+export const maintenanceService = new MaintenanceService();
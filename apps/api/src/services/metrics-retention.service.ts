@@ -0,0 +1,257 @@
+import { eq, and, sql, type SQL } from 'drizzle-orm';
+import { db } from '../db/index.js';
+import { routerMetrics, routerMetricsRollup } from '../db/schema/index.js';
+import { settingsService } from './settings.service.js';
+
+export type RouterMetricsTier = 'raw' | '1h' | '1d';
+
+export interface MetricsRetentionWindows {
+    rawDays: number;
+    hourlyDays: number;
+    dailyDays: number;
+}
+
+// Default retention (days) per tier, overridable via settings
+const DEFAULT_RETENTION_DAYS: MetricsRetentionWindows = {
+    rawDays: 7,
+    hourlyDays: 90,
+    dailyDays: 730,
+};
+
+// Each tier must outlive the one it is built from, so keep sane lower bounds
+const MIN_RETENTION_DAYS: MetricsRetentionWindows = {
+    rawDays: 1,
+    hourlyDays: 2,
+    dailyDays: 7,
+};
+
+// Longest range that is still charted per hour; beyond this daily points are used
+const MAX_HOURLY_RANGE_DAYS = 31;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Truncate a timestamp (stored as UTC) to the start of its hour or day in the app timezone
+ */
+function truncateLocal(unit: 'hour' | 'day', value: SQL, timezone: string): SQL {
+    return sql`(date_trunc(${sql.raw(`'${unit}'`)}, (${value}) AT TIME ZONE 'UTC', ${timezone}) AT TIME ZONE 'UTC')`;
+}
+
+/**
+ * Metrics Retention Service - downsamples router_metrics into hourly/daily
+ * aggregates and purges each tier once it is past its retention window
+ */
+export class MetricsRetentionService {
+    /**
+     * Read the retention windows from settings
+     */
+    async getRetentionWindows(): Promise<MetricsRetentionWindows> {
+        const rawDays = await settingsService.getSettingValue<number>('metricsRawRetentionDays', DEFAULT_RETENTION_DAYS.rawDays);
+        const hourlyDays = await settingsService.getSettingValue<number>('metricsHourlyRetentionDays', DEFAULT_RETENTION_DAYS.hourlyDays);
+        const dailyDays = await settingsService.getSettingValue<number>('metricsDailyRetentionDays', DEFAULT_RETENTION_DAYS.dailyDays);
+
+        const clamp = (value: number, min: number, fallback: number) => {
+            const days = Number(value);
+            return Number.isFinite(days) && days > 0 ? Math.max(Math.round(days), min) : fallback;
+        };
+
+        return {
+            rawDays: clamp(rawDays, MIN_RETENTION_DAYS.rawDays, DEFAULT_RETENTION_DAYS.rawDays),
+            hourlyDays: clamp(hourlyDays, MIN_RETENTION_DAYS.hourlyDays, DEFAULT_RETENTION_DAYS.hourlyDays),
+            dailyDays: clamp(dailyDays, MIN_RETENTION_DAYS.dailyDays, DEFAULT_RETENTION_DAYS.dailyDays),
+        };
+    }
+
+    /**
+     * Pick the storage tier that covers a date range.
+     * Raw rows are only used while the whole range is still inside the raw window,
+     * long ranges read daily buckets to keep the result small.
+     */
+    async getTierForRange(startDate: Date, endDate: Date): Promise<RouterMetricsTier> {
+        const windows = await this.getRetentionWindows();
+        const ageDays = (Date.now() - startDate.getTime()) / DAY_MS;
+        const spanDays = (endDate.getTime() - startDate.getTime()) / DAY_MS;
+
+        if (ageDays <= windows.rawDays) return 'raw';
+        if (spanDays <= MAX_HOURLY_RANGE_DAYS && ageDays <= windows.hourlyDays) return '1h';
+        return '1d';
+    }
+
+    /**
+     * Recompute hourly buckets from raw router_metrics in [from, until).
+     * Bounds are SQL timestamp expressions; buckets are upserted, so re-running is safe.
+     */
+    async rollupHourly(from?: SQL, until?: SQL): Promise<void> {
+        const timezone = await this.getTimezone();
+        const hourStart = truncateLocal('hour', sql`${routerMetrics.recordedAt}`, timezone);
+        const fromCondition = from ? sql`AND ${routerMetrics.recordedAt} >= ${truncateLocal('hour', from, timezone)}` : sql``;
+        const untilCondition = until ? sql`AND ${routerMetrics.recordedAt} < ${until}` : sql``;
+        const memoryPercent = sql`CASE WHEN ${routerMetrics.totalMemory} > 0 THEN ${routerMetrics.usedMemory}::float / ${routerMetrics.totalMemory}::float * 100 END`;
+        const diskPercent = sql`CASE WHEN ${routerMetrics.totalDisk} > 0 THEN ${routerMetrics.usedDisk}::float / ${routerMetrics.totalDisk}::float * 100 END`;
+
+        await db.execute(sql`
+            INSERT INTO router_metrics_rollup (
+                router_id, resolution, bucket_start,
+                avg_cpu, max_cpu, cpu_peak_samples,
+                avg_memory_percent, max_memory_percent, avg_disk_percent,
+                max_temperature, avg_voltage, sample_count
+            )
+            SELECT
+                ${routerMetrics.routerId},
+                '1h',
+                ${hourStart} AS hour_start,
+                AVG(${routerMetrics.cpuLoad}),
+                MAX(${routerMetrics.cpuLoad}),
+                SUM(CASE WHEN ${routerMetrics.cpuLoad} > 90 THEN 1 ELSE 0 END),
+                AVG(${memoryPercent}),
+                MAX(${memoryPercent}),
+                AVG(${diskPercent}),
+                MAX(COALESCE(${routerMetrics.temperature}, ${routerMetrics.boardTemp})),
+                AVG(${routerMetrics.voltage}),
+                COUNT(*)
+            FROM ${routerMetrics}
+            WHERE TRUE
+                ${fromCondition}
+                ${untilCondition}
+            GROUP BY ${routerMetrics.routerId}, hour_start
+            ON CONFLICT (router_id, resolution, bucket_start) DO UPDATE SET
+                avg_cpu = EXCLUDED.avg_cpu,
+                max_cpu = EXCLUDED.max_cpu,
+                cpu_peak_samples = EXCLUDED.cpu_peak_samples,
+                avg_memory_percent = EXCLUDED.avg_memory_percent,
+                max_memory_percent = EXCLUDED.max_memory_percent,
+                avg_disk_percent = EXCLUDED.avg_disk_percent,
+                max_temperature = EXCLUDED.max_temperature,
+                avg_voltage = EXCLUDED.avg_voltage,
+                sample_count = EXCLUDED.sample_count
+        `);
+    }
+
+    /**
+     * Recompute daily buckets from the hourly tier in [from, until).
+     * Days follow the app timezone; averages are weighted by the hourly sample counts.
+     */
+    async rollupDaily(from?: SQL, until?: SQL): Promise<void> {
+        const timezone = await this.getTimezone();
+        const dayStart = truncateLocal('day', sql`bucket_start`, timezone);
+        const fromCondition = from ? sql`AND bucket_start >= ${truncateLocal('day', from, timezone)}` : sql``;
+        const untilCondition = until ? sql`AND bucket_start < ${until}` : sql``;
+        const weighted = (column: string) =>
+            sql.raw(`SUM(${column} * sample_count) / NULLIF(SUM(CASE WHEN ${column} IS NOT NULL THEN sample_count END), 0)`);
+
+        await db.execute(sql`
+            INSERT INTO router_metrics_rollup (
+                router_id, resolution, bucket_start,
+                avg_cpu, max_cpu, cpu_peak_samples,
+                avg_memory_percent, max_memory_percent, avg_disk_percent,
+                max_temperature, avg_voltage, sample_count
+            )
+            SELECT
+                router_id,
+                '1d',
+                ${dayStart} AS day_start,
+                ${weighted('avg_cpu')},
+                MAX(max_cpu),
+                SUM(cpu_peak_samples),
+                ${weighted('avg_memory_percent')},
+                MAX(max_memory_percent),
+                ${weighted('avg_disk_percent')},
+                MAX(max_temperature),
+                ${weighted('avg_voltage')},
+                SUM(sample_count)
+            FROM router_metrics_rollup
+            WHERE resolution = '1h'
+                ${fromCondition}
+                ${untilCondition}
+            GROUP BY router_id, day_start
+            ON CONFLICT (router_id, resolution, bucket_start) DO UPDATE SET
+                avg_cpu = EXCLUDED.avg_cpu,
+                max_cpu = EXCLUDED.max_cpu,
+                cpu_peak_samples = EXCLUDED.cpu_peak_samples,
+                avg_memory_percent = EXCLUDED.avg_memory_percent,
+                max_memory_percent = EXCLUDED.max_memory_percent,
+                avg_disk_percent = EXCLUDED.avg_disk_percent,
+                max_temperature = EXCLUDED.max_temperature,
+                avg_voltage = EXCLUDED.avg_voltage,
+                sample_count = EXCLUDED.sample_count
+        `);
+    }
+
+    /**
+     * Roll up every raw row once, so history recorded before the rollup tiers
+     * existed still has hourly and daily buckets (marked done in app_settings)
+     */
+    async backfillRollups(): Promise<boolean> {
+        const done = await settingsService.getSettingValue<boolean>('metricsRollupBackfilled', false);
+        if (done) return false;
+
+        await this.rollupHourly();
+        await this.rollupDaily();
+        await settingsService.setSetting('metricsRollupBackfilled', true, 'Existing router metrics were rolled up into hourly and daily buckets');
+        return true;
+    }
+
+    /**
+     * Refresh the current and previous hour (called from the scheduler)
+     */
+    async runRollups(): Promise<void> {
+        await this.rollupHourly(sql`LOCALTIMESTAMP - interval '2 hours'`);
+    }
+
+    /**
+     * Downsample and purge each tier past its retention window.
+     * Rows are rolled into the next tier before they are deleted, so nothing is
+     * lost even if the scheduler was down for a while.
+     */
+    async purgeExpired(): Promise<{ raw: number; hourly: number; daily: number }> {
+        const windows = await this.getRetentionWindows();
+        const timezone = await this.getTimezone();
+
+        // Never purge raw history that has not been rolled up yet
+        await this.backfillRollups();
+
+        // Keep yesterday's and today's daily buckets current
+        await this.rollupDaily(sql`LOCALTIMESTAMP - interval '1 day'`);
+
+        // Cutoffs are computed in the database (same clock as recorded_at) and aligned to
+        // bucket boundaries, so a bucket is never rebuilt from a partially purged period
+        const rawCutoff = truncateLocal('hour', sql`LOCALTIMESTAMP - make_interval(days => ${windows.rawDays}::int)`, timezone);
+        const hourlyCutoff = truncateLocal('day', sql`LOCALTIMESTAMP - make_interval(days => ${windows.hourlyDays}::int)`, timezone);
+        const dailyCutoff = truncateLocal('day', sql`LOCALTIMESTAMP - make_interval(days => ${windows.dailyDays}::int)`, timezone);
+
+        await this.rollupHourly(undefined, rawCutoff);
+        const raw = await db
+            .delete(routerMetrics)
+            .where(sql`${routerMetrics.recordedAt} < ${rawCutoff}`)
+            .returning({ id: routerMetrics.id });
+
+        await this.rollupDaily(undefined, hourlyCutoff);
+        const hourly = await db
+            .delete(routerMetricsRollup)
+            .where(and(
+                eq(routerMetricsRollup.resolution, '1h'),
+                sql`${routerMetricsRollup.bucketStart} < ${hourlyCutoff}`
+            ))
+            .returning({ id: routerMetricsRollup.id });
+
+        const daily = await db
+            .delete(routerMetricsRollup)
+            .where(and(
+                eq(routerMetricsRollup.resolution, '1d'),
+                sql`${routerMetricsRollup.bucketStart} < ${dailyCutoff}`
+            ))
+            .returning({ id: routerMetricsRollup.id });
+
+        return { raw: raw.length, hourly: hourly.length, daily: daily.length };
+    }
+
+    /**
+     * Timezone the hourly/daily buckets are aligned to
+     */
+    private async getTimezone(): Promise<string> {
+        return settingsService.getSettingValue<string>('timezone', 'Asia/Jakarta');
+    }
+}
+
+// Export singleton instance
+export const metricsRetentionService = new MetricsRetentionService();
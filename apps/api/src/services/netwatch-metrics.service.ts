@@ -0,0 +1,227 @@
+import { eq, and, gte, lt, asc, sql } from 'drizzle-orm';
+import { db } from '../db/index.js';
+import {
+    routerNetwatch,
+    netwatchMetrics,
+    netwatchMetricsRollup,
+    type NewNetwatchMetric,
+} from '../db/schema/index.js';
+import { settingsService } from './settings.service.js';
+
+export type NetwatchHistoryRange = '1h' | '6h' | '24h' | '7d' | '30d';
+export type NetwatchHistoryResolution = 'raw' | '5m' | '1h';
+
+export interface NetwatchHistoryPoint {
+    time: Date;
+    minLatency: number | null;
+    avgLatency: number | null;
+    maxLatency: number | null;
+    p95Latency: number | null;
+    packetLoss: number | null;
+    samples: number;
+}
+
+const RANGE_MS: Record<NetwatchHistoryRange, number> = {
+    '1h': 60 * 60 * 1000,
+    '6h': 6 * 60 * 60 * 1000,
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000,
+    '30d': 30 * 24 * 60 * 60 * 1000,
+};
+
+// Default retention (days) per tier, overridable via settings
+const DEFAULT_RETENTION_DAYS = {
+    raw: 2,
+    '5m': 14,
+    '1h': 90,
+};
+
+/**
+ * Netwatch Metrics Service - latency/packet loss history for netwatch hosts
+ */
+export class NetwatchMetricsService {
+    /**
+     * Store the samples from one ping cycle
+     */
+    async recordSamples(samples: NewNetwatchMetric[]): Promise<void> {
+        if (samples.length === 0) return;
+
+        try {
+            await db.insert(netwatchMetrics).values(samples);
+        } catch (error) {
+            console.error('[NETWATCH] Failed to record latency history:', error instanceof Error ? error.message : error);
+        }
+    }
+
+    /**
+     * Recompute rollup buckets from raw samples recorded since the given time.
+     * Buckets are upserted, so re-running over the same window is safe.
+     */
+    async rollup(resolution: '5m' | '1h', since: Date): Promise<void> {
+        const bucket = resolution === '5m'
+            ? sql`date_bin('5 minutes', ${netwatchMetrics.recordedAt}, TIMESTAMP '2000-01-01')`
+            : sql`date_trunc('hour', ${netwatchMetrics.recordedAt})`;
+
+        // Start from the beginning of the bucket containing `since` so it is not rolled up partially
+        const bucketSince = resolution === '5m'
+            ? sql`date_bin('5 minutes', ${since}::timestamp, TIMESTAMP '2000-01-01')`
+            : sql`date_trunc('hour', ${since}::timestamp)`;
+
+        await db.execute(sql`
+            INSERT INTO netwatch_metrics_rollup (
+                netwatch_id, router_id, resolution, bucket_start,
+                min_latency, avg_latency, max_latency, p95_latency,
+                avg_packet_loss, sample_count
+            )
+            SELECT
+                ${netwatchMetrics.netwatchId},
+                ${netwatchMetrics.routerId},
+                ${resolution}::text,
+                ${bucket} AS bucket_start,
+                MIN(${netwatchMetrics.latency}),
+                AVG(${netwatchMetrics.latency}),
+                MAX(${netwatchMetrics.latency}),
+                PERCENTILE_CONT(0.95) WITHIN GROUP (ORDER BY ${netwatchMetrics.latency}),
+                AVG(COALESCE(${netwatchMetrics.packetLoss}, CASE WHEN ${netwatchMetrics.latency} IS NULL THEN 100 ELSE 0 END)),
+                COUNT(*)
+            FROM ${netwatchMetrics}
+            WHERE ${netwatchMetrics.recordedAt} >= ${bucketSince}
+            GROUP BY ${netwatchMetrics.netwatchId}, ${netwatchMetrics.routerId}, bucket_start
+            ON CONFLICT (netwatch_id, resolution, bucket_start) DO UPDATE SET
+                min_latency = EXCLUDED.min_latency,
+                avg_latency = EXCLUDED.avg_latency,
+                max_latency = EXCLUDED.max_latency,
+                p95_latency = EXCLUDED.p95_latency,
+                avg_packet_loss = EXCLUDED.avg_packet_loss,
+                sample_count = EXCLUDED.sample_count
+        `);
+    }
+
+    /**
+     * Refresh recent 5-minute and hourly buckets (called from the scheduler)
+     */
+    async runRollups(): Promise<void> {
+        const now = Date.now();
+        await this.rollup('5m', new Date(now - 15 * 60 * 1000));
+        await this.rollup('1h', new Date(now - 2 * 60 * 60 * 1000));
+    }
+
+    /**
+     * Delete samples and rollups older than their retention window
+     */
+    async purgeExpired(): Promise<{ raw: number; rollup5m: number; rollup1h: number }> {
+        const rawDays = await settingsService.getSettingValue<number>('netwatchRawRetentionDays', DEFAULT_RETENTION_DAYS.raw);
+        const days5m = await settingsService.getSettingValue<number>('netwatchRollup5mRetentionDays', DEFAULT_RETENTION_DAYS['5m']);
+        const days1h = await settingsService.getSettingValue<number>('netwatchRollup1hRetentionDays', DEFAULT_RETENTION_DAYS['1h']);
+
+        const cutoff = (days: number) => new Date(Date.now() - Number(days) * 24 * 60 * 60 * 1000);
+
+        const raw = await db
+            .delete(netwatchMetrics)
+            .where(lt(netwatchMetrics.recordedAt, cutoff(rawDays)))
+            .returning({ id: netwatchMetrics.id });
+
+        const rollup5m = await db
+            .delete(netwatchMetricsRollup)
+            .where(and(
+                eq(netwatchMetricsRollup.resolution, '5m'),
+                lt(netwatchMetricsRollup.bucketStart, cutoff(days5m))
+            ))
+            .returning({ id: netwatchMetricsRollup.id });
+
+        const rollup1h = await db
+            .delete(netwatchMetricsRollup)
+            .where(and(
+                eq(netwatchMetricsRollup.resolution, '1h'),
+                lt(netwatchMetricsRollup.bucketStart, cutoff(days1h))
+            ))
+            .returning({ id: netwatchMetricsRollup.id });
+
+        return { raw: raw.length, rollup5m: rollup5m.length, rollup1h: rollup1h.length };
+    }
+
+    /**
+     * Pick a resolution that keeps the chart at a few hundred points
+     */
+    getDefaultResolution(range: NetwatchHistoryRange): NetwatchHistoryResolution {
+        if (range === '1h' || range === '6h') return 'raw';
+        if (range === '24h') return '5m';
+        return '1h';
+    }
+
+    /**
+     * Get latency/packet loss history for a netwatch entry.
+     * Returns undefined if the entry doesn't belong to the router.
+     */
+    async getHistory(
+        routerId: string,
+        netwatchId: string,
+        range: NetwatchHistoryRange = '24h',
+        resolution?: NetwatchHistoryResolution
+    ): Promise<{ range: NetwatchHistoryRange; resolution: NetwatchHistoryResolution; points: NetwatchHistoryPoint[] } | undefined> {
+        const [entry] = await db
+            .select({ id: routerNetwatch.id })
+            .from(routerNetwatch)
+            .where(and(
+                eq(routerNetwatch.id, netwatchId),
+                eq(routerNetwatch.routerId, routerId)
+            ));
+
+        if (!entry) return undefined;
+
+        const effectiveResolution = resolution || this.getDefaultResolution(range);
+        const from = new Date(Date.now() - RANGE_MS[range]);
+
+        if (effectiveResolution === 'raw') {
+            const rows = await db
+                .select()
+                .from(netwatchMetrics)
+                .where(and(
+                    eq(netwatchMetrics.netwatchId, netwatchId),
+                    gte(netwatchMetrics.recordedAt, from)
+                ))
+                .orderBy(asc(netwatchMetrics.recordedAt));
+
+            return {
+                range,
+                resolution: effectiveResolution,
+                points: rows.map((row) => ({
+                    time: row.recordedAt,
+                    minLatency: row.latency,
+                    avgLatency: row.latency,
+                    maxLatency: row.latency,
+                    p95Latency: row.latency,
+                    packetLoss: row.packetLoss ?? (row.latency === null ? 100 : 0),
+                    samples: 1,
+                })),
+            };
+        }
+
+        const rows = await db
+            .select()
+            .from(netwatchMetricsRollup)
+            .where(and(
+                eq(netwatchMetricsRollup.netwatchId, netwatchId),
+                eq(netwatchMetricsRollup.resolution, effectiveResolution),
+                gte(netwatchMetricsRollup.bucketStart, from)
+            ))
+            .orderBy(asc(netwatchMetricsRollup.bucketStart));
+
+        return {
+            range,
+            resolution: effectiveResolution,
+            points: rows.map((row) => ({
+                time: row.bucketStart,
+                minLatency: row.minLatency,
+                avgLatency: row.avgLatency !== null ? Math.round(row.avgLatency * 10) / 10 : null,
+                maxLatency: row.maxLatency,
+                p95Latency: row.p95Latency !== null ? Math.round(row.p95Latency * 10) / 10 : null,
+                packetLoss: row.avgPacketLoss !== null ? Math.round(row.avgPacketLoss * 10) / 10 : null,
+                samples: row.sampleCount,
+            })),
+        };
+    }
+}
+
+// Export singleton instance
+export const netwatchMetricsService = new NetwatchMetricsService();
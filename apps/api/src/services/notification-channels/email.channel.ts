@@ -0,0 +1,126 @@
+import nodemailer from 'nodemailer';
+import { z } from 'zod';
+import type { NotificationChannel, NotificationMessage } from './types.js';
+
+const emailConfigSchema = z.object({
+    host: z.string().min(1),
+    port: z.coerce.number().int().min(1).max(65535).default(587),
+    secure: z.boolean().default(false), // TLS on connect (465); otherwise STARTTLS when offered
+    username: z.string().optional().nullable(),
+    password: z.string().optional().nullable(),
+    from: z.string().min(1),
+    to: z.string().min(1).refine(
+        (value) => splitRecipients(value).every((address) => z.string().email().safeParse(address).success),
+        { message: 'Enter one or more email addresses separated by commas' }
+    ),
+});
+
+export type EmailChannelConfig = z.infer<typeof emailConfigSchema>;
+
+const SEVERITY_COLORS: Record<NotificationMessage['severity'], string> = {
+    critical: '#dc2626',
+    warning: '#d97706',
+    info: '#2563eb',
+};
+
+function splitRecipients(value: string): string[] {
+    return value.split(/[,;]/).map((address) => address.trim()).filter(Boolean);
+}
+
+function escapeHtml(value: string): string {
+    return value
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Plain-text part: the group template without chat Markdown
+ */
+export function renderEmailText(message: NotificationMessage): string {
+    return message.text.replace(/\*([^*\n]+)\*/g, '$1');
+}
+
+/**
+ * HTML part: headline in the severity colour, details and a field table.
+ * Inline styles only - most mail clients drop <style> blocks.
+ */
+export function renderEmailHtml(message: NotificationMessage): string {
+    const color = SEVERITY_COLORS[message.severity] || SEVERITY_COLORS.info;
+
+    const rows = message.fields.map((field) => {
+        const value = field.href
+            ? `<a href="${escapeHtml(field.href)}" style="color:#2563eb;">${escapeHtml(field.value)}</a>`
+            : escapeHtml(field.value);
+        return `<tr>
+            <td style="padding:6px 12px 6px 0;color:#64748b;white-space:nowrap;vertical-align:top;">${escapeHtml(field.label)}</td>
+            <td style="padding:6px 0;color:#0f172a;">${value}</td>
+        </tr>`;
+    }).join('');
+
+    const body = message.body
+        ? `<p style="margin:0 0 16px;color:#334155;white-space:pre-line;">${escapeHtml(message.body)}</p>`
+        : '';
+
+    return `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f1f5f9;font-family:Arial,Helvetica,sans-serif;font-size:14px;">
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:600px;margin:0 auto;background:#ffffff;border-radius:8px;overflow:hidden;">
+        <tr>
+            <td style="background:${color};padding:16px 24px;color:#ffffff;">
+                <div style="font-size:12px;text-transform:uppercase;letter-spacing:1px;opacity:0.85;">${escapeHtml(message.severity)}</div>
+                <div style="font-size:18px;font-weight:bold;margin-top:4px;">${escapeHtml(message.title)}</div>
+            </td>
+        </tr>
+        <tr>
+            <td style="padding:20px 24px;">
+                ${body}
+                <table role="presentation" cellpadding="0" cellspacing="0">${rows}</table>
+            </td>
+        </tr>
+        <tr>
+            <td style="padding:12px 24px;border-top:1px solid #e2e8f0;color:#94a3b8;font-size:12px;">
+                Sent by NetMonitor
+            </td>
+        </tr>
+    </table>
+</body>
+</html>`;
+}
+
+/**
+ * Email over SMTP, HTML with a plain-text alternative
+ */
+export const emailChannel: NotificationChannel<EmailChannelConfig> = {
+    type: 'email',
+    label: 'Email',
+    configSchema: emailConfigSchema,
+
+    describeTarget(config) {
+        return config.to;
+    },
+
+    async send(config, message) {
+        const transport = nodemailer.createTransport({
+            host: config.host,
+            port: config.port,
+            secure: config.secure,
+            auth: config.username
+                ? { user: config.username, pass: config.password || '' }
+                : undefined,
+            connectionTimeout: 10000,
+        });
+
+        const info = await transport.sendMail({
+            from: config.from,
+            to: splitRecipients(config.to),
+            subject: `[${message.severity.toUpperCase()}] ${message.title}`,
+            text: renderEmailText(message),
+            html: renderEmailHtml(message),
+        });
+
+        console.log(`[EMAIL] Message ${info.messageId} sent to ${config.to}`);
+        return { body: info.response };
+    },
+};
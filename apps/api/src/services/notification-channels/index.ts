@@ -0,0 +1,20 @@
+import type { NotificationChannel } from './types.js';
+import { telegramChannel } from './telegram.channel.js';
+import { whatsappChannel } from './whatsapp.channel.js';
+import { emailChannel } from './email.channel.js';
+import { webhookChannel } from './webhook.channel.js';
+
+export * from './types.js';
+export { getTelegramApiUrl } from './telegram.channel.js';
+
+/**
+ * Registered channel types. A new channel only needs an entry here;
+ * its config lives in the group's `channels` list.
+ */
+const channelRegistry = new Map<string, NotificationChannel>(
+    [telegramChannel, whatsappChannel, emailChannel, webhookChannel].map((channel) => [channel.type, channel])
+);
+
+export function getNotificationChannel(type: string): NotificationChannel | undefined {
+    return channelRegistry.get(type);
+}
@@ -0,0 +1,48 @@
+import axios from 'axios';
+import { z } from 'zod';
+import type { NotificationChannel } from './types.js';
+
+const telegramConfigSchema = z.object({
+    botToken: z.string().min(1),
+    chatId: z.string().min(1),
+    threadId: z.string().optional().nullable(), // For topic support
+});
+
+export type TelegramChannelConfig = z.infer<typeof telegramConfigSchema>;
+
+/**
+ * Bot API base URL; TELEGRAM_API_URL points it at a local Bot API server or a mock
+ */
+export function getTelegramApiUrl(): string {
+    return (process.env.TELEGRAM_API_URL || 'https://api.telegram.org').replace(/\/+$/, '');
+}
+
+/**
+ * Telegram Bot API
+ */
+export const telegramChannel: NotificationChannel<TelegramChannelConfig> = {
+    type: 'telegram',
+    label: 'Telegram',
+    configSchema: telegramConfigSchema,
+
+    describeTarget(config) {
+        return config.threadId ? `${config.chatId} (topic ${config.threadId})` : config.chatId;
+    },
+
+    async send(config, message) {
+        const url = `${getTelegramApiUrl()}/bot${config.botToken}/sendMessage`;
+        const payload: any = {
+            chat_id: config.chatId,
+            text: message.text,
+            parse_mode: 'Markdown',
+        };
+
+        if (config.threadId) {
+            payload.message_thread_id = config.threadId;
+        }
+
+        const response = await axios.post(url, payload, { timeout: 10000 });
+        console.log('Telegram message sent successfully');
+        return { status: response.status, body: response.data };
+    },
+};
@@ -0,0 +1,109 @@
+import type { z } from 'zod';
+import type { Alert } from '../../db/schema/index.js';
+
+/**
+ * A labelled value shown under the headline (device, IP, maps link, ...)
+ */
+export interface NotificationField {
+    label: string;
+    value: string;
+    href?: string;
+}
+
+/**
+ * One alert in a batch or digest summary
+ */
+export interface NotificationSummaryItem {
+    alertId: string | null;
+    type: Alert['type'];
+    severity: Alert['severity'];
+    title: string;
+    message: string | null;
+    routerId: string | null;
+    routerName: string | null;
+    device: string;
+    ip: string;
+    createdAt: string;
+}
+
+/**
+ * Raw data behind a notification, for machine consumers such as webhooks.
+ * Test messages and summaries carry no alert; summaries of several routers
+ * carry no router either.
+ */
+export interface NotificationContext {
+    alert: Alert | null;
+    router: {
+        id: string;
+        name: string;
+        host: string;
+        location: string | null;
+        latitude: string | null;
+        longitude: string | null;
+    } | null;
+    netwatch: {
+        name: string;
+        host: string;
+        latitude: string | null;
+        longitude: string | null;
+        location: string | null;
+    } | null;
+    escalation?: {
+        level: number;
+        downtime: string;
+    };
+    summary?: {
+        kind: 'batch' | 'digest' | 'quiet';
+        period: 'hourly' | 'daily' | null; // digests only
+        count: number;
+        items: NotificationSummaryItem[];
+    };
+}
+
+/**
+ * A notification as handed to every channel.
+ * Chat channels send `text`; richer channels can build their own layout
+ * from the structured parts.
+ */
+export interface NotificationMessage {
+    event: 'alert.created' | 'alert.escalated' | 'alert.batch' | 'alert.digest' | 'test';
+    title: string;
+    severity: 'critical' | 'warning' | 'info';
+    body: string | null;
+    fields: NotificationField[];
+    // Rendered group template, Markdown style (*bold*)
+    text: string;
+    context: NotificationContext;
+}
+
+/**
+ * Where a message is being delivered
+ */
+export interface NotificationTarget {
+    deliveryId: string;
+    groupId: string;
+    groupName: string;
+    channelId: string;
+}
+
+/**
+ * What the remote end answered, kept in the delivery log
+ */
+export interface DeliveryResponse {
+    status?: number;
+    body?: unknown;
+}
+
+/**
+ * A delivery channel. `configSchema` validates the `config` object stored on
+ * the notification group; `send` makes a single attempt and throws when it
+ * fails (retries are queued by the delivery service).
+ */
+export interface NotificationChannel<TConfig = any> {
+    type: string;
+    label: string;
+    configSchema: z.ZodType<TConfig, z.ZodTypeDef, unknown>;
+    // Chat, address or URL shown in the delivery log
+    describeTarget(config: TConfig): string;
+    send(config: TConfig, message: NotificationMessage, target: NotificationTarget): Promise<DeliveryResponse | void>;
+}
@@ -0,0 +1,100 @@
+import axios from 'axios';
+import { createHmac } from 'crypto';
+import { z } from 'zod';
+import type { NotificationChannel, NotificationMessage } from './types.js';
+
+const webhookConfigSchema = z.object({
+    url: z.string().url(),
+    secret: z.string().optional().nullable(), // HMAC key; unsigned when empty
+    headers: z.array(z.object({
+        name: z.string().min(1),
+        value: z.string(),
+    })).default([]),
+    retries: z.coerce.number().int().min(0).max(5).default(3), // overrides the queue default
+});
+
+export type WebhookChannelConfig = z.infer<typeof webhookConfigSchema>;
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * JSON body of a webhook delivery
+ */
+export function buildWebhookPayload(message: NotificationMessage, deliveryId: string) {
+    const { alert, router, netwatch, escalation, summary } = message.context;
+
+    return {
+        id: deliveryId,
+        event: message.event,
+        timestamp: new Date().toISOString(),
+        title: message.title,
+        severity: message.severity,
+        message: message.body,
+        alert: alert && {
+            id: alert.id,
+            type: alert.type,
+            severity: alert.severity,
+            title: alert.title,
+            message: alert.message,
+            createdAt: alert.createdAt,
+            acknowledged: alert.acknowledged,
+            resolved: alert.resolved,
+            parentAlertId: alert.parentAlertId,
+        },
+        router,
+        netwatch,
+        escalation: escalation || null,
+        summary: summary || null,
+    };
+}
+
+/**
+ * Signature sent in X-Webhook-Signature: hex HMAC-SHA256 of "<timestamp>.<body>"
+ */
+export function signWebhookPayload(secret: string, timestamp: string, body: string): string {
+    return 'sha256=' + createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Outgoing webhook: signed JSON POST of the alert, router and netwatch context
+ */
+export const webhookChannel: NotificationChannel<WebhookChannelConfig> = {
+    type: 'webhook',
+    label: 'Webhook',
+    configSchema: webhookConfigSchema,
+
+    describeTarget(config) {
+        return config.url;
+    },
+
+    async send(config, message, target) {
+        const body = JSON.stringify(buildWebhookPayload(message, target.deliveryId));
+
+        const headers: Record<string, string> = {};
+        for (const header of config.headers) {
+            headers[header.name] = header.value;
+        }
+
+        // Signed per attempt, so a retried request carries a fresh timestamp
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        Object.assign(headers, {
+            'Content-Type': 'application/json',
+            'X-Webhook-Event': message.event,
+            'X-Webhook-Delivery': target.deliveryId,
+            'X-Webhook-Timestamp': timestamp,
+        });
+        if (config.secret) {
+            headers['X-Webhook-Signature'] = signWebhookPayload(config.secret, timestamp, body);
+        }
+
+        const response = await axios.post(config.url, body, {
+            headers,
+            timeout: REQUEST_TIMEOUT_MS,
+            // Keep the raw response for the log
+            transformResponse: (data) => data,
+        });
+
+        console.log(`[WEBHOOK] Delivered ${message.event} to ${config.url} (${response.status})`);
+        return { status: response.status, body: response.data };
+    },
+};
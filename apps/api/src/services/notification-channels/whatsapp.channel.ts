@@ -0,0 +1,53 @@
+import axios from 'axios';
+import { z } from 'zod';
+import type { NotificationChannel } from './types.js';
+
+const whatsappConfigSchema = z.object({
+    url: z.string().url(), // Base URL for the WhatsApp API
+    key: z.string().optional().nullable(), // API Key if needed
+    to: z.string().min(1), // Target phone number/ID
+});
+
+export type WhatsappChannelConfig = z.infer<typeof whatsappConfigSchema>;
+
+/**
+ * WhatsApp (aldinokemal/go-whatsapp-web-multidevice compatible)
+ * Supports both personal chat (phone number) and group chat (group ID)
+ */
+export const whatsappChannel: NotificationChannel<WhatsappChannelConfig> = {
+    type: 'whatsapp',
+    label: 'WhatsApp',
+    configSchema: whatsappConfigSchema,
+
+    describeTarget(config) {
+        return config.to;
+    },
+
+    async send(config, message) {
+        // Remove trailing slash if present
+        const endpoint = `${config.url.replace(/\/$/, '')}/send/message`;
+
+        // Group IDs are typically longer and don't start with country code like 62
+        const isGroup = config.to.length > 15 || config.to.includes('@g.us');
+
+        // WA supports *bold*, so the Markdown text is sent as is
+        const payload = {
+            phone: isGroup ? config.to.replace('@g.us', '') + '@g.us' : config.to,
+            message: message.text,
+        };
+
+        const headers: any = {
+            'Content-Type': 'application/json'
+        };
+
+        if (config.key) {
+            headers['Authorization'] = `Bearer ${config.key}`;
+        }
+
+        console.log(`[WHATSAPP] Sending to ${config.to} (${isGroup ? 'group' : 'personal'}) via ${endpoint}`);
+
+        const response = await axios.post(endpoint, payload, { headers, timeout: 10000 });
+        console.log('[WHATSAPP] Message sent successfully:', response.data);
+        return { status: response.status, body: response.data };
+    },
+};
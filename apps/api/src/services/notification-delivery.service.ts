@@ -0,0 +1,409 @@
+import { randomUUID } from 'crypto';
+import { and, asc, desc, eq, lt, lte, ne } from 'drizzle-orm';
+import { db } from '../db/index.js';
+import {
+    notificationDeliveries,
+    notificationGroups,
+    type NotificationChannelConfig,
+    type NotificationDelivery,
+    type NotificationDeliveryAttempt,
+    type NotificationGroup,
+} from '../db/schema/index.js';
+import { getNotificationChannel, type NotificationMessage } from './notification-channels/index.js';
+import { alertActivityService } from './alert-activity.service.js';
+
+// Retries after the first attempt, unless the channel config sets `retries`
+const DEFAULT_MAX_RETRIES = 3;
+
+// Backoff between attempts: 30s, 1m, 2m, ... capped at 30 minutes
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 30 * 60 * 1000;
+
+// Due retries handled per scheduler run
+const RETRY_BATCH_SIZE = 50;
+
+const DELIVERY_RETENTION_DAYS = 30;
+const MAX_RESPONSE_BODY_LENGTH = 2000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export interface FailedNotificationDelivery extends NotificationDelivery {
+    groupName: string;
+}
+
+interface AttemptResult {
+    success: boolean;
+    responseStatus: number | null;
+    responseBody: string | null;
+    error: string | null;
+    retryable: boolean;
+    retryAfterMs: number;
+    durationMs: number;
+}
+
+/**
+ * Notification Delivery Service - sends messages through a group's channels,
+ * records every attempt and retries failed deliveries from the scheduler
+ */
+export class NotificationDeliveryService {
+    private isProcessingQueue = false;
+
+    /**
+     * Deliver a message through one channel of a group and record the outcome.
+     * With `retry: false` (test messages) a failure is final.
+     */
+    async deliver(
+        group: NotificationGroup,
+        channelConfig: NotificationChannelConfig,
+        message: NotificationMessage,
+        options: { retry?: boolean } = {}
+    ): Promise<NotificationDelivery> {
+        const deliveryId = randomUUID();
+        const channel = getNotificationChannel(channelConfig.type);
+        const parsed = channel?.configSchema.safeParse(channelConfig.config);
+
+        let target: string | null = null;
+        let result: AttemptResult;
+
+        if (!channel) {
+            result = this.configError(`Unknown channel type "${channelConfig.type}"`);
+        } else if (!parsed?.success) {
+            result = this.configError(`Invalid ${channel.label} configuration: ${parsed?.error.issues[0]?.message}`);
+        } else {
+            target = channel.describeTarget(parsed.data);
+            result = await this.attempt(channelConfig, parsed.data, message, {
+                deliveryId,
+                groupId: group.id,
+                groupName: group.name,
+            });
+        }
+
+        const maxRetries = options.retry === false ? 0 : this.getMaxRetries(parsed?.success ? parsed.data : null);
+        const next = this.getNextState(1, maxRetries, result);
+
+        if (!result.success) {
+            console.error(`[NOTIFICATION] ${channel?.label || channelConfig.type} delivery failed for group ${group.name}: ${result.error}`);
+        }
+
+        const [delivery] = await db
+            .insert(notificationDeliveries)
+            .values({
+                id: deliveryId,
+                groupId: group.id,
+                channelId: channelConfig.id,
+                channelType: channelConfig.type,
+                alertId: message.context.alert?.id ?? null,
+                event: message.event,
+                target,
+                payload: message,
+                status: next.status,
+                attempts: 1,
+                responseStatus: result.responseStatus,
+                responseBody: result.responseBody,
+                error: result.error,
+                durationMs: result.durationMs,
+                attemptLog: [this.toLogEntry(result)],
+                nextAttemptAt: next.nextAttemptAt,
+            })
+            .returning();
+
+        await this.recordOnTimeline(delivery, group, message);
+
+        return delivery;
+    }
+
+    /**
+     * Retry deliveries whose next attempt is due. Called by the scheduler.
+     */
+    async processRetryQueue(): Promise<number> {
+        if (this.isProcessingQueue) return 0;
+        this.isProcessingQueue = true;
+
+        try {
+            const due = await db
+                .select()
+                .from(notificationDeliveries)
+                .where(and(
+                    eq(notificationDeliveries.status, 'retrying'),
+                    lte(notificationDeliveries.nextAttemptAt, new Date())
+                ))
+                .orderBy(asc(notificationDeliveries.nextAttemptAt))
+                .limit(RETRY_BATCH_SIZE);
+
+            const groups = new Map<string, NotificationGroup | undefined>();
+
+            for (const delivery of due) {
+                if (!groups.has(delivery.groupId)) {
+                    const [group] = await db
+                        .select()
+                        .from(notificationGroups)
+                        .where(eq(notificationGroups.id, delivery.groupId));
+                    groups.set(delivery.groupId, group);
+                }
+
+                await this.retry(delivery, groups.get(delivery.groupId));
+            }
+
+            return due.length;
+        } finally {
+            this.isProcessingQueue = false;
+        }
+    }
+
+    /**
+     * Recent deliveries of a group, newest first
+     */
+    async findByGroup(groupId: string, limit = 50): Promise<NotificationDelivery[]> {
+        return db
+            .select()
+            .from(notificationDeliveries)
+            .where(eq(notificationDeliveries.groupId, groupId))
+            .orderBy(desc(notificationDeliveries.createdAt))
+            .limit(limit);
+    }
+
+    /**
+     * Recent deliveries that gave up, across all groups
+     */
+    async findFailed(limit = 50): Promise<FailedNotificationDelivery[]> {
+        const rows = await db
+            .select({
+                delivery: notificationDeliveries,
+                groupName: notificationGroups.name,
+            })
+            .from(notificationDeliveries)
+            .innerJoin(notificationGroups, eq(notificationDeliveries.groupId, notificationGroups.id))
+            .where(eq(notificationDeliveries.status, 'failed'))
+            .orderBy(desc(notificationDeliveries.updatedAt))
+            .limit(limit);
+
+        return rows.map((row) => ({ ...row.delivery, groupName: row.groupName }));
+    }
+
+    /**
+     * Delete finished deliveries past the retention window
+     */
+    async purgeExpired(): Promise<number> {
+        const cutoff = new Date(Date.now() - DELIVERY_RETENTION_DAYS * DAY_MS);
+        const deleted = await db
+            .delete(notificationDeliveries)
+            .where(and(
+                lt(notificationDeliveries.createdAt, cutoff),
+                ne(notificationDeliveries.status, 'retrying')
+            ))
+            .returning({ id: notificationDeliveries.id });
+        return deleted.length;
+    }
+
+    /**
+     * Replay a queued delivery with the group's current channel config
+     */
+    private async retry(delivery: NotificationDelivery, group: NotificationGroup | undefined): Promise<void> {
+        const channelConfig = group?.channels.find((channel) => channel.id === delivery.channelId);
+        const channel = channelConfig && getNotificationChannel(channelConfig.type);
+        const parsed = channel?.configSchema.safeParse(channelConfig!.config);
+
+        let result: AttemptResult;
+        if (!group || !channelConfig || !channelConfig.enabled || !channel) {
+            result = this.configError('Channel was removed or disabled');
+        } else if (!parsed?.success) {
+            result = this.configError(`Invalid ${channel.label} configuration: ${parsed?.error.issues[0]?.message}`);
+        } else {
+            result = await this.attempt(channelConfig, parsed.data, delivery.payload as NotificationMessage, {
+                deliveryId: delivery.id,
+                groupId: group.id,
+                groupName: group.name,
+            });
+        }
+
+        const attempts = delivery.attempts + 1;
+        const next = this.getNextState(attempts, this.getMaxRetries(parsed?.success ? parsed.data : null), result);
+
+        if (next.status === 'success') {
+            console.log(`[NOTIFICATION] ${delivery.channelType} delivery ${delivery.id} succeeded on attempt ${attempts}`);
+        } else if (next.status === 'failed') {
+            console.error(`[NOTIFICATION] ${delivery.channelType} delivery ${delivery.id} gave up after ${attempts} attempts: ${result.error}`);
+        }
+
+        await db
+            .update(notificationDeliveries)
+            .set({
+                status: next.status,
+                attempts,
+                responseStatus: result.responseStatus,
+                responseBody: result.responseBody,
+                error: result.error,
+                durationMs: result.durationMs,
+                attemptLog: [...delivery.attemptLog, this.toLogEntry(result)],
+                nextAttemptAt: next.nextAttemptAt,
+                updatedAt: new Date(),
+            })
+            .where(eq(notificationDeliveries.id, delivery.id));
+
+        if (next.status !== 'retrying') {
+            try {
+                await alertActivityService.updateNotified(delivery.id, { status: next.status, attempts, error: result.error });
+            } catch (error) {
+                console.error(`[NOTIFICATION] Failed to update timeline for delivery ${delivery.id}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Add a "notified" entry to the timeline of every alert the message was about,
+     * including each alert inside a batch or digest summary
+     */
+    private async recordOnTimeline(delivery: NotificationDelivery, group: NotificationGroup, message: NotificationMessage): Promise<void> {
+        const { alert, summary } = message.context;
+        const alertIds = alert
+            ? [alert.id]
+            : (summary?.items || []).map((item) => item.alertId).filter((id): id is string => !!id);
+
+        try {
+            await alertActivityService.recordNotified([...new Set(alertIds)], {
+                deliveryId: delivery.id,
+                channelType: delivery.channelType,
+                event: delivery.event,
+                target: delivery.target,
+                status: delivery.status,
+                attempts: delivery.attempts,
+                error: delivery.error,
+                groupName: group.name,
+                summary: summary?.kind ?? null,
+            });
+        } catch (error) {
+            console.error(`[NOTIFICATION] Failed to record delivery ${delivery.id} on the alert timeline:`, error);
+        }
+    }
+
+    /**
+     * One send through a channel, never throws
+     */
+    private async attempt(
+        channelConfig: NotificationChannelConfig,
+        config: unknown,
+        message: NotificationMessage,
+        target: { deliveryId: string; groupId: string; groupName: string }
+    ): Promise<AttemptResult> {
+        const channel = getNotificationChannel(channelConfig.type)!;
+        const startedAt = Date.now();
+
+        try {
+            const response = await channel.send(config, message, { ...target, channelId: channelConfig.id });
+            return {
+                success: true,
+                responseStatus: response?.status ?? null,
+                responseBody: this.truncate(response?.body),
+                error: null,
+                retryable: false,
+                retryAfterMs: 0,
+                durationMs: Date.now() - startedAt,
+            };
+        } catch (error: any) {
+            return {
+                success: false,
+                responseStatus: error.response?.status ?? null,
+                responseBody: this.truncate(error.response?.data),
+                error: this.describeError(error),
+                retryable: this.isRetryable(error),
+                retryAfterMs: this.getRetryAfterMs(error),
+                durationMs: Date.now() - startedAt,
+            };
+        }
+    }
+
+    private configError(error: string): AttemptResult {
+        return {
+            success: false,
+            responseStatus: null,
+            responseBody: null,
+            error,
+            retryable: false,
+            retryAfterMs: 0,
+            durationMs: 0,
+        };
+    }
+
+    private getNextState(
+        attempts: number,
+        maxRetries: number,
+        result: AttemptResult
+    ): { status: NotificationDelivery['status']; nextAttemptAt: Date | null } {
+        if (result.success) {
+            return { status: 'success', nextAttemptAt: null };
+        }
+        if (!result.retryable || attempts > maxRetries) {
+            return { status: 'failed', nextAttemptAt: null };
+        }
+
+        const backoff = Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+        return {
+            status: 'retrying',
+            nextAttemptAt: new Date(Date.now() + Math.max(backoff, result.retryAfterMs)),
+        };
+    }
+
+    private getMaxRetries(config: unknown): number {
+        const retries = (config as { retries?: unknown } | null)?.retries;
+        return typeof retries === 'number' ? retries : DEFAULT_MAX_RETRIES;
+    }
+
+    /**
+     * Network errors, timeouts, rate limits and server errors are worth another try;
+     * other 4xx answers, SMTP 5xx replies and bad credentials are not
+     */
+    private isRetryable(error: any): boolean {
+        const status = error.response?.status;
+        if (typeof status === 'number') {
+            return status === 408 || status === 429 || status >= 500;
+        }
+        if (typeof error.responseCode === 'number') {
+            return error.responseCode < 500;
+        }
+        return error.code !== 'EAUTH';
+    }
+
+    /**
+     * Wait requested by the remote end (Telegram `retry_after` or a Retry-After header)
+     */
+    private getRetryAfterMs(error: any): number {
+        const telegramRetryAfter = error.response?.data?.parameters?.retry_after;
+        if (typeof telegramRetryAfter === 'number') {
+            return telegramRetryAfter * 1000;
+        }
+
+        const header = Number(error.response?.headers?.['retry-after']);
+        return Number.isFinite(header) && header > 0 ? header * 1000 : 0;
+    }
+
+    private describeError(error: any): string {
+        const detail = error.response?.data?.description || error.response?.data?.message;
+        const text = error.message || String(error);
+        return typeof detail === 'string' && detail ? `${text}: ${detail}` : text;
+    }
+
+    private toLogEntry(result: AttemptResult): NotificationDeliveryAttempt {
+        return {
+            at: new Date().toISOString(),
+            success: result.success,
+            responseStatus: result.responseStatus,
+            error: result.error,
+            durationMs: result.durationMs,
+        };
+    }
+
+    private truncate(value: unknown): string | null {
+        if (value === undefined || value === null || value === '') return null;
+        let text: string;
+        try {
+            text = typeof value === 'string' ? value : JSON.stringify(value);
+        } catch {
+            // Circular or otherwise unserializable bodies are not worth failing a delivery over
+            text = String(value);
+        }
+        return text.length > MAX_RESPONSE_BODY_LENGTH ? text.slice(0, MAX_RESPONSE_BODY_LENGTH) + '…' : text;
+    }
+}
+
+// Export singleton instance
+export const notificationDeliveryService = new NotificationDeliveryService();
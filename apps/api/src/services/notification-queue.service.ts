@@ -0,0 +1,113 @@
+import { and, asc, eq, inArray, lte } from 'drizzle-orm';
+import { db } from '../db/index.js';
+import {
+    notificationQueue,
+    type NewQueuedNotification,
+    type NotificationGroup,
+    type QueuedNotification,
+} from '../db/schema/index.js';
+import { settingsService } from './settings.service.js';
+import { notificationRuleService } from './notification-rule.service.js';
+import { getLocalTime, parseTimeOfDay } from '../lib/time-utils.js';
+
+type QueueKind = QueuedNotification['kind'];
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Notification Queue Service - holds alert notifications back for batch
+ * summaries, hourly/daily digests and the end of quiet hours until they fall due
+ */
+export class NotificationQueueService {
+    /**
+     * Queue a notification for a group's next batch or digest, or the end of quiet hours
+     */
+    async enqueue(
+        group: NotificationGroup,
+        kind: QueueKind,
+        item: Omit<NewQueuedNotification, 'groupId' | 'kind' | 'dueAt'>
+    ): Promise<QueuedNotification> {
+        const dueAt = kind === 'batch'
+            ? await this.getBatchDueAt(group)
+            : kind === 'digest'
+                ? await this.getDigestDueAt(group)
+                : await this.getQuietHoursEndAt();
+
+        const [queued] = await db
+            .insert(notificationQueue)
+            .values({ ...item, groupId: group.id, kind, dueAt })
+            .returning();
+        return queued;
+    }
+
+    /**
+     * Every queued notification that is due, oldest first. Rows stay queued
+     * until they are removed once sent, so a failed flush is retried.
+     */
+    async findDue(): Promise<QueuedNotification[]> {
+        return db
+            .select()
+            .from(notificationQueue)
+            .where(lte(notificationQueue.dueAt, new Date()))
+            .orderBy(asc(notificationQueue.createdAt));
+    }
+
+    /**
+     * Remove queued notifications that have been handed to their channels
+     */
+    async remove(items: QueuedNotification[]): Promise<void> {
+        if (items.length === 0) return;
+
+        await db
+            .delete(notificationQueue)
+            .where(inArray(notificationQueue.id, items.map((item) => item.id)));
+    }
+
+    /**
+     * The first alert opens the batch window; later alerts join it
+     */
+    private async getBatchDueAt(group: NotificationGroup): Promise<Date> {
+        const [open] = await db
+            .select({ dueAt: notificationQueue.dueAt })
+            .from(notificationQueue)
+            .where(and(eq(notificationQueue.groupId, group.id), eq(notificationQueue.kind, 'batch')))
+            .orderBy(asc(notificationQueue.dueAt))
+            .limit(1);
+
+        return open?.dueAt ?? new Date(Date.now() + group.batchWindowSeconds * 1000);
+    }
+
+    /**
+     * Next top of the hour, or the next digest hour of the day, in the app timezone
+     */
+    private async getDigestDueAt(group: NotificationGroup): Promise<Date> {
+        const timezone = await settingsService.getSettingValue<string>('timezone', 'Asia/Jakarta');
+        const now = new Date();
+        const local = getLocalTime(now, timezone);
+
+        const minutesUntil = group.digestMode === 'daily'
+            ? (group.digestHour * 60 - local.minutes + 1440) % 1440 || 1440
+            : 60 - (local.minutes % 60);
+
+        const startOfMinute = Math.floor(now.getTime() / MINUTE_MS) * MINUTE_MS;
+        return new Date(startOfMinute + minutesUntil * MINUTE_MS);
+    }
+
+    /**
+     * Next end of quiet hours, in the timezone they were saved in
+     */
+    private async getQuietHoursEndAt(): Promise<Date> {
+        const quietHours = await notificationRuleService.getQuietHours();
+        const timezone = await notificationRuleService.getQuietHoursTimezone(quietHours);
+        const now = new Date();
+        const local = getLocalTime(now, timezone);
+
+        const minutesUntil = (parseTimeOfDay(quietHours.end) - local.minutes + 1440) % 1440 || 1440;
+
+        const startOfMinute = Math.floor(now.getTime() / MINUTE_MS) * MINUTE_MS;
+        return new Date(startOfMinute + minutesUntil * MINUTE_MS);
+    }
+}
+
+// Export singleton instance
+export const notificationQueueService = new NotificationQueueService();
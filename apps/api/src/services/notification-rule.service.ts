@@ -0,0 +1,187 @@
+import { asc, eq } from 'drizzle-orm';
+import { db } from '../db/index.js';
+import {
+    notificationRules,
+    type Alert,
+    type NotificationRule,
+    type NewNotificationRule,
+} from '../db/schema/index.js';
+import { settingsService } from './settings.service.js';
+import { getLocalTime, isInDailyWindow, type LocalTime } from '../lib/time-utils.js';
+
+export interface QuietHours {
+    enabled: boolean;
+    start: string; // HH:MM
+    end: string; // HH:MM
+    timezone: string | null; // of the admin who saved them; null = app timezone
+}
+
+/**
+ * Where an alert notification goes
+ */
+export interface NotificationRoute {
+    groupIds: string[];
+    // Matching rule; null when the router's own group was used
+    rule: NotificationRule | null;
+    // Quiet hours: hold the notifications for these groups until they end
+    quiet: boolean;
+}
+
+const DEFAULT_QUIET_HOURS: QuietHours = { enabled: false, start: '22:00', end: '06:00', timezone: null };
+
+// Rules are read on every notification, so keep them briefly in memory
+const RULES_CACHE_MS = 30 * 1000;
+
+/**
+ * Notification Rule Service - routes alert notifications by severity, alert type,
+ * router group and time of day, with global quiet hours
+ */
+export class NotificationRuleService {
+    private rulesCache: { rules: NotificationRule[]; expiresAt: number } | null = null;
+
+    /**
+     * Get all rules in evaluation order
+     */
+    async findAll(): Promise<NotificationRule[]> {
+        return db
+            .select()
+            .from(notificationRules)
+            .orderBy(asc(notificationRules.priority), asc(notificationRules.createdAt));
+    }
+
+    /**
+     * Get rule by ID
+     */
+    async findById(id: string): Promise<NotificationRule | undefined> {
+        const [rule] = await db.select().from(notificationRules).where(eq(notificationRules.id, id));
+        return rule;
+    }
+
+    /**
+     * Create a rule
+     */
+    async create(data: NewNotificationRule): Promise<NotificationRule> {
+        const [rule] = await db.insert(notificationRules).values(data).returning();
+        this.rulesCache = null;
+        return rule;
+    }
+
+    /**
+     * Update a rule
+     */
+    async update(id: string, data: Partial<NewNotificationRule>): Promise<NotificationRule | undefined> {
+        const [rule] = await db
+            .update(notificationRules)
+            .set({ ...data, updatedAt: new Date() })
+            .where(eq(notificationRules.id, id))
+            .returning();
+        this.rulesCache = null;
+        return rule;
+    }
+
+    /**
+     * Delete a rule
+     */
+    async delete(id: string): Promise<boolean> {
+        const result = await db.delete(notificationRules).where(eq(notificationRules.id, id)).returning();
+        this.rulesCache = null;
+        return result.length > 0;
+    }
+
+    /**
+     * Pick the notification groups for an alert.
+     * Without a matching rule the router's own notification group is used, so
+     * installs without rules behave as before. An escalation level that names a
+     * group pages it instead, but drop rules and quiet hours still apply.
+     */
+    async resolve(
+        alert: Pick<Alert, 'type' | 'severity'>,
+        router: { groupId?: string | null; notificationGroupId?: string | null },
+        targetGroupId?: string | null
+    ): Promise<NotificationRoute> {
+        const now = new Date();
+        const appTimezone = await this.getAppTimezone();
+
+        const rules = await this.getEnabledRules();
+        const rule = rules.find((candidate) =>
+            this.matches(candidate, alert, router, getLocalTime(now, candidate.timezone || appTimezone))
+        ) || null;
+
+        let groupIds: string[];
+        if (rule?.action === 'drop') {
+            groupIds = [];
+        } else if (targetGroupId) {
+            groupIds = [targetGroupId];
+        } else if (!rule) {
+            groupIds = router.notificationGroupId ? [router.notificationGroupId] : [];
+        } else {
+            groupIds = [...rule.targetGroupIds];
+            if (rule.includeRouterGroup && router.notificationGroupId) {
+                groupIds.push(router.notificationGroupId);
+            }
+            groupIds = [...new Set(groupIds)];
+        }
+
+        const quiet = groupIds.length > 0 && !rule?.ignoreQuietHours && await this.isQuietTime(now);
+        return { groupIds, rule, quiet };
+    }
+
+    /**
+     * Quiet hours setting, in its own timezone
+     */
+    async getQuietHours(): Promise<QuietHours> {
+        const value = await settingsService.getSettingValue<Partial<QuietHours>>('notificationQuietHours', DEFAULT_QUIET_HOURS);
+        return { ...DEFAULT_QUIET_HOURS, ...value };
+    }
+
+    /**
+     * Timezone the quiet hours are evaluated in
+     */
+    async getQuietHoursTimezone(quietHours: QuietHours): Promise<string> {
+        return quietHours.timezone || this.getAppTimezone();
+    }
+
+    private async isQuietTime(now: Date): Promise<boolean> {
+        const quietHours = await this.getQuietHours();
+        if (!quietHours.enabled) return false;
+
+        const local = getLocalTime(now, await this.getQuietHoursTimezone(quietHours));
+        return isInDailyWindow(local, quietHours.start, quietHours.end);
+    }
+
+    // Rules and quiet hours saved before they kept a timezone
+    private async getAppTimezone(): Promise<string> {
+        return settingsService.getSettingValue<string>('timezone', 'Asia/Jakarta');
+    }
+
+    private matches(
+        rule: NotificationRule,
+        alert: Pick<Alert, 'type' | 'severity'>,
+        router: { groupId?: string | null },
+        local: LocalTime
+    ): boolean {
+        if (rule.severities.length > 0 && !rule.severities.includes(alert.severity)) return false;
+        if (rule.alertTypes.length > 0 && !rule.alertTypes.includes(alert.type)) return false;
+        if (rule.routerGroupIds.length > 0 && (!router.groupId || !rule.routerGroupIds.includes(router.groupId))) {
+            return false;
+        }
+
+        if (rule.startTime && rule.endTime) {
+            return isInDailyWindow(local, rule.startTime, rule.endTime, rule.daysOfWeek);
+        }
+        return rule.daysOfWeek.length === 0 || rule.daysOfWeek.includes(local.weekday);
+    }
+
+    private async getEnabledRules(): Promise<NotificationRule[]> {
+        if (this.rulesCache && this.rulesCache.expiresAt > Date.now()) {
+            return this.rulesCache.rules;
+        }
+
+        const rules = (await this.findAll()).filter((rule) => rule.enabled);
+        this.rulesCache = { rules, expiresAt: Date.now() + RULES_CACHE_MS };
+        return rules;
+    }
+}
+
+// Export singleton instance
+export const notificationRuleService = new NotificationRuleService();
@@ -1,93 +1,366 @@
-import axios from 'axios';
 import { db } from '../db/index.js';
-import { notificationGroups, routers, routerNetwatch, type Alert } from '../db/schema/index.js';
-import { eq, and } from 'drizzle-orm';
+import {
+    alerts,
+    notificationGroups,
+    routers,
+    routerNetwatch,
+    type Alert,
+    type NotificationDelivery,
+    type NotificationGroup,
+    type QueuedNotification,
+} from '../db/schema/index.js';
+import { eq, inArray } from 'drizzle-orm';
+import type { NotificationContext, NotificationMessage, NotificationSummaryItem } from './notification-channels/index.js';
+import { notificationDeliveryService } from './notification-delivery.service.js';
+import { notificationRuleService } from './notification-rule.service.js';
+import { notificationQueueService } from './notification-queue.service.js';
+
+// Summary of a batch or digest; takes the alert placeholders plus {{count}}, {{items}} and {{period}}
+const DEFAULT_SUMMARY_TEMPLATE = `{{icon}} *{{title}}*
+
+{{items}}
+
+⏰ *Time:* {{time}}`;
+
+// One line per alert in {{items}}, with the alert's own placeholders
+const DEFAULT_SUMMARY_ITEM_TEMPLATE = '• *{{device}}* ({{ip}}) - {{title}}';
+
+// Keep summaries well under chat message size limits
+const MAX_SUMMARY_ITEMS = 50;
+
+const SEVERITY_ICONS: Record<Alert['severity'], string> = { critical: '🔴', warning: '⚠️', info: 'ℹ️' };
+const SEVERITY_RANK: Record<Alert['severity'], number> = { critical: 2, warning: 1, info: 0 };
+
+// Alert types that mean a device went down, for "14 devices down on Router X"
+const DOWN_ALERT_TYPES: Alert['type'][] = ['netwatch_down', 'pppoe_disconnect', 'interface_down'];
 
 export class NotificationService {
+    private isFlushingQueue = false;
+
     /**
-     * Send Telegram Message
+     * Send a message through every enabled channel of a group.
+     * Each channel gets its own delivery record; failures are queued for retry
+     * and do not stop the other channels.
      */
-    private async sendTelegram(token: string, chatId: string, message: string, threadId?: string) {
-        try {
-            const url = `https://api.telegram.org/bot${token}/sendMessage`;
-            const payload: any = {
-                chat_id: chatId,
-                text: message,
-                parse_mode: 'Markdown',
-            };
-
-            if (threadId) {
-                payload.message_thread_id = threadId;
+    private async dispatch(group: NotificationGroup, message: NotificationMessage) {
+        for (const channelConfig of group.channels || []) {
+            if (!channelConfig.enabled) continue;
+
+            try {
+                await notificationDeliveryService.deliver(group, channelConfig, message);
+            } catch (error) {
+                console.error(`[NOTIFICATION] Failed to record ${channelConfig.type} delivery for group ${group.name}:`, error);
             }
+        }
+    }
 
-            await axios.post(url, payload);
-            console.log('Telegram message sent successfully');
-        } catch (error) {
-            console.error('Failed to send Telegram message:', error);
+    /**
+     * Send a test message through every enabled channel of a group, without retries
+     */
+    async sendTestMessage(group: NotificationGroup): Promise<NotificationDelivery[]> {
+        const timeStr = new Date().toLocaleString('id-ID', {
+            timeZone: 'Asia/Jakarta',
+            dateStyle: 'medium',
+            timeStyle: 'medium'
+        });
+
+        const message: NotificationMessage = {
+            event: 'test',
+            title: 'Test notification',
+            severity: 'info',
+            body: `This is a test message for notification group "${group.name}".`,
+            fields: [
+                { label: 'Group', value: group.name },
+                { label: 'Time', value: timeStr },
+            ],
+            text: `ℹ️ *Test notification*
+
+This is a test message for notification group *${group.name}*.
+
+⏰ *Time:* ${timeStr}`,
+            context: { alert: null, router: null, netwatch: null },
+        };
+
+        const deliveries: NotificationDelivery[] = [];
+        for (const channelConfig of group.channels.filter((channel) => channel.enabled)) {
+            deliveries.push(await notificationDeliveryService.deliver(group, channelConfig, message, { retry: false }));
         }
+        return deliveries;
     }
 
     /**
-     * Send WhatsApp Message (aldinokemal/go-whatsapp-web-multidevice compatible)
-     * Supports both personal chat (phone number) and group chat (group ID)
+     * Send the batches, digests and quiet hours backlogs that are due, one summary per group.
+     * Called by the scheduler; returns the number of messages sent.
      */
-    private async sendWhatsapp(url: string, to: string, message: string, key?: string) {
+    async flushQueue(): Promise<number> {
+        if (this.isFlushingQueue) return 0;
+        this.isFlushingQueue = true;
+
         try {
-            // Remove trailing slash if present
-            const baseUrl = url.replace(/\/$/, '');
-
-            // Determine if this is a group or personal chat
-            // Group IDs are typically longer and don't start with country code like 62
-            const isGroup = to.length > 15 || to.includes('@g.us');
-
-            let endpoint: string;
-            let payload: any;
-
-            if (isGroup) {
-                // For groups: POST /send/message with group_id
-                endpoint = `${baseUrl}/send/message`;
-                payload = {
-                    phone: to.replace('@g.us', '') + '@g.us', // Ensure proper format
-                    message: message
-                };
-            } else {
-                // For personal: POST /send/message with phone number  
-                endpoint = `${baseUrl}/send/message`;
-                payload = {
-                    phone: to, // Phone number with country code
-                    message: message
-                };
-            }
+            const due = await notificationQueueService.findDue();
+            if (due.length === 0) return 0;
 
-            console.log(`[WHATSAPP] Sending to ${to} (${isGroup ? 'group' : 'personal'}) via ${endpoint}`);
-            console.log(`[WHATSAPP] Payload:`, JSON.stringify(payload));
+            // Escalations held over quiet hours are stale once their alert has resolved
+            const heldEscalations = due.filter((item) =>
+                item.alertId && (item.message as NotificationMessage).event === 'alert.escalated'
+            );
+            const resolvedAlertIds = await this.getResolvedAlertIds(heldEscalations.map((item) => item.alertId!));
 
-            const headers: any = {
-                'Content-Type': 'application/json'
-            };
+            const stale = heldEscalations.filter((item) => resolvedAlertIds.has(item.alertId!));
+            await notificationQueueService.remove(stale);
 
-            if (key) {
-                headers['Authorization'] = `Bearer ${key}`;
+            const buckets = new Map<string, QueuedNotification[]>();
+            for (const item of due) {
+                if (stale.includes(item)) continue;
+
+                const key = `${item.groupId}:${item.kind}`;
+                buckets.set(key, [...(buckets.get(key) || []), item]);
             }
 
-            const response = await axios.post(endpoint, payload, { headers, timeout: 10000 });
-            console.log('[WHATSAPP] Message sent successfully:', response.data);
-        } catch (error: any) {
-            console.error('[WHATSAPP] Failed to send message:', error.response?.data || error.message);
-            // Log more details for debugging
-            if (error.response) {
-                console.error('[WHATSAPP] Status:', error.response.status);
-                console.error('[WHATSAPP] Headers:', error.response.headers);
+            const groupIds = [...new Set(due.map((item) => item.groupId))];
+            const groups = await db
+                .select()
+                .from(notificationGroups)
+                .where(inArray(notificationGroups.id, groupIds));
+
+            let sent = 0;
+            for (const items of buckets.values()) {
+                const group = groups.find((candidate) => candidate.id === items[0].groupId);
+                if (!group) {
+                    await notificationQueueService.remove(items);
+                    continue;
+                }
+
+                // A batch (or quiet hours backlog) of one is sent as the original alert
+                const message = items[0].kind !== 'digest' && items.length === 1
+                    ? items[0].message as NotificationMessage
+                    : this.buildSummary(group, items);
+
+                // Only drop the rows once the deliveries are recorded; those retry on their own
+                await this.dispatch(group, message);
+                await notificationQueueService.remove(items);
+                sent++;
             }
+            return sent;
+        } finally {
+            this.isFlushingQueue = false;
+        }
+    }
+
+    /**
+     * IDs among these alerts that have been resolved
+     */
+    private async getResolvedAlertIds(alertIds: string[]): Promise<Set<string>> {
+        if (alertIds.length === 0) return new Set();
+
+        const rows = await db
+            .select({ id: alerts.id, resolved: alerts.resolved })
+            .from(alerts)
+            .where(inArray(alerts.id, alertIds));
+        return new Set(rows.filter((row) => row.resolved).map((row) => row.id));
+    }
+
+    /**
+     * One message for several queued alerts of a group, rendered with the
+     * group's summary templates
+     */
+    private buildSummary(group: NotificationGroup, items: QueuedNotification[]): NotificationMessage {
+        const kind = items[0].kind;
+        const period = kind === 'digest' && group.digestMode !== 'off' ? group.digestMode : null;
+        const severity = items.reduce<Alert['severity']>(
+            (worst, item) => SEVERITY_RANK[item.severity] > SEVERITY_RANK[worst] ? item.severity : worst,
+            'info'
+        );
+
+        const routerNames = [...new Set(items.map((item) => item.routerName).filter((name): name is string => !!name))];
+        const where = routerNames.length === 1 ? ` on ${routerNames[0]}` : routerNames.length > 1 ? ` on ${routerNames.length} routers` : '';
+        const allDown = items.every((item) => DOWN_ALERT_TYPES.includes(item.alertType));
+        const what = allDown
+            ? `${items.length} device${items.length === 1 ? '' : 's'} down`
+            : `${items.length} alert${items.length === 1 ? '' : 's'}`;
+        const title = period
+            ? `${period === 'daily' ? 'Daily' : 'Hourly'} digest: ${what}${where}`
+            : kind === 'quiet' ? `During quiet hours: ${what}${where}` : `${what}${where}`;
+
+        const itemTemplate = group.summaryItemTemplate || DEFAULT_SUMMARY_ITEM_TEMPLATE;
+        const lines = items.slice(0, MAX_SUMMARY_ITEMS).map((item) => this.renderTemplate(itemTemplate, item.vars));
+        if (items.length > MAX_SUMMARY_ITEMS) {
+            lines.push(`…and ${items.length - MAX_SUMMARY_ITEMS} more`);
+        }
+        const itemsText = lines.join('\n');
+
+        const timeStr = new Date().toLocaleString('id-ID', {
+            timeZone: 'Asia/Jakarta',
+            dateStyle: 'medium',
+            timeStyle: 'medium'
+        });
+
+        const single = routerNames.length === 1 ? items[0] : null;
+        const vars: Record<string, string> = {
+            icon: SEVERITY_ICONS[severity],
+            title,
+            message: itemsText,
+            items: itemsText,
+            count: String(items.length),
+            period: period || '',
+            device: single ? routerNames[0] : `${routerNames.length} routers`,
+            ip: '-',
+            location: '-',
+            coordinates: '-',
+            maps_link: '-',
+            time: timeStr,
+            severity,
+            router: single ? routerNames[0] : '-',
+            netwatch_host: '-',
+            netwatch_name: '-',
+        };
+
+        const summaryItems: NotificationSummaryItem[] = items.map((item) => ({
+            alertId: item.alertId,
+            type: item.alertType,
+            severity: item.severity,
+            title: item.vars.title,
+            message: item.vars.message || null,
+            routerId: item.routerId,
+            routerName: item.routerName,
+            device: item.vars.device,
+            ip: item.vars.ip,
+            createdAt: item.createdAt.toISOString(),
+        }));
+
+        const firstMessage = items[0].message as NotificationMessage;
+
+        return {
+            event: kind === 'digest' ? 'alert.digest' : 'alert.batch',
+            title,
+            severity,
+            body: itemsText.replace(/\*([^*\n]+)\*/g, '$1'),
+            fields: [
+                { label: 'Alerts', value: String(items.length) },
+                { label: 'Routers', value: routerNames.join(', ') || '-' },
+                { label: 'Time', value: timeStr },
+            ],
+            text: this.renderTemplate(group.summaryTemplate || DEFAULT_SUMMARY_TEMPLATE, vars),
+            context: {
+                alert: null,
+                router: single ? firstMessage.context.router : null,
+                netwatch: null,
+                summary: { kind, period, count: items.length, items: summaryItems },
+            },
+        };
+    }
+
+    /**
+     * Whether an alert for this group waits for a digest, the end of quiet hours or a batch
+     * instead of going out now
+     */
+    private getQueueKind(group: NotificationGroup, severity: Alert['severity'], quiet: boolean): QueuedNotification['kind'] | null {
+        if (group.digestMode !== 'off' && group.digestSeverities.includes(severity)) {
+            return 'digest';
+        }
+        if (quiet) {
+            return 'quiet';
+        }
+        return group.batchWindowSeconds > 0 ? 'batch' : null;
+    }
+
+    /**
+     * Fill {{placeholders}}; unknown ones are left as they are
+     */
+    private renderTemplate(template: string, vars: Record<string, string>): string {
+        return template.replace(/{{(\w+)}}/g, (placeholder, name: string) => vars[name] ?? placeholder);
+    }
+
+    /**
+     * Notification groups an alert is routed to by the notification rules,
+     * and whether quiet hours hold it back
+     */
+    private async getRoutedGroups(
+        alert: Alert,
+        router: { groupId?: string | null; notificationGroupId?: string | null },
+        targetGroupId?: string | null
+    ): Promise<{ groups: NotificationGroup[]; quiet: boolean }> {
+        const route = await notificationRuleService.resolve(alert, router, targetGroupId);
+
+        if (route.quiet) {
+            console.log(`[NOTIFICATION] Quiet hours - holding "${alert.title}" until they end`);
+        } else if (route.rule && route.groupIds.length === 0) {
+            console.log(`[NOTIFICATION] "${alert.title}" dropped by rule "${route.rule.name}"`);
+        }
+
+        if (route.groupIds.length === 0) {
+            return { groups: [], quiet: false };
         }
+
+        const groups = await db
+            .select()
+            .from(notificationGroups)
+            .where(inArray(notificationGroups.id, route.groupIds));
+        return { groups, quiet: route.quiet };
+    }
+
+    /**
+     * Router fields that are safe to hand to external systems (no credentials)
+     */
+    private toRouterContext(router: {
+        id: string;
+        name: string;
+        host: string;
+        location?: string | null;
+        latitude?: string | null;
+        longitude?: string | null;
+    }): NonNullable<NotificationContext['router']> {
+        return {
+            id: router.id,
+            name: router.name,
+            host: router.host,
+            location: router.location ?? null,
+            latitude: router.latitude ?? null,
+            longitude: router.longitude ?? null,
+        };
     }
 
     /**
-     * Extract IP from alert message (e.g., "Netwatch host 192.168.1.1 (...)" -> "192.168.1.1")
+     * Netwatch entry an alert is about. Falls back to the host/name the alert was
+     * raised with if the entry has been deleted since.
      */
-    private extractIpFromMessage(message: string): string | null {
-        const ipMatch = message.match(/(\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3})/);
-        return ipMatch ? ipMatch[1] : null;
+    async getNetwatchData(alert: Alert): Promise<{
+        name: string;
+        host: string;
+        latitude: string | null;
+        longitude: string | null;
+        location: string | null;
+    } | null> {
+        if (alert.subjectType !== 'netwatch') {
+            return null;
+        }
+
+        const [netwatch] = await db
+            .select()
+            .from(routerNetwatch)
+            .where(eq(routerNetwatch.id, alert.subjectId));
+
+        if (netwatch) {
+            return {
+                name: netwatch.name || netwatch.host,
+                host: netwatch.host,
+                latitude: netwatch.latitude,
+                longitude: netwatch.longitude,
+                location: netwatch.location,
+            };
+        }
+
+        const context = alert.subjectContext as { host?: string; name?: string };
+        if (!context.host) {
+            return null;
+        }
+        return {
+            name: context.name || context.host,
+            host: context.host,
+            latitude: null,
+            longitude: null,
+            location: null,
+        };
     }
 
     /**
@@ -95,63 +368,26 @@ export class NotificationService {
      */
     async notifyAlert(alert: Alert, routerId: string) {
         try {
-            // 1. Get Router to find Notification Group
-            // 1. Get Router to find Notification Group
+            // 1. Get Router
             const [router] = await db
                 .select()
                 .from(routers)
                 .where(eq(routers.id, routerId));
 
-            if (!router || !router.notificationGroupId) {
-                return; // No group assigned
+            if (!router) {
+                return;
             }
 
-            // 2. Get Notification Group
-            const [group] = await db
-                .select()
-                .from(notificationGroups)
-                .where(eq(notificationGroups.id, router.notificationGroupId));
-
-            if (!group) {
+            // 2. Route the alert to notification groups
+            const { groups, quiet } = await this.getRoutedGroups(alert, router);
+            if (groups.length === 0) {
                 return;
             }
 
-            // 3. For netwatch alerts, try to get netwatch data
-            let netwatchData: {
-                name: string;
-                host: string;
-                latitude: string | null;
-                longitude: string | null;
-                location: string | null;
-            } | null = null;
-
-            if (alert.type === 'netwatch_down') {
-                // Extract IP from alert message
-                const netwatchIp = this.extractIpFromMessage(alert.message);
-                if (netwatchIp) {
-                    const [netwatch] = await db
-                        .select()
-                        .from(routerNetwatch)
-                        .where(and(
-                            eq(routerNetwatch.routerId, routerId),
-                            eq(routerNetwatch.host, netwatchIp)
-                        ));
-
-                    if (netwatch) {
-                        netwatchData = {
-                            name: netwatch.name || netwatchIp,
-                            host: netwatch.host,
-                            latitude: netwatch.latitude,
-                            longitude: netwatch.longitude,
-                            location: netwatch.location,
-                        };
-                    }
-                }
-            }
+            // 3. For alerts about a netwatch entry, get its data
+            const netwatchData = await this.getNetwatchData(alert);
 
             // 4. Format Message
-            const icon = alert.severity === 'critical' ? '🔴' : alert.severity === 'warning' ? '⚠️' : 'ℹ️';
-
             // Default template - different for netwatch vs router alerts
             const defaultTemplate = alert.type === 'netwatch_down'
                 ? `{{icon}} *{{title}}*
@@ -160,7 +396,8 @@ export class NotificationService {
 🌐 *IP:* {{ip}}
 📌 *Location:* {{location}}
 🗺️ *Maps:* {{maps_link}}
-⏰ *Time:* {{time}}`
+⏰ *Time:* {{time}}
+✅ *Ack:* /ack {{alert_id}}`
                 : `{{icon}} *{{title}}*
 
 {{message}}
@@ -169,9 +406,8 @@ export class NotificationService {
 🌐 *IP:* {{ip}}
 📌 *Location:* {{location}}
 🗺️ *Maps:* {{maps_link}}
-⏰ *Time:* {{time}}`;
-
-            const template = group.messageTemplate || defaultTemplate;
+⏰ *Time:* {{time}}
+✅ *Ack:* /ack {{alert_id}}`;
 
             // Format time
             const timeStr = new Date().toLocaleString('id-ID', {
@@ -181,7 +417,7 @@ export class NotificationService {
             });
 
             // Determine which data to use (netwatch or router)
-            const isNetwatchAlert = alert.type === 'netwatch_down' && netwatchData;
+            const isNetwatchAlert = !!netwatchData;
 
             const deviceName = isNetwatchAlert ? netwatchData!.name : router.name;
             const deviceIp = isNetwatchAlert ? netwatchData!.host : router.host;
@@ -203,41 +439,62 @@ export class NotificationService {
                 ? `https://www.google.com/maps?q=${lat},${lon}`
                 : '-';
 
-            const message = template
-                .replace(/{{icon}}/g, icon)
-                .replace(/{{title}}/g, alert.title)
-                .replace(/{{message}}/g, alert.message || '')
-                .replace(/{{device}}/g, deviceName)
-                .replace(/{{ip}}/g, deviceIp)
-                .replace(/{{location}}/g, deviceLocation)
-                .replace(/{{coordinates}}/g, coordinates)
-                .replace(/{{maps_link}}/g, mapsLink)
-                .replace(/{{time}}/g, timeStr)
-                .replace(/{{severity}}/g, alert.severity)
-                .replace(/{{netwatch_host}}/g, netwatchData?.host || '-')
-                .replace(/{{netwatch_name}}/g, netwatchData?.name || '-');
-
-            // 4. Send Telegram
-            if (group.telegramEnabled && group.telegramBotToken && group.telegramChatId) {
-                await this.sendTelegram(
-                    group.telegramBotToken,
-                    group.telegramChatId,
-                    message,
-                    group.telegramThreadId || undefined
-                );
-            }
+            const vars: Record<string, string> = {
+                icon: SEVERITY_ICONS[alert.severity],
+                title: alert.title,
+                message: alert.message || '',
+                device: deviceName,
+                ip: deviceIp,
+                location: deviceLocation,
+                coordinates,
+                maps_link: mapsLink,
+                time: timeStr,
+                severity: alert.severity,
+                router: router.name,
+                netwatch_host: netwatchData?.host || '-',
+                netwatch_name: netwatchData?.name || '-',
+                // Short ID, enough for the Telegram bot's /ack command
+                alert_id: alert.id.slice(0, 8),
+            };
+
+            // 5. Send through each group's channels, with the group's own template,
+            // or hold it back for the group's batch or digest, or until quiet hours end
+            for (const group of groups) {
+                const message: NotificationMessage = {
+                    event: 'alert.created',
+                    title: alert.title,
+                    severity: alert.severity,
+                    body: alert.message || null,
+                    fields: [
+                        { label: 'Device', value: deviceName },
+                        { label: 'IP', value: deviceIp },
+                        { label: 'Location', value: deviceLocation },
+                        { label: 'Maps', value: hasCoordinates ? coordinates : '-', href: hasCoordinates ? mapsLink : undefined },
+                        { label: 'Time', value: timeStr },
+                    ],
+                    text: this.renderTemplate(group.messageTemplate || defaultTemplate, vars),
+                    context: {
+                        alert,
+                        router: this.toRouterContext(router),
+                        netwatch: netwatchData,
+                    },
+                };
 
-            // 5. Send WhatsApp
-            if (group.whatsappEnabled && group.whatsappUrl && group.whatsappTo) {
-                // WhatsApp usually doesn't support markdown in the same way, but let's send it as is.
-                // We might want to strip markdown asterisks for WA or keep them if WA supports bold.
-                // WA supports *bold*, so it's fine.
-                await this.sendWhatsapp(
-                    group.whatsappUrl,
-                    group.whatsappTo,
+                const queueKind = this.getQueueKind(group, alert.severity, quiet);
+                if (!queueKind) {
+                    await this.dispatch(group, message);
+                    continue;
+                }
+
+                await notificationQueueService.enqueue(group, queueKind, {
+                    alertId: alert.id,
+                    alertType: alert.type,
+                    severity: alert.severity,
+                    routerId: router.id,
+                    routerName: router.name,
+                    vars,
                     message,
-                    group.whatsappKey || undefined
-                );
+                });
             }
 
         } catch (error) {
@@ -257,6 +514,7 @@ export class NotificationService {
             latitude?: string | null;
             longitude?: string | null;
             location?: string | null;
+            groupId?: string | null;
             notificationGroupId?: string | null;
         },
         escalationLevel: number,
@@ -267,20 +525,13 @@ export class NotificationService {
             latitude: string | null;
             longitude: string | null;
             location: string | null;
-        } | null
+        } | null,
+        targetGroupId?: string | null
     ): Promise<void> {
         try {
-            if (!router.notificationGroupId) {
-                return; // No group assigned
-            }
-
-            // Get Notification Group
-            const [group] = await db
-                .select()
-                .from(notificationGroups)
-                .where(eq(notificationGroups.id, router.notificationGroupId));
-
-            if (!group) {
+            // A policy level that names a group pages it instead of the rule's targets
+            const { groups, quiet } = await this.getRoutedGroups(alert, router, targetGroupId);
+            if (groups.length === 0) {
                 return;
             }
 
@@ -313,7 +564,7 @@ export class NotificationService {
                 : '-';
 
             // Build escalation message
-            const message = `🔴 *[ALERT #${escalationLevel}] ${deviceName} masih DOWN*
+            const message = `🔴 *[ALERT #${escalationLevel}] ${deviceName} still DOWN*
 
 ⏱️ *Downtime:* ${downtimeDuration}
 
@@ -323,27 +574,61 @@ export class NotificationService {
 🗺️ *Maps:* ${mapsLink}
 ⏰ *Time:* ${timeStr}`;
 
-            // Send Telegram
-            if (group.telegramEnabled && group.telegramBotToken && group.telegramChatId) {
-                await this.sendTelegram(
-                    group.telegramBotToken,
-                    group.telegramChatId,
-                    message,
-                    group.telegramThreadId || undefined
-                );
-            }
+            const escalationMessage: NotificationMessage = {
+                event: 'alert.escalated',
+                title: `[ALERT #${escalationLevel}] ${deviceName} still DOWN`,
+                severity: 'critical',
+                body: `Downtime: ${downtimeDuration}`,
+                fields: [
+                    { label: 'Device', value: deviceName },
+                    { label: 'IP', value: deviceIp },
+                    { label: 'Location', value: deviceLocation },
+                    { label: 'Maps', value: hasCoordinates ? `${lat}, ${lon}` : '-', href: hasCoordinates ? mapsLink : undefined },
+                    { label: 'Time', value: timeStr },
+                ],
+                text: message,
+                context: {
+                    alert,
+                    router: this.toRouterContext(router),
+                    netwatch: netwatchData || null,
+                    escalation: { level: escalationLevel, downtime: downtimeDuration },
+                },
+            };
 
-            // Send WhatsApp
-            if (group.whatsappEnabled && group.whatsappUrl && group.whatsappTo) {
-                await this.sendWhatsapp(
-                    group.whatsappUrl,
-                    group.whatsappTo,
-                    message,
-                    group.whatsappKey || undefined
-                );
+            for (const group of groups) {
+                if (!quiet) {
+                    await this.dispatch(group, escalationMessage);
+                    continue;
+                }
+
+                // Held until quiet hours end; dropped then if the alert has resolved meanwhile
+                await notificationQueueService.enqueue(group, 'quiet', {
+                    alertId: alert.id,
+                    alertType: alert.type,
+                    severity: 'critical',
+                    routerId: router.id,
+                    routerName: router.name,
+                    vars: {
+                        icon: SEVERITY_ICONS.critical,
+                        title: escalationMessage.title,
+                        message: escalationMessage.body || '',
+                        device: deviceName,
+                        ip: deviceIp,
+                        location: deviceLocation,
+                        coordinates: hasCoordinates ? `${lat}, ${lon}` : '-',
+                        maps_link: mapsLink,
+                        time: timeStr,
+                        severity: 'critical',
+                        router: router.name,
+                        netwatch_host: netwatchData?.host || '-',
+                        netwatch_name: netwatchData?.name || '-',
+                        alert_id: alert.id.slice(0, 8),
+                    },
+                    message: escalationMessage,
+                });
             }
 
-            console.log(`[NOTIFICATION] Escalation notification sent for ${deviceName} (Level ${escalationLevel})`);
+            console.log(`[NOTIFICATION] Escalation notification ${quiet ? 'held for quiet hours' : 'sent'} for ${deviceName} (Level ${escalationLevel})`);
         } catch (error) {
             console.error('Error in sendEscalationNotification:', error);
         }
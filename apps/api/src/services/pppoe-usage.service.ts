@@ -0,0 +1,229 @@
+import { and, asc, desc, eq, gte, inArray, lte, sql } from 'drizzle-orm';
+import { db } from '../db/index.js';
+import { pppoeSessions, pppoeUsageDaily, routers, userRouters } from '../db/schema/index.js';
+import { settingsService } from './settings.service.js';
+import { getLocalDate } from '../lib/time-utils.js';
+import type { PppTrafficCounters } from '../lib/mikrotik-api.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export interface PppoeUsageTotal {
+    routerId: string;
+    routerName: string | null;
+    name: string;
+    uploadBytes: number;
+    downloadBytes: number;
+    totalBytes: number;
+}
+
+export interface PppoeUsageDay {
+    day: string;
+    uploadBytes: number;
+    downloadBytes: number;
+}
+
+export interface PppoeUsageRange {
+    startDay: string; // YYYY-MM-DD, inclusive
+    endDay: string;
+}
+
+/**
+ * PPPoE Usage Service - turns the PPPoE interface byte counters into daily usage per user
+ */
+export class PppoeUsageService {
+    /**
+     * Add the traffic since the last poll to today's usage of each online user.
+     * Counters restart with every session, so a value below the last one means a new session.
+     */
+    async recordCounters(routerId: string, counters: Map<string, PppTrafficCounters>): Promise<number> {
+        if (counters.size === 0) return 0;
+
+        const sessions = await db
+            .select({
+                id: pppoeSessions.id,
+                name: pppoeSessions.name,
+                lastUploadBytes: pppoeSessions.lastUploadBytes,
+                lastDownloadBytes: pppoeSessions.lastDownloadBytes,
+            })
+            .from(pppoeSessions)
+            .where(and(eq(pppoeSessions.routerId, routerId), eq(pppoeSessions.status, 'active')));
+
+        const day = getLocalDate(new Date(), await this.getTimezone());
+        let recorded = 0;
+
+        for (const session of sessions) {
+            const current = counters.get(session.name);
+            if (!current) continue;
+
+            // Sessions that were already running when we first saw them only get a baseline
+            if (session.lastUploadBytes !== null && session.lastDownloadBytes !== null) {
+                const uploadBytes = this.delta(current.uploadBytes, session.lastUploadBytes);
+                const downloadBytes = this.delta(current.downloadBytes, session.lastDownloadBytes);
+
+                if (uploadBytes > 0 || downloadBytes > 0) {
+                    await db
+                        .insert(pppoeUsageDaily)
+                        .values({ routerId, name: session.name, day, uploadBytes, downloadBytes })
+                        .onConflictDoUpdate({
+                            target: [pppoeUsageDaily.routerId, pppoeUsageDaily.name, pppoeUsageDaily.day],
+                            set: {
+                                uploadBytes: sql`${pppoeUsageDaily.uploadBytes} + excluded.upload_bytes`,
+                                downloadBytes: sql`${pppoeUsageDaily.downloadBytes} + excluded.download_bytes`,
+                                updatedAt: new Date(),
+                            },
+                        });
+                    recorded++;
+                }
+            }
+
+            await db
+                .update(pppoeSessions)
+                .set({ lastUploadBytes: current.uploadBytes, lastDownloadBytes: current.downloadBytes })
+                .where(eq(pppoeSessions.id, session.id));
+        }
+
+        return recorded;
+    }
+
+    /**
+     * The last `days` days up to today, in the app timezone
+     */
+    async getDayRange(days: number): Promise<PppoeUsageRange> {
+        const timezone = await this.getTimezone();
+        const now = Date.now();
+        return {
+            startDay: getLocalDate(new Date(now - (days - 1) * DAY_MS), timezone),
+            endDay: getLocalDate(new Date(now), timezone),
+        };
+    }
+
+    /**
+     * All days of a month ("YYYY-MM")
+     */
+    getMonthRange(month: string): PppoeUsageRange {
+        const [year, monthIndex] = month.split('-').map(Number);
+        const lastDay = new Date(Date.UTC(year, monthIndex, 0)).getUTCDate();
+        return {
+            startDay: `${month}-01`,
+            endDay: `${month}-${String(lastDay).padStart(2, '0')}`,
+        };
+    }
+
+    /**
+     * Usage per user over a range, heaviest first. Non-admins only see their assigned routers.
+     */
+    async getTotals(
+        range: PppoeUsageRange,
+        options: { routerId?: string; userId: string; userRole: string; limit?: number }
+    ): Promise<PppoeUsageTotal[]> {
+        const routerIds = await this.getVisibleRouterIds(options.routerId, options.userId, options.userRole);
+        if (routerIds?.length === 0) return [];
+
+        const totalBytes = sql<number>`SUM(${pppoeUsageDaily.uploadBytes} + ${pppoeUsageDaily.downloadBytes})`;
+        const query = db
+            .select({
+                routerId: pppoeUsageDaily.routerId,
+                routerName: routers.name,
+                name: pppoeUsageDaily.name,
+                uploadBytes: sql<number>`SUM(${pppoeUsageDaily.uploadBytes})`,
+                downloadBytes: sql<number>`SUM(${pppoeUsageDaily.downloadBytes})`,
+                totalBytes,
+            })
+            .from(pppoeUsageDaily)
+            .leftJoin(routers, eq(pppoeUsageDaily.routerId, routers.id))
+            .where(and(
+                gte(pppoeUsageDaily.day, range.startDay),
+                lte(pppoeUsageDaily.day, range.endDay),
+                routerIds ? inArray(pppoeUsageDaily.routerId, routerIds) : undefined
+            ))
+            .groupBy(pppoeUsageDaily.routerId, routers.name, pppoeUsageDaily.name)
+            .orderBy(desc(totalBytes))
+            .$dynamic();
+
+        const rows = options.limit ? await query.limit(options.limit) : await query;
+
+        // SUM over bigint comes back as a string
+        return rows.map((row) => ({
+            ...row,
+            uploadBytes: Number(row.uploadBytes),
+            downloadBytes: Number(row.downloadBytes),
+            totalBytes: Number(row.totalBytes),
+        }));
+    }
+
+    /**
+     * Daily usage of one user, one entry per day of the range (zero on days without traffic)
+     */
+    async getDailyUsage(routerId: string, name: string, range: PppoeUsageRange): Promise<PppoeUsageDay[]> {
+        const rows = await db
+            .select({
+                day: pppoeUsageDaily.day,
+                uploadBytes: pppoeUsageDaily.uploadBytes,
+                downloadBytes: pppoeUsageDaily.downloadBytes,
+            })
+            .from(pppoeUsageDaily)
+            .where(and(
+                eq(pppoeUsageDaily.routerId, routerId),
+                eq(pppoeUsageDaily.name, name),
+                gte(pppoeUsageDaily.day, range.startDay),
+                lte(pppoeUsageDaily.day, range.endDay)
+            ))
+            .orderBy(asc(pppoeUsageDaily.day));
+
+        const byDay = new Map(rows.map((row) => [row.day, row]));
+        const days: PppoeUsageDay[] = [];
+        for (let time = Date.parse(`${range.startDay}T00:00:00Z`); time <= Date.parse(`${range.endDay}T00:00:00Z`); time += DAY_MS) {
+            const day = new Date(time).toISOString().slice(0, 10);
+            days.push(byDay.get(day) || { day, uploadBytes: 0, downloadBytes: 0 });
+        }
+        return days;
+    }
+
+    /**
+     * Monthly usage per customer as CSV for billing
+     */
+    toCsv(month: string, totals: PppoeUsageTotal[]): string {
+        const escape = (value: string) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+        const lines = [
+            'month,router,username,download_bytes,upload_bytes,total_bytes,total_gb',
+            ...totals.map((row) => [
+                month,
+                escape(row.routerName || row.routerId),
+                escape(row.name),
+                row.downloadBytes,
+                row.uploadBytes,
+                row.totalBytes,
+                (row.totalBytes / 1024 ** 3).toFixed(2),
+            ].join(',')),
+        ];
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Routers a user may see usage for: undefined means all (admin without a router filter)
+     */
+    private async getVisibleRouterIds(routerId: string | undefined, userId: string, userRole: string): Promise<string[] | undefined> {
+        if (userRole === 'admin') {
+            return routerId ? [routerId] : undefined;
+        }
+
+        const assigned = await db
+            .select({ routerId: userRouters.routerId })
+            .from(userRouters)
+            .where(eq(userRouters.userId, userId));
+        const ids = assigned.map((a) => a.routerId);
+
+        return routerId ? ids.filter((id) => id === routerId) : ids;
+    }
+
+    private delta(current: number, last: number): number {
+        return current >= last ? current - last : current;
+    }
+
+    private async getTimezone(): Promise<string> {
+        return settingsService.getSettingValue<string>('timezone', 'Asia/Jakarta');
+    }
+}
+
+// Export singleton instance
+export const pppoeUsageService = new PppoeUsageService();
@@ -1,13 +1,35 @@
-import { eq, and, notInArray, inArray, isNotNull, ne } from 'drizzle-orm';
+import { eq, and, notInArray, inArray, isNotNull, ne, gte, lt, desc, sql } from 'drizzle-orm';
 import { db } from '../db/index.js';
 import {
     pppoeSessions,
+    pppoeSessionEvents,
+    pppSecrets,
     userRouters,
     type PppoeSession,
     type NewPppoeSession,
+    type PppoeSessionEvent,
+    type NewPppoeSessionEvent,
 } from '../db/schema/index.js';
 import { alertService } from './alert.service.js';
-import type { PppSession } from '../lib/mikrotik-api.js';
+import { parseUptimeToSeconds, type PppSession, type PppSecretData } from '../lib/mikrotik-api.js';
+
+export interface PppoeHistoryEvent extends PppoeSessionEvent {
+    // On connect events: how long the user was offline before reconnecting
+    offlineSeconds: number | null;
+}
+
+export interface PppoeHistory {
+    events: PppoeHistoryEvent[]; // newest first
+    summary: {
+        connects: number;
+        disconnects: number;
+        totalOfflineSeconds: number;
+        longestOfflineSeconds: number;
+        averageSessionSeconds: number | null;
+        callerIds: string[];
+        addresses: string[];
+    };
+}
 
 /**
  * PPPoE Service - handles PPPoE session tracking and alerts
@@ -75,10 +97,22 @@ class PppoeService {
                         console.log(`[PPPoE] Cached coordinates for ${session.name}`);
                     }
 
-                    // Calculate session duration
-                    const duration = Math.floor(
-                        (Date.now() - new Date(session.connectedAt).getTime()) / 1000
-                    );
+                    // Session duration: the router's uptime is exact, connectedAt only
+                    // goes back to when we first saw the session
+                    const duration = session.uptime
+                        ? parseUptimeToSeconds(session.uptime)
+                        : Math.floor((Date.now() - new Date(session.connectedAt).getTime()) / 1000);
+
+                    await this.recordEvent({
+                        routerId,
+                        name: session.name,
+                        type: 'disconnect',
+                        sessionId: session.sessionId,
+                        callerId: session.callerId,
+                        address: session.address,
+                        uptime: session.uptime,
+                        durationSeconds: duration,
+                    });
 
                     // Create disconnect alert
                     try {
@@ -87,7 +121,8 @@ class PppoeService {
                             routerName,
                             session.name,
                             session.address || 'N/A',
-                            duration
+                            duration,
+                            session.connectedToId
                         );
                         console.log(`[PPPoE] Disconnect alert created: ${alert ? alert.id : 'null (alerts disabled?)'}`);
                     } catch (alertErr) {
@@ -127,6 +162,13 @@ class PppoeService {
                         status: 'active', // Explicitly set status to active
                     };
 
+                    // Count traffic from zero when we saw the session start; on the first poll of a
+                    // router the session may be days old, so the next poll only takes a baseline
+                    if (previousSessions.length > 0) {
+                        newSessionData.lastUploadBytes = 0;
+                        newSessionData.lastDownloadBytes = 0;
+                    }
+
                     // Transfer cached coordinates to new session
                     if (cachedCoords) {
                         if (cachedCoords.latitude) newSessionData.latitude = cachedCoords.latitude;
@@ -140,6 +182,14 @@ class PppoeService {
                     }
 
                     await this.createSession(newSessionData);
+                    await this.recordEvent({
+                        routerId,
+                        name: session.name,
+                        type: 'connect',
+                        sessionId: session.sessionId,
+                        callerId: session.callerId,
+                        address: session.address,
+                    });
 
                     // Create connect alert
                     try {
@@ -156,7 +206,70 @@ class PppoeService {
                 } else {
                     // Session exists, update last seen and uptime
                     const existingSession = previousSessions.find(s => s.name === session.name);
-                    if (existingSession) {
+                    if (existingSession?.status === 'disconnected') {
+                        // Known user back online: start a new session on the same row
+                        connected.push(session.name);
+                        console.log(`[PPPoE] Reconnection detected: ${session.name} (IP: ${session.address})`);
+
+                        await this.updateSession(existingSession.id, {
+                            lastSeen: new Date(),
+                            connectedAt: new Date(),
+                            sessionId: session.sessionId,
+                            callerId: session.callerId,
+                            lastUploadBytes: 0,
+                            lastDownloadBytes: 0,
+                            uptime: session.uptime,
+                            address: session.address,
+                            status: 'active'
+                        });
+                        await this.recordEvent({
+                            routerId,
+                            name: session.name,
+                            type: 'connect',
+                            sessionId: session.sessionId,
+                            callerId: session.callerId,
+                            address: session.address,
+                        });
+                    } else if (existingSession && this.isNewSession(existingSession, session)) {
+                        // Dropped and redialed between two polls: log both ends of the gap.
+                        // The user is already back, so this goes to the connection log only, no alerts.
+                        disconnected.push(session.name);
+                        connected.push(session.name);
+                        console.log(`[PPPoE] Reconnection between polls detected: ${session.name} (IP: ${session.address})`);
+
+                        await this.recordEvent({
+                            routerId,
+                            name: session.name,
+                            type: 'disconnect',
+                            sessionId: existingSession.sessionId,
+                            callerId: existingSession.callerId,
+                            address: existingSession.address,
+                            uptime: existingSession.uptime,
+                            durationSeconds: existingSession.uptime
+                                ? parseUptimeToSeconds(existingSession.uptime)
+                                : Math.floor((Date.now() - new Date(existingSession.connectedAt).getTime()) / 1000),
+                        });
+                        await this.updateSession(existingSession.id, {
+                            lastSeen: new Date(),
+                            lastDown: new Date(),
+                            connectedAt: new Date(),
+                            sessionId: session.sessionId,
+                            callerId: session.callerId,
+                            lastUploadBytes: 0,
+                            lastDownloadBytes: 0,
+                            uptime: session.uptime,
+                            address: session.address,
+                            status: 'active'
+                        });
+                        await this.recordEvent({
+                            routerId,
+                            name: session.name,
+                            type: 'connect',
+                            sessionId: session.sessionId,
+                            callerId: session.callerId,
+                            address: session.address,
+                        });
+                    } else if (existingSession) {
                         await this.updateSession(existingSession.id, {
                             lastSeen: new Date(),
                             uptime: session.uptime,
@@ -178,6 +291,20 @@ class PppoeService {
         }
     }
 
+    /**
+     * Whether the router reports a different session than the one we track for a user:
+     * a new session ID, or an uptime that went backwards
+     */
+    private isNewSession(tracked: PppoeSession, current: PppSession): boolean {
+        if (tracked.sessionId && current.sessionId) {
+            return tracked.sessionId !== current.sessionId;
+        }
+        if (tracked.uptime && current.uptime) {
+            return parseUptimeToSeconds(current.uptime) < parseUptimeToSeconds(tracked.uptime);
+        }
+        return false;
+    }
+
     /**
      * Get all tracked sessions for a router
      */
@@ -204,7 +331,7 @@ class PppoeService {
      */
     async updateSession(
         id: string,
-        data: Partial<Pick<PppoeSession, 'lastSeen' | 'uptime' | 'address' | 'status' | 'lastDown'>>
+        data: Partial<Pick<PppoeSession, 'lastSeen' | 'uptime' | 'address' | 'status' | 'lastDown' | 'connectedAt' | 'sessionId' | 'callerId' | 'lastUploadBytes' | 'lastDownloadBytes'>>
     ): Promise<void> {
         await db
             .update(pppoeSessions)
@@ -212,6 +339,87 @@ class PppoeService {
             .where(eq(pppoeSessions.id, id));
     }
 
+    /**
+     * Add a connect/disconnect entry to the user's connection log.
+     * Failures are logged only, so session tracking carries on.
+     */
+    async recordEvent(data: NewPppoeSessionEvent): Promise<void> {
+        try {
+            await db.insert(pppoeSessionEvents).values(data);
+        } catch (error) {
+            console.error(`[PPPoE] Failed to record ${data.type} event for ${data.name}:`, error);
+        }
+    }
+
+    /**
+     * Connection log of a PPPoE user since a date, with offline gaps and a summary
+     */
+    async getHistory(session: Pick<PppoeSession, 'routerId' | 'name'>, since: Date): Promise<PppoeHistory> {
+        const events = await db
+            .select()
+            .from(pppoeSessionEvents)
+            .where(and(
+                eq(pppoeSessionEvents.routerId, session.routerId),
+                eq(pppoeSessionEvents.name, session.name),
+                gte(pppoeSessionEvents.createdAt, since)
+            ))
+            .orderBy(desc(pppoeSessionEvents.createdAt));
+
+        // Walk oldest to newest to pair each connect with the disconnect before it
+        const history: PppoeHistoryEvent[] = [];
+        let lastDisconnect: PppoeSessionEvent | null = null;
+        for (const event of [...events].reverse()) {
+            let offlineSeconds: number | null = null;
+            if (event.type === 'connect' && lastDisconnect) {
+                offlineSeconds = Math.round((event.createdAt.getTime() - lastDisconnect.createdAt.getTime()) / 1000);
+            }
+            lastDisconnect = event.type === 'disconnect' ? event : null;
+            history.unshift({ ...event, offlineSeconds });
+        }
+
+        const offline = history
+            .map((event) => event.offlineSeconds)
+            .filter((seconds): seconds is number => seconds !== null);
+        // Still offline: count the current outage too
+        if (lastDisconnect) {
+            offline.push(Math.round((Date.now() - lastDisconnect.createdAt.getTime()) / 1000));
+        }
+
+        const durations = events
+            .map((event) => event.durationSeconds)
+            .filter((seconds): seconds is number => seconds !== null);
+        const distinct = (values: (string | null)[]) =>
+            [...new Set(values.filter((value): value is string => !!value))];
+
+        return {
+            events: history,
+            summary: {
+                connects: events.filter((event) => event.type === 'connect').length,
+                disconnects: events.filter((event) => event.type === 'disconnect').length,
+                totalOfflineSeconds: offline.reduce((sum, seconds) => sum + seconds, 0),
+                longestOfflineSeconds: offline.length > 0 ? Math.max(...offline) : 0,
+                averageSessionSeconds: durations.length > 0
+                    ? Math.round(durations.reduce((sum, seconds) => sum + seconds, 0) / durations.length)
+                    : null,
+                callerIds: distinct(events.map((event) => event.callerId)),
+                addresses: distinct(events.map((event) => event.address)),
+            },
+        };
+    }
+
+    /**
+     * Whether a user may see a session: admins see all, others only their assigned routers
+     */
+    async canAccess(session: Pick<PppoeSession, 'routerId'>, userId: string, userRole: string): Promise<boolean> {
+        if (userRole === 'admin') return true;
+
+        const [assigned] = await db
+            .select({ routerId: userRouters.routerId })
+            .from(userRouters)
+            .where(and(eq(userRouters.userId, userId), eq(userRouters.routerId, session.routerId)));
+        return !!assigned;
+    }
+
     /**
      * Delete a session
      */
@@ -226,6 +434,45 @@ class PppoeService {
         await db.delete(pppoeSessions).where(eq(pppoeSessions.routerId, routerId));
     }
 
+    /**
+     * Replace the router's PPP secrets inventory with the secrets configured on it now
+     */
+    async syncSecrets(routerId: string, secrets: PppSecretData[]): Promise<void> {
+        const syncedAt = new Date();
+
+        // In chunks, routers can carry thousands of accounts
+        for (let i = 0; i < secrets.length; i += 500) {
+            await db
+                .insert(pppSecrets)
+                .values(secrets.slice(i, i + 500).map(secret => ({
+                    routerId,
+                    name: secret.name,
+                    service: secret.service,
+                    profile: secret.profile || null,
+                    disabled: secret.disabled,
+                    remoteAddress: secret.remoteAddress || null,
+                    comment: secret.comment || null,
+                    syncedAt,
+                })))
+                .onConflictDoUpdate({
+                    target: [pppSecrets.routerId, pppSecrets.name],
+                    set: {
+                        service: sql`excluded.service`,
+                        profile: sql`excluded.profile`,
+                        disabled: sql`excluded.disabled`,
+                        remoteAddress: sql`excluded.remote_address`,
+                        comment: sql`excluded.comment`,
+                        syncedAt,
+                    },
+                });
+        }
+
+        // Whatever this sync did not touch was removed on the router
+        await db
+            .delete(pppSecrets)
+            .where(and(eq(pppSecrets.routerId, routerId), lt(pppSecrets.syncedAt, syncedAt)));
+    }
+
     /**
      * Update coordinates, waypoints and connection info for a PPPoE session
      */
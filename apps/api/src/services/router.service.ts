@@ -6,15 +6,17 @@ import {
     routerMetrics,
     routerNetwatch,
     alerts,
+    pppSecrets,
     type Router,
     type RouterInterface,
     type RouterMetric,
     type RouterNetwatch,
+    type NewNetwatchMetric,
+    type NewInterfaceSample,
     userRouters,
 } from '../db/schema/index.js';
 import { encrypt, decrypt } from '../lib/encryption.js';
 import {
-    connectToRouter,
     getRouterInfo,
     getRouterResources,
     getRouterInterfaces,
@@ -26,17 +28,29 @@ import {
     getHotspotActive,
     getPppActive,
     getPppSessions,
+    getPppTrafficCounters,
+    getPppSecrets,
+    removePppActive,
+    updatePppSecret,
+    getPppProfiles,
     addNetwatchEntry,
     updateNetwatchEntry,
     removeNetwatchEntry,
     measurePing,
     type RouterConnection,
     type PppSession,
+    type NetwatchData,
 } from '../lib/mikrotik-api.js';
 import { measureLatency } from '../lib/network-utils.js';
+import { routerConnectionPool } from '../lib/connection-pool.js';
 import { alertService } from './alert.service.js';
 import { pppoeService } from './pppoe.service.js';
+import { pppoeUsageService } from './pppoe-usage.service.js';
 import { settingsService } from './settings.service.js';
+import { maintenanceService } from './maintenance.service.js';
+import type { TopologyNode } from './topology.service.js';
+import { netwatchMetricsService } from './netwatch-metrics.service.js';
+import { interfaceMetricsService } from './interface-metrics.service.js';
 
 export interface CreateRouterInput {
     name: string;
@@ -238,6 +252,16 @@ export class RouterService {
             .where(eq(routers.id, id))
             .returning();
 
+        // Pooled session was opened with the old credentials
+        if (
+            data.host !== undefined ||
+            data.port !== undefined ||
+            data.username !== undefined ||
+            data.password !== undefined
+        ) {
+            routerConnectionPool.invalidate(id);
+        }
+
         return router;
     }
 
@@ -246,9 +270,43 @@ export class RouterService {
      */
     async delete(id: string): Promise<boolean> {
         const result = await db.delete(routers).where(eq(routers.id, id)).returning();
+        routerConnectionPool.invalidate(id);
         return result.length > 0;
     }
 
+    /**
+     * Borrow the pooled RouterOS session for a router
+     */
+    private getConnection(router: Router & { password: string }): Promise<any> {
+        return routerConnectionPool.acquire(router.id, {
+            host: router.host,
+            port: router.port,
+            username: router.username,
+            password: router.password,
+        });
+    }
+
+    /**
+     * Netwatch tree with the statuses just polled from the router, so alerts raised
+     * during the sync can tell a root cause from its downstream outages
+     */
+    private buildNetwatchTopology(existingEntries: RouterNetwatch[], mikrotikNetwatch: NetwatchData[]): TopologyNode[] {
+        const polled = new Map(mikrotikNetwatch.map((nw) => [nw.host, nw.status]));
+
+        return existingEntries.map((entry) => {
+            const status = polled.get(entry.host);
+            return {
+                id: entry.id,
+                host: entry.host,
+                name: entry.name,
+                connectionType: entry.connectionType,
+                connectedToId: entry.connectedToId,
+                status: status === 'up' || status === 'down' ? status : entry.status,
+                previousStatus: entry.status,
+            };
+        });
+    }
+
     /**
      * Test connection to a router
      */
@@ -294,12 +352,7 @@ export class RouterService {
         const previousStatus = router.status;
 
         try {
-            const conn = await connectToRouter({
-                host: router.host,
-                port: router.port,
-                username: router.username,
-                password: router.password,
-            });
+            const conn = await this.getConnection(router);
 
             // Always fetch basic system info for identity/uptime check
             const info = await getRouterInfo(conn);
@@ -325,6 +378,7 @@ export class RouterService {
 
                     // Create a map of existing entries by host
                     const existingMap = new Map(existingEntries.map(e => [e.host, e]));
+                    const topology = this.buildNetwatchTopology(existingEntries, mikrotikNetwatch);
 
                     // Process each MikroTik netwatch entry
                     for (const nw of mikrotikNetwatch) {
@@ -344,19 +398,18 @@ export class RouterService {
                         const finalName = prefix + (baseName || '');
 
                         if (existing) {
-                            // Check for status change and create alert
-                            if (existing.status !== status && existing.status !== 'unknown' && status !== 'unknown') {
-                                if (status === 'down' || status === 'up') {
-                                    try {
-                                        await alertService.createNetwatchAlert(
-                                            id,
-                                            `[${router.name}] ${finalName}`,
-                                            nw.host,
-                                            status
-                                        );
-                                    } catch (err) {
-                                        console.error('Failed to create netwatch alert:', err);
-                                    }
+                            // Every known status goes through hold-down / flap detection
+                            if (status !== 'unknown') {
+                                try {
+                                    await alertService.trackNetwatchStatus(
+                                        id,
+                                        `[${router.name}] ${finalName}`,
+                                        existing,
+                                        status,
+                                        topology
+                                    );
+                                } catch (err) {
+                                    console.error('Failed to create netwatch alert:', err);
                                 }
                             }
 
@@ -389,6 +442,9 @@ export class RouterService {
                                 });
                         }
                     }
+
+                    // Downstream outages whose root cause is gone are notified on their own now
+                    await alertService.releaseDownstreamAlerts(id, topology);
                 } catch (nwErr) {
                     console.error(`[Router ${router.name}] Failed to sync netwatch:`, nwErr instanceof Error ? nwErr.message : nwErr);
                 }
@@ -414,10 +470,20 @@ export class RouterService {
                             chunks.push(targets.slice(i, i + CONCURRENCY_LIMIT));
                         }
 
+                        // Samples for the latency history, written once per cycle
+                        const samples: NewNetwatchMetric[] = [];
+                        const performanceThresholds = await alertService.getNetwatchThresholds(id, targets);
+
                         for (const chunk of chunks) {
                             await Promise.all(chunk.map(async (target) => {
                                 try {
                                     const { latency, packetLoss } = await measurePing(conn, target.host, 1, '50ms', '500ms');
+                                    samples.push({
+                                        netwatchId: target.id,
+                                        routerId: id,
+                                        latency: latency >= 0 ? latency : null,
+                                        packetLoss: packetLoss >= 0 ? packetLoss : null,
+                                    });
                                     if (latency >= 0) {
                                         await db
                                             .update(routerNetwatch)
@@ -428,39 +494,24 @@ export class RouterService {
                                             })
                                             .where(eq(routerNetwatch.id, target.id));
 
-                                        // Check for performance alerts (Latency > 100ms or Packet Loss > 0%)
-                                        if (latency > 100 || packetLoss > 0) {
-                                            const issueType = latency > 100 ? 'high_latency' : 'packet_loss';
-                                            const message = latency > 100
-                                                ? `High latency detected: ${latency}ms`
-                                                : `Packet loss detected: ${packetLoss}%`;
-
-                                            // Check deduplication in alert service (we'll add a generic method or use custom)
-                                            // For now, let's use a generic 'threshold' type or specific ones if we add them to enum
-                                            // Schema enum for alert type: 'status_change', 'high_cpu', 'high_memory', 'high_disk', 'interface_down', 'netwatch_down', 'threshold', 'reboot', 'pppoe_connect', 'pppoe_disconnect'
-                                            // We will use 'threshold' for now, or add new types. Let's stick to 'threshold' to avoid schema change for enum if possible, 
-                                            // OR better: we can reuse 'netwatch_down' context but that's confusing. 
-                                            // Let's assume 'threshold' is fine or check alert service capabilities.
-
-                                            try {
-                                                // Create a custom alert via alertService (we might need to expose a generic create method or add specific one)
-                                                // Using a direct create call via alertService singleton since we are in routerService
-                                                await alertService.createPerformanceAlert(
-                                                    id,
-                                                    router.name,
-                                                    target.host,
-                                                    target.name || target.host,
-                                                    latency,
-                                                    packetLoss
-                                                );
-                                            } catch (err) {
-                                                console.error('Failed to create performance alert:', err);
-                                            }
+                                        // Performance alert once latency / packet loss stays above the entry's thresholds
+                                        try {
+                                            await alertService.checkNetwatchPerformance(
+                                                id,
+                                                router.name,
+                                                target,
+                                                latency,
+                                                packetLoss,
+                                                performanceThresholds.get(target.id)!
+                                            );
+                                        } catch (err) {
+                                            console.error('Failed to create performance alert:', err);
                                         }
 
                                     } else {
                                         // If failing to ping (latency -1), usually means 100% loss
                                         // Do NOT nullify lastKnownLatency
+                                        alertService.resetNetwatchBreaches(target.id);
                                         await db
                                             .update(routerNetwatch)
                                             .set({
@@ -474,6 +525,8 @@ export class RouterService {
                                 }
                             }));
                         }
+
+                        await netwatchMetricsService.recordSamples(samples);
                     } catch (pingErr) {
                         console.error(`[Router ${router.name}] Failed to measure netwatch latency:`, pingErr);
                     }
@@ -499,9 +552,25 @@ export class RouterService {
                 } catch (pppoeError) {
                     console.error(`[Router ${router.name}] Failed to track PPPoE sessions:`, pppoeError instanceof Error ? pppoeError.message : pppoeError);
                 }
-            }
 
-            conn.close();
+                // Secrets change rarely, so the inventory follows the full sync cadence
+                if (isFullSync) {
+                    try {
+                        const secrets = await getPppSecrets(conn);
+                        await pppoeService.syncSecrets(id, secrets);
+                    } catch (secretsError) {
+                        console.error(`[Router ${router.name}] Failed to sync PPP secrets:`, secretsError instanceof Error ? secretsError.message : secretsError);
+                    }
+                }
+
+                // Per-user traffic, after tracking so new sessions already have their row
+                try {
+                    const counters = await getPppTrafficCounters(conn);
+                    await pppoeUsageService.recordCounters(id, counters);
+                } catch (usageError) {
+                    console.error(`[Router ${router.name}] Failed to record PPPoE usage:`, usageError instanceof Error ? usageError.message : usageError);
+                }
+            }
 
             const latency = await measureLatency(router.host);
 
@@ -535,6 +604,16 @@ export class RouterService {
 
             // Save metrics only if resources are available (Full Sync)
             if (resources) {
+                const uptime = resources.uptime ? parseUptimeToSeconds(resources.uptime) : undefined;
+
+                // Uptime going backwards between polls means the router rebooted
+                const [previousMetric] = await db
+                    .select({ uptime: routerMetrics.uptime })
+                    .from(routerMetrics)
+                    .where(eq(routerMetrics.routerId, id))
+                    .orderBy(desc(routerMetrics.recordedAt))
+                    .limit(1);
+
                 await db.insert(routerMetrics).values({
                     routerId: id,
                     cpuLoad: resources.cpuLoad,
@@ -546,21 +625,33 @@ export class RouterService {
                     totalDisk: resources.totalDisk,
                     usedDisk: resources.usedDisk,
                     freeDisk: resources.freeDisk,
-                    uptime: resources.uptime
-                        ? parseUptimeToSeconds(resources.uptime)
-                        : undefined,
+                    uptime,
                     boardTemp: resources.boardTemp,
                     voltage: resources.voltage,
                 });
 
-                // Check for metric-based alerts (CPU/Memory thresholds)
+                if (uptime !== undefined && previousMetric?.uptime != null && uptime < previousMetric.uptime) {
+                    try {
+                        await alertService.createRebootAlert(id, router.name, previousMetric.uptime, uptime);
+                    } catch (alertError) {
+                        console.error('Failed to create reboot alert:', alertError);
+                    }
+                }
+
+                // Check for metric-based alerts (CPU/Memory/Disk/Temperature/Voltage thresholds)
                 try {
                     await alertService.checkAndCreateMetricAlerts(
                         id,
                         router.name,
                         resources.cpuLoad,
                         resources.totalMemory,
-                        resources.usedMemory
+                        resources.usedMemory,
+                        {
+                            totalDisk: resources.totalDisk,
+                            usedDisk: resources.usedDisk,
+                            temperature: resources.boardTemp,
+                            voltage: resources.voltage,
+                        }
                     );
                 } catch (alertError) {
                     console.error('Failed to check metric alerts:', alertError);
@@ -571,6 +662,9 @@ export class RouterService {
 
             // Update interfaces
             if (interfaces) {
+                // Rate samples for the traffic history, written once per sync
+                const samples: NewInterfaceSample[] = [];
+
                 for (const iface of interfaces) {
                     // Check if interface exists
                     const [existingInterface] = await db
@@ -603,6 +697,8 @@ export class RouterService {
                             }
                         }
 
+                        const linkChanged = iface.running !== undefined && !!iface.running !== !!existingInterface.running;
+
                         // Update existing interface
                         await db
                             .update(routerInterfaces)
@@ -610,11 +706,34 @@ export class RouterService {
                                 ...iface,
                                 status: iface.running ? 'up' : 'down',
                                 lastUpdated: new Date(),
+                                ...(linkChanged ? { lastLinkChange: now } : {}),
                                 // calculated rates
                                 txRate: txRate,
                                 rxRate: rxRate,
                             })
                             .where(eq(routerInterfaces.id, existingInterface.id));
+
+                        // Link alerts only for monitored, enabled interfaces (uplinks, not every customer port)
+                        if (existingInterface.monitored && !iface.disabled) {
+                            try {
+                                if (linkChanged) {
+                                    await alertService.handleInterfaceLinkChange(id, router.name, existingInterface, !!iface.running);
+                                } else {
+                                    await alertService.settleInterfaceFlap(id, existingInterface, !!iface.running);
+                                }
+                            } catch (alertError) {
+                                console.error('Failed to check interface link alerts:', alertError);
+                            }
+                        }
+
+                        samples.push({
+                            interfaceId: existingInterface.id,
+                            routerId: id,
+                            txRate,
+                            rxRate,
+                            txBytes: iface.txBytes,
+                            rxBytes: iface.rxBytes,
+                        });
                     } else {
                         // Create new interface
                         await db.insert(routerInterfaces).values({
@@ -626,6 +745,8 @@ export class RouterService {
                         });
                     }
                 }
+
+                await interfaceMetricsService.recordSamples(samples);
             }
 
             return updatedRouter;
@@ -688,15 +809,12 @@ export class RouterService {
         }
 
         try {
-            const conn = await connectToRouter({
-                host: router.host,
-                port: router.port,
-                username: router.username,
-                password: router.password,
-            });
+            const conn = await this.getConnection(router);
 
             await rebootRouter(conn);
-            conn.close();
+
+            // The session dies with the reboot; don't hand it out again
+            routerConnectionPool.invalidate(id);
 
             // Update router status
             await db
@@ -716,6 +834,73 @@ export class RouterService {
         }
     }
 
+    /**
+     * Kick a PPP user off the router; the client normally dials back in right away
+     */
+    async disconnectPppUser(routerId: string, name: string): Promise<{ success: boolean; disconnected?: boolean; error?: string }> {
+        const router = await this.findByIdWithPassword(routerId);
+        if (!router) {
+            return { success: false, error: 'Router not found' };
+        }
+
+        try {
+            const conn = await this.getConnection(router);
+            const disconnected = await removePppActive(conn, name);
+            return { success: true, disconnected };
+        } catch (error) {
+            return {
+                success: false,
+                error: error instanceof Error ? error.message : 'Unknown error',
+            };
+        }
+    }
+
+    /**
+     * Enable/disable a PPP secret or change its profile. Secret changes only apply to the next
+     * login, so with `disconnect` the active session is kicked to pick them up.
+     */
+    async updatePppSecret(
+        routerId: string,
+        name: string,
+        data: { disabled?: boolean; profile?: string },
+        disconnect: boolean
+    ): Promise<{ success: boolean; disconnected?: boolean; error?: string }> {
+        const router = await this.findByIdWithPassword(routerId);
+        if (!router) {
+            return { success: false, error: 'Router not found' };
+        }
+
+        try {
+            const conn = await this.getConnection(router);
+            await updatePppSecret(conn, name, data);
+            const disconnected = disconnect ? await removePppActive(conn, name) : false;
+
+            // Keep the secrets inventory in step until the next sync
+            await db
+                .update(pppSecrets)
+                .set(data)
+                .where(and(eq(pppSecrets.routerId, routerId), eq(pppSecrets.name, name)));
+
+            return { success: true, disconnected };
+        } catch (error) {
+            return {
+                success: false,
+                error: error instanceof Error ? error.message : 'Unknown error',
+            };
+        }
+    }
+
+    /**
+     * Get the PPP profile names of a router
+     */
+    async getPppProfiles(routerId: string): Promise<string[]> {
+        const router = await this.findByIdWithPassword(routerId);
+        if (!router) throw new Error('Router not found');
+
+        const conn = await this.getConnection(router);
+        return getPppProfiles(conn);
+    }
+
     /**
      * Get router interfaces
      */
@@ -727,6 +912,26 @@ export class RouterService {
             .orderBy(routerInterfaces.name);
     }
 
+    /**
+     * Enable or disable link alerts for an interface.
+     * Returns undefined if the interface doesn't belong to the router.
+     */
+    async setInterfaceMonitored(
+        routerId: string,
+        interfaceId: string,
+        monitored: boolean
+    ): Promise<RouterInterface | undefined> {
+        const [iface] = await db
+            .update(routerInterfaces)
+            .set({ monitored })
+            .where(and(
+                eq(routerInterfaces.id, interfaceId),
+                eq(routerInterfaces.routerId, routerId)
+            ))
+            .returning();
+        return iface;
+    }
+
     /**
      * Get router metrics (latest)
      */
@@ -751,15 +956,9 @@ export class RouterService {
         if (!router) throw new Error('Router not found');
 
         try {
-            const conn = await connectToRouter({
-                host: router.host,
-                port: router.port,
-                username: router.username,
-                password: router.password,
-            });
+            const conn = await this.getConnection(router);
 
             const count = await getHotspotActive(conn);
-            conn.close();
             return count;
         } catch (error) {
             console.error(`Failed to get hotspot users for ${router.host}:`, error);
@@ -775,15 +974,9 @@ export class RouterService {
         if (!router) throw new Error('Router not found');
 
         try {
-            const conn = await connectToRouter({
-                host: router.host,
-                port: router.port,
-                username: router.username,
-                password: router.password,
-            });
+            const conn = await this.getConnection(router);
 
             const count = await getPppActive(conn);
-            conn.close();
             return count;
         } catch (error) {
             console.error(`Failed to get PPP users for ${router.host}:`, error);
@@ -799,15 +992,9 @@ export class RouterService {
         if (!router) throw new Error('Router not found');
 
         try {
-            const conn = await connectToRouter({
-                host: router.host,
-                port: router.port,
-                username: router.username,
-                password: router.password,
-            });
+            const conn = await this.getConnection(router);
 
             const sessions = await getPppSessions(conn);
-            conn.close();
             return sessions;
         } catch (error) {
             console.error(`Failed to get PPP sessions for ${router.host}:`, error);
@@ -842,12 +1029,16 @@ export class RouterService {
     }> {
         const allRouters = await db.select().from(routers);
 
+        // Routers inside an active maintenance window count as maintenance whatever their status
+        const { routers: inMaintenance } = await maintenanceService.getState();
+        const statusOf = (r: Router) => inMaintenance.has(r.id) ? 'maintenance' : r.status;
+
         return {
             total: allRouters.length,
-            online: allRouters.filter((r) => r.status === 'online').length,
-            offline: allRouters.filter((r) => r.status === 'offline').length,
-            maintenance: allRouters.filter((r) => r.status === 'maintenance').length,
-            unknown: allRouters.filter((r) => r.status === 'unknown').length,
+            online: allRouters.filter((r) => statusOf(r) === 'online').length,
+            offline: allRouters.filter((r) => statusOf(r) === 'offline').length,
+            maintenance: allRouters.filter((r) => statusOf(r) === 'maintenance').length,
+            unknown: allRouters.filter((r) => statusOf(r) === 'unknown').length,
         };
     }
 
@@ -877,12 +1068,7 @@ export class RouterService {
 
         try {
             console.log(`[Router ${router.name}] Connecting to measure ping targets: ${targets.map(t => t.ip).join(', ')}`);
-            const conn = await connectToRouter({
-                host: router.host,
-                port: router.port,
-                username: router.username,
-                password: router.password,
-            });
+            const conn = await this.getConnection(router);
 
             const results: { ip: string; label: string; latency: number | null; packetLoss: number | null }[] = [];
 
@@ -910,7 +1096,6 @@ export class RouterService {
                 }
             }
 
-            conn.close();
             return results;
         } catch (error) {
             console.error(`[Router ${router.name}] Failed to measure ping targets completely:`, error instanceof Error ? error.message : error);
@@ -937,24 +1122,22 @@ export class RouterService {
         // Note: We use existing imported 'alerts' from top of file
         const downAlerts = await db
             .select({
-                message: alerts.message,
+                subjectId: alerts.subjectId,
                 createdAt: alerts.createdAt,
             })
             .from(alerts)
             .where(and(
                 eq(alerts.routerId, routerId),
-                eq(alerts.type, 'netwatch_down')
+                eq(alerts.type, 'netwatch_down'),
+                eq(alerts.subjectType, 'netwatch')
             ))
             .orderBy(desc(alerts.createdAt))
             .limit(500); // Fetch enough history to cover active down statuses
 
         return entries.map((entry) => {
-            if (entry.status === 'down' && entry.host) {
-                // Try to find the latest alert for this host
-                // Alert message typically contains the host IP/Identifier
-                const matchingAlert = downAlerts.find(a =>
-                    a.message && a.message.includes(entry.host)
-                );
+            if (entry.status === 'down') {
+                // Latest down alert for this entry
+                const matchingAlert = downAlerts.find((a) => a.subjectId === entry.id);
 
                 if (matchingAlert) {
                     return {
@@ -989,6 +1172,9 @@ export class RouterService {
             waypoints?: string; // JSON string of coordinates
             connectionType?: 'router' | 'client';
             connectedToId?: string;
+            latencyThreshold?: number | null;
+            packetLossThreshold?: number | null;
+            consecutiveBreaches?: number | null;
         }
     ): Promise<RouterNetwatch> {
         // 1. Apply to Router first (only for client type with host)
@@ -997,14 +1183,8 @@ export class RouterService {
 
         // Only add to MikroTik if it's a netwatch client type (has IP to ping)
         if ((data.deviceType === 'client' || !data.deviceType) && data.host) {
-            let conn;
             try {
-                conn = await connectToRouter({
-                    host: router.host,
-                    port: router.port,
-                    username: router.username,
-                    password: router.password,
-                });
+                const conn = await this.getConnection(router);
 
                 await addNetwatchEntry(conn, {
                     host: data.host,
@@ -1014,8 +1194,6 @@ export class RouterService {
             } catch (err) {
                 console.error('Failed to add netwatch to router:', err);
                 throw new Error(`Failed to add to router: ${err instanceof Error ? err.message : 'Unknown error'}`);
-            } finally {
-                if (conn) await conn.close().catch(console.error);
             }
         }
 
@@ -1034,6 +1212,9 @@ export class RouterService {
                 waypoints: data.waypoints,
                 connectionType: data.connectionType || 'router',
                 connectedToId: data.connectedToId,
+                latencyThreshold: data.latencyThreshold ?? null,
+                packetLossThreshold: data.packetLossThreshold ?? null,
+                consecutiveBreaches: data.consecutiveBreaches ?? null,
                 status: data.host ? 'unknown' : 'up', // ODP without host is always "up"
             })
             .returning();
@@ -1059,6 +1240,9 @@ export class RouterService {
             connectionType?: 'router' | 'client';
             connectedToId?: string | null;
             status?: 'up' | 'down' | 'unknown';
+            latencyThreshold?: number | null;
+            packetLossThreshold?: number | null;
+            consecutiveBreaches?: number | null;
         }
     ): Promise<RouterNetwatch | undefined> {
         // 0. Get original entry to know the host
@@ -1076,14 +1260,8 @@ export class RouterService {
         if (isClientType && original.host && (data.host || data.interval || data.name !== undefined)) {
             const router = await this.findByIdWithPassword(routerId);
             if (router) {
-                let conn;
                 try {
-                    conn = await connectToRouter({
-                        host: router.host,
-                        port: router.port,
-                        username: router.username,
-                        password: router.password,
-                    });
+                    const conn = await this.getConnection(router);
 
                     await updateNetwatchEntry(conn, original.host, {
                         host: data.host,
@@ -1097,8 +1275,6 @@ export class RouterService {
                         console.error('Error details:', JSON.stringify(err, null, 2));
                     }
                     throw new Error(`Failed to update router: ${err instanceof Error ? err.message : JSON.stringify(err)}`);
-                } finally {
-                    if (conn) await conn.close().catch(console.error);
                 }
             }
         }
@@ -1124,6 +1300,9 @@ export class RouterService {
         if (data.waypoints !== undefined) updateData.waypoints = data.waypoints;
         if (data.connectionType !== undefined) updateData.connectionType = data.connectionType;
         if (data.connectedToId !== undefined) updateData.connectedToId = data.connectedToId;
+        if (data.latencyThreshold !== undefined) updateData.latencyThreshold = data.latencyThreshold;
+        if (data.packetLossThreshold !== undefined) updateData.packetLossThreshold = data.packetLossThreshold;
+        if (data.consecutiveBreaches !== undefined) updateData.consecutiveBreaches = data.consecutiveBreaches;
         if (data.status !== undefined) updateData.status = data.status;
 
         const [netwatch] = await db
@@ -1162,14 +1341,8 @@ export class RouterService {
             console.log(`[RouterService] Attempting to remove from MikroTik router...`);
             const router = await this.findByIdWithPassword(routerId);
             if (router) {
-                let conn;
                 try {
-                    conn = await connectToRouter({
-                        host: router.host,
-                        port: router.port,
-                        username: router.username,
-                        password: router.password,
-                    });
+                    const conn = await this.getConnection(router);
 
                     try {
                         await removeNetwatchEntry(conn, deleted.host);
@@ -1187,8 +1360,6 @@ export class RouterService {
                     console.error('Failed to connect/delete netwatch from router (DB entry was already deleted):', err);
                     // We don't re-throw here because the DB entry is already gone, 
                     // so the "primary" goal of the user (clearing the map) is achieved.
-                } finally {
-                    if (conn) await conn.close().catch(console.error);
                 }
             } else {
                 console.warn(`[RouterService] Router ${routerId} not found, skipped MikroTik cleanup`);
@@ -1207,21 +1378,13 @@ export class RouterService {
     async measureNetwatchLatency(routerId: string, customConn?: RouterConnection | any): Promise<void> {
         // Get router details if connection not provided
         let conn: any = customConn;
-        let shouldClose = false;
 
         if (!conn) {
-            const [router] = await db.select().from(routers).where(eq(routers.id, routerId));
+            const router = await this.findByIdWithPassword(routerId);
             if (!router) return;
 
             try {
-                const password = decrypt(router.passwordEncrypted);
-                conn = await connectToRouter({
-                    host: router.host,
-                    port: router.port,
-                    username: router.username,
-                    password,
-                });
-                shouldClose = true;
+                conn = await this.getConnection(router);
             } catch (err) {
                 console.error(`[Router ${router.name}] Failed to connect for latency measurement:`, err);
                 return;
@@ -1245,11 +1408,19 @@ export class RouterService {
             }
 
             const [router] = await db.select().from(routers).where(eq(routers.id, routerId));
+            const samples: NewNetwatchMetric[] = [];
+            const performanceThresholds = await alertService.getNetwatchThresholds(routerId, targets);
 
             for (const chunk of chunks) {
                 await Promise.all(chunk.map(async (target) => {
                     try {
                         const { latency, packetLoss } = await measurePing(conn, target.host);
+                        samples.push({
+                            netwatchId: target.id,
+                            routerId,
+                            latency: latency >= 0 ? latency : null,
+                            packetLoss: packetLoss >= 0 ? packetLoss : null,
+                        });
                         if (latency >= 0) {
                             await db
                                 .update(routerNetwatch)
@@ -1260,21 +1431,20 @@ export class RouterService {
                                 })
                                 .where(eq(routerNetwatch.id, target.id));
 
-                            if (latency > 100 || packetLoss > 0) {
-                                try {
-                                    await alertService.createPerformanceAlert(
-                                        routerId,
-                                        router?.name || 'Unknown',
-                                        target.host,
-                                        target.name || target.host,
-                                        latency,
-                                        packetLoss
-                                    );
-                                } catch (err) {
-                                    console.error('Failed to create performance alert:', err);
-                                }
+                            try {
+                                await alertService.checkNetwatchPerformance(
+                                    routerId,
+                                    router?.name || 'Unknown',
+                                    target,
+                                    latency,
+                                    packetLoss,
+                                    performanceThresholds.get(target.id)!
+                                );
+                            } catch (err) {
+                                console.error('Failed to create performance alert:', err);
                             }
                         } else {
+                            alertService.resetNetwatchBreaches(target.id);
                             await db
                                 .update(routerNetwatch)
                                 .set({
@@ -1288,12 +1458,10 @@ export class RouterService {
                     }
                 }));
             }
+
+            await netwatchMetricsService.recordSamples(samples);
         } catch (err) {
             console.error(`Failed to measure netwatch latency for router ${routerId}:`, err);
-        } finally {
-            if (shouldClose && conn) {
-                await conn.close().catch(console.error);
-            }
         }
     }
 
@@ -1324,119 +1492,115 @@ export class RouterService {
             password,
         };
 
-        let api: any;
-
         try {
-            // Connect to router
-            api = await connectToRouter(connection);
+            // Borrow the pooled session for this router
+            const api = await routerConnectionPool.acquire(routerId, connection);
 
+            // Fetch router clock for time sync
+            let routerClock;
             try {
-                // Fetch router clock for time sync
-                let routerClock;
-                try {
-                    routerClock = await getRouterClock(api);
-                } catch (clockErr) {
-                    console.warn(`[Router ${router.name}] Failed to fetch clock:`, clockErr);
-                }
+                routerClock = await getRouterClock(api);
+            } catch (clockErr) {
+                console.warn(`[Router ${router.name}] Failed to fetch clock:`, clockErr);
+            }
 
-                // Fetch netwatch entries from MikroTik
-                const mikrotikNetwatch = await getNetwatchHosts(api, routerClock);
+            // Fetch netwatch entries from MikroTik
+            const mikrotikNetwatch = await getNetwatchHosts(api, routerClock);
 
-                // Get existing netwatch entries from DB
-                const existingEntries = await db
-                    .select()
-                    .from(routerNetwatch)
-                    .where(eq(routerNetwatch.routerId, routerId));
-
-                // Create a map of existing entries by host
-                const existingMap = new Map(existingEntries.map(e => [e.host, e]));
-
-                // Process each MikroTik netwatch entry
-                for (const nw of mikrotikNetwatch) {
-                    // if (nw.disabled) continue; // Don't skip disabled entries
-
-                    const existing = existingMap.get(nw.host);
-                    // Map disabled status or actual status
-                    let status: 'up' | 'down' | 'unknown' = 'unknown';
-                    if (nw.status === 'up') status = 'up';
-                    else if (nw.status === 'down') status = 'down';
-
-                    // If disabled, we might want to still show strict status or unknown?
-                    // Let's keep strict status but maybe append (Disabled) to name if needed? 
-                    // For now just syncing them is enough for the user request.
-
-                    // Prefix name with [DISABLED] if needed
-                    const prefix = nw.disabled ? '[DISABLED] ' : '';
-                    let baseName = nw.comment || nw.name;
-                    if (!baseName && existing) {
-                        // If we don't have a name from mikrotik, use existing name (stripping old prefix if any)
-                        baseName = existing.name?.replace(/^\[DISABLED\]\s*/, '') || '';
+            // Get existing netwatch entries from DB
+            const existingEntries = await db
+                .select()
+                .from(routerNetwatch)
+                .where(eq(routerNetwatch.routerId, routerId));
+
+            // Create a map of existing entries by host
+            const existingMap = new Map(existingEntries.map(e => [e.host, e]));
+            const topology = this.buildNetwatchTopology(existingEntries, mikrotikNetwatch);
+
+            // Process each MikroTik netwatch entry
+            for (const nw of mikrotikNetwatch) {
+                // if (nw.disabled) continue; // Don't skip disabled entries
+
+                const existing = existingMap.get(nw.host);
+                // Map disabled status or actual status
+                let status: 'up' | 'down' | 'unknown' = 'unknown';
+                if (nw.status === 'up') status = 'up';
+                else if (nw.status === 'down') status = 'down';
+
+                // If disabled, we might want to still show strict status or unknown?
+                // Let's keep strict status but maybe append (Disabled) to name if needed? 
+                // For now just syncing them is enough for the user request.
+
+                // Prefix name with [DISABLED] if needed
+                const prefix = nw.disabled ? '[DISABLED] ' : '';
+                let baseName = nw.comment || nw.name;
+                if (!baseName && existing) {
+                    // If we don't have a name from mikrotik, use existing name (stripping old prefix if any)
+                    baseName = existing.name?.replace(/^\[DISABLED\]\s*/, '') || '';
+                }
+                const finalName = prefix + (baseName || '');
+
+                if (existing) {
+                    if (existing.status !== status && existing.status !== 'unknown' && status !== 'unknown') {
+                        console.log(`[NETWATCH] Status change detected for ${nw.host}: ${existing.status} -> ${status}`);
                     }
-                    const finalName = prefix + (baseName || '');
 
-                    if (existing) {
-                        // Check for status change and create alert
-                        if (existing.status !== status && existing.status !== 'unknown' && status !== 'unknown') {
-                            console.log(`[NETWATCH] Status change detected for ${nw.host}: ${existing.status} -> ${status}`);
-                            if (status === 'down' || status === 'up') {
-                                try {
-                                    console.log(`[NETWATCH] Creating alert for ${nw.host} (${status})`);
-                                    const alert = await alertService.createNetwatchAlert(
-                                        routerId,
-                                        `[${router.name}] ${finalName}`,
-                                        nw.host,
-                                        status
-                                    );
-                                    if (alert) {
-                                        console.log(`[NETWATCH] Alert created: ${alert.id}`);
-                                    } else {
-                                        console.log(`[NETWATCH] Alert was not created (deduplication or settings)`);
-                                    }
-                                } catch (err) {
-                                    console.error('Failed to create netwatch alert:', err);
-                                }
+                    // Every known status goes through hold-down / flap detection
+                    if (status !== 'unknown') {
+                        try {
+                            const alert = await alertService.trackNetwatchStatus(
+                                routerId,
+                                `[${router.name}] ${finalName}`,
+                                existing,
+                                status,
+                                topology
+                            );
+                            if (alert) {
+                                console.log(`[NETWATCH] Alert created: ${alert.id}`);
                             }
+                        } catch (err) {
+                            console.error('Failed to create netwatch alert:', err);
                         }
-
-                        // Update existing entry
-                        await db
-                            .update(routerNetwatch)
-                            .set({
-                                name: finalName,
-                                interval: nw.interval || existing.interval,
-                                status: status,
-                                lastCheck: new Date(),
-                                lastUp: nw.sinceUp || existing.lastUp,
-                                lastDown: nw.sinceDown || existing.lastDown,
-                                updatedAt: new Date(),
-                            })
-                            .where(eq(routerNetwatch.id, existing.id));
-                        synced++;
-                    } else {
-                        // Create new entry
-                        await db
-                            .insert(routerNetwatch)
-                            .values({
-                                routerId,
-                                host: nw.host,
-                                name: finalName,
-                                interval: nw.interval || 30,
-                                status: status,
-                                lastCheck: new Date(),
-                                lastUp: nw.sinceUp,
-                                lastDown: nw.sinceDown,
-                            });
-                        synced++;
                     }
+
+                    // Update existing entry
+                    await db
+                        .update(routerNetwatch)
+                        .set({
+                            name: finalName,
+                            interval: nw.interval || existing.interval,
+                            status: status,
+                            lastCheck: new Date(),
+                            lastUp: nw.sinceUp || existing.lastUp,
+                            lastDown: nw.sinceDown || existing.lastDown,
+                            updatedAt: new Date(),
+                        })
+                        .where(eq(routerNetwatch.id, existing.id));
+                    synced++;
+                } else {
+                    // Create new entry
+                    await db
+                        .insert(routerNetwatch)
+                        .values({
+                            routerId,
+                            host: nw.host,
+                            name: finalName,
+                            interval: nw.interval || 30,
+                            status: status,
+                            lastCheck: new Date(),
+                            lastUp: nw.sinceUp,
+                            lastDown: nw.sinceDown,
+                        });
+                    synced++;
                 }
+            }
 
-                // --- ADDED: Measure latency immediately using the existing connection ---
-                console.log(`[Router ${router.name}] Measuring latency after sync...`);
-                await this.measureNetwatchLatency(routerId, api);
+            // Downstream outages whose root cause is gone are notified on their own now
+            await alertService.releaseDownstreamAlerts(routerId, topology);
 
-            } finally {
-                if (api) await api.close();
-            }
+            // --- ADDED: Measure latency immediately using the existing connection ---
+            console.log(`[Router ${router.name}] Measuring latency after sync...`);
+            await this.measureNetwatchLatency(routerId, api);
         } catch (error) {
             const message = error instanceof Error ? error.message : 'Unknown error';
             errors.push(`Failed to sync netwatch: ${message}`);
@@ -1,8 +1,9 @@
-import { eq, desc, and } from 'drizzle-orm';
+import { eq, desc, and, gte, getTableColumns, sql } from 'drizzle-orm';
 import { db } from '../db/index.js';
 import {
     appSettings,
     auditLogs,
+    users,
     type AppSetting,
     type AuditLog,
     type NewAuditLog,
@@ -109,6 +110,36 @@ export class SettingsService {
             .limit(limit);
     }
 
+    /**
+     * Get the most recent audit log entry for an action on an entity since a point in time.
+     * With `details`, only entries whose details contain those values match.
+     */
+    async findLatestAuditLog(
+        action: string,
+        entity: string,
+        entityId: string,
+        since: Date,
+        details?: Record<string, unknown>
+    ): Promise<(AuditLog & { userName: string | null }) | undefined> {
+        const [log] = await db
+            .select({
+                ...getTableColumns(auditLogs),
+                userName: users.name,
+            })
+            .from(auditLogs)
+            .leftJoin(users, eq(auditLogs.userId, users.id))
+            .where(and(
+                eq(auditLogs.action, action),
+                eq(auditLogs.entity, entity),
+                eq(auditLogs.entityId, entityId),
+                gte(auditLogs.createdAt, since),
+                details ? sql`${auditLogs.details} @> ${JSON.stringify(details)}::jsonb` : undefined
+            ))
+            .orderBy(desc(auditLogs.createdAt))
+            .limit(1);
+        return log;
+    }
+
     /**
      * Get audit logs by entity
      */
@@ -0,0 +1,464 @@
+import axios from 'axios';
+import { and, asc, eq, ilike, inArray, sql } from 'drizzle-orm';
+import { db } from '../db/index.js';
+import {
+    alerts,
+    notificationGroups,
+    pppoeSessions,
+    routerNetwatch,
+    routers,
+    userRouters,
+    type User,
+} from '../db/schema/index.js';
+import { getTelegramApiUrl } from './notification-channels/index.js';
+import { alertService } from './alert.service.js';
+import { alertActivityService } from './alert-activity.service.js';
+import { routerService } from './router.service.js';
+import { settingsService } from './settings.service.js';
+import { userService } from './user.service.js';
+import { formatDuration } from '../lib/time-utils.js';
+
+// Subset of the Bot API Update object the bot reads
+export interface TelegramUpdate {
+    update_id: number;
+    message?: {
+        message_id: number;
+        date: number; // unix seconds
+        text?: string;
+        chat: { id: number; type: string };
+        from?: { id: number; username?: string };
+    };
+}
+
+// getUpdates long poll; Telegram holds the request open until a message arrives
+const POLL_TIMEOUT_SECONDS = 25;
+// Pick up bot tokens added to or removed from notification groups
+const CONFIG_REFRESH_MS = 60 * 1000;
+const RETRY_DELAY_MS = 5000;
+// Commands sent while the server was down are dropped rather than replayed
+const STALE_MESSAGE_SECONDS = 10 * 60;
+const MAX_LIST_ITEMS = 30;
+const MAX_PPPOE_MATCHES = 5;
+
+const HELP_TEXT = `NetMonitor bot commands:
+/ack <alert id> - acknowledge an alert
+/status <router> - router status and CPU
+/down - routers and hosts that are down
+/pppoe <username> - look up a PPPoE session`;
+
+interface Poller {
+    controller: AbortController;
+}
+
+/**
+ * Telegram Bot Service - answers commands sent to the bots configured on
+ * notification groups, so technicians can acknowledge alerts and check
+ * devices from the chat. Telegram accounts are linked to users for RBAC.
+ */
+export class TelegramBotService {
+    private pollers = new Map<string, Poller>();
+    private refreshTimer: NodeJS.Timeout | null = null;
+
+    /**
+     * Start polling every bot token (no-op unless the telegramBotEnabled setting is on)
+     */
+    start(): void {
+        if (this.refreshTimer) return;
+
+        void this.refresh();
+        this.refreshTimer = setInterval(() => void this.refresh(), CONFIG_REFRESH_MS);
+    }
+
+    /**
+     * Stop polling and abort in-flight requests
+     */
+    stop(): void {
+        if (this.refreshTimer) {
+            clearInterval(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+        for (const poller of this.pollers.values()) {
+            poller.controller.abort();
+        }
+        this.pollers.clear();
+    }
+
+    /**
+     * Answer one update received by the bot with the given token
+     */
+    async handleUpdate(token: string, update: TelegramUpdate): Promise<void> {
+        const message = update.message;
+        if (!message?.text?.startsWith('/') || !message.from) return;
+        if (Date.now() / 1000 - message.date > STALE_MESSAGE_SECONDS) return;
+
+        let reply: string | null;
+        try {
+            reply = await this.runCommand(message.text, message.from.id, message.chat.type === 'private');
+        } catch (error) {
+            console.error('[TELEGRAM BOT] Command failed:', error);
+            reply = 'Something went wrong while running that command. Please try again.';
+        }
+
+        if (reply) {
+            await this.sendReply(token, message.chat.id, reply, message.message_id);
+        }
+    }
+
+    private async runCommand(text: string, telegramUserId: number, isPrivateChat: boolean): Promise<string | null> {
+        const [rawCommand, ...args] = text.trim().split(/\s+/);
+        // In group chats commands arrive as /ack@MyBot
+        const command = rawCommand.split('@')[0].toLowerCase();
+        const argument = args.join(' ');
+
+        const user = await userService.findByTelegramChatId(String(telegramUserId));
+
+        if (command === '/start' || command === '/help') {
+            return user
+                ? HELP_TEXT
+                : `${HELP_TEXT}\n\nYour Telegram ID is ${telegramUserId}. Ask an admin to link it to your NetMonitor user.`;
+        }
+
+        const isKnownCommand = ['/ack', '/status', '/down', '/pppoe'].includes(command);
+        if (!isKnownCommand) {
+            // Other bots in a group chat may own the command
+            return isPrivateChat ? `Unknown command ${command}. Send /help for the list of commands.` : null;
+        }
+
+        if (!user) {
+            return `This Telegram account is not linked to a NetMonitor user. Ask an admin to link Telegram ID ${telegramUserId} to your account.`;
+        }
+
+        switch (command) {
+            case '/ack':
+                return this.acknowledge(user, argument);
+            case '/status':
+                return this.routerStatus(user, argument);
+            case '/down':
+                return this.downList(user);
+            default:
+                return this.pppoeLookup(user, argument);
+        }
+    }
+
+    /**
+     * /ack <alert id> - full ID or the short ID shown in notifications
+     */
+    private async acknowledge(user: User, argument: string): Promise<string> {
+        const id = argument.toLowerCase();
+        if (!/^[0-9a-f-]{8,36}$/.test(id)) {
+            return 'Usage: /ack <alert id> (at least the first 8 characters)';
+        }
+
+        const matches = await db
+            .select()
+            .from(alerts)
+            .where(sql`${alerts.id}::text LIKE ${`${id}%`}`)
+            .limit(2);
+
+        if (matches.length === 0) {
+            return `No alert found with ID ${id}.`;
+        }
+        if (matches.length > 1) {
+            return `More than one alert starts with ${id}. Send more of the ID.`;
+        }
+
+        // Alerts on routers the user is not assigned to look the same as missing ones
+        const [match] = matches;
+        if (!await alertActivityService.canAccess(match, user.id, user.role)) {
+            return `No alert found with ID ${id}.`;
+        }
+        if (match.acknowledged) {
+            return `Alert "${match.title}" is already acknowledged.`;
+        }
+
+        const alert = await alertService.acknowledge(match.id, user.id, user.role);
+        if (!alert) {
+            return `You do not have access to alert ${id}.`;
+        }
+
+        await settingsService.logAction('acknowledge', 'alert', alert.id, user.id, { via: 'telegram' });
+
+        return `✅ Acknowledged "${alert.title}".`;
+    }
+
+    /**
+     * /status <router> - status, latency and latest CPU/memory/uptime
+     */
+    private async routerStatus(user: User, argument: string): Promise<string> {
+        if (!argument) {
+            return 'Usage: /status <router name>';
+        }
+
+        const matches = await this.findRouters(user, argument);
+        if (matches.length === 0) {
+            return `No router found matching "${argument}".`;
+        }
+
+        // Prefer an exact name over partial matches
+        const exact = matches.find((router) => router.name.toLowerCase() === argument.toLowerCase());
+        if (!exact && matches.length > 1) {
+            const names = matches.slice(0, MAX_LIST_ITEMS).map((router) => `• ${router.name}`);
+            return `Several routers match "${argument}":\n${names.join('\n')}`;
+        }
+
+        const router = exact || matches[0];
+        const metrics = await routerService.getLatestMetrics(router.id);
+        const lines = [
+            `${router.name}: ${router.status.toUpperCase()}`,
+            `Host: ${router.host}`,
+        ];
+
+        if (router.latency !== null) {
+            lines.push(`Latency: ${router.latency} ms`);
+        }
+        if (metrics?.cpuLoad != null) {
+            lines.push(`CPU: ${Math.round(metrics.cpuLoad)}%`);
+        }
+        if (metrics?.totalMemory && metrics.usedMemory != null) {
+            lines.push(`Memory: ${Math.round((metrics.usedMemory / metrics.totalMemory) * 100)}%`);
+        }
+        if (metrics?.uptime != null) {
+            lines.push(`Uptime: ${formatDuration(metrics.uptime * 1000)}`);
+        }
+        if (router.lastSeen) {
+            lines.push(`Last seen: ${formatDuration(Date.now() - router.lastSeen.getTime())} ago`);
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * /down - offline routers and down netwatch hosts
+     */
+    private async downList(user: User): Promise<string> {
+        const routerIds = await this.getAccessibleRouterIds(user);
+        if (routerIds && routerIds.length === 0) {
+            return 'No routers are assigned to you.';
+        }
+
+        const routerScope = routerIds ? inArray(routers.id, routerIds) : undefined;
+
+        const downRouters = await db
+            .select({ name: routers.name, host: routers.host, lastSeen: routers.lastSeen })
+            .from(routers)
+            .where(and(eq(routers.status, 'offline'), routerScope))
+            .orderBy(asc(routers.name));
+
+        const downHosts = await db
+            .select({
+                name: routerNetwatch.name,
+                host: routerNetwatch.host,
+                lastDown: routerNetwatch.lastDown,
+                routerName: routers.name,
+            })
+            .from(routerNetwatch)
+            .innerJoin(routers, eq(routerNetwatch.routerId, routers.id))
+            .where(and(eq(routerNetwatch.status, 'down'), routerScope))
+            .orderBy(asc(routers.name), asc(routerNetwatch.host));
+
+        if (downRouters.length === 0 && downHosts.length === 0) {
+            return '✅ Everything is up.';
+        }
+
+        const sections: string[] = [];
+        if (downRouters.length > 0) {
+            sections.push(this.formatList(
+                `🔴 Routers offline (${downRouters.length}):`,
+                downRouters.map((router) => `• ${router.name} (${router.host})${this.since(router.lastSeen)}`)
+            ));
+        }
+        if (downHosts.length > 0) {
+            sections.push(this.formatList(
+                `🔴 Hosts down (${downHosts.length}):`,
+                downHosts.map((host) => `• ${host.name || host.host} (${host.host}) on ${host.routerName}${this.since(host.lastDown)}`)
+            ));
+        }
+
+        return sections.join('\n\n');
+    }
+
+    /**
+     * /pppoe <username> - session status, address and uptime
+     */
+    private async pppoeLookup(user: User, argument: string): Promise<string> {
+        if (!argument) {
+            return 'Usage: /pppoe <username>';
+        }
+
+        const routerIds = await this.getAccessibleRouterIds(user);
+        if (routerIds && routerIds.length === 0) {
+            return 'No routers are assigned to you.';
+        }
+
+        const sessions = await db
+            .select({ session: pppoeSessions, routerName: routers.name })
+            .from(pppoeSessions)
+            .innerJoin(routers, eq(pppoeSessions.routerId, routers.id))
+            .where(and(
+                ilike(pppoeSessions.name, `%${this.escapeLike(argument)}%`),
+                routerIds ? inArray(pppoeSessions.routerId, routerIds) : undefined
+            ))
+            .orderBy(asc(pppoeSessions.name))
+            .limit(MAX_PPPOE_MATCHES + 1);
+
+        if (sessions.length === 0) {
+            return `No PPPoE session found matching "${argument}".`;
+        }
+
+        const exact = sessions.filter(({ session }) => session.name.toLowerCase() === argument.toLowerCase());
+        const shown = (exact.length > 0 ? exact : sessions).slice(0, MAX_PPPOE_MATCHES);
+
+        const blocks = shown.map(({ session, routerName }) => {
+            const isActive = session.status !== 'disconnected';
+            const lines = [
+                `${isActive ? '🟢' : '🔴'} ${session.name}: ${isActive ? 'CONNECTED' : 'DISCONNECTED'}`,
+                `Router: ${routerName}`,
+                `Address: ${session.address || '-'}`,
+                `Caller ID: ${session.callerId || '-'}`,
+            ];
+            if (isActive) {
+                lines.push(`Uptime: ${session.uptime || formatDuration(Date.now() - session.connectedAt.getTime())}`);
+            } else if (session.lastDown) {
+                lines.push(`Down for: ${formatDuration(Date.now() - session.lastDown.getTime())}`);
+            }
+            return lines.join('\n');
+        });
+
+        if (exact.length === 0 && sessions.length > MAX_PPPOE_MATCHES) {
+            blocks.push(`More sessions match "${argument}"; send a longer username.`);
+        }
+
+        return blocks.join('\n\n');
+    }
+
+    /**
+     * Router IDs the user may see, or null for all routers (admins)
+     */
+    private async getAccessibleRouterIds(user: User): Promise<string[] | null> {
+        if (user.role === 'admin') return null;
+
+        const assigned = await db
+            .select({ routerId: userRouters.routerId })
+            .from(userRouters)
+            .where(eq(userRouters.userId, user.id));
+        return assigned.map((a) => a.routerId);
+    }
+
+    private async findRouters(user: User, name: string) {
+        const routerIds = await this.getAccessibleRouterIds(user);
+        if (routerIds && routerIds.length === 0) return [];
+
+        return db
+            .select()
+            .from(routers)
+            .where(and(
+                ilike(routers.name, `%${this.escapeLike(name)}%`),
+                routerIds ? inArray(routers.id, routerIds) : undefined
+            ))
+            .orderBy(asc(routers.name));
+    }
+
+    private formatList(heading: string, lines: string[]): string {
+        const shown = lines.slice(0, MAX_LIST_ITEMS);
+        if (lines.length > shown.length) {
+            shown.push(`…and ${lines.length - shown.length} more`);
+        }
+        return [heading, ...shown].join('\n');
+    }
+
+    private since(date: Date | null): string {
+        return date ? ` - ${formatDuration(Date.now() - date.getTime())}` : '';
+    }
+
+    private escapeLike(value: string): string {
+        return value.replace(/[\\%_]/g, (char) => `\\${char}`);
+    }
+
+    /**
+     * Replies are plain text: router and user names may contain Markdown characters
+     */
+    private async sendReply(token: string, chatId: number, text: string, replyTo: number): Promise<void> {
+        try {
+            await axios.post(
+                `${getTelegramApiUrl()}/bot${token}/sendMessage`,
+                { chat_id: chatId, text, reply_to_message_id: replyTo },
+                { timeout: 10000 }
+            );
+        } catch (error) {
+            console.error('[TELEGRAM BOT] Failed to send reply:', error instanceof Error ? error.message : error);
+        }
+    }
+
+    /**
+     * Start pollers for new bot tokens and stop the ones no longer configured
+     */
+    private async refresh(): Promise<void> {
+        try {
+            const enabled = await settingsService.getSettingValue<boolean>('telegramBotEnabled', false);
+            const tokens = enabled ? await this.getBotTokens() : new Set<string>();
+
+            for (const [token, poller] of this.pollers) {
+                if (!tokens.has(token)) {
+                    poller.controller.abort();
+                    this.pollers.delete(token);
+                }
+            }
+            for (const token of tokens) {
+                if (!this.pollers.has(token)) {
+                    const poller = { controller: new AbortController() };
+                    this.pollers.set(token, poller);
+                    void this.poll(token, poller);
+                }
+            }
+        } catch (error) {
+            console.error('[TELEGRAM BOT] Failed to refresh bot tokens:', error);
+        }
+    }
+
+    /**
+     * Bot tokens of every enabled Telegram channel; groups sharing a bot share one poller
+     */
+    private async getBotTokens(): Promise<Set<string>> {
+        const groups = await db.select({ channels: notificationGroups.channels }).from(notificationGroups);
+        const tokens = new Set<string>();
+
+        for (const group of groups) {
+            for (const channel of group.channels || []) {
+                const botToken = channel.config?.botToken;
+                if (channel.type === 'telegram' && channel.enabled && typeof botToken === 'string' && botToken) {
+                    tokens.add(botToken);
+                }
+            }
+        }
+        return tokens;
+    }
+
+    private async poll(token: string, poller: Poller): Promise<void> {
+        const { signal } = poller.controller;
+        let offset: number | undefined;
+
+        while (!signal.aborted) {
+            try {
+                const response = await axios.post(
+                    `${getTelegramApiUrl()}/bot${token}/getUpdates`,
+                    { offset, timeout: POLL_TIMEOUT_SECONDS, allowed_updates: ['message'] },
+                    { timeout: (POLL_TIMEOUT_SECONDS + 10) * 1000, signal }
+                );
+
+                const updates: TelegramUpdate[] = response.data?.result || [];
+                for (const update of updates) {
+                    // Confirm the update on the next poll even if handling it fails
+                    offset = update.update_id + 1;
+                    await this.handleUpdate(token, update);
+                }
+            } catch (error) {
+                if (signal.aborted) break;
+                console.error('[TELEGRAM BOT] getUpdates failed:', error instanceof Error ? error.message : error);
+                await new Promise((resolve) => setTimeout(resolve, RETRY_DELAY_MS));
+            }
+        }
+    }
+}
+
+// Export singleton instance
+export const telegramBotService = new TelegramBotService();
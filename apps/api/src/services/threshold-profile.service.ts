@@ -0,0 +1,181 @@
+import { eq, or } from 'drizzle-orm';
+import { z } from 'zod';
+import { db } from '../db/index.js';
+import {
+    alertThresholdProfiles,
+    routers,
+    routerGroups,
+    type AlertThresholdProfile,
+} from '../db/schema/index.js';
+
+export const THRESHOLD_FIELDS = [
+    'cpuWarning',
+    'cpuCritical',
+    'memoryWarning',
+    'memoryCritical',
+    'latencyWarning',
+    'packetLossWarning',
+    'diskWarning',
+    'diskCritical',
+    'temperatureWarning',
+    'temperatureCritical',
+    'voltageLow',
+    'voltageHigh',
+] as const;
+
+export type ThresholdField = typeof THRESHOLD_FIELDS[number];
+
+// A null field means "inherit from the next level" (router -> group -> global)
+export type ThresholdOverrides = Partial<Record<ThresholdField, number | null>>;
+
+export type ThresholdProfileTarget = { routerId: string } | { groupId: string };
+
+// Request body for a router or group profile - null clears a field so it falls back to the group/global value
+const thresholdPercent = z.number().int().min(1).max(100).nullable().optional();
+export const thresholdProfileSchema = z.object({
+    cpuWarning: thresholdPercent,
+    cpuCritical: thresholdPercent,
+    memoryWarning: thresholdPercent,
+    memoryCritical: thresholdPercent,
+    latencyWarning: z.number().int().min(1).max(10000).nullable().optional(),
+    packetLossWarning: z.number().int().min(0).max(100).nullable().optional(),
+    diskWarning: thresholdPercent,
+    diskCritical: thresholdPercent,
+    temperatureWarning: z.number().int().min(1).max(150).nullable().optional(),
+    temperatureCritical: z.number().int().min(1).max(150).nullable().optional(),
+    voltageLow: z.number().min(0).max(100).nullable().optional(),
+    voltageHigh: z.number().min(0).max(100).nullable().optional(),
+}).refine(
+    (data) => data.cpuWarning == null || data.cpuCritical == null || data.cpuWarning < data.cpuCritical,
+    { message: 'CPU warning threshold must be below the critical threshold', path: ['cpuWarning'] }
+).refine(
+    (data) => data.memoryWarning == null || data.memoryCritical == null || data.memoryWarning < data.memoryCritical,
+    { message: 'Memory warning threshold must be below the critical threshold', path: ['memoryWarning'] }
+).refine(
+    (data) => data.diskWarning == null || data.diskCritical == null || data.diskWarning < data.diskCritical,
+    { message: 'Disk warning threshold must be below the critical threshold', path: ['diskWarning'] }
+).refine(
+    (data) => data.temperatureWarning == null || data.temperatureCritical == null || data.temperatureWarning < data.temperatureCritical,
+    { message: 'Temperature warning threshold must be below the critical threshold', path: ['temperatureWarning'] }
+).refine(
+    (data) => data.voltageLow == null || data.voltageHigh == null || data.voltageLow < data.voltageHigh,
+    { message: 'Minimum voltage must be below the maximum voltage', path: ['voltageLow'] }
+);
+
+export interface ThresholdProfileWithName extends AlertThresholdProfile {
+    routerName: string | null;
+    groupName: string | null;
+}
+
+/**
+ * Threshold Profile Service - per-router and per-group alert threshold overrides
+ */
+export class ThresholdProfileService {
+    /**
+     * Get all profiles with the router/group name they belong to
+     */
+    async findAll(): Promise<ThresholdProfileWithName[]> {
+        const rows = await db
+            .select({
+                profile: alertThresholdProfiles,
+                routerName: routers.name,
+                groupName: routerGroups.name,
+            })
+            .from(alertThresholdProfiles)
+            .leftJoin(routers, eq(alertThresholdProfiles.routerId, routers.id))
+            .leftJoin(routerGroups, eq(alertThresholdProfiles.groupId, routerGroups.id));
+
+        return rows.map((row) => ({
+            ...row.profile,
+            routerName: row.routerName,
+            groupName: row.groupName,
+        }));
+    }
+
+    /**
+     * Get the profile for a router or group
+     */
+    async find(target: ThresholdProfileTarget): Promise<AlertThresholdProfile | undefined> {
+        const [profile] = await db
+            .select()
+            .from(alertThresholdProfiles)
+            .where(this.targetCondition(target));
+        return profile;
+    }
+
+    /**
+     * Get the router's own profile and its group's profile in one query
+     */
+    async findForRouter(routerId: string): Promise<{
+        routerProfile: AlertThresholdProfile | null;
+        groupProfile: AlertThresholdProfile | null;
+    }> {
+        const [router] = await db
+            .select({ groupId: routers.groupId })
+            .from(routers)
+            .where(eq(routers.id, routerId));
+
+        const profiles = await db
+            .select()
+            .from(alertThresholdProfiles)
+            .where(router?.groupId
+                ? or(eq(alertThresholdProfiles.routerId, routerId), eq(alertThresholdProfiles.groupId, router.groupId))
+                : eq(alertThresholdProfiles.routerId, routerId));
+
+        return {
+            routerProfile: profiles.find((p) => p.routerId === routerId) || null,
+            groupProfile: profiles.find((p) => router?.groupId && p.groupId === router.groupId) || null,
+        };
+    }
+
+    /**
+     * Create or replace the profile for a router or group.
+     * A profile with every field null is removed instead.
+     */
+    async upsert(target: ThresholdProfileTarget, values: ThresholdOverrides): Promise<AlertThresholdProfile | null> {
+        const data = Object.fromEntries(
+            THRESHOLD_FIELDS.map((field) => [field, values[field] ?? null])
+        ) as Record<ThresholdField, number | null>;
+
+        if (THRESHOLD_FIELDS.every((field) => data[field] === null)) {
+            await this.delete(target);
+            return null;
+        }
+
+        const existing = await this.find(target);
+        if (existing) {
+            const [profile] = await db
+                .update(alertThresholdProfiles)
+                .set({ ...data, updatedAt: new Date() })
+                .where(eq(alertThresholdProfiles.id, existing.id))
+                .returning();
+            return profile;
+        }
+
+        const [profile] = await db
+            .insert(alertThresholdProfiles)
+            .values({ ...target, ...data })
+            .returning();
+        return profile;
+    }
+
+    /**
+     * Delete the profile for a router or group
+     */
+    async delete(target: ThresholdProfileTarget): Promise<boolean> {
+        const result = await db
+            .delete(alertThresholdProfiles)
+            .where(this.targetCondition(target))
+            .returning();
+        return result.length > 0;
+    }
+
+    private targetCondition(target: ThresholdProfileTarget) {
+        return 'routerId' in target
+            ? eq(alertThresholdProfiles.routerId, target.routerId)
+            : eq(alertThresholdProfiles.groupId, target.groupId);
+    }
+}
+
+// Export singleton instance
+export const thresholdProfileService = new ThresholdProfileService();
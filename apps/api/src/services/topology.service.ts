@@ -0,0 +1,89 @@
+import { eq } from 'drizzle-orm';
+import { db } from '../db/index.js';
+import { routerNetwatch } from '../db/schema/index.js';
+
+/**
+ * A netwatch entry in the router -> OLT -> ODP -> client tree.
+ * `previousStatus` is set while a sync pass is in progress: `status` is then the
+ * freshly polled value and `previousStatus` what was stored before the pass.
+ */
+export interface TopologyNode {
+    id: string;
+    host: string;
+    name: string | null;
+    connectionType: string | null;
+    connectedToId: string | null;
+    status: string | null;
+    previousStatus?: string | null;
+}
+
+/**
+ * Topology Service - walks the connectedToId chains between netwatch devices
+ */
+export class TopologyService {
+    /**
+     * Load a router's netwatch tree with the stored statuses
+     */
+    async getNetwatchNodes(routerId: string): Promise<TopologyNode[]> {
+        return db
+            .select({
+                id: routerNetwatch.id,
+                host: routerNetwatch.host,
+                name: routerNetwatch.name,
+                connectionType: routerNetwatch.connectionType,
+                connectedToId: routerNetwatch.connectedToId,
+                status: routerNetwatch.status,
+            })
+            .from(routerNetwatch)
+            .where(eq(routerNetwatch.routerId, routerId));
+    }
+
+    /**
+     * Ancestors of a node, nearest first.
+     * A 'client' connection points at another netwatch device; anything else hangs off the router.
+     */
+    getAncestors(nodes: TopologyNode[], nodeId: string): TopologyNode[] {
+        const byId = new Map(nodes.map((node) => [node.id, node]));
+        const ancestors: TopologyNode[] = [];
+        const visited = new Set<string>([nodeId]);
+
+        let current = byId.get(nodeId);
+        while (current && current.connectionType === 'client' && current.connectedToId) {
+            const parent = byId.get(current.connectedToId);
+            // Stop at unknown parents and at cycles drawn by mistake on the map
+            if (!parent || visited.has(parent.id)) break;
+
+            visited.add(parent.id);
+            ancestors.push(parent);
+            current = parent;
+        }
+
+        return ancestors;
+    }
+
+    /**
+     * The highest failed node above (or, with includeSelf, at) a node - the likely root cause
+     */
+    findRootCause(nodes: TopologyNode[], nodeId: string, includeSelf = false): TopologyNode | null {
+        const chain = this.getAncestors(nodes, nodeId);
+        if (includeSelf) {
+            const self = nodes.find((node) => node.id === nodeId);
+            if (self) chain.unshift(self);
+        }
+
+        const failed = chain.filter((node) => node.status === 'down');
+        return failed.length > 0 ? failed[failed.length - 1] : null;
+    }
+
+    /**
+     * Every node below a node
+     */
+    getDescendants(nodes: TopologyNode[], nodeId: string): TopologyNode[] {
+        return nodes.filter((node) =>
+            node.id !== nodeId && this.getAncestors(nodes, node.id).some((ancestor) => ancestor.id === nodeId)
+        );
+    }
+}
+
+// Export singleton instance
+export const topologyService = new TopologyService();
@@ -38,6 +38,14 @@ export class UserService {
         return user;
     }
 
+    /**
+     * Get user by linked Telegram account
+     */
+    async findByTelegramChatId(chatId: string): Promise<User | undefined> {
+        const [user] = await db.select().from(users).where(eq(users.telegramChatId, chatId));
+        return user;
+    }
+
     /**
      * Create a new user
      */
@@ -50,6 +50,10 @@ export type AlertType =
     | 'interface_down'
     | 'netwatch_down'
     | 'threshold'
-    | 'reboot';
+    | 'reboot'
+    | 'pppoe_connect'
+    | 'pppoe_disconnect'
+    | 'high_temperature'
+    | 'voltage';
 
 export type AlertSeverity = 'info' | 'warning' | 'critical';
@@ -1022,11 +1022,11 @@ const NetworkMap = ({ routerId: filteredRouterId = null, showRoutersOnly = false
                 {mapData.routers.filter(r => !searchQuery || (r.name && r.name.toLowerCase().includes(searchQuery.toLowerCase())) || (r.host && r.host.includes(searchQuery))).map(router => (
                     <DraggableMarker
                         key={router.id}
-                        status={router.status} // For cluster icon
+                        status={router.maintenance ? 'maintenance' : router.status} // For cluster icon
                         position={[router.lat, router.lng]}
                         icon={createDeviceIcon({
                             type: 'router',
-                            status: router.status,
+                            status: router.maintenance ? 'maintenance' : router.status,
                             name: showLabels ? router.name : '',
                             showLabel: showLabels,
                         })}
@@ -1050,7 +1050,7 @@ const NetworkMap = ({ routerId: filteredRouterId = null, showRoutersOnly = false
                             key={`${node.routerId}-${node.id}`}
                             position={[node.lat, node.lng]}
                             type={node.deviceType}
-                            status={node.status}
+                            status={node.maintenance ? 'maintenance' : node.status}
                             name={node.name || node.host}
                             showLabel={showLabels}
                             small={true}
@@ -0,0 +1,330 @@
+import React, { useState } from 'react';
+import {
+    useAlertTimeline,
+    useAlertComments,
+    useAlertAssignees,
+    useAddAlertComment,
+    useDeleteAlertComment,
+    useAssignAlert,
+} from '@/hooks';
+import { Drawer } from '@/components/ui/Drawer';
+import { Button } from '@/components/ui/Button';
+import {
+    Bell, Send, TrendingUp, UserCheck, UserX, CheckCircle, CheckCheck, MessageSquare,
+    Reply, Trash2, RefreshCw, Clock, AlertTriangle,
+} from 'lucide-react';
+import clsx from 'clsx';
+import toast from 'react-hot-toast';
+
+const SEVERITY_STYLES = {
+    critical: 'bg-red-500/10 text-red-400',
+    warning: 'bg-yellow-500/10 text-yellow-400',
+    info: 'bg-emerald-500/10 text-emerald-400',
+};
+
+const TIMELINE_ICONS = {
+    created: { icon: Bell, color: 'text-slate-300' },
+    notified: { icon: Send, color: 'text-sky-400' },
+    escalated: { icon: TrendingUp, color: 'text-orange-400' },
+    assigned: { icon: UserCheck, color: 'text-violet-400' },
+    unassigned: { icon: UserX, color: 'text-slate-400' },
+    acknowledged: { icon: CheckCircle, color: 'text-emerald-400' },
+    comment: { icon: MessageSquare, color: 'text-blue-400' },
+    resolved: { icon: CheckCheck, color: 'text-emerald-400' },
+};
+
+/**
+ * One-line description of a timeline entry
+ */
+function describeEntry(entry) {
+    const { details } = entry;
+    const by = entry.userName ? ` by ${entry.userName}` : '';
+
+    switch (entry.type) {
+        case 'created':
+            return details.suppressed ? 'Alert raised (notification suppressed)' : 'Alert raised';
+        case 'notified': {
+            const status = details.status === 'success' ? 'sent' : details.status === 'retrying' ? 'retrying' : 'failed';
+            const summary = details.summary ? ` in a ${details.summary === 'quiet' ? 'quiet hours' : details.summary} summary` : '';
+            return `${details.channelType} notification ${status}${summary} via ${details.groupName || 'deleted group'}${details.target ? ` to ${details.target}` : ''}`;
+        }
+        case 'escalated':
+            return `Escalated to level ${details.level} after ${details.downtime}`;
+        case 'assigned':
+            return `Assigned to ${details.assigneeName}${by}`;
+        case 'unassigned':
+            return `Unassigned${by}`;
+        case 'acknowledged':
+            return `Acknowledged${by}`;
+        case 'comment':
+            return `${entry.userName || 'Deleted user'} ${details.parentId ? 'replied' : 'commented'}`;
+        case 'resolved':
+            return 'Resolved';
+        default:
+            return entry.type;
+    }
+}
+
+function Timeline({ alertId, formatTime }) {
+    const { data: timeline = [], isLoading } = useAlertTimeline(alertId);
+
+    if (isLoading) {
+        return (
+            <div className="flex items-center gap-2 py-2 text-xs text-slate-500">
+                <RefreshCw className="w-3 h-3 animate-spin" />
+                Loading timeline...
+            </div>
+        );
+    }
+
+    return (
+        <ol className="relative border-l border-slate-700 ml-2 space-y-4">
+            {timeline.map((entry) => {
+                const { icon: Icon, color } = TIMELINE_ICONS[entry.type] || TIMELINE_ICONS.created;
+                return (
+                    <li key={`${entry.type}-${entry.id}`} className="ml-5">
+                        <span className="absolute -left-3 flex items-center justify-center w-6 h-6 rounded-full bg-slate-900 border border-slate-700">
+                            <Icon className={clsx('w-3.5 h-3.5', color)} />
+                        </span>
+                        <p className={clsx('text-sm', entry.type === 'notified' && entry.details.status === 'failed' ? 'text-red-400' : 'text-slate-200')}>
+                            {describeEntry(entry)}
+                        </p>
+                        {entry.type === 'comment' && (
+                            <p className="text-xs text-slate-400 mt-0.5 whitespace-pre-wrap line-clamp-3">{entry.details.body}</p>
+                        )}
+                        {entry.type === 'notified' && entry.details.error && (
+                            <p className="text-xs text-red-400/80 mt-0.5 truncate" title={entry.details.error}>{entry.details.error}</p>
+                        )}
+                        <p className="text-[11px] text-slate-500 mt-0.5">{formatTime(entry.at)}</p>
+                    </li>
+                );
+            })}
+        </ol>
+    );
+}
+
+function CommentForm({ alertId, parentId = null, onDone, autoFocus = false }) {
+    const [body, setBody] = useState('');
+    const addComment = useAddAlertComment();
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!body.trim()) return;
+
+        try {
+            await addComment.mutateAsync({ alertId, body: body.trim(), parentId });
+            setBody('');
+            onDone?.();
+        } catch (error) {
+            toast.error('Failed to add comment: ' + (error.message || 'Unknown error'));
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-2">
+            <textarea
+                value={body}
+                onChange={(e) => setBody(e.target.value)}
+                placeholder={parentId ? 'Write a reply...' : 'What did you check or change?'}
+                autoFocus={autoFocus}
+                rows={parentId ? 2 : 3}
+                maxLength={5000}
+                className="w-full bg-slate-800 border border-slate-700 rounded-lg p-2 text-sm text-white placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-primary"
+            />
+            <div className="flex justify-end gap-2">
+                {onDone && parentId && (
+                    <Button type="button" variant="ghost" size="sm" onClick={onDone}>
+                        Cancel
+                    </Button>
+                )}
+                <Button type="submit" size="sm" loading={addComment.isPending} disabled={!body.trim()}>
+                    {parentId ? 'Reply' : 'Add Note'}
+                </Button>
+            </div>
+        </form>
+    );
+}
+
+function CommentThread({ comment, alertId, currentUser, formatTime, depth = 0 }) {
+    const [isReplying, setIsReplying] = useState(false);
+    const deleteComment = useDeleteAlertComment();
+    const canDelete = currentUser?.role === 'admin' || comment.userId === currentUser?.id;
+
+    const handleDelete = async () => {
+        const message = comment.replies.length > 0
+            ? 'Delete this comment and its replies?'
+            : 'Delete this comment?';
+        if (!confirm(message)) return;
+
+        try {
+            await deleteComment.mutateAsync({ alertId, commentId: comment.id });
+        } catch (error) {
+            toast.error('Failed to delete comment: ' + (error.message || 'Unknown error'));
+        }
+    };
+
+    return (
+        <div className={clsx(depth > 0 && 'ml-4 pl-3 border-l border-slate-700/70')}>
+            <div className="rounded-lg bg-slate-800/60 p-3">
+                <div className="flex items-center justify-between gap-2">
+                    <span className="text-xs font-medium text-slate-200">{comment.userName || 'Deleted user'}</span>
+                    <span className="text-[11px] text-slate-500">{formatTime(comment.createdAt)}</span>
+                </div>
+                <p className="text-sm text-slate-300 mt-1 whitespace-pre-wrap break-words">{comment.body}</p>
+                <div className="flex items-center gap-3 mt-2">
+                    <button
+                        onClick={() => setIsReplying((prev) => !prev)}
+                        className="flex items-center gap-1 text-xs text-slate-400 hover:text-white"
+                    >
+                        <Reply className="w-3 h-3" />
+                        Reply
+                    </button>
+                    {canDelete && (
+                        <button
+                            onClick={handleDelete}
+                            className="flex items-center gap-1 text-xs text-slate-400 hover:text-red-400"
+                        >
+                            <Trash2 className="w-3 h-3" />
+                            Delete
+                        </button>
+                    )}
+                </div>
+            </div>
+            {isReplying && (
+                <div className="mt-2 ml-4">
+                    <CommentForm alertId={alertId} parentId={comment.id} onDone={() => setIsReplying(false)} autoFocus />
+                </div>
+            )}
+            {comment.replies.length > 0 && (
+                <div className="mt-2 space-y-2">
+                    {comment.replies.map((reply) => (
+                        <CommentThread
+                            key={reply.id}
+                            comment={reply}
+                            alertId={alertId}
+                            currentUser={currentUser}
+                            formatTime={formatTime}
+                            depth={depth + 1}
+                        />
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+function AssigneeSelect({ alert, canAssign }) {
+    const { data: assignees = [], isLoading } = useAlertAssignees(alert.id, { enabled: canAssign });
+    const assignAlert = useAssignAlert();
+
+    if (!canAssign) {
+        return <span className="text-sm text-slate-300">{alert.assignedToName || 'Unassigned'}</span>;
+    }
+
+    const handleChange = async (e) => {
+        try {
+            await assignAlert.mutateAsync({ alertId: alert.id, userId: e.target.value || null });
+            toast.success(e.target.value ? 'Alert assigned' : 'Alert unassigned');
+        } catch (error) {
+            toast.error('Failed to assign alert: ' + (error.message || 'Unknown error'));
+        }
+    };
+
+    return (
+        <select
+            value={alert.assignedTo || ''}
+            onChange={handleChange}
+            disabled={isLoading || assignAlert.isPending}
+            className="bg-slate-800 border border-slate-700 text-white text-sm rounded-lg px-2 py-1.5 focus:outline-none focus:ring-2 focus:ring-primary"
+        >
+            <option value="">Unassigned</option>
+            {assignees.map((user) => (
+                <option key={user.id} value={user.id}>
+                    {user.name} ({user.role})
+                </option>
+            ))}
+        </select>
+    );
+}
+
+/**
+ * Alert details: assignment, incident timeline and technician notes
+ */
+export default function AlertDetailDrawer({ alert, onClose, formatTime, currentUser }) {
+    const { data: comments = [], isLoading: isCommentsLoading } = useAlertComments(alert?.id);
+    const canAssign = currentUser?.role === 'admin' || currentUser?.role === 'operator';
+
+    if (!alert) return null;
+
+    return (
+        <Drawer
+            isOpen={!!alert}
+            onClose={onClose}
+            title={alert.title}
+            subtitle={alert.routerName ? `Router: ${alert.routerName}` : undefined}
+        >
+            <div className="space-y-6">
+                {/* Summary */}
+                <div className="space-y-3">
+                    <div className="flex flex-wrap items-center gap-2 text-xs">
+                        <span className={clsx('px-2 py-0.5 rounded-full font-medium capitalize', SEVERITY_STYLES[alert.severity])}>
+                            {alert.severity}
+                        </span>
+                        <span className="px-2 py-0.5 rounded-full bg-slate-800 text-slate-300">{alert.type}</span>
+                        {alert.resolved ? (
+                            <span className="px-2 py-0.5 rounded-full bg-emerald-500/10 text-emerald-400">Resolved</span>
+                        ) : alert.acknowledged ? (
+                            <span className="px-2 py-0.5 rounded-full bg-blue-500/10 text-blue-400">Acknowledged</span>
+                        ) : (
+                            <span className="flex items-center gap-1 px-2 py-0.5 rounded-full bg-red-500/10 text-red-400">
+                                <AlertTriangle className="w-3 h-3" />
+                                Open
+                            </span>
+                        )}
+                    </div>
+                    {alert.message && <p className="text-sm text-slate-400">{alert.message}</p>}
+                    <div className="flex items-center gap-1 text-xs text-slate-500">
+                        <Clock className="w-3 h-3" />
+                        {formatTime(alert.createdAt)}
+                    </div>
+                    <div className="flex items-center justify-between gap-3 pt-3 border-t border-slate-800">
+                        <span className="text-sm font-medium text-slate-300">Assigned to</span>
+                        <AssigneeSelect alert={alert} canAssign={canAssign} />
+                    </div>
+                </div>
+
+                {/* Timeline */}
+                <div>
+                    <h3 className="text-xs uppercase tracking-wide text-slate-500 mb-3">Timeline</h3>
+                    <Timeline alertId={alert.id} formatTime={formatTime} />
+                </div>
+
+                {/* Notes */}
+                <div className="space-y-3">
+                    <h3 className="text-xs uppercase tracking-wide text-slate-500">Notes</h3>
+                    {isCommentsLoading ? (
+                        <div className="flex items-center gap-2 py-2 text-xs text-slate-500">
+                            <RefreshCw className="w-3 h-3 animate-spin" />
+                            Loading notes...
+                        </div>
+                    ) : comments.length === 0 ? (
+                        <p className="text-xs text-slate-500">No notes yet</p>
+                    ) : (
+                        <div className="space-y-3">
+                            {comments.map((comment) => (
+                                <CommentThread
+                                    key={comment.id}
+                                    comment={comment}
+                                    alertId={alert.id}
+                                    currentUser={currentUser}
+                                    formatTime={formatTime}
+                                />
+                            ))}
+                        </div>
+                    )}
+                    <CommentForm alertId={alert.id} />
+                </div>
+            </div>
+        </Drawer>
+    );
+}
@@ -0,0 +1,53 @@
+import React from 'react';
+import { useAlertSubtree } from '@/hooks';
+import { RefreshCw, CornerDownRight, CheckCircle } from 'lucide-react';
+import clsx from 'clsx';
+
+function AlertTreeRows({ nodes, depth, formatTime }) {
+    return nodes.map((node) => (
+        <React.Fragment key={node.id}>
+            <div className="flex items-start gap-2 py-1.5 text-xs" style={{ paddingLeft: depth * 16 }}>
+                <CornerDownRight className="w-3.5 h-3.5 mt-0.5 text-slate-600 flex-shrink-0" />
+                <div className="min-w-0">
+                    <span className={clsx('font-medium', node.resolved ? 'text-slate-500 line-through' : 'text-slate-300')}>
+                        {node.title}
+                    </span>
+                    {node.resolved && <CheckCircle className="inline w-3 h-3 ml-1 text-emerald-500" />}
+                    <span className="ml-2 text-slate-500">{formatTime(node.createdAt)}</span>
+                </div>
+            </div>
+            {node.children?.length > 0 && (
+                <AlertTreeRows nodes={node.children} depth={depth + 1} formatTime={formatTime} />
+            )}
+        </React.Fragment>
+    ));
+}
+
+/**
+ * Downstream outages attached to a root cause alert, as an indented tree
+ */
+export default function AlertSubtree({ alertId, formatTime }) {
+    const { data: tree, isLoading } = useAlertSubtree(alertId);
+
+    if (isLoading) {
+        return (
+            <div className="flex items-center gap-2 py-2 text-xs text-slate-500">
+                <RefreshCw className="w-3 h-3 animate-spin" />
+                Loading affected devices...
+            </div>
+        );
+    }
+
+    if (!tree?.children?.length) {
+        return <p className="py-2 text-xs text-slate-500">No downstream alerts</p>;
+    }
+
+    return (
+        <div className="mt-3 border-t border-slate-700/50 pt-2">
+            <p className="text-[11px] uppercase tracking-wide text-slate-500 mb-1">
+                Affected downstream (notifications suppressed)
+            </p>
+            <AlertTreeRows nodes={tree.children} depth={0} formatTime={formatTime} />
+        </div>
+    );
+}
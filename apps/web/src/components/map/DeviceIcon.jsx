@@ -42,7 +42,7 @@ const deviceConfig = {
  * Create a device icon with the given type and status
  * @param {Object} options
  * @param {string} options.type - Device type: 'router', 'olt', 'odp', 'client', 'netwatch'
- * @param {string} options.status - Device status: 'online'|'up', 'offline'|'down', 'unknown'
+ * @param {string} options.status - Device status: 'online'|'up', 'offline'|'down', 'maintenance', 'unknown'
  * @param {string} options.name - Device name for label
  * @param {boolean} options.showLabel - Whether to show the label
  * @param {boolean} options.small - Use smaller icon size
@@ -63,7 +63,9 @@ export const createDeviceIcon = ({
 
     // Normalize status - prioritize 'warning' for performance issues on online devices
     let normalizedStatus;
-    if (status === 'up' || status === 'online' || status === 'active') {
+    if (status === 'maintenance') {
+        normalizedStatus = 'maintenance';
+    } else if (status === 'up' || status === 'online' || status === 'active') {
         normalizedStatus = hasPerformanceIssue ? 'warning' : 'online';
     } else if (status === 'down' || status === 'offline' || status === 'disable' || status === 'disconnected' || status === 'unknown' || !status) {
         normalizedStatus = 'offline';
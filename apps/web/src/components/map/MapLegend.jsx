@@ -80,6 +80,10 @@ const MapLegend = ({
                             <span className="map-legend__dot map-legend__dot--offline"></span>
                             <span className="map-legend__text">Offline / Down</span>
                         </div>
+                        <div className="map-legend__item">
+                            <span className="map-legend__dot map-legend__dot--maintenance"></span>
+                            <span className="map-legend__text">Maintenance</span>
+                        </div>
 
                         {/* Line status */}
                         <div className="map-legend__item" style={{ marginTop: 8 }}>
@@ -0,0 +1,180 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { apiClient } from '@/lib/api';
+import { Button } from '@/components/ui/Button';
+import { Settings2, Unplug, UserX, UserCheck, Layers, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+function usePppProfiles(routerId) {
+    return useQuery({
+        queryKey: ['pppoe', 'profiles', routerId],
+        queryFn: async () => {
+            const res = await apiClient.get('/pppoe/profiles', { params: { routerId } });
+            return res.data?.data || [];
+        },
+        enabled: !!routerId,
+        staleTime: 300000,
+    });
+}
+
+// Router-side actions answer with { success, error } rather than an error status
+function usePppoeAction() {
+    const queryClient = useQueryClient();
+
+    return useMutation({
+        mutationFn: async ({ id, action, body }) => {
+            const res = action === 'profile'
+                ? await apiClient.put(`/pppoe/${id}/profile`, body)
+                : await apiClient.post(`/pppoe/${id}/${action}`);
+            const result = res.data?.data;
+            if (!result?.success) {
+                throw new Error(result?.error || 'Router did not accept the change');
+            }
+            return result;
+        },
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: ['pppoe'] });
+        },
+    });
+}
+
+/**
+ * Operator actions on a PPPoE user: kick the session, enable/disable the secret, change profile
+ */
+export default function PppoeActionsModal({ session, onClose }) {
+    const { data: profiles = [], isLoading: isProfilesLoading } = usePppProfiles(session?.routerId);
+    const runAction = usePppoeAction();
+    const [profile, setProfile] = useState('');
+    const [reconnect, setReconnect] = useState(true);
+    const [pendingAction, setPendingAction] = useState(null);
+
+    if (!session) return null;
+
+    const handleAction = async (action, confirmMessage, body) => {
+        if (confirmMessage && !confirm(confirmMessage)) return;
+
+        setPendingAction(action);
+        try {
+            const result = await runAction.mutateAsync({ id: session.dbId, action, body });
+            const kicked = result.disconnected ? ', session disconnected' : '';
+            switch (action) {
+                case 'disconnect':
+                    toast.success(result.disconnected ? `${session.name} disconnected` : `${session.name} was not online`);
+                    break;
+                case 'disable':
+                    toast.success(`${session.name} disabled${kicked}`);
+                    break;
+                case 'enable':
+                    toast.success(`${session.name} enabled`);
+                    break;
+                case 'profile':
+                    toast.success(`Profile of ${session.name} set to ${body.profile}${kicked}`);
+                    break;
+            }
+        } catch (error) {
+            toast.error(`Failed: ${error.message || 'Unknown error'}`);
+        } finally {
+            setPendingAction(null);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+            <div className="bg-slate-900 border border-slate-700 rounded-xl p-6 w-full max-w-md">
+                <div className="flex items-center justify-between mb-4">
+                    <h3 className="text-lg font-semibold text-white flex items-center gap-2">
+                        <Settings2 className="w-5 h-5 text-primary" />
+                        Manage PPPoE User
+                    </h3>
+                    <button
+                        onClick={onClose}
+                        className="text-slate-400 hover:text-white transition-colors"
+                    >
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+
+                <div className="mb-4 p-3 bg-slate-800 rounded-lg">
+                    <div className="text-sm text-slate-400">Username</div>
+                    <div className="font-medium text-white">{session.name}</div>
+                    {session.routerName && <div className="text-xs text-slate-500 mt-0.5">{session.routerName}</div>}
+                </div>
+
+                <div className="space-y-4">
+                    <div className="grid grid-cols-3 gap-2">
+                        <Button
+                            variant="outline"
+                            size="sm"
+                            loading={pendingAction === 'disconnect'}
+                            disabled={!!pendingAction}
+                            onClick={() => handleAction('disconnect', `Disconnect ${session.name}? The client will usually dial back in.`)}
+                        >
+                            {pendingAction !== 'disconnect' && <Unplug className="w-3 h-3 mr-1" />}
+                            Disconnect
+                        </Button>
+                        <Button
+                            variant="destructive"
+                            size="sm"
+                            loading={pendingAction === 'disable'}
+                            disabled={!!pendingAction}
+                            onClick={() => handleAction('disable', `Disable ${session.name}? The session is disconnected and the user cannot log in until enabled again.`)}
+                        >
+                            {pendingAction !== 'disable' && <UserX className="w-3 h-3 mr-1" />}
+                            Disable
+                        </Button>
+                        <Button
+                            variant="outline"
+                            size="sm"
+                            loading={pendingAction === 'enable'}
+                            disabled={!!pendingAction}
+                            onClick={() => handleAction('enable')}
+                        >
+                            {pendingAction !== 'enable' && <UserCheck className="w-3 h-3 mr-1" />}
+                            Enable
+                        </Button>
+                    </div>
+
+                    <div className="pt-4 border-t border-slate-800 space-y-2">
+                        <label className="block text-sm text-slate-400">Profile</label>
+                        <div className="flex gap-2">
+                            <select
+                                value={profile}
+                                onChange={(e) => setProfile(e.target.value)}
+                                disabled={isProfilesLoading}
+                                className="flex-1 px-3 py-2 bg-slate-800 border border-slate-700 rounded-lg text-white text-sm focus:outline-none focus:border-primary"
+                            >
+                                <option value="">{isProfilesLoading ? 'Loading profiles...' : 'Select profile'}</option>
+                                {profiles.map((name) => (
+                                    <option key={name} value={name}>{name}</option>
+                                ))}
+                            </select>
+                            <Button
+                                size="sm"
+                                className="h-auto"
+                                loading={pendingAction === 'profile'}
+                                disabled={!profile || !!pendingAction}
+                                onClick={() => handleAction(
+                                    'profile',
+                                    `Change the profile of ${session.name} to ${profile}?`,
+                                    { profile, disconnect: reconnect }
+                                )}
+                            >
+                                {pendingAction !== 'profile' && <Layers className="w-3 h-3 mr-1" />}
+                                Apply
+                            </Button>
+                        </div>
+                        <label className="flex items-center gap-2 text-xs text-slate-400">
+                            <input
+                                type="checkbox"
+                                checked={reconnect}
+                                onChange={(e) => setReconnect(e.target.checked)}
+                                className="rounded border-slate-600 bg-slate-800"
+                            />
+                            Disconnect now so the new profile applies right away
+                        </label>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
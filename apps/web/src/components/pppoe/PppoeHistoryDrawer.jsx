@@ -0,0 +1,249 @@
+import React, { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { apiClient } from '@/lib/api';
+import { Drawer } from '@/components/ui/Drawer';
+import { formatBytes } from '@/lib/format';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { Wifi, WifiOff, RefreshCw, Network, Timer } from 'lucide-react';
+import clsx from 'clsx';
+
+const RANGES = [
+    { days: 1, label: '24h' },
+    { days: 7, label: '7 days' },
+    { days: 30, label: '30 days' },
+];
+
+function usePppoeHistory(id, days) {
+    return useQuery({
+        queryKey: ['pppoe', 'history', id, days],
+        queryFn: async () => {
+            const res = await apiClient.get(`/pppoe/${id}/history`, { params: { days } });
+            return res.data?.data;
+        },
+        enabled: !!id,
+        staleTime: 30000,
+    });
+}
+
+function usePppoeUsage(id) {
+    return useQuery({
+        queryKey: ['pppoe', 'usage', id],
+        queryFn: async () => {
+            const res = await apiClient.get(`/pppoe/${id}/usage`, { params: { days: 30 } });
+            return res.data?.data?.usage || [];
+        },
+        enabled: !!id,
+        staleTime: 60000,
+    });
+}
+
+function formatSeconds(seconds) {
+    if (seconds === null || seconds === undefined) return '-';
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    if (minutes > 0) return `${minutes}m`;
+    return `${seconds}s`;
+}
+
+function SummaryTile({ label, value, className }) {
+    return (
+        <div className="bg-slate-800/60 rounded-lg p-3">
+            <div className={clsx('text-lg font-bold', className || 'text-white')}>{value}</div>
+            <div className="text-xs text-slate-400">{label}</div>
+        </div>
+    );
+}
+
+function UsageTooltip({ active, payload, label }) {
+    if (!active || !payload?.length) return null;
+    return (
+        <div className="bg-slate-800 border border-slate-700 p-2 rounded-lg shadow-xl text-xs">
+            <p className="text-slate-300 font-medium mb-1">{label}</p>
+            {payload.map((entry) => (
+                <div key={entry.dataKey} className="flex items-center gap-2 mb-0.5 last:mb-0">
+                    <div className="w-2 h-2 rounded-full" style={{ backgroundColor: entry.color }} />
+                    <span className="text-slate-400">{entry.name}:</span>
+                    <span className="text-white font-mono font-medium">{formatBytes(entry.value)}</span>
+                </div>
+            ))}
+        </div>
+    );
+}
+
+/**
+ * Download/upload per day over the last 30 days
+ */
+function UsageChart({ sessionId }) {
+    const { data: usage = [], isLoading } = usePppoeUsage(sessionId);
+
+    if (isLoading) {
+        return (
+            <div className="flex items-center gap-2 py-2 text-xs text-slate-500">
+                <RefreshCw className="w-3 h-3 animate-spin" />
+                Loading usage...
+            </div>
+        );
+    }
+
+    const totalDownload = usage.reduce((sum, day) => sum + day.downloadBytes, 0);
+    const totalUpload = usage.reduce((sum, day) => sum + day.uploadBytes, 0);
+    const chartData = usage.map((day) => ({ ...day, label: day.day.slice(5) }));
+
+    return (
+        <div className="space-y-2">
+            <div className="flex gap-4 text-xs">
+                <span className="text-sky-400">↓ {formatBytes(totalDownload)}</span>
+                <span className="text-violet-400">↑ {formatBytes(totalUpload)}</span>
+            </div>
+            <div style={{ height: 160 }}>
+                <ResponsiveContainer width="100%" height="100%">
+                    <BarChart data={chartData}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#334155" vertical={false} />
+                        <XAxis dataKey="label" stroke="#94a3b8" fontSize={10} tickLine={false} axisLine={false} />
+                        <YAxis stroke="#94a3b8" fontSize={10} tickLine={false} axisLine={false} tickFormatter={formatBytes} width={60} />
+                        <Tooltip content={<UsageTooltip />} cursor={{ fill: '#334155', opacity: 0.2 }} />
+                        <Bar dataKey="downloadBytes" name="Download" stackId="usage" fill="#38bdf8" />
+                        <Bar dataKey="uploadBytes" name="Upload" stackId="usage" fill="#a78bfa" radius={[2, 2, 0, 0]} />
+                    </BarChart>
+                </ResponsiveContainer>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Connection log of a PPPoE user: drops, offline time, the caller IDs / addresses used and daily traffic
+ */
+export default function PppoeHistoryDrawer({ session, onClose, formatTime }) {
+    const [days, setDays] = useState(7);
+    const { data: history, isLoading } = usePppoeHistory(session?.dbId, days);
+
+    if (!session) return null;
+
+    const summary = history?.summary;
+    const events = history?.events || [];
+
+    return (
+        <Drawer
+            isOpen={!!session}
+            onClose={onClose}
+            title={session.name}
+            subtitle={session.routerName ? `Router: ${session.routerName}` : undefined}
+        >
+            <div className="space-y-6">
+                <div className="flex gap-2">
+                    {RANGES.map((range) => (
+                        <button
+                            key={range.days}
+                            onClick={() => setDays(range.days)}
+                            className={clsx(
+                                'px-3 py-1 rounded-lg text-xs transition-colors',
+                                days === range.days
+                                    ? 'bg-primary text-white'
+                                    : 'bg-slate-800 text-slate-400 hover:bg-slate-700'
+                            )}
+                        >
+                            {range.label}
+                        </button>
+                    ))}
+                </div>
+
+                {isLoading || !summary ? (
+                    <div className="flex items-center gap-2 py-2 text-xs text-slate-500">
+                        <RefreshCw className="w-3 h-3 animate-spin" />
+                        Loading history...
+                    </div>
+                ) : (
+                    <>
+                        {/* Summary */}
+                        <div className="grid grid-cols-2 gap-3">
+                            <SummaryTile
+                                label="Disconnects"
+                                value={summary.disconnects}
+                                className={summary.disconnects > 0 ? 'text-red-400' : 'text-emerald-400'}
+                            />
+                            <SummaryTile label="Total offline" value={formatSeconds(summary.totalOfflineSeconds)} />
+                            <SummaryTile label="Longest offline" value={formatSeconds(summary.longestOfflineSeconds)} />
+                            <SummaryTile label="Average session" value={formatSeconds(summary.averageSessionSeconds)} />
+                        </div>
+
+                        {(summary.callerIds.length > 0 || summary.addresses.length > 0) && (
+                            <div className="space-y-2 text-xs">
+                                {summary.callerIds.length > 0 && (
+                                    <div className="flex flex-wrap items-center gap-1.5">
+                                        <span className="text-slate-500">Caller IDs:</span>
+                                        {summary.callerIds.map((callerId) => (
+                                            <span key={callerId} className="font-mono bg-slate-800 text-slate-300 px-1.5 py-0.5 rounded">{callerId}</span>
+                                        ))}
+                                    </div>
+                                )}
+                                {summary.addresses.length > 0 && (
+                                    <div className="flex flex-wrap items-center gap-1.5">
+                                        <span className="text-slate-500">Addresses:</span>
+                                        {summary.addresses.map((address) => (
+                                            <span key={address} className="font-mono bg-slate-800 text-slate-300 px-1.5 py-0.5 rounded">{address}</span>
+                                        ))}
+                                    </div>
+                                )}
+                            </div>
+                        )}
+
+                        {/* Usage */}
+                        <div>
+                            <h3 className="text-xs uppercase tracking-wide text-slate-500 mb-3">Daily usage (30 days)</h3>
+                            <UsageChart sessionId={session.dbId} />
+                        </div>
+
+                        {/* Timeline */}
+                        <div>
+                            <h3 className="text-xs uppercase tracking-wide text-slate-500 mb-3">Connection log</h3>
+                            {events.length === 0 ? (
+                                <p className="text-xs text-slate-500">No connects or disconnects in this period</p>
+                            ) : (
+                                <ol className="relative border-l border-slate-700 ml-2 space-y-4">
+                                    {events.map((event) => {
+                                        const isConnect = event.type === 'connect';
+                                        const Icon = isConnect ? Wifi : WifiOff;
+                                        return (
+                                            <li key={event.id} className="ml-5">
+                                                <span className="absolute -left-3 flex items-center justify-center w-6 h-6 rounded-full bg-slate-900 border border-slate-700">
+                                                    <Icon className={clsx('w-3.5 h-3.5', isConnect ? 'text-emerald-400' : 'text-red-400')} />
+                                                </span>
+                                                <p className="text-sm text-slate-200">
+                                                    {isConnect ? 'Connected' : 'Disconnected'}
+                                                    {isConnect && event.offlineSeconds !== null && (
+                                                        <span className="text-slate-400"> after {formatSeconds(event.offlineSeconds)} offline</span>
+                                                    )}
+                                                </p>
+                                                <div className="flex flex-wrap gap-x-3 gap-y-0.5 mt-0.5 text-xs text-slate-400">
+                                                    {event.address && (
+                                                        <span className="flex items-center gap-1">
+                                                            <Network className="w-3 h-3 text-slate-500" />
+                                                            <span className="font-mono">{event.address}</span>
+                                                        </span>
+                                                    )}
+                                                    {event.callerId && <span className="font-mono">{event.callerId}</span>}
+                                                    {!isConnect && event.durationSeconds !== null && (
+                                                        <span className="flex items-center gap-1">
+                                                            <Timer className="w-3 h-3 text-slate-500" />
+                                                            Session {formatSeconds(event.durationSeconds)}
+                                                        </span>
+                                                    )}
+                                                </div>
+                                                <p className="text-[11px] text-slate-500 mt-0.5">{formatTime(event.createdAt)}</p>
+                                            </li>
+                                        );
+                                    })}
+                                </ol>
+                            )}
+                        </div>
+                    </>
+                )}
+            </div>
+        </Drawer>
+    );
+}
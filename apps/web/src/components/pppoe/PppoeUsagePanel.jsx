@@ -0,0 +1,152 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation } from '@tanstack/react-query';
+import { apiClient } from '@/lib/api';
+import { Card, CardContent } from '@/components/ui/Card';
+import { Button } from '@/components/ui/Button';
+import { formatBytes } from '@/lib/format';
+import { BarChart3, Download, RefreshCw } from 'lucide-react';
+import clsx from 'clsx';
+import toast from 'react-hot-toast';
+
+const RANGES = [
+    { days: 1, label: 'Today' },
+    { days: 7, label: '7 days' },
+    { days: 30, label: '30 days' },
+];
+
+function useTopUsers(days, routerId) {
+    return useQuery({
+        queryKey: ['pppoe', 'usage', 'top', days, routerId],
+        queryFn: async () => {
+            const res = await apiClient.get('/pppoe/usage/top', {
+                params: { days, limit: 10, routerId: routerId || undefined },
+            });
+            return res.data?.data?.users || [];
+        },
+        staleTime: 60000,
+    });
+}
+
+function useExportUsage() {
+    return useMutation({
+        mutationFn: async ({ month, routerId }) => {
+            const response = await apiClient.get('/pppoe/usage/export', {
+                params: { month, routerId: routerId || undefined },
+                responseType: 'blob'
+            });
+
+            // Create a blob link to download
+            const url = window.URL.createObjectURL(new Blob([response.data], { type: 'text/csv' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.setAttribute('download', `pppoe-usage-${month}.csv`);
+
+            document.body.appendChild(link);
+            link.click();
+            link.parentNode.removeChild(link);
+            window.URL.revokeObjectURL(url);
+
+            return true;
+        },
+        onError: (error) => {
+            console.error('Usage export failed:', error);
+            toast.error('Failed to export usage');
+        },
+    });
+}
+
+/**
+ * Heaviest PPPoE users and the monthly usage export for billing
+ */
+export default function PppoeUsagePanel({ routerId, onSelectUser }) {
+    const [days, setDays] = useState(7);
+    const [month, setMonth] = useState(() => new Date().toISOString().slice(0, 7));
+    const { data: users = [], isLoading } = useTopUsers(days, routerId);
+    const exportUsage = useExportUsage();
+
+    const maxTotal = users[0]?.totalBytes || 0;
+
+    return (
+        <Card className="border-slate-700/50 mb-6">
+            <CardContent className="p-4 space-y-4">
+                <div className="flex flex-wrap items-center justify-between gap-3">
+                    <h2 className="text-sm font-semibold text-white flex items-center gap-2">
+                        <BarChart3 className="w-4 h-4 text-primary" />
+                        Top Users by Traffic
+                    </h2>
+                    <div className="flex flex-wrap items-center gap-2">
+                        {RANGES.map((range) => (
+                            <button
+                                key={range.days}
+                                onClick={() => setDays(range.days)}
+                                className={clsx(
+                                    'px-3 py-1 rounded-lg text-xs transition-colors',
+                                    days === range.days
+                                        ? 'bg-primary text-white'
+                                        : 'bg-slate-800 text-slate-400 hover:bg-slate-700'
+                                )}
+                            >
+                                {range.label}
+                            </button>
+                        ))}
+                        <input
+                            type="month"
+                            value={month}
+                            onChange={(e) => setMonth(e.target.value)}
+                            className="ml-2 px-2 py-1 bg-slate-900 border border-slate-700 rounded-lg text-white text-xs focus:outline-none focus:border-primary"
+                        />
+                        <Button
+                            size="sm"
+                            variant="outline"
+                            onClick={() => exportUsage.mutate({ month, routerId })}
+                            loading={exportUsage.isPending}
+                            disabled={!month}
+                        >
+                            <Download className="w-3 h-3 mr-1" />
+                            Export CSV
+                        </Button>
+                    </div>
+                </div>
+
+                {isLoading ? (
+                    <div className="flex items-center gap-2 py-2 text-xs text-slate-500">
+                        <RefreshCw className="w-3 h-3 animate-spin" />
+                        Loading usage...
+                    </div>
+                ) : users.length === 0 ? (
+                    <p className="text-xs text-slate-500">No traffic recorded in this period</p>
+                ) : (
+                    <ol className="space-y-2">
+                        {users.map((user, index) => (
+                            <li key={`${user.routerId}:${user.name}`}>
+                                <button
+                                    onClick={() => onSelectUser?.(user)}
+                                    className="w-full text-left group"
+                                >
+                                    <div className="flex items-center justify-between gap-3 text-xs">
+                                        <span className="truncate">
+                                            <span className="text-slate-500 mr-2">{index + 1}.</span>
+                                            <span className="text-white font-medium group-hover:text-primary">{user.name}</span>
+                                            {user.routerName && <span className="text-slate-500 ml-2">{user.routerName}</span>}
+                                        </span>
+                                        <span className="shrink-0 text-slate-400">
+                                            <span className="text-sky-400">↓ {formatBytes(user.downloadBytes)}</span>
+                                            <span className="text-violet-400 ml-2">↑ {formatBytes(user.uploadBytes)}</span>
+                                            <span className="text-white font-mono ml-3">{formatBytes(user.totalBytes)}</span>
+                                        </span>
+                                    </div>
+                                    <div className="mt-1 h-1.5 rounded-full bg-slate-800 overflow-hidden">
+                                        <div
+                                            className="h-full bg-primary/70"
+                                            style={{ width: `${maxTotal ? (user.totalBytes / maxTotal) * 100 : 0}%` }}
+                                        />
+                                    </div>
+                                </button>
+                            </li>
+                        ))}
+                    </ol>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
@@ -1,20 +1,68 @@
 import React, { useState, useEffect } from 'react';
-import { useSettings, useUpdateSetting } from '@/hooks';
+import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import {
+    useSettings,
+    useUpdateSetting,
+    useCurrentUser,
+    useGroups,
+    useThresholdProfiles,
+    useUpdateGroupThresholds,
+    useDeleteGroupThresholds,
+    useDeleteRouterThresholds,
+} from '@/hooks';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/Card';
 import { Button } from '@/components/ui/Button';
 import { Input } from '@/components/ui/Input';
-import { AlertTriangle, Cpu, HardDrive, Save, RefreshCw, Info } from 'lucide-react';
+import { AlertTriangle, Cpu, HardDrive, Save, RefreshCw, Info, Activity, Layers, Trash2, Thermometer, Network, Timer } from 'lucide-react';
+import ThresholdProfileEditor from './ThresholdProfileEditor';
+import { THRESHOLD_FIELDS, NETWATCH_THRESHOLD_FIELDS, NETWATCH_DEVICE_TYPES } from './thresholdFields';
 
 // Default threshold values
+// Device type overrides are stored as { client: { latencyWarning, ... }, olt: ..., odp: ... };
+// an empty input means the type inherits the router/global value
+const toDeviceTypeForm = (stored) => Object.fromEntries(NETWATCH_DEVICE_TYPES.map(({ value }) => [
+    value,
+    Object.fromEntries(NETWATCH_THRESHOLD_FIELDS.map(({ key }) => [key, stored?.[value]?.[key] ?? ''])),
+]));
+
+const fromDeviceTypeForm = (form) => Object.fromEntries(NETWATCH_DEVICE_TYPES.map(({ value }) => [
+    value,
+    Object.fromEntries(NETWATCH_THRESHOLD_FIELDS
+        .filter(({ key }) => form[value]?.[key] !== '' && form[value]?.[key] !== undefined)
+        .map(({ key }) => [key, parseInt(form[value][key], 10)])),
+]));
+
 const DEFAULT_THRESHOLDS = {
     cpuWarning: 70,
     cpuCritical: 90,
     memoryWarning: 80,
     memoryCritical: 95,
+    latencyWarning: 100,
+    packetLossWarning: 0,
+    diskWarning: 85,
+    diskCritical: 95,
+    temperatureWarning: 70,
+    temperatureCritical: 80,
+    voltageLow: 10,
+    voltageHigh: 57,
+    consecutiveBreaches: 3,
+    deviceTypes: {},
     alertsEnabled: true,
     statusChangeAlerts: true,
     highCpuAlerts: true,
     highMemoryAlerts: true,
+    highDiskAlerts: true,
+    temperatureAlerts: true,
+    voltageAlerts: true,
+    interfaceAlerts: true,
+    rebootAlerts: true,
+    flapTransitions: 4,
+    flapWindowMinutes: 10,
+    netwatchHoldDownPolls: 2,
+    netwatchHoldDownSeconds: 0,
+    netwatchFlapTransitions: 4,
+    netwatchFlapWindowMinutes: 10,
 };
 
 export default function AlertSettingsPanel() {
@@ -33,10 +81,31 @@ export default function AlertSettingsPanel() {
                 cpuCritical: settings.alertThresholdCpuCritical ?? DEFAULT_THRESHOLDS.cpuCritical,
                 memoryWarning: settings.alertThresholdMemoryWarning ?? DEFAULT_THRESHOLDS.memoryWarning,
                 memoryCritical: settings.alertThresholdMemoryCritical ?? DEFAULT_THRESHOLDS.memoryCritical,
+                latencyWarning: settings.alertThresholdLatencyWarning ?? DEFAULT_THRESHOLDS.latencyWarning,
+                packetLossWarning: settings.alertThresholdPacketLossWarning ?? DEFAULT_THRESHOLDS.packetLossWarning,
+                diskWarning: settings.alertThresholdDiskWarning ?? DEFAULT_THRESHOLDS.diskWarning,
+                diskCritical: settings.alertThresholdDiskCritical ?? DEFAULT_THRESHOLDS.diskCritical,
+                temperatureWarning: settings.alertThresholdTemperatureWarning ?? DEFAULT_THRESHOLDS.temperatureWarning,
+                temperatureCritical: settings.alertThresholdTemperatureCritical ?? DEFAULT_THRESHOLDS.temperatureCritical,
+                voltageLow: settings.alertThresholdVoltageLow ?? DEFAULT_THRESHOLDS.voltageLow,
+                voltageHigh: settings.alertThresholdVoltageHigh ?? DEFAULT_THRESHOLDS.voltageHigh,
+                flapTransitions: settings.interfaceFlapTransitions ?? DEFAULT_THRESHOLDS.flapTransitions,
+                flapWindowMinutes: settings.interfaceFlapWindowMinutes ?? DEFAULT_THRESHOLDS.flapWindowMinutes,
+                consecutiveBreaches: settings.netwatchConsecutiveBreaches ?? DEFAULT_THRESHOLDS.consecutiveBreaches,
+                netwatchHoldDownPolls: settings.netwatchHoldDownPolls ?? DEFAULT_THRESHOLDS.netwatchHoldDownPolls,
+                netwatchHoldDownSeconds: settings.netwatchHoldDownSeconds ?? DEFAULT_THRESHOLDS.netwatchHoldDownSeconds,
+                netwatchFlapTransitions: settings.netwatchFlapTransitions ?? DEFAULT_THRESHOLDS.netwatchFlapTransitions,
+                netwatchFlapWindowMinutes: settings.netwatchFlapWindowMinutes ?? DEFAULT_THRESHOLDS.netwatchFlapWindowMinutes,
+                deviceTypes: toDeviceTypeForm(settings.netwatchDeviceTypeThresholds),
                 alertsEnabled: settings.alertsEnabled !== false,
                 statusChangeAlerts: settings.statusChangeAlerts !== false,
                 highCpuAlerts: settings.highCpuAlerts !== false,
                 highMemoryAlerts: settings.highMemoryAlerts !== false,
+                highDiskAlerts: settings.highDiskAlerts !== false,
+                temperatureAlerts: settings.temperatureAlerts !== false,
+                voltageAlerts: settings.voltageAlerts !== false,
+                interfaceAlerts: settings.interfaceAlerts !== false,
+                rebootAlerts: settings.rebootAlerts !== false,
             });
         }
     }, [settings]);
@@ -46,6 +115,17 @@ export default function AlertSettingsPanel() {
         setHasChanges(true);
     };
 
+    const handleDeviceTypeChange = (deviceType, field, value) => {
+        setThresholds(prev => ({
+            ...prev,
+            deviceTypes: {
+                ...prev.deviceTypes,
+                [deviceType]: { ...prev.deviceTypes[deviceType], [field]: value },
+            },
+        }));
+        setHasChanges(true);
+    };
+
     const handleSave = async () => {
         setSaveStatus('Saving...');
         try {
@@ -69,6 +149,86 @@ export default function AlertSettingsPanel() {
                 value: parseInt(thresholds.memoryCritical, 10),
                 description: 'Memory usage critical threshold (%)'
             });
+            await updateSettingMutation.mutateAsync({
+                key: 'alertThresholdLatencyWarning',
+                value: parseInt(thresholds.latencyWarning, 10),
+                description: 'Netwatch latency warning threshold (ms)'
+            });
+            await updateSettingMutation.mutateAsync({
+                key: 'alertThresholdPacketLossWarning',
+                value: parseInt(thresholds.packetLossWarning, 10),
+                description: 'Netwatch packet loss warning threshold (%)'
+            });
+            await updateSettingMutation.mutateAsync({
+                key: 'alertThresholdDiskWarning',
+                value: parseInt(thresholds.diskWarning, 10),
+                description: 'Disk usage warning threshold (%)'
+            });
+            await updateSettingMutation.mutateAsync({
+                key: 'alertThresholdDiskCritical',
+                value: parseInt(thresholds.diskCritical, 10),
+                description: 'Disk usage critical threshold (%)'
+            });
+            await updateSettingMutation.mutateAsync({
+                key: 'alertThresholdTemperatureWarning',
+                value: parseInt(thresholds.temperatureWarning, 10),
+                description: 'Board temperature warning threshold (°C)'
+            });
+            await updateSettingMutation.mutateAsync({
+                key: 'alertThresholdTemperatureCritical',
+                value: parseInt(thresholds.temperatureCritical, 10),
+                description: 'Board temperature critical threshold (°C)'
+            });
+            await updateSettingMutation.mutateAsync({
+                key: 'alertThresholdVoltageLow',
+                value: parseFloat(thresholds.voltageLow),
+                description: 'Minimum input voltage (V)'
+            });
+            await updateSettingMutation.mutateAsync({
+                key: 'alertThresholdVoltageHigh',
+                value: parseFloat(thresholds.voltageHigh),
+                description: 'Maximum input voltage (V)'
+            });
+            await updateSettingMutation.mutateAsync({
+                key: 'interfaceFlapTransitions',
+                value: Math.max(2, parseInt(thresholds.flapTransitions, 10) || 2),
+                description: 'Link state changes within the flap window that count as flapping'
+            });
+            await updateSettingMutation.mutateAsync({
+                key: 'interfaceFlapWindowMinutes',
+                value: Math.max(1, parseInt(thresholds.flapWindowMinutes, 10) || 1),
+                description: 'Link flap detection window (minutes)'
+            });
+            await updateSettingMutation.mutateAsync({
+                key: 'netwatchConsecutiveBreaches',
+                value: Math.max(1, parseInt(thresholds.consecutiveBreaches, 10) || 1),
+                description: 'Consecutive latency/packet loss breaches before a performance alert'
+            });
+            await updateSettingMutation.mutateAsync({
+                key: 'netwatchHoldDownPolls',
+                value: Math.max(1, parseInt(thresholds.netwatchHoldDownPolls, 10) || 1),
+                description: 'Consecutive down polls before a netwatch host alerts'
+            });
+            await updateSettingMutation.mutateAsync({
+                key: 'netwatchHoldDownSeconds',
+                value: Math.max(0, parseInt(thresholds.netwatchHoldDownSeconds, 10) || 0),
+                description: 'Seconds a netwatch host must stay down before it alerts (0 = polls only)'
+            });
+            await updateSettingMutation.mutateAsync({
+                key: 'netwatchFlapTransitions',
+                value: Math.max(2, parseInt(thresholds.netwatchFlapTransitions, 10) || 2),
+                description: 'Netwatch up/down changes within the flap window that count as flapping'
+            });
+            await updateSettingMutation.mutateAsync({
+                key: 'netwatchFlapWindowMinutes',
+                value: Math.max(1, parseInt(thresholds.netwatchFlapWindowMinutes, 10) || 1),
+                description: 'Netwatch flap detection window (minutes)'
+            });
+            await updateSettingMutation.mutateAsync({
+                key: 'netwatchDeviceTypeThresholds',
+                value: fromDeviceTypeForm(thresholds.deviceTypes),
+                description: 'Netwatch performance thresholds per device type'
+            });
             await updateSettingMutation.mutateAsync({
                 key: 'alertsEnabled',
                 value: thresholds.alertsEnabled,
@@ -89,6 +249,31 @@ export default function AlertSettingsPanel() {
                 value: thresholds.highMemoryAlerts,
                 description: 'Enable alerts for high memory usage'
             });
+            await updateSettingMutation.mutateAsync({
+                key: 'highDiskAlerts',
+                value: thresholds.highDiskAlerts,
+                description: 'Enable alerts for high disk usage'
+            });
+            await updateSettingMutation.mutateAsync({
+                key: 'temperatureAlerts',
+                value: thresholds.temperatureAlerts,
+                description: 'Enable alerts for high board temperature'
+            });
+            await updateSettingMutation.mutateAsync({
+                key: 'voltageAlerts',
+                value: thresholds.voltageAlerts,
+                description: 'Enable alerts for under/over-voltage'
+            });
+            await updateSettingMutation.mutateAsync({
+                key: 'interfaceAlerts',
+                value: thresholds.interfaceAlerts,
+                description: 'Enable link down / flap alerts for monitored interfaces'
+            });
+            await updateSettingMutation.mutateAsync({
+                key: 'rebootAlerts',
+                value: thresholds.rebootAlerts,
+                description: 'Enable alerts when a router reboots (uptime went backwards)'
+            });
 
             setSaveStatus('Alert thresholds saved successfully!');
             setHasChanges(false);
@@ -99,7 +284,7 @@ export default function AlertSettingsPanel() {
     };
 
     const handleReset = () => {
-        setThresholds(DEFAULT_THRESHOLDS);
+        setThresholds({ ...DEFAULT_THRESHOLDS, deviceTypes: toDeviceTypeForm({}) });
         setHasChanges(true);
     };
 
@@ -203,6 +388,91 @@ export default function AlertSettingsPanel() {
                                 <div className={`w-11 h-6 ${thresholds.alertsEnabled ? 'bg-slate-700' : 'bg-slate-800'} peer-focus:ring-2 peer-focus:ring-primary rounded-full peer peer-checked:after:translate-x-full after:content-[''] after:absolute after:top-[2px] after:start-[2px] after:bg-white after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-primary peer-disabled:opacity-50`}></div>
                             </label>
                         </div>
+
+                        <div className="flex items-center justify-between p-3 bg-slate-800/30 rounded-lg">
+                            <div>
+                                <label className="text-sm text-slate-300">High Disk Alerts</label>
+                                <p className="text-xs text-slate-500">Alert when disk usage exceeds threshold</p>
+                            </div>
+                            <label className="relative inline-flex items-center cursor-pointer">
+                                <input
+                                    type="checkbox"
+                                    checked={thresholds.highDiskAlerts}
+                                    onChange={(e) => handleChange('highDiskAlerts', e.target.checked)}
+                                    disabled={!thresholds.alertsEnabled}
+                                    className="sr-only peer"
+                                />
+                                <div className={`w-11 h-6 ${thresholds.alertsEnabled ? 'bg-slate-700' : 'bg-slate-800'} peer-focus:ring-2 peer-focus:ring-primary rounded-full peer peer-checked:after:translate-x-full after:content-[''] after:absolute after:top-[2px] after:start-[2px] after:bg-white after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-primary peer-disabled:opacity-50`}></div>
+                            </label>
+                        </div>
+
+                        <div className="flex items-center justify-between p-3 bg-slate-800/30 rounded-lg">
+                            <div>
+                                <label className="text-sm text-slate-300">Temperature Alerts</label>
+                                <p className="text-xs text-slate-500">Alert when board temperature exceeds threshold</p>
+                            </div>
+                            <label className="relative inline-flex items-center cursor-pointer">
+                                <input
+                                    type="checkbox"
+                                    checked={thresholds.temperatureAlerts}
+                                    onChange={(e) => handleChange('temperatureAlerts', e.target.checked)}
+                                    disabled={!thresholds.alertsEnabled}
+                                    className="sr-only peer"
+                                />
+                                <div className={`w-11 h-6 ${thresholds.alertsEnabled ? 'bg-slate-700' : 'bg-slate-800'} peer-focus:ring-2 peer-focus:ring-primary rounded-full peer peer-checked:after:translate-x-full after:content-[''] after:absolute after:top-[2px] after:start-[2px] after:bg-white after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-primary peer-disabled:opacity-50`}></div>
+                            </label>
+                        </div>
+
+                        <div className="flex items-center justify-between p-3 bg-slate-800/30 rounded-lg">
+                            <div>
+                                <label className="text-sm text-slate-300">Voltage Alerts</label>
+                                <p className="text-xs text-slate-500">Alert when input voltage leaves the allowed range</p>
+                            </div>
+                            <label className="relative inline-flex items-center cursor-pointer">
+                                <input
+                                    type="checkbox"
+                                    checked={thresholds.voltageAlerts}
+                                    onChange={(e) => handleChange('voltageAlerts', e.target.checked)}
+                                    disabled={!thresholds.alertsEnabled}
+                                    className="sr-only peer"
+                                />
+                                <div className={`w-11 h-6 ${thresholds.alertsEnabled ? 'bg-slate-700' : 'bg-slate-800'} peer-focus:ring-2 peer-focus:ring-primary rounded-full peer peer-checked:after:translate-x-full after:content-[''] after:absolute after:top-[2px] after:start-[2px] after:bg-white after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-primary peer-disabled:opacity-50`}></div>
+                            </label>
+                        </div>
+
+                        <div className="flex items-center justify-between p-3 bg-slate-800/30 rounded-lg">
+                            <div>
+                                <label className="text-sm text-slate-300">Interface Link Alerts</label>
+                                <p className="text-xs text-slate-500">Alert when a monitored interface goes down or flaps</p>
+                            </div>
+                            <label className="relative inline-flex items-center cursor-pointer">
+                                <input
+                                    type="checkbox"
+                                    checked={thresholds.interfaceAlerts}
+                                    onChange={(e) => handleChange('interfaceAlerts', e.target.checked)}
+                                    disabled={!thresholds.alertsEnabled}
+                                    className="sr-only peer"
+                                />
+                                <div className={`w-11 h-6 ${thresholds.alertsEnabled ? 'bg-slate-700' : 'bg-slate-800'} peer-focus:ring-2 peer-focus:ring-primary rounded-full peer peer-checked:after:translate-x-full after:content-[''] after:absolute after:top-[2px] after:start-[2px] after:bg-white after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-primary peer-disabled:opacity-50`}></div>
+                            </label>
+                        </div>
+
+                        <div className="flex items-center justify-between p-3 bg-slate-800/30 rounded-lg">
+                            <div>
+                                <label className="text-sm text-slate-300">Reboot Alerts</label>
+                                <p className="text-xs text-slate-500">Alert when a router reboots; reboots started from this app are marked as planned</p>
+                            </div>
+                            <label className="relative inline-flex items-center cursor-pointer">
+                                <input
+                                    type="checkbox"
+                                    checked={thresholds.rebootAlerts}
+                                    onChange={(e) => handleChange('rebootAlerts', e.target.checked)}
+                                    disabled={!thresholds.alertsEnabled}
+                                    className="sr-only peer"
+                                />
+                                <div className={`w-11 h-6 ${thresholds.alertsEnabled ? 'bg-slate-700' : 'bg-slate-800'} peer-focus:ring-2 peer-focus:ring-primary rounded-full peer peer-checked:after:translate-x-full after:content-[''] after:absolute after:top-[2px] after:start-[2px] after:bg-white after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-primary peer-disabled:opacity-50`}></div>
+                            </label>
+                        </div>
                     </div>
                 </CardContent>
             </Card>
@@ -351,6 +621,345 @@ export default function AlertSettingsPanel() {
                 </CardContent>
             </Card>
 
+            {/* Hardware Health Thresholds */}
+            <Card className={!thresholds.alertsEnabled ? 'opacity-50' : ''}>
+                <CardHeader>
+                    <CardTitle className="flex items-center gap-2">
+                        <Thermometer className="w-5 h-5" />
+                        Disk, Temperature &amp; Voltage Thresholds
+                    </CardTitle>
+                </CardHeader>
+                <CardContent className="space-y-4">
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <div className="space-y-2">
+                            <label className="text-sm font-medium text-slate-300 flex items-center gap-2">
+                                <span className="w-2 h-2 rounded-full bg-yellow-400"></span>
+                                Disk Warning (%)
+                            </label>
+                            <Input
+                                type="number"
+                                value={thresholds.diskWarning}
+                                onChange={(e) => handleChange('diskWarning', e.target.value)}
+                                disabled={!thresholds.alertsEnabled || !thresholds.highDiskAlerts}
+                                min={1}
+                                max={100}
+                            />
+                            <p className="text-xs text-slate-500">
+                                Triggers a warning alert when disk usage exceeds this value
+                            </p>
+                        </div>
+                        <div className="space-y-2">
+                            <label className="text-sm font-medium text-slate-300 flex items-center gap-2">
+                                <span className="w-2 h-2 rounded-full bg-red-400"></span>
+                                Disk Critical (%)
+                            </label>
+                            <Input
+                                type="number"
+                                value={thresholds.diskCritical}
+                                onChange={(e) => handleChange('diskCritical', e.target.value)}
+                                disabled={!thresholds.alertsEnabled || !thresholds.highDiskAlerts}
+                                min={1}
+                                max={100}
+                            />
+                            <p className="text-xs text-slate-500">
+                                Triggers a critical alert when disk usage exceeds this value
+                            </p>
+                        </div>
+                        <div className="space-y-2">
+                            <label className="text-sm font-medium text-slate-300 flex items-center gap-2">
+                                <span className="w-2 h-2 rounded-full bg-yellow-400"></span>
+                                Temperature Warning (°C)
+                            </label>
+                            <Input
+                                type="number"
+                                value={thresholds.temperatureWarning}
+                                onChange={(e) => handleChange('temperatureWarning', e.target.value)}
+                                disabled={!thresholds.alertsEnabled || !thresholds.temperatureAlerts}
+                                min={1}
+                                max={150}
+                            />
+                            <p className="text-xs text-slate-500">
+                                Triggers a warning alert when the board temperature exceeds this value
+                            </p>
+                        </div>
+                        <div className="space-y-2">
+                            <label className="text-sm font-medium text-slate-300 flex items-center gap-2">
+                                <span className="w-2 h-2 rounded-full bg-red-400"></span>
+                                Temperature Critical (°C)
+                            </label>
+                            <Input
+                                type="number"
+                                value={thresholds.temperatureCritical}
+                                onChange={(e) => handleChange('temperatureCritical', e.target.value)}
+                                disabled={!thresholds.alertsEnabled || !thresholds.temperatureAlerts}
+                                min={1}
+                                max={150}
+                            />
+                            <p className="text-xs text-slate-500">
+                                Triggers a critical alert when the board temperature exceeds this value
+                            </p>
+                        </div>
+                        <div className="space-y-2">
+                            <label className="text-sm font-medium text-slate-300 flex items-center gap-2">
+                                <span className="w-2 h-2 rounded-full bg-red-400"></span>
+                                Minimum Voltage (V)
+                            </label>
+                            <Input
+                                type="number"
+                                value={thresholds.voltageLow}
+                                onChange={(e) => handleChange('voltageLow', e.target.value)}
+                                disabled={!thresholds.alertsEnabled || !thresholds.voltageAlerts}
+                                min={0}
+                                max={100}
+                                step="0.1"
+                            />
+                            <p className="text-xs text-slate-500">
+                                Under-voltage alert below this value - set it per router/group to match the power supply
+                            </p>
+                        </div>
+                        <div className="space-y-2">
+                            <label className="text-sm font-medium text-slate-300 flex items-center gap-2">
+                                <span className="w-2 h-2 rounded-full bg-red-400"></span>
+                                Maximum Voltage (V)
+                            </label>
+                            <Input
+                                type="number"
+                                value={thresholds.voltageHigh}
+                                onChange={(e) => handleChange('voltageHigh', e.target.value)}
+                                disabled={!thresholds.alertsEnabled || !thresholds.voltageAlerts}
+                                min={0}
+                                max={100}
+                                step="0.1"
+                            />
+                            <p className="text-xs text-slate-500">
+                                Over-voltage alert above this value
+                            </p>
+                        </div>
+                    </div>
+                    <p className="text-xs text-slate-500">
+                        These alerts resolve automatically once the value is back within its threshold.
+                    </p>
+                </CardContent>
+            </Card>
+
+            {/* Link Flap Detection */}
+            <Card className={!thresholds.alertsEnabled || !thresholds.interfaceAlerts ? 'opacity-50' : ''}>
+                <CardHeader>
+                    <CardTitle className="flex items-center gap-2">
+                        <Network className="w-5 h-5" />
+                        Interface Link Flap Detection
+                    </CardTitle>
+                </CardHeader>
+                <CardContent className="space-y-4">
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <div className="space-y-2">
+                            <label className="text-sm font-medium text-slate-300">State Changes</label>
+                            <Input
+                                type="number"
+                                value={thresholds.flapTransitions}
+                                onChange={(e) => handleChange('flapTransitions', e.target.value)}
+                                disabled={!thresholds.alertsEnabled || !thresholds.interfaceAlerts}
+                                min={2}
+                                max={50}
+                            />
+                            <p className="text-xs text-slate-500">
+                                Number of up/down transitions that count as flapping
+                            </p>
+                        </div>
+                        <div className="space-y-2">
+                            <label className="text-sm font-medium text-slate-300">Window (minutes)</label>
+                            <Input
+                                type="number"
+                                value={thresholds.flapWindowMinutes}
+                                onChange={(e) => handleChange('flapWindowMinutes', e.target.value)}
+                                disabled={!thresholds.alertsEnabled || !thresholds.interfaceAlerts}
+                                min={1}
+                                max={1440}
+                            />
+                            <p className="text-xs text-slate-500">
+                                A flapping link raises one alert instead of a down/up pair per transition
+                            </p>
+                        </div>
+                    </div>
+                    <p className="text-xs text-slate-500">
+                        Only interfaces with monitoring enabled in the router's interface list raise link alerts.
+                    </p>
+                </CardContent>
+            </Card>
+
+            {/* Netwatch Hold-Down & Flap Detection */}
+            <Card className={!thresholds.alertsEnabled || !thresholds.statusChangeAlerts ? 'opacity-50' : ''}>
+                <CardHeader>
+                    <CardTitle className="flex items-center gap-2">
+                        <Timer className="w-5 h-5" />
+                        Netwatch Hold-Down &amp; Flap Detection
+                    </CardTitle>
+                </CardHeader>
+                <CardContent className="space-y-4">
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <div className="space-y-2">
+                            <label className="text-sm font-medium text-slate-300">Down Polls</label>
+                            <Input
+                                type="number"
+                                value={thresholds.netwatchHoldDownPolls}
+                                onChange={(e) => handleChange('netwatchHoldDownPolls', e.target.value)}
+                                disabled={!thresholds.alertsEnabled || !thresholds.statusChangeAlerts}
+                                min={1}
+                                max={20}
+                            />
+                            <p className="text-xs text-slate-500">
+                                Consecutive polls a host must be down before it alerts
+                            </p>
+                        </div>
+                        <div className="space-y-2">
+                            <label className="text-sm font-medium text-slate-300">Or Down For (seconds)</label>
+                            <Input
+                                type="number"
+                                value={thresholds.netwatchHoldDownSeconds}
+                                onChange={(e) => handleChange('netwatchHoldDownSeconds', e.target.value)}
+                                disabled={!thresholds.alertsEnabled || !thresholds.statusChangeAlerts}
+                                min={0}
+                                max={3600}
+                            />
+                            <p className="text-xs text-slate-500">
+                                Alert once down this long, whichever comes first (0 = polls only)
+                            </p>
+                        </div>
+                        <div className="space-y-2">
+                            <label className="text-sm font-medium text-slate-300">State Changes</label>
+                            <Input
+                                type="number"
+                                value={thresholds.netwatchFlapTransitions}
+                                onChange={(e) => handleChange('netwatchFlapTransitions', e.target.value)}
+                                disabled={!thresholds.alertsEnabled || !thresholds.statusChangeAlerts}
+                                min={2}
+                                max={50}
+                            />
+                            <p className="text-xs text-slate-500">
+                                Number of up/down transitions that count as flapping
+                            </p>
+                        </div>
+                        <div className="space-y-2">
+                            <label className="text-sm font-medium text-slate-300">Window (minutes)</label>
+                            <Input
+                                type="number"
+                                value={thresholds.netwatchFlapWindowMinutes}
+                                onChange={(e) => handleChange('netwatchFlapWindowMinutes', e.target.value)}
+                                disabled={!thresholds.alertsEnabled || !thresholds.statusChangeAlerts}
+                                min={1}
+                                max={1440}
+                            />
+                            <p className="text-xs text-slate-500">
+                                A flapping host raises one alert with the transition count
+                            </p>
+                        </div>
+                    </div>
+                    <p className="text-xs text-slate-500">
+                        "Back up" notices are only sent for hosts that actually raised a down alert.
+                    </p>
+                </CardContent>
+            </Card>
+
+            {/* Netwatch Performance Thresholds */}
+            <Card className={!thresholds.alertsEnabled ? 'opacity-50' : ''}>
+                <CardHeader>
+                    <CardTitle className="flex items-center gap-2">
+                        <Activity className="w-5 h-5" />
+                        Netwatch Performance Thresholds
+                    </CardTitle>
+                </CardHeader>
+                <CardContent>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        <div className="space-y-2">
+                            <label className="text-sm font-medium text-slate-300">Latency Warning (ms)</label>
+                            <Input
+                                type="number"
+                                value={thresholds.latencyWarning}
+                                onChange={(e) => handleChange('latencyWarning', e.target.value)}
+                                disabled={!thresholds.alertsEnabled}
+                                min={1}
+                            />
+                            <p className="text-xs text-slate-500">
+                                Triggers a performance alert when ping latency exceeds this value
+                            </p>
+                        </div>
+                        <div className="space-y-2">
+                            <label className="text-sm font-medium text-slate-300">Packet Loss Warning (%)</label>
+                            <Input
+                                type="number"
+                                value={thresholds.packetLossWarning}
+                                onChange={(e) => handleChange('packetLossWarning', e.target.value)}
+                                disabled={!thresholds.alertsEnabled}
+                                min={0}
+                                max={100}
+                            />
+                            <p className="text-xs text-slate-500">
+                                Triggers a performance alert when packet loss exceeds this value
+                            </p>
+                        </div>
+                        <div className="space-y-2">
+                            <label className="text-sm font-medium text-slate-300">Consecutive Breaches</label>
+                            <Input
+                                type="number"
+                                value={thresholds.consecutiveBreaches}
+                                onChange={(e) => handleChange('consecutiveBreaches', e.target.value)}
+                                disabled={!thresholds.alertsEnabled}
+                                min={1}
+                                max={20}
+                            />
+                            <p className="text-xs text-slate-500">
+                                Number of ping samples in a row that must exceed a threshold before alerting
+                            </p>
+                        </div>
+                    </div>
+
+                    <div className="mt-6 space-y-3">
+                        <div>
+                            <h4 className="text-sm font-medium text-slate-200">Per Device Type</h4>
+                            <p className="text-xs text-slate-500">
+                                Leave a field empty to use the router/global value. Individual netwatch entries can override these in the router's Netwatch tab.
+                            </p>
+                        </div>
+                        <div className="overflow-x-auto">
+                            <table className="w-full text-sm">
+                                <thead>
+                                    <tr className="text-left text-slate-400">
+                                        <th className="py-2 pr-4 font-medium">Device Type</th>
+                                        {NETWATCH_THRESHOLD_FIELDS.map((field) => (
+                                            <th key={field.key} className="py-2 pr-4 font-medium">
+                                                {field.label} ({field.unit})
+                                            </th>
+                                        ))}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {NETWATCH_DEVICE_TYPES.map((type) => (
+                                        <tr key={type.value} className="border-t border-slate-700/50">
+                                            <td className="py-2 pr-4 text-slate-300">{type.label}</td>
+                                            {NETWATCH_THRESHOLD_FIELDS.map((field) => (
+                                                <td key={field.key} className="py-2 pr-4">
+                                                    <Input
+                                                        type="number"
+                                                        value={thresholds.deviceTypes?.[type.value]?.[field.key] ?? ''}
+                                                        onChange={(e) => handleDeviceTypeChange(type.value, field.key, e.target.value)}
+                                                        placeholder={String(thresholds[field.key])}
+                                                        disabled={!thresholds.alertsEnabled}
+                                                        min={field.min}
+                                                        max={field.max}
+                                                    />
+                                                </td>
+                                            ))}
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                </CardContent>
+            </Card>
+
+            <ThresholdProfilesCard settings={settings} />
+
             {/* Info Box */}
             <div className="flex items-start gap-3 p-4 bg-blue-500/10 border border-blue-500/20 rounded-lg">
                 <Info className="w-5 h-5 text-blue-400 flex-shrink-0 mt-0.5" />
@@ -360,6 +969,8 @@ export default function AlertSettingsPanel() {
                         <li>Alerts are generated when metrics exceed the configured thresholds</li>
                         <li>Warning alerts have medium priority and are displayed in yellow</li>
                         <li>Critical alerts have high priority and are displayed in red</li>
+                        <li>Router overrides take precedence over group overrides, which take precedence over these global values</li>
+                        <li>Netwatch thresholds resolve per entry, then per device type, then per router/group/global</li>
                         <li>Threshold changes take effect on the next polling cycle</li>
                     </ul>
                 </div>
@@ -387,3 +998,143 @@ export default function AlertSettingsPanel() {
         </div>
     );
 }
+
+/**
+ * Per-group threshold overrides and an overview of router-level overrides
+ */
+function ThresholdProfilesCard({ settings }) {
+    const { data: currentUser } = useCurrentUser();
+    const { data: groups = [] } = useGroups();
+    const { data: profiles = [] } = useThresholdProfiles();
+    const updateGroupThresholds = useUpdateGroupThresholds();
+    const deleteGroupThresholds = useDeleteGroupThresholds();
+    const deleteRouterThresholds = useDeleteRouterThresholds();
+    const [selectedGroupId, setSelectedGroupId] = useState('');
+
+    const canEdit = currentUser?.role === 'admin' || currentUser?.role === 'operator';
+    const groupId = selectedGroupId || groups[0]?.id || '';
+    const groupProfile = profiles.find(p => p.groupId === groupId) || null;
+    const routerProfiles = profiles.filter(p => p.routerId);
+
+    // Saved global values, shown as placeholders for inherited fields
+    const globalThresholds = {
+        cpuWarning: settings?.alertThresholdCpuWarning ?? DEFAULT_THRESHOLDS.cpuWarning,
+        cpuCritical: settings?.alertThresholdCpuCritical ?? DEFAULT_THRESHOLDS.cpuCritical,
+        memoryWarning: settings?.alertThresholdMemoryWarning ?? DEFAULT_THRESHOLDS.memoryWarning,
+        memoryCritical: settings?.alertThresholdMemoryCritical ?? DEFAULT_THRESHOLDS.memoryCritical,
+        latencyWarning: settings?.alertThresholdLatencyWarning ?? DEFAULT_THRESHOLDS.latencyWarning,
+        packetLossWarning: settings?.alertThresholdPacketLossWarning ?? DEFAULT_THRESHOLDS.packetLossWarning,
+        diskWarning: settings?.alertThresholdDiskWarning ?? DEFAULT_THRESHOLDS.diskWarning,
+        diskCritical: settings?.alertThresholdDiskCritical ?? DEFAULT_THRESHOLDS.diskCritical,
+        temperatureWarning: settings?.alertThresholdTemperatureWarning ?? DEFAULT_THRESHOLDS.temperatureWarning,
+        temperatureCritical: settings?.alertThresholdTemperatureCritical ?? DEFAULT_THRESHOLDS.temperatureCritical,
+        voltageLow: settings?.alertThresholdVoltageLow ?? DEFAULT_THRESHOLDS.voltageLow,
+        voltageHigh: settings?.alertThresholdVoltageHigh ?? DEFAULT_THRESHOLDS.voltageHigh,
+    };
+
+    const handleSaveGroup = async (data) => {
+        try {
+            await updateGroupThresholds.mutateAsync({ groupId, data });
+            toast.success('Group thresholds saved');
+        } catch (error) {
+            toast.error('Failed to save group thresholds: ' + (error.message || 'Unknown error'));
+        }
+    };
+
+    const handleRemoveGroup = async () => {
+        try {
+            await deleteGroupThresholds.mutateAsync(groupId);
+            toast.success('Group thresholds removed');
+        } catch (error) {
+            toast.error('Failed to remove group thresholds: ' + (error.message || 'Unknown error'));
+        }
+    };
+
+    const handleRemoveRouter = async (routerId) => {
+        try {
+            await deleteRouterThresholds.mutateAsync(routerId);
+            toast.success('Router thresholds removed');
+        } catch (error) {
+            toast.error('Failed to remove router thresholds: ' + (error.message || 'Unknown error'));
+        }
+    };
+
+    const formatOverrides = (profile) => THRESHOLD_FIELDS
+        .filter(field => profile[field.key] !== null && profile[field.key] !== undefined)
+        .map(field => `${field.label} ${profile[field.key]}${field.unit}`)
+        .join(', ');
+
+    return (
+        <Card>
+            <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                    <Layers className="w-5 h-5" />
+                    Threshold Profiles
+                </CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-6">
+                <div className="space-y-3">
+                    <h4 className="text-sm font-medium text-slate-300">Group Overrides</h4>
+                    {groups.length === 0 ? (
+                        <p className="text-sm text-slate-500">No router groups yet. Create a group to set group-level thresholds.</p>
+                    ) : (
+                        <>
+                            <select
+                                value={groupId}
+                                onChange={(e) => setSelectedGroupId(e.target.value)}
+                                className="w-full px-3 py-2 bg-slate-800 border border-slate-700 rounded-lg text-white text-sm focus:ring-2 focus:ring-primary focus:border-transparent"
+                            >
+                                {groups.map(group => (
+                                    <option key={group.id} value={group.id}>
+                                        {group.name}{profiles.some(p => p.groupId === group.id) ? ' (custom)' : ''}
+                                    </option>
+                                ))}
+                            </select>
+                            <ThresholdProfileEditor
+                                key={`${groupId}-${groupProfile?.updatedAt || 'none'}`}
+                                profile={groupProfile}
+                                inherited={globalThresholds}
+                                inheritedLabel="global"
+                                onSave={handleSaveGroup}
+                                onRemove={handleRemoveGroup}
+                                isSaving={updateGroupThresholds.isPending || deleteGroupThresholds.isPending}
+                                disabled={!canEdit}
+                            />
+                        </>
+                    )}
+                </div>
+
+                <div className="space-y-3">
+                    <h4 className="text-sm font-medium text-slate-300">Router Overrides</h4>
+                    {routerProfiles.length === 0 ? (
+                        <p className="text-sm text-slate-500">No router-specific thresholds. Set them from the router's Alert Thresholds tab.</p>
+                    ) : (
+                        <div className="space-y-2">
+                            {routerProfiles.map(profile => (
+                                <div key={profile.id} className="flex items-center justify-between gap-3 p-3 bg-slate-800/30 rounded-lg">
+                                    <div className="min-w-0">
+                                        <Link to={`/routers/${profile.routerId}`} className="text-sm text-white hover:text-primary">
+                                            {profile.routerName || 'Unknown router'}
+                                        </Link>
+                                        <p className="text-xs text-slate-500 truncate">{formatOverrides(profile)}</p>
+                                    </div>
+                                    {canEdit && (
+                                        <Button
+                                            type="button"
+                                            variant="ghost"
+                                            size="icon"
+                                            onClick={() => handleRemoveRouter(profile.routerId)}
+                                            title="Remove overrides"
+                                        >
+                                            <Trash2 className="w-4 h-4 text-red-400" />
+                                        </Button>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            </CardContent>
+        </Card>
+    );
+}
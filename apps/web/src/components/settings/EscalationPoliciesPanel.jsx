@@ -0,0 +1,386 @@
+import React, { useState } from 'react';
+import {
+    useEscalationPolicies,
+    useCreateEscalationPolicy,
+    useUpdateEscalationPolicy,
+    useDeleteEscalationPolicy,
+    useNotificationGroupOptions,
+    useGroups,
+    useCurrentUser,
+} from '@/hooks';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/Card';
+import { Button } from '@/components/ui/Button';
+import { Input } from '@/components/ui/Input';
+import { Modal } from '@/components/ui/Modal';
+import { TrendingUp, Plus, Edit2, Trash2, RefreshCw, Info, X } from 'lucide-react';
+import clsx from 'clsx';
+import toast from 'react-hot-toast';
+
+const DELAY_UNITS = [
+    { value: 1, label: 'minutes' },
+    { value: 60, label: 'hours' },
+    { value: 1440, label: 'days' },
+];
+
+const selectClassName = 'w-full bg-slate-900 border border-slate-700 text-white text-sm rounded-lg px-3 py-2 focus:ring-1 focus:ring-primary focus:border-primary';
+
+// Show a delay in the largest unit that divides it
+const toLevelForm = (level) => {
+    const unit = [...DELAY_UNITS].reverse().find(option => level.afterMinutes % option.value === 0) || DELAY_UNITS[0];
+    return {
+        delay: level.afterMinutes / unit.value,
+        unit: unit.value,
+        notificationGroupId: level.notificationGroupId || '',
+    };
+};
+
+const toFormData = (policy) => ({
+    name: policy?.name || '',
+    description: policy?.description || '',
+    levels: policy?.levels?.map(toLevelForm) || [{ delay: 1, unit: 60, notificationGroupId: '' }],
+    stopOnAcknowledge: policy?.stopOnAcknowledge ?? true,
+    isDefault: policy?.isDefault ?? false,
+    routerGroupIds: policy?.routerGroupIds || [],
+});
+
+const formatDelay = (minutes) => {
+    if (minutes % 1440 === 0) return `${minutes / 1440}d`;
+    if (minutes % 60 === 0) return `${minutes / 60}h`;
+    return `${minutes}m`;
+};
+
+const describeLevels = (policy, notificationGroups) => policy.levels
+    .map(level => {
+        const target = level.notificationGroupId
+            ? notificationGroups.find(group => group.id === level.notificationGroupId)?.name || 'Unknown group'
+            : 'routed groups';
+        return `${formatDelay(level.afterMinutes)} → ${target}`;
+    })
+    .join(', ');
+
+/**
+ * Create or edit an escalation policy.
+ * Remount with a new `key` to reset the form when the policy changes.
+ */
+function EscalationPolicyModal({ isOpen, onClose, policy }) {
+    const [formData, setFormData] = useState(() => toFormData(policy));
+    const [error, setError] = useState('');
+
+    const { data: routerGroups = [] } = useGroups();
+    const { data: notificationGroups = [] } = useNotificationGroupOptions();
+    const createMutation = useCreateEscalationPolicy();
+    const updateMutation = useUpdateEscalationPolicy();
+
+    const isSaving = createMutation.isPending || updateMutation.isPending;
+
+    const handleChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+        setError('');
+    };
+
+    const updateLevel = (index, changes) => {
+        setFormData(prev => ({
+            ...prev,
+            levels: prev.levels.map((level, i) => (i === index ? { ...level, ...changes } : level)),
+        }));
+        setError('');
+    };
+
+    const addLevel = () => {
+        setFormData(prev => {
+            const last = prev.levels[prev.levels.length - 1];
+            return {
+                ...prev,
+                levels: [...prev.levels, { delay: last ? Number(last.delay) * 2 : 1, unit: last ? last.unit : 60, notificationGroupId: '' }],
+            };
+        });
+    };
+
+    const removeLevel = (index) => {
+        setFormData(prev => ({ ...prev, levels: prev.levels.filter((_, i) => i !== index) }));
+    };
+
+    const toggleRouterGroup = (groupId) => {
+        setFormData(prev => ({
+            ...prev,
+            routerGroupIds: prev.routerGroupIds.includes(groupId)
+                ? prev.routerGroupIds.filter(id => id !== groupId)
+                : [...prev.routerGroupIds, groupId],
+        }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        const data = {
+            name: formData.name,
+            description: formData.description || null,
+            levels: formData.levels.map(level => ({
+                afterMinutes: Math.round(Number(level.delay) * Number(level.unit)),
+                notificationGroupId: level.notificationGroupId || null,
+            })),
+            stopOnAcknowledge: formData.stopOnAcknowledge,
+            isDefault: formData.isDefault,
+            routerGroupIds: formData.routerGroupIds,
+        };
+
+        try {
+            if (policy) {
+                await updateMutation.mutateAsync({ id: policy.id, data });
+                toast.success('Escalation policy updated');
+            } else {
+                await createMutation.mutateAsync(data);
+                toast.success('Escalation policy created');
+            }
+            onClose();
+        } catch (err) {
+            setError(err.message || 'Failed to save escalation policy');
+        }
+    };
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title={policy ? 'Edit Escalation Policy' : 'New Escalation Policy'} maxWidth="max-w-lg">
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="space-y-2">
+                    <label className="text-sm font-medium text-slate-300">Name</label>
+                    <Input name="name" value={formData.name} onChange={handleChange} placeholder="Core network" required />
+                </div>
+
+                <div className="space-y-2">
+                    <label className="text-sm font-medium text-slate-300">Description</label>
+                    <Input name="description" value={formData.description} onChange={handleChange} placeholder="Optional" />
+                </div>
+
+                <div className="space-y-2">
+                    <label className="text-sm font-medium text-slate-300">Levels</label>
+                    <div className="space-y-2">
+                        {formData.levels.map((level, index) => (
+                            <div key={index} className="flex items-center gap-2">
+                                <span className="w-6 text-xs text-slate-500 text-right">#{index + 1}</span>
+                                <Input
+                                    type="number"
+                                    value={level.delay}
+                                    onChange={(e) => updateLevel(index, { delay: e.target.value })}
+                                    min={1}
+                                    className="w-20"
+                                    required
+                                />
+                                <select
+                                    value={level.unit}
+                                    onChange={(e) => updateLevel(index, { unit: Number(e.target.value) })}
+                                    className={clsx(selectClassName, 'w-28')}
+                                >
+                                    {DELAY_UNITS.map(unit => (
+                                        <option key={unit.value} value={unit.value}>{unit.label}</option>
+                                    ))}
+                                </select>
+                                <select
+                                    value={level.notificationGroupId}
+                                    onChange={(e) => updateLevel(index, { notificationGroupId: e.target.value })}
+                                    className={selectClassName}
+                                >
+                                    <option value="">Routed groups</option>
+                                    {notificationGroups.map(group => (
+                                        <option key={group.id} value={group.id}>{group.name}</option>
+                                    ))}
+                                </select>
+                                <button
+                                    type="button"
+                                    onClick={() => removeLevel(index)}
+                                    disabled={formData.levels.length === 1}
+                                    className="p-1.5 rounded-lg text-slate-400 hover:text-red-400 hover:bg-slate-800 disabled:opacity-30"
+                                    title="Remove level"
+                                >
+                                    <X className="w-4 h-4" />
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                    {formData.levels.length < 10 && (
+                        <Button type="button" variant="ghost" size="sm" onClick={addLevel}>
+                            <Plus className="w-4 h-4 mr-1" />
+                            Add Level
+                        </Button>
+                    )}
+                    <p className="text-xs text-slate-500">
+                        Delays count from when the alert opened. "Routed groups" pages whoever the notification rules sent the alert to.
+                    </p>
+                </div>
+
+                {routerGroups.length > 0 && (
+                    <div className="space-y-2">
+                        <label className="text-sm font-medium text-slate-300">Router Groups</label>
+                        <div className="flex flex-wrap gap-2">
+                            {routerGroups.map(group => (
+                                <button
+                                    key={group.id}
+                                    type="button"
+                                    onClick={() => toggleRouterGroup(group.id)}
+                                    className={clsx(
+                                        'px-3 py-1.5 rounded-lg text-xs font-medium border transition-colors',
+                                        formData.routerGroupIds.includes(group.id)
+                                            ? 'bg-primary/20 border-primary text-white'
+                                            : 'bg-slate-900 border-slate-700 text-slate-400 hover:text-white'
+                                    )}
+                                >
+                                    {group.name}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
+                <label className="flex items-center gap-2 cursor-pointer">
+                    <input type="checkbox" name="stopOnAcknowledge" checked={formData.stopOnAcknowledge} onChange={handleChange} />
+                    <span className="text-sm text-slate-300">Stop escalating once the alert is acknowledged</span>
+                </label>
+
+                <label className="flex items-center gap-2 cursor-pointer">
+                    <input type="checkbox" name="isDefault" checked={formData.isDefault} onChange={handleChange} />
+                    <span className="text-sm text-slate-300">Default policy for routers whose group has no policy</span>
+                </label>
+
+                {error && (
+                    <p className="text-sm text-red-400">{error}</p>
+                )}
+
+                <div className="flex justify-end gap-2 pt-2">
+                    <Button type="button" variant="outline" onClick={onClose}>Cancel</Button>
+                    <Button type="submit" loading={isSaving}>
+                        {policy ? 'Save Changes' : 'Create Policy'}
+                    </Button>
+                </div>
+            </form>
+        </Modal>
+    );
+}
+
+export default function EscalationPoliciesPanel() {
+    const { data: policies = [], isLoading } = useEscalationPolicies();
+    const { data: routerGroups = [] } = useGroups();
+    const { data: notificationGroups = [] } = useNotificationGroupOptions();
+    const { data: currentUser } = useCurrentUser();
+    const deleteMutation = useDeleteEscalationPolicy();
+
+    const [isModalOpen, setIsModalOpen] = useState(false);
+    const [editingPolicy, setEditingPolicy] = useState(null);
+
+    const canEdit = currentUser?.role === 'admin';
+
+    const openModal = (policy = null) => {
+        setEditingPolicy(policy);
+        setIsModalOpen(true);
+    };
+
+    const handleDelete = async (policy) => {
+        if (!confirm(`Delete escalation policy "${policy.name}"?`)) return;
+        try {
+            await deleteMutation.mutateAsync(policy.id);
+            toast.success('Escalation policy deleted');
+        } catch (err) {
+            toast.error(err.message || 'Failed to delete escalation policy');
+        }
+    };
+
+    if (isLoading) {
+        return (
+            <Card>
+                <CardContent className="flex items-center justify-center py-8">
+                    <RefreshCw className="w-5 h-5 animate-spin text-slate-400" />
+                </CardContent>
+            </Card>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            <Card>
+                <CardHeader className="flex flex-row items-center justify-between">
+                    <CardTitle className="flex items-center gap-2">
+                        <TrendingUp className="w-5 h-5" />
+                        Escalation Policies
+                    </CardTitle>
+                    {canEdit && (
+                        <Button size="sm" onClick={() => openModal()}>
+                            <Plus className="w-4 h-4 mr-2" />
+                            New Policy
+                        </Button>
+                    )}
+                </CardHeader>
+                <CardContent>
+                    {policies.length === 0 ? (
+                        <p className="text-sm text-slate-500 text-center py-6">No escalation policies - open alerts are not escalated</p>
+                    ) : (
+                        <div className="divide-y divide-slate-800">
+                            {policies.map(policy => (
+                                <div key={policy.id} className="flex items-start gap-3 py-3">
+                                    <div className="flex-1 min-w-0">
+                                        <div className="flex items-center gap-2">
+                                            <span className="font-medium text-white">{policy.name}</span>
+                                            {policy.isDefault && (
+                                                <span className="px-2 py-0.5 rounded text-xs font-medium bg-primary/20 text-primary">Default</span>
+                                            )}
+                                            {policy.stopOnAcknowledge && (
+                                                <span className="px-2 py-0.5 rounded text-xs font-medium bg-slate-700 text-slate-300">Stops on ack</span>
+                                            )}
+                                        </div>
+                                        {policy.description && (
+                                            <p className="text-xs text-slate-500 mt-0.5">{policy.description}</p>
+                                        )}
+                                        <p className="text-xs text-slate-400 mt-1">{describeLevels(policy, notificationGroups)}</p>
+                                        <p className="text-xs text-slate-500">
+                                            {policy.routerGroupIds.length > 0
+                                                ? policy.routerGroupIds.map(id => routerGroups.find(group => group.id === id)?.name || 'Unknown group').join(', ')
+                                                : policy.isDefault ? 'All routers without a group policy' : 'Not attached to any router group'}
+                                        </p>
+                                    </div>
+                                    {canEdit && (
+                                        <div className="flex gap-1">
+                                            <button
+                                                onClick={() => openModal(policy)}
+                                                className="p-1.5 rounded-lg text-slate-400 hover:text-white hover:bg-slate-800"
+                                                title="Edit"
+                                            >
+                                                <Edit2 className="w-4 h-4" />
+                                            </button>
+                                            <button
+                                                onClick={() => handleDelete(policy)}
+                                                className="p-1.5 rounded-lg text-slate-400 hover:text-red-400 hover:bg-slate-800"
+                                                title="Delete"
+                                            >
+                                                <Trash2 className="w-4 h-4" />
+                                            </button>
+                                        </div>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </CardContent>
+            </Card>
+
+            {/* Info Box */}
+            <div className="flex items-start gap-3 p-4 bg-blue-500/10 border border-blue-500/20 rounded-lg">
+                <Info className="w-5 h-5 text-blue-400 flex-shrink-0 mt-0.5" />
+                <div className="text-sm text-blue-300">
+                    <p className="font-medium mb-1">How escalation works</p>
+                    <ul className="list-disc list-inside text-blue-300/80 space-y-1">
+                        <li>Router offline and netwatch down alerts that stay open move up one level at each delay</li>
+                        <li>A router uses its group's policy, otherwise the default policy</li>
+                        <li>Alerts are not escalated during maintenance or while a root cause alert covers them</li>
+                    </ul>
+                </div>
+            </div>
+
+            {isModalOpen && (
+                <EscalationPolicyModal
+                    key={editingPolicy?.id || 'new'}
+                    isOpen={isModalOpen}
+                    onClose={() => setIsModalOpen(false)}
+                    policy={editingPolicy}
+                />
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,398 @@
+import React, { useState } from 'react';
+import {
+    useMaintenanceWindows,
+    useCreateMaintenanceWindow,
+    useUpdateMaintenanceWindow,
+    useDeleteMaintenanceWindow,
+    useRouters,
+    useRouterNetwatch,
+    useGroups,
+    useCurrentUser,
+} from '@/hooks';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/Card';
+import { Button } from '@/components/ui/Button';
+import { Input } from '@/components/ui/Input';
+import { Modal } from '@/components/ui/Modal';
+import { Wrench, Plus, Edit2, Trash2, RefreshCw, Info } from 'lucide-react';
+import clsx from 'clsx';
+import toast from 'react-hot-toast';
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const SCOPE_LABELS = {
+    router: 'Router',
+    group: 'Router Group',
+    netwatch: 'Netwatch Hosts',
+};
+
+const selectClassName = 'w-full bg-slate-900 border border-slate-700 text-white text-sm rounded-lg px-3 py-2 focus:ring-1 focus:ring-primary focus:border-primary';
+
+// <input type="datetime-local"> works in local time without seconds
+const toLocalInput = (value) => {
+    if (!value) return '';
+    const date = new Date(value);
+    const offset = date.getTimezoneOffset() * 60 * 1000;
+    return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+const toFormData = (maintenanceWindow) => ({
+    name: maintenanceWindow?.name || '',
+    description: maintenanceWindow?.description || '',
+    scope: maintenanceWindow?.scope || 'router',
+    routerId: maintenanceWindow?.routerId || '',
+    groupId: maintenanceWindow?.groupId || '',
+    netwatchIds: maintenanceWindow?.netwatchIds || [],
+    recurrence: maintenanceWindow?.recurrence || 'once',
+    startsAt: toLocalInput(maintenanceWindow?.startsAt),
+    endsAt: toLocalInput(maintenanceWindow?.endsAt),
+    daysOfWeek: maintenanceWindow?.daysOfWeek || [0],
+    startTime: maintenanceWindow?.startTime || '01:00',
+    durationMinutes: maintenanceWindow?.durationMinutes || 120,
+    enabled: maintenanceWindow?.enabled ?? true,
+});
+
+const describeSchedule = (maintenanceWindow) => {
+    if (maintenanceWindow.recurrence === 'weekly') {
+        const days = maintenanceWindow.daysOfWeek.length === 7
+            ? 'Every day'
+            : maintenanceWindow.daysOfWeek.map(day => DAYS[day]).join(', ');
+        return `${days} ${maintenanceWindow.startTime} (${maintenanceWindow.durationMinutes} min)`;
+    }
+    return `${new Date(maintenanceWindow.startsAt).toLocaleString()} - ${new Date(maintenanceWindow.endsAt).toLocaleString()}`;
+};
+
+const describeTarget = (maintenanceWindow) => {
+    if (maintenanceWindow.scope === 'group') return maintenanceWindow.groupName || 'Unknown group';
+    if (maintenanceWindow.scope === 'netwatch') return `${maintenanceWindow.netwatchIds.length} host(s) on ${maintenanceWindow.routerName || 'unknown router'}`;
+    return maintenanceWindow.routerName || 'Unknown router';
+};
+
+/**
+ * Create or edit a maintenance window.
+ * Remount with a new `key` to reset the form when the window changes.
+ */
+function MaintenanceWindowModal({ isOpen, onClose, maintenanceWindow }) {
+    const [formData, setFormData] = useState(() => toFormData(maintenanceWindow));
+    const [error, setError] = useState('');
+
+    const { data: routers = [] } = useRouters();
+    const { data: groups = [] } = useGroups();
+    const { data: netwatch = [] } = useRouterNetwatch(formData.scope === 'netwatch' ? formData.routerId : null);
+    const createMutation = useCreateMaintenanceWindow();
+    const updateMutation = useUpdateMaintenanceWindow();
+
+    const isSaving = createMutation.isPending || updateMutation.isPending;
+
+    const handleChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setFormData(prev => ({
+            ...prev,
+            [name]: type === 'checkbox' ? checked : value,
+            // Netwatch hosts belong to the selected router
+            ...(name === 'routerId' ? { netwatchIds: [] } : {}),
+        }));
+        setError('');
+    };
+
+    const toggleListValue = (name, value) => {
+        setFormData(prev => ({
+            ...prev,
+            [name]: prev[name].includes(value)
+                ? prev[name].filter(item => item !== value)
+                : [...prev[name], value],
+        }));
+        setError('');
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        const data = {
+            name: formData.name,
+            description: formData.description || null,
+            scope: formData.scope,
+            routerId: formData.scope !== 'group' ? formData.routerId || null : null,
+            groupId: formData.scope === 'group' ? formData.groupId || null : null,
+            netwatchIds: formData.scope === 'netwatch' ? formData.netwatchIds : [],
+            recurrence: formData.recurrence,
+            startsAt: formData.recurrence === 'once' && formData.startsAt ? new Date(formData.startsAt).toISOString() : null,
+            endsAt: formData.recurrence === 'once' && formData.endsAt ? new Date(formData.endsAt).toISOString() : null,
+            daysOfWeek: formData.recurrence === 'weekly' ? [...formData.daysOfWeek].sort() : [],
+            startTime: formData.recurrence === 'weekly' ? formData.startTime : null,
+            durationMinutes: formData.recurrence === 'weekly' ? parseInt(formData.durationMinutes, 10) : null,
+            enabled: formData.enabled,
+        };
+
+        try {
+            if (maintenanceWindow) {
+                await updateMutation.mutateAsync({ id: maintenanceWindow.id, data });
+                toast.success('Maintenance window updated');
+            } else {
+                await createMutation.mutateAsync(data);
+                toast.success('Maintenance window created');
+            }
+            onClose();
+        } catch (err) {
+            setError(err.message || 'Failed to save maintenance window');
+        }
+    };
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title={maintenanceWindow ? 'Edit Maintenance Window' : 'New Maintenance Window'} maxWidth="max-w-lg">
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="space-y-2">
+                    <label className="text-sm font-medium text-slate-300">Name</label>
+                    <Input name="name" value={formData.name} onChange={handleChange} placeholder="Weekly OLT firmware window" required />
+                </div>
+
+                <div className="space-y-2">
+                    <label className="text-sm font-medium text-slate-300">Description</label>
+                    <Input name="description" value={formData.description} onChange={handleChange} placeholder="Optional" />
+                </div>
+
+                <div className="space-y-2">
+                    <label className="text-sm font-medium text-slate-300">Applies To</label>
+                    <select name="scope" value={formData.scope} onChange={handleChange} className={selectClassName}>
+                        {Object.entries(SCOPE_LABELS).map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                        ))}
+                    </select>
+                </div>
+
+                {formData.scope === 'group' ? (
+                    <div className="space-y-2">
+                        <label className="text-sm font-medium text-slate-300">Group</label>
+                        <select name="groupId" value={formData.groupId} onChange={handleChange} className={selectClassName} required>
+                            <option value="">-- Select Group --</option>
+                            {groups.map(group => (
+                                <option key={group.id} value={group.id}>{group.name}</option>
+                            ))}
+                        </select>
+                    </div>
+                ) : (
+                    <div className="space-y-2">
+                        <label className="text-sm font-medium text-slate-300">Router</label>
+                        <select name="routerId" value={formData.routerId} onChange={handleChange} className={selectClassName} required>
+                            <option value="">-- Select Router --</option>
+                            {routers.map(router => (
+                                <option key={router.id} value={router.id}>{router.name}</option>
+                            ))}
+                        </select>
+                    </div>
+                )}
+
+                {formData.scope === 'netwatch' && formData.routerId && (
+                    <div className="space-y-2">
+                        <label className="text-sm font-medium text-slate-300">Netwatch Hosts</label>
+                        <div className="max-h-40 overflow-y-auto border border-slate-700 rounded-lg divide-y divide-slate-800">
+                            {netwatch.length === 0 && (
+                                <p className="p-3 text-sm text-slate-500">No netwatch entries on this router</p>
+                            )}
+                            {netwatch.map(entry => (
+                                <label key={entry.id} className="flex items-center gap-2 px-3 py-2 text-sm text-slate-300 cursor-pointer hover:bg-slate-800/50">
+                                    <input
+                                        type="checkbox"
+                                        checked={formData.netwatchIds.includes(entry.id)}
+                                        onChange={() => toggleListValue('netwatchIds', entry.id)}
+                                    />
+                                    <span>{entry.name || entry.host}</span>
+                                    <span className="ml-auto text-xs text-slate-500 font-mono">{entry.host}</span>
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
+                <div className="space-y-2">
+                    <label className="text-sm font-medium text-slate-300">Schedule</label>
+                    <select name="recurrence" value={formData.recurrence} onChange={handleChange} className={selectClassName}>
+                        <option value="once">One-off</option>
+                        <option value="weekly">Weekly</option>
+                    </select>
+                </div>
+
+                {formData.recurrence === 'once' ? (
+                    <div className="grid grid-cols-2 gap-4">
+                        <div className="space-y-2">
+                            <label className="text-sm font-medium text-slate-300">Starts</label>
+                            <Input type="datetime-local" name="startsAt" value={formData.startsAt} onChange={handleChange} required />
+                        </div>
+                        <div className="space-y-2">
+                            <label className="text-sm font-medium text-slate-300">Ends</label>
+                            <Input type="datetime-local" name="endsAt" value={formData.endsAt} onChange={handleChange} required />
+                        </div>
+                    </div>
+                ) : (
+                    <>
+                        <div className="flex flex-wrap gap-2">
+                            {DAYS.map((day, index) => (
+                                <button
+                                    key={day}
+                                    type="button"
+                                    onClick={() => toggleListValue('daysOfWeek', index)}
+                                    className={clsx(
+                                        'px-3 py-1.5 rounded-lg text-xs font-medium border transition-colors',
+                                        formData.daysOfWeek.includes(index)
+                                            ? 'bg-primary/20 border-primary text-white'
+                                            : 'bg-slate-900 border-slate-700 text-slate-400 hover:text-white'
+                                    )}
+                                >
+                                    {day}
+                                </button>
+                            ))}
+                        </div>
+                        <div className="grid grid-cols-2 gap-4">
+                            <div className="space-y-2">
+                                <label className="text-sm font-medium text-slate-300">Start Time</label>
+                                <Input type="time" name="startTime" value={formData.startTime} onChange={handleChange} required />
+                            </div>
+                            <div className="space-y-2">
+                                <label className="text-sm font-medium text-slate-300">Duration (minutes)</label>
+                                <Input type="number" name="durationMinutes" value={formData.durationMinutes} onChange={handleChange} min={1} max={1440} required />
+                            </div>
+                        </div>
+                        <p className="text-xs text-slate-500">Weekly windows follow the timezone set under General settings.</p>
+                    </>
+                )}
+
+                <label className="flex items-center gap-2 cursor-pointer">
+                    <input type="checkbox" name="enabled" checked={formData.enabled} onChange={handleChange} className="toggle-checkbox" />
+                    <span className="text-sm text-slate-300">Enabled</span>
+                </label>
+
+                {error && (
+                    <p className="text-sm text-red-400">{error}</p>
+                )}
+
+                <div className="flex justify-end gap-2 pt-2">
+                    <Button type="button" variant="outline" onClick={onClose}>Cancel</Button>
+                    <Button type="submit" loading={isSaving}>
+                        {maintenanceWindow ? 'Save Changes' : 'Create Window'}
+                    </Button>
+                </div>
+            </form>
+        </Modal>
+    );
+}
+
+export default function MaintenancePanel() {
+    const { data: windows = [], isLoading } = useMaintenanceWindows();
+    const { data: currentUser } = useCurrentUser();
+    const deleteMutation = useDeleteMaintenanceWindow();
+
+    const [isModalOpen, setIsModalOpen] = useState(false);
+    const [editingWindow, setEditingWindow] = useState(null);
+
+    const canEdit = currentUser?.role === 'admin' || currentUser?.role === 'operator';
+
+    const openModal = (maintenanceWindow = null) => {
+        setEditingWindow(maintenanceWindow);
+        setIsModalOpen(true);
+    };
+
+    const handleDelete = async (maintenanceWindow) => {
+        if (!confirm(`Delete maintenance window "${maintenanceWindow.name}"?`)) return;
+        try {
+            await deleteMutation.mutateAsync(maintenanceWindow.id);
+            toast.success('Maintenance window deleted');
+        } catch (err) {
+            toast.error(err.message || 'Failed to delete maintenance window');
+        }
+    };
+
+    if (isLoading) {
+        return (
+            <Card>
+                <CardContent className="flex items-center justify-center py-8">
+                    <RefreshCw className="w-5 h-5 animate-spin text-slate-400" />
+                </CardContent>
+            </Card>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            <Card>
+                <CardHeader className="flex flex-row items-center justify-between">
+                    <CardTitle className="flex items-center gap-2">
+                        <Wrench className="w-5 h-5" />
+                        Maintenance Windows
+                    </CardTitle>
+                    {canEdit && (
+                        <Button size="sm" onClick={() => openModal()}>
+                            <Plus className="w-4 h-4 mr-2" />
+                            New Window
+                        </Button>
+                    )}
+                </CardHeader>
+                <CardContent>
+                    {windows.length === 0 ? (
+                        <p className="text-sm text-slate-500 text-center py-6">No maintenance windows scheduled</p>
+                    ) : (
+                        <div className="divide-y divide-slate-800">
+                            {windows.map(maintenanceWindow => (
+                                <div key={maintenanceWindow.id} className="flex items-start gap-3 py-3">
+                                    <div className="flex-1 min-w-0">
+                                        <div className="flex items-center gap-2">
+                                            <span className={clsx('font-medium', maintenanceWindow.enabled ? 'text-white' : 'text-slate-500')}>{maintenanceWindow.name}</span>
+                                            {maintenanceWindow.active && (
+                                                <span className="px-2 py-0.5 rounded text-xs font-medium bg-amber-500/20 text-amber-400">Active</span>
+                                            )}
+                                            {!maintenanceWindow.enabled && (
+                                                <span className="px-2 py-0.5 rounded text-xs font-medium bg-slate-700 text-slate-400">Disabled</span>
+                                            )}
+                                        </div>
+                                        <p className="text-xs text-slate-400 mt-1">
+                                            {SCOPE_LABELS[maintenanceWindow.scope]}: {describeTarget(maintenanceWindow)}
+                                        </p>
+                                        <p className="text-xs text-slate-500">{describeSchedule(maintenanceWindow)}</p>
+                                    </div>
+                                    {canEdit && (
+                                        <div className="flex gap-1">
+                                            <button
+                                                onClick={() => openModal(maintenanceWindow)}
+                                                className="p-1.5 rounded-lg text-slate-400 hover:text-white hover:bg-slate-800"
+                                                title="Edit"
+                                            >
+                                                <Edit2 className="w-4 h-4" />
+                                            </button>
+                                            <button
+                                                onClick={() => handleDelete(maintenanceWindow)}
+                                                className="p-1.5 rounded-lg text-slate-400 hover:text-red-400 hover:bg-slate-800"
+                                                title="Delete"
+                                            >
+                                                <Trash2 className="w-4 h-4" />
+                                            </button>
+                                        </div>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </CardContent>
+            </Card>
+
+            {/* Info Box */}
+            <div className="flex items-start gap-3 p-4 bg-blue-500/10 border border-blue-500/20 rounded-lg">
+                <Info className="w-5 h-5 text-blue-400 flex-shrink-0 mt-0.5" />
+                <div className="text-sm text-blue-300">
+                    <p className="font-medium mb-1">During a maintenance window</p>
+                    <ul className="list-disc list-inside text-blue-300/80 space-y-1">
+                        <li>Alerts are still recorded, but no notifications are sent</li>
+                        <li>Open alerts are not escalated</li>
+                        <li>Covered devices are shown as in maintenance on the map and dashboard</li>
+                    </ul>
+                </div>
+            </div>
+
+            {isModalOpen && (
+                <MaintenanceWindowModal
+                    key={editingWindow?.id || 'new'}
+                    isOpen={isModalOpen}
+                    onClose={() => setIsModalOpen(false)}
+                    maintenanceWindow={editingWindow}
+                />
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,503 @@
+import React, { useState } from 'react';
+import {
+    useNotificationRules,
+    useQuietHours,
+    useNotificationGroupOptions,
+    useCreateNotificationRule,
+    useUpdateNotificationRule,
+    useDeleteNotificationRule,
+    useUpdateQuietHours,
+    useGroups,
+    useCurrentUser,
+} from '@/hooks';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/Card';
+import { Button } from '@/components/ui/Button';
+import { Input } from '@/components/ui/Input';
+import { Modal } from '@/components/ui/Modal';
+import { GitBranch, Moon, Plus, Edit2, Trash2, RefreshCw, Info, Save } from 'lucide-react';
+import clsx from 'clsx';
+import toast from 'react-hot-toast';
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const SEVERITIES = ['critical', 'warning', 'info'];
+
+const ALERT_TYPE_LABELS = {
+    status_change: 'Router up/down',
+    netwatch_down: 'Netwatch',
+    interface_down: 'Interface down',
+    pppoe_connect: 'PPPoE connect',
+    pppoe_disconnect: 'PPPoE disconnect',
+    high_cpu: 'High CPU',
+    high_memory: 'High memory',
+    high_disk: 'High disk',
+    high_temperature: 'Temperature',
+    voltage: 'Voltage',
+    threshold: 'Threshold',
+    reboot: 'Reboot',
+};
+
+const selectClassName = 'w-full bg-slate-900 border border-slate-700 text-white text-sm rounded-lg px-3 py-2 focus:ring-1 focus:ring-primary focus:border-primary';
+
+const toFormData = (rule) => ({
+    name: rule?.name || '',
+    priority: rule?.priority ?? 100,
+    severities: rule?.severities || [],
+    alertTypes: rule?.alertTypes || [],
+    routerGroupIds: rule?.routerGroupIds || [],
+    daysOfWeek: rule?.daysOfWeek || [],
+    allDay: !rule?.startTime,
+    startTime: rule?.startTime || '08:00',
+    endTime: rule?.endTime || '17:00',
+    action: rule?.action || 'notify',
+    targetGroupIds: rule?.targetGroupIds || [],
+    includeRouterGroup: rule?.includeRouterGroup ?? false,
+    ignoreQuietHours: rule?.ignoreQuietHours ?? false,
+    enabled: rule?.enabled ?? true,
+});
+
+const describeMatch = (rule, routerGroups) => {
+    const parts = [];
+    parts.push(rule.severities.length > 0 ? rule.severities.join('/') : 'any severity');
+    parts.push(rule.alertTypes.length > 0
+        ? rule.alertTypes.map(type => ALERT_TYPE_LABELS[type] || type).join(', ')
+        : 'any type');
+    if (rule.routerGroupIds.length > 0) {
+        const names = rule.routerGroupIds.map(id => routerGroups.find(group => group.id === id)?.name || 'Unknown group');
+        parts.push(`in ${names.join(', ')}`);
+    }
+    return parts.join(' · ');
+};
+
+const describeSchedule = (rule) => {
+    const days = rule.daysOfWeek.length === 0 || rule.daysOfWeek.length === 7
+        ? 'Every day'
+        : rule.daysOfWeek.map(day => DAYS[day]).join(', ');
+    const zone = rule.timezone ? ` (${rule.timezone})` : '';
+    return rule.startTime ? `${days} ${rule.startTime}-${rule.endTime}${zone}` : `${days}, all day`;
+};
+
+const describeAction = (rule, notificationGroups) => {
+    if (rule.action === 'drop') return 'Do not notify';
+    const names = rule.targetGroupIds.map(id => notificationGroups.find(group => group.id === id)?.name || 'Unknown group');
+    if (rule.includeRouterGroup) names.push("router's group");
+    return `Notify ${names.join(', ')}`;
+};
+
+/**
+ * Toggle buttons for picking several values
+ */
+function ChipPicker({ options, selected, onToggle }) {
+    return (
+        <div className="flex flex-wrap gap-2">
+            {options.map(option => (
+                <button
+                    key={option.value}
+                    type="button"
+                    onClick={() => onToggle(option.value)}
+                    className={clsx(
+                        'px-3 py-1.5 rounded-lg text-xs font-medium border transition-colors',
+                        selected.includes(option.value)
+                            ? 'bg-primary/20 border-primary text-white'
+                            : 'bg-slate-900 border-slate-700 text-slate-400 hover:text-white'
+                    )}
+                >
+                    {option.label}
+                </button>
+            ))}
+        </div>
+    );
+}
+
+/**
+ * Create or edit a routing rule.
+ * Remount with a new `key` to reset the form when the rule changes.
+ */
+function NotificationRuleModal({ isOpen, onClose, rule }) {
+    const [formData, setFormData] = useState(() => toFormData(rule));
+    const [error, setError] = useState('');
+
+    const { data: routerGroups = [] } = useGroups();
+    const { data: notificationGroups = [] } = useNotificationGroupOptions();
+    const createMutation = useCreateNotificationRule();
+    const updateMutation = useUpdateNotificationRule();
+
+    const isSaving = createMutation.isPending || updateMutation.isPending;
+
+    const handleChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+        setError('');
+    };
+
+    const toggleListValue = (name, value) => {
+        setFormData(prev => ({
+            ...prev,
+            [name]: prev[name].includes(value)
+                ? prev[name].filter(item => item !== value)
+                : [...prev[name], value],
+        }));
+        setError('');
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        const isNotify = formData.action === 'notify';
+        const data = {
+            name: formData.name,
+            priority: parseInt(formData.priority, 10),
+            severities: formData.severities,
+            alertTypes: formData.alertTypes,
+            routerGroupIds: formData.routerGroupIds,
+            daysOfWeek: [...formData.daysOfWeek].sort(),
+            startTime: formData.allDay ? null : formData.startTime,
+            endTime: formData.allDay ? null : formData.endTime,
+            action: formData.action,
+            targetGroupIds: isNotify ? formData.targetGroupIds : [],
+            includeRouterGroup: isNotify && formData.includeRouterGroup,
+            ignoreQuietHours: formData.ignoreQuietHours,
+            enabled: formData.enabled,
+        };
+
+        try {
+            if (rule) {
+                await updateMutation.mutateAsync({ id: rule.id, data });
+                toast.success('Notification rule updated');
+            } else {
+                await createMutation.mutateAsync(data);
+                toast.success('Notification rule created');
+            }
+            onClose();
+        } catch (err) {
+            setError(err.message || 'Failed to save notification rule');
+        }
+    };
+
+    return (
+        <Modal isOpen={isOpen} onClose={onClose} title={rule ? 'Edit Notification Rule' : 'New Notification Rule'} maxWidth="max-w-lg">
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="grid grid-cols-3 gap-4">
+                    <div className="col-span-2 space-y-2">
+                        <label className="text-sm font-medium text-slate-300">Name</label>
+                        <Input name="name" value={formData.name} onChange={handleChange} placeholder="Critical outages to on-call" required />
+                    </div>
+                    <div className="space-y-2">
+                        <label className="text-sm font-medium text-slate-300">Priority</label>
+                        <Input type="number" name="priority" value={formData.priority} onChange={handleChange} min={0} max={10000} required />
+                    </div>
+                </div>
+
+                <div className="space-y-2">
+                    <label className="text-sm font-medium text-slate-300">Severity</label>
+                    <ChipPicker
+                        options={SEVERITIES.map(severity => ({ value: severity, label: severity }))}
+                        selected={formData.severities}
+                        onToggle={(value) => toggleListValue('severities', value)}
+                    />
+                </div>
+
+                <div className="space-y-2">
+                    <label className="text-sm font-medium text-slate-300">Alert Type</label>
+                    <ChipPicker
+                        options={Object.entries(ALERT_TYPE_LABELS).map(([value, label]) => ({ value, label }))}
+                        selected={formData.alertTypes}
+                        onToggle={(value) => toggleListValue('alertTypes', value)}
+                    />
+                </div>
+
+                {routerGroups.length > 0 && (
+                    <div className="space-y-2">
+                        <label className="text-sm font-medium text-slate-300">Router Group</label>
+                        <ChipPicker
+                            options={routerGroups.map(group => ({ value: group.id, label: group.name }))}
+                            selected={formData.routerGroupIds}
+                            onToggle={(value) => toggleListValue('routerGroupIds', value)}
+                        />
+                    </div>
+                )}
+
+                <div className="space-y-2">
+                    <label className="text-sm font-medium text-slate-300">Days</label>
+                    <ChipPicker
+                        options={DAYS.map((day, index) => ({ value: index, label: day }))}
+                        selected={formData.daysOfWeek}
+                        onToggle={(value) => toggleListValue('daysOfWeek', value)}
+                    />
+                </div>
+
+                <label className="flex items-center gap-2 cursor-pointer">
+                    <input type="checkbox" name="allDay" checked={formData.allDay} onChange={handleChange} />
+                    <span className="text-sm text-slate-300">All day</span>
+                </label>
+
+                {!formData.allDay && (
+                    <div className="grid grid-cols-2 gap-4">
+                        <div className="space-y-2">
+                            <label className="text-sm font-medium text-slate-300">From</label>
+                            <Input type="time" name="startTime" value={formData.startTime} onChange={handleChange} required />
+                        </div>
+                        <div className="space-y-2">
+                            <label className="text-sm font-medium text-slate-300">Until</label>
+                            <Input type="time" name="endTime" value={formData.endTime} onChange={handleChange} required />
+                        </div>
+                    </div>
+                )}
+
+                <p className="text-xs text-slate-500">
+                    Leave a list empty to match anything. Times follow your profile timezone.
+                </p>
+
+                <div className="space-y-2">
+                    <label className="text-sm font-medium text-slate-300">Action</label>
+                    <select name="action" value={formData.action} onChange={handleChange} className={selectClassName}>
+                        <option value="notify">Notify groups</option>
+                        <option value="drop">Do not notify</option>
+                    </select>
+                </div>
+
+                {formData.action === 'notify' && (
+                    <>
+                        <div className="space-y-2">
+                            <label className="text-sm font-medium text-slate-300">Notification Groups</label>
+                            {notificationGroups.length === 0 ? (
+                                <p className="text-sm text-slate-500">No notification groups yet</p>
+                            ) : (
+                                <ChipPicker
+                                    options={notificationGroups.map(group => ({ value: group.id, label: group.name }))}
+                                    selected={formData.targetGroupIds}
+                                    onToggle={(value) => toggleListValue('targetGroupIds', value)}
+                                />
+                            )}
+                        </div>
+                        <label className="flex items-center gap-2 cursor-pointer">
+                            <input type="checkbox" name="includeRouterGroup" checked={formData.includeRouterGroup} onChange={handleChange} />
+                            <span className="text-sm text-slate-300">Also notify the router's own notification group</span>
+                        </label>
+                        <label className="flex items-center gap-2 cursor-pointer">
+                            <input type="checkbox" name="ignoreQuietHours" checked={formData.ignoreQuietHours} onChange={handleChange} />
+                            <span className="text-sm text-slate-300">Send during quiet hours</span>
+                        </label>
+                    </>
+                )}
+
+                <label className="flex items-center gap-2 cursor-pointer">
+                    <input type="checkbox" name="enabled" checked={formData.enabled} onChange={handleChange} className="toggle-checkbox" />
+                    <span className="text-sm text-slate-300">Enabled</span>
+                </label>
+
+                {error && (
+                    <p className="text-sm text-red-400">{error}</p>
+                )}
+
+                <div className="flex justify-end gap-2 pt-2">
+                    <Button type="button" variant="outline" onClick={onClose}>Cancel</Button>
+                    <Button type="submit" loading={isSaving}>
+                        {rule ? 'Save Changes' : 'Create Rule'}
+                    </Button>
+                </div>
+            </form>
+        </Modal>
+    );
+}
+
+/**
+ * Quiet hours form, mounted once the saved value has loaded
+ */
+function QuietHoursForm({ quietHours, canEdit }) {
+    const [formData, setFormData] = useState(quietHours);
+    const updateMutation = useUpdateQuietHours();
+
+    const handleChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        try {
+            await updateMutation.mutateAsync(formData);
+            toast.success('Quiet hours saved');
+        } catch (err) {
+            toast.error(err.message || 'Failed to save quiet hours');
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-4">
+            <label className="flex items-center gap-2 cursor-pointer">
+                <input type="checkbox" name="enabled" checked={formData.enabled} onChange={handleChange} className="toggle-checkbox" disabled={!canEdit} />
+                <span className="text-sm text-slate-300">Hold back notifications during quiet hours</span>
+            </label>
+            <div className="grid grid-cols-2 gap-4">
+                <div className="space-y-2">
+                    <label className="text-sm font-medium text-slate-300">From</label>
+                    <Input type="time" name="start" value={formData.start} onChange={handleChange} disabled={!canEdit || !formData.enabled} required />
+                </div>
+                <div className="space-y-2">
+                    <label className="text-sm font-medium text-slate-300">Until</label>
+                    <Input type="time" name="end" value={formData.end} onChange={handleChange} disabled={!canEdit || !formData.enabled} required />
+                </div>
+            </div>
+            {quietHours.timezone && (
+                <p className="text-xs text-slate-500">Times are in {quietHours.timezone}; saving uses your profile timezone.</p>
+            )}
+            {canEdit && (
+                <div className="flex justify-end">
+                    <Button type="submit" size="sm" loading={updateMutation.isPending}>
+                        <Save className="w-4 h-4 mr-2" />
+                        Save Quiet Hours
+                    </Button>
+                </div>
+            )}
+        </form>
+    );
+}
+
+export default function NotificationRulesPanel() {
+    const { data: rules = [], isLoading } = useNotificationRules();
+    const { data: quietHours } = useQuietHours();
+    const { data: routerGroups = [] } = useGroups();
+    const { data: notificationGroups = [] } = useNotificationGroupOptions();
+    const { data: currentUser } = useCurrentUser();
+    const deleteMutation = useDeleteNotificationRule();
+
+    const [isModalOpen, setIsModalOpen] = useState(false);
+    const [editingRule, setEditingRule] = useState(null);
+
+    const canEdit = currentUser?.role === 'admin';
+
+    const openModal = (rule = null) => {
+        setEditingRule(rule);
+        setIsModalOpen(true);
+    };
+
+    const handleDelete = async (rule) => {
+        if (!confirm(`Delete notification rule "${rule.name}"?`)) return;
+        try {
+            await deleteMutation.mutateAsync(rule.id);
+            toast.success('Notification rule deleted');
+        } catch (err) {
+            toast.error(err.message || 'Failed to delete notification rule');
+        }
+    };
+
+    if (isLoading) {
+        return (
+            <Card>
+                <CardContent className="flex items-center justify-center py-8">
+                    <RefreshCw className="w-5 h-5 animate-spin text-slate-400" />
+                </CardContent>
+            </Card>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            <Card>
+                <CardHeader className="flex flex-row items-center justify-between">
+                    <CardTitle className="flex items-center gap-2">
+                        <GitBranch className="w-5 h-5" />
+                        Routing Rules
+                    </CardTitle>
+                    {canEdit && (
+                        <Button size="sm" onClick={() => openModal()}>
+                            <Plus className="w-4 h-4 mr-2" />
+                            New Rule
+                        </Button>
+                    )}
+                </CardHeader>
+                <CardContent>
+                    {rules.length === 0 ? (
+                        <p className="text-sm text-slate-500 text-center py-6">
+                            No rules - alerts go to each router's notification group
+                        </p>
+                    ) : (
+                        <div className="divide-y divide-slate-800">
+                            {rules.map(rule => (
+                                <div key={rule.id} className="flex items-start gap-3 py-3">
+                                    <span className="mt-0.5 px-2 py-0.5 rounded text-xs font-mono bg-slate-800 text-slate-400">{rule.priority}</span>
+                                    <div className="flex-1 min-w-0">
+                                        <div className="flex items-center gap-2">
+                                            <span className={clsx('font-medium', rule.enabled ? 'text-white' : 'text-slate-500')}>{rule.name}</span>
+                                            {rule.ignoreQuietHours && rule.action === 'notify' && (
+                                                <span className="px-2 py-0.5 rounded text-xs font-medium bg-indigo-500/20 text-indigo-300">24/7</span>
+                                            )}
+                                            {!rule.enabled && (
+                                                <span className="px-2 py-0.5 rounded text-xs font-medium bg-slate-700 text-slate-400">Disabled</span>
+                                            )}
+                                        </div>
+                                        <p className="text-xs text-slate-400 mt-1">{describeMatch(rule, routerGroups)}</p>
+                                        <p className="text-xs text-slate-500">{describeSchedule(rule)}</p>
+                                        <p className={clsx('text-xs mt-1', rule.action === 'drop' ? 'text-red-400' : 'text-emerald-400')}>
+                                            {describeAction(rule, notificationGroups)}
+                                        </p>
+                                    </div>
+                                    {canEdit && (
+                                        <div className="flex gap-1">
+                                            <button
+                                                onClick={() => openModal(rule)}
+                                                className="p-1.5 rounded-lg text-slate-400 hover:text-white hover:bg-slate-800"
+                                                title="Edit"
+                                            >
+                                                <Edit2 className="w-4 h-4" />
+                                            </button>
+                                            <button
+                                                onClick={() => handleDelete(rule)}
+                                                className="p-1.5 rounded-lg text-slate-400 hover:text-red-400 hover:bg-slate-800"
+                                                title="Delete"
+                                            >
+                                                <Trash2 className="w-4 h-4" />
+                                            </button>
+                                        </div>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </CardContent>
+            </Card>
+
+            <Card>
+                <CardHeader>
+                    <CardTitle className="flex items-center gap-2">
+                        <Moon className="w-5 h-5" />
+                        Quiet Hours
+                    </CardTitle>
+                </CardHeader>
+                <CardContent>
+                    {quietHours ? (
+                        <QuietHoursForm quietHours={quietHours} canEdit={canEdit} />
+                    ) : (
+                        <div className="flex items-center justify-center py-4">
+                            <RefreshCw className="w-5 h-5 animate-spin text-slate-400" />
+                        </div>
+                    )}
+                </CardContent>
+            </Card>
+
+            {/* Info Box */}
+            <div className="flex items-start gap-3 p-4 bg-blue-500/10 border border-blue-500/20 rounded-lg">
+                <Info className="w-5 h-5 text-blue-400 flex-shrink-0 mt-0.5" />
+                <div className="text-sm text-blue-300">
+                    <p className="font-medium mb-1">How rules are applied</p>
+                    <ul className="list-disc list-inside text-blue-300/80 space-y-1">
+                        <li>Rules are checked from the lowest priority number; the first match decides</li>
+                        <li>Alerts that match no rule go to the router's notification group</li>
+                        <li>Escalations are routed the same way as the original alert, also when a policy level names a group</li>
+                        <li>During quiet hours only rules marked "Send during quiet hours" notify</li>
+                    </ul>
+                </div>
+            </div>
+
+            {isModalOpen && (
+                <NotificationRuleModal
+                    key={editingRule?.id || 'new'}
+                    isOpen={isModalOpen}
+                    onClose={() => setIsModalOpen(false)}
+                    rule={editingRule}
+                />
+            )}
+        </div>
+    );
+}
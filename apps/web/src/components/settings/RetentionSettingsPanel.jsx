@@ -0,0 +1,176 @@
+import React, { useState } from 'react';
+import { useSettings, useUpdateSetting, useCurrentUser } from '@/hooks';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/Card';
+import { Button } from '@/components/ui/Button';
+import { Input } from '@/components/ui/Input';
+import { Database, Activity, Network, Save, RefreshCw, Info } from 'lucide-react';
+
+// Retention windows (days) - keep in sync with the API defaults
+const RETENTION_GROUPS = [
+    {
+        title: 'Router Metrics (CPU, Memory, Disk)',
+        icon: Database,
+        fields: [
+            { key: 'metricsRawRetentionDays', label: 'Raw samples', default: 7, min: 1, hint: 'Rolled into hourly aggregates before deletion' },
+            { key: 'metricsHourlyRetentionDays', label: 'Hourly aggregates', default: 90, min: 2, hint: 'Rolled into daily aggregates before deletion' },
+            { key: 'metricsDailyRetentionDays', label: 'Daily aggregates', default: 730, min: 7, hint: 'Used for analytics ranges beyond the hourly window' },
+        ],
+    },
+    {
+        title: 'Netwatch Latency',
+        icon: Activity,
+        fields: [
+            { key: 'netwatchRawRetentionDays', label: 'Raw samples', default: 2, min: 1 },
+            { key: 'netwatchRollup5mRetentionDays', label: '5-minute aggregates', default: 14, min: 1 },
+            { key: 'netwatchRollup1hRetentionDays', label: 'Hourly aggregates', default: 90, min: 1 },
+        ],
+    },
+    {
+        title: 'Interface Traffic',
+        icon: Network,
+        fields: [
+            { key: 'interfaceSamplesRetentionDays', label: 'Traffic samples', default: 35, min: 1, hint: 'Keep at least 30 days for the monthly 95th percentile' },
+        ],
+    },
+];
+
+const ALL_FIELDS = RETENTION_GROUPS.flatMap(group => group.fields);
+
+export default function RetentionSettingsPanel() {
+    const { data: settings, isLoading } = useSettings();
+    const { data: currentUser } = useCurrentUser();
+    const updateSettingMutation = useUpdateSetting();
+
+    // Unsaved edits only; everything else is read straight from settings
+    const [drafts, setDrafts] = useState({});
+    const [saveStatus, setSaveStatus] = useState('');
+
+    const isAdmin = currentUser?.role === 'admin';
+    const hasChanges = Object.keys(drafts).length > 0;
+
+    const getValue = (field) => drafts[field.key] ?? settings?.[field.key] ?? field.default;
+
+    const handleChange = (key, value) => {
+        setDrafts(prev => ({ ...prev, [key]: value }));
+    };
+
+    const handleSave = async () => {
+        const invalid = ALL_FIELDS.find(field => {
+            const days = parseInt(getValue(field), 10);
+            return isNaN(days) || days < field.min;
+        });
+        if (invalid) {
+            setSaveStatus(`Failed to save: ${invalid.label} must be at least ${invalid.min} day(s)`);
+            return;
+        }
+
+        setSaveStatus('Saving...');
+        try {
+            for (const field of ALL_FIELDS) {
+                if (!(field.key in drafts)) continue;
+                await updateSettingMutation.mutateAsync({
+                    key: field.key,
+                    value: parseInt(drafts[field.key], 10),
+                    description: `Retention for ${field.label.toLowerCase()} (days)`
+                });
+            }
+
+            setSaveStatus('Retention settings saved successfully!');
+            setDrafts({});
+            setTimeout(() => setSaveStatus(''), 3000);
+        } catch (error) {
+            setSaveStatus('Failed to save: ' + (error.message || 'Unknown error'));
+        }
+    };
+
+    const handleReset = () => {
+        setDrafts(Object.fromEntries(ALL_FIELDS.map(field => [field.key, field.default])));
+    };
+
+    if (isLoading) {
+        return (
+            <Card>
+                <CardContent className="flex items-center justify-center py-8">
+                    <RefreshCw className="w-5 h-5 animate-spin text-slate-400" />
+                </CardContent>
+            </Card>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            {saveStatus && (
+                <div className={`p-3 rounded-lg text-sm ${saveStatus.includes('Failed')
+                        ? 'bg-red-500/10 border border-red-500/20 text-red-400'
+                        : 'bg-emerald-500/10 border border-emerald-500/20 text-emerald-400'
+                    }`}>
+                    {saveStatus}
+                </div>
+            )}
+
+            {RETENTION_GROUPS.map((group) => (
+                <Card key={group.title}>
+                    <CardHeader>
+                        <CardTitle className="flex items-center gap-2">
+                            <group.icon className="w-5 h-5" />
+                            {group.title}
+                        </CardTitle>
+                    </CardHeader>
+                    <CardContent>
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                            {group.fields.map((field) => (
+                                <div key={field.key} className="space-y-2">
+                                    <label className="text-sm font-medium text-slate-300">{field.label} (days)</label>
+                                    <Input
+                                        type="number"
+                                        value={getValue(field)}
+                                        onChange={(e) => handleChange(field.key, e.target.value)}
+                                        disabled={!isAdmin}
+                                        min={field.min}
+                                    />
+                                    {field.hint && (
+                                        <p className="text-xs text-slate-500">{field.hint}</p>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                    </CardContent>
+                </Card>
+            ))}
+
+            {/* Info Box */}
+            <div className="flex items-start gap-3 p-4 bg-blue-500/10 border border-blue-500/20 rounded-lg">
+                <Info className="w-5 h-5 text-blue-400 flex-shrink-0 mt-0.5" />
+                <div className="text-sm text-blue-300">
+                    <p className="font-medium mb-1">How Data Retention Works</p>
+                    <ul className="list-disc list-inside text-blue-300/80 space-y-1">
+                        <li>The retention job runs every hour and deletes data older than its window</li>
+                        <li>Router metrics are downsampled to hourly, then daily aggregates before deletion</li>
+                        <li>Analytics automatically read the most detailed tier that covers the selected range</li>
+                    </ul>
+                </div>
+            </div>
+
+            {/* Action Buttons */}
+            <div className="flex justify-between items-center pt-2">
+                <Button
+                    type="button"
+                    variant="outline"
+                    onClick={handleReset}
+                    disabled={!isAdmin}
+                >
+                    <RefreshCw className="w-4 h-4 mr-2" />
+                    Reset to Defaults
+                </Button>
+                <Button
+                    onClick={handleSave}
+                    disabled={!hasChanges || !isAdmin}
+                    loading={updateSettingMutation.isPending}
+                >
+                    <Save className="w-4 h-4 mr-2" />
+                    Save Retention Settings
+                </Button>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/Button';
+import { Input } from '@/components/ui/Input';
+import { Save, Trash2 } from 'lucide-react';
+import { THRESHOLD_FIELDS } from './thresholdFields';
+
+const toFormValues = (profile) =>
+    Object.fromEntries(THRESHOLD_FIELDS.map(({ key }) => [key, profile?.[key] ?? '']));
+
+/**
+ * Edit a router or group threshold profile.
+ * Empty fields inherit the value shown as placeholder (group or global threshold).
+ * Remount with a new `key` to reset the form when the profile changes.
+ */
+export default function ThresholdProfileEditor({ profile, inherited = {}, inheritedLabel = 'global', onSave, onRemove, isSaving, disabled }) {
+    const [values, setValues] = useState(() => toFormValues(profile));
+    const [error, setError] = useState('');
+
+    const handleChange = (key, value) => {
+        setValues(prev => ({ ...prev, [key]: value }));
+        setError('');
+    };
+
+    const effective = (key) => values[key] === '' ? inherited[key] : Number(values[key]);
+
+    const handleSave = () => {
+        if (effective('cpuWarning') >= effective('cpuCritical')) {
+            setError('CPU warning must be below CPU critical');
+            return;
+        }
+        if (effective('memoryWarning') >= effective('memoryCritical')) {
+            setError('Memory warning must be below memory critical');
+            return;
+        }
+        if (effective('diskWarning') >= effective('diskCritical')) {
+            setError('Disk warning must be below disk critical');
+            return;
+        }
+        if (effective('temperatureWarning') >= effective('temperatureCritical')) {
+            setError('Temperature warning must be below temperature critical');
+            return;
+        }
+        if (effective('voltageLow') >= effective('voltageHigh')) {
+            setError('Minimum voltage must be below maximum voltage');
+            return;
+        }
+
+        const data = Object.fromEntries(THRESHOLD_FIELDS.map(({ key, step }) => [
+            key,
+            values[key] === '' ? null : (step ? parseFloat(values[key]) : parseInt(values[key], 10)),
+        ]));
+        onSave(data);
+    };
+
+    return (
+        <div className="space-y-4">
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                {THRESHOLD_FIELDS.map((field) => (
+                    <div key={field.key} className="space-y-1">
+                        <label className="text-sm font-medium text-slate-300">
+                            {field.label} ({field.unit})
+                        </label>
+                        <Input
+                            type="number"
+                            value={values[field.key]}
+                            onChange={(e) => handleChange(field.key, e.target.value)}
+                            placeholder={inherited[field.key] !== undefined ? `${inherited[field.key]} (${inheritedLabel})` : 'Inherit'}
+                            min={field.min ?? 1}
+                            max={field.max}
+                            step={field.step}
+                            disabled={disabled}
+                        />
+                    </div>
+                ))}
+            </div>
+
+            <p className="text-xs text-slate-500">
+                Leave a field empty to inherit the {inheritedLabel} value.
+            </p>
+
+            {error && (
+                <p className="text-sm text-red-400">{error}</p>
+            )}
+
+            {!disabled && (
+                <div className="flex justify-end gap-2">
+                    {profile && onRemove && (
+                        <Button type="button" variant="outline" onClick={onRemove} disabled={isSaving}>
+                            <Trash2 className="w-4 h-4 mr-2" />
+                            Remove Overrides
+                        </Button>
+                    )}
+                    <Button type="button" onClick={handleSave} loading={isSaving}>
+                        <Save className="w-4 h-4 mr-2" />
+                        Save Thresholds
+                    </Button>
+                </div>
+            )}
+        </div>
+    );
+}
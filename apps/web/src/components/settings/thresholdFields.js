@@ -0,0 +1,28 @@
+// Alert threshold profile fields (router/group overrides of the global thresholds)
+export const THRESHOLD_FIELDS = [
+    { key: 'cpuWarning', label: 'CPU Warning', unit: '%', max: 100 },
+    { key: 'cpuCritical', label: 'CPU Critical', unit: '%', max: 100 },
+    { key: 'memoryWarning', label: 'Memory Warning', unit: '%', max: 100 },
+    { key: 'memoryCritical', label: 'Memory Critical', unit: '%', max: 100 },
+    { key: 'latencyWarning', label: 'Netwatch Latency', unit: 'ms', max: 10000 },
+    { key: 'packetLossWarning', label: 'Netwatch Packet Loss', unit: '%', max: 100, min: 0 },
+    { key: 'diskWarning', label: 'Disk Warning', unit: '%', max: 100 },
+    { key: 'diskCritical', label: 'Disk Critical', unit: '%', max: 100 },
+    { key: 'temperatureWarning', label: 'Temperature Warning', unit: '°C', max: 150 },
+    { key: 'temperatureCritical', label: 'Temperature Critical', unit: '°C', max: 150 },
+    { key: 'voltageLow', label: 'Minimum Voltage', unit: 'V', max: 100, min: 0, step: 0.1 },
+    { key: 'voltageHigh', label: 'Maximum Voltage', unit: 'V', max: 100, min: 0, step: 0.1 },
+];
+
+// Netwatch performance fields, overridable per device type and per netwatch entry
+export const NETWATCH_THRESHOLD_FIELDS = [
+    { key: 'latencyWarning', label: 'Latency', unit: 'ms', min: 1, max: 10000 },
+    { key: 'packetLossWarning', label: 'Packet Loss', unit: '%', min: 0, max: 100 },
+    { key: 'consecutiveBreaches', label: 'Breaches', unit: 'samples', min: 1, max: 20 },
+];
+
+export const NETWATCH_DEVICE_TYPES = [
+    { value: 'client', label: 'Client' },
+    { value: 'olt', label: 'OLT' },
+    { value: 'odp', label: 'ODP' },
+];
@@ -0,0 +1,35 @@
+import React from 'react';
+import clsx from 'clsx';
+import { X } from 'lucide-react';
+
+export const Drawer = ({ isOpen, onClose, title, subtitle, children, width = 'max-w-lg' }) => {
+    if (!isOpen) return null;
+
+    return (
+        <div className="fixed inset-0 z-50 flex justify-end bg-black/50 backdrop-blur-sm animate-in fade-in duration-200" onClick={onClose}>
+            <div
+                className={clsx(
+                    "relative w-full h-full bg-slate-900 border-l border-slate-700 shadow-2xl animate-in slide-in-from-right duration-200 flex flex-col",
+                    width
+                )}
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div className="flex items-start justify-between gap-4 p-4 border-b border-slate-700/50 shrink-0">
+                    <div className="min-w-0">
+                        <h2 className="text-lg font-semibold text-white truncate">{title}</h2>
+                        {subtitle && <p className="text-xs text-slate-400 mt-0.5">{subtitle}</p>}
+                    </div>
+                    <button
+                        onClick={onClose}
+                        className="p-1 rounded-lg text-slate-400 hover:text-white hover:bg-slate-800 transition-colors"
+                    >
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+                <div className="flex-1 p-4 overflow-y-auto">
+                    {children}
+                </div>
+            </div>
+        </div>
+    );
+};
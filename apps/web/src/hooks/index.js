@@ -3,12 +3,15 @@ export {
     useRouters,
     useRouter,
     useRouterInterfaces,
+    useInterfaceHistory,
     useRouterMetrics,
     useRouterMetricsHistory,
     useRouterNetwatch,
+    useNetwatchHistory,
     useCreateRouter,
     useUpdateRouter,
     useDeleteRouter,
+    useUpdateInterface,
     useTestConnection,
     useTestConnectionWithCredentials,
     useRefreshRouter,
@@ -31,6 +34,7 @@ export {
     useCreateUser,
     useUpdateUser,
     useUpdateUserRole,
+    useUpdateUserTelegram,
     useUpdateUserPassword,
     useDeleteUser,
     userKeys,
@@ -40,12 +44,19 @@ export {
 export {
     useAlerts,
     useAlert,
+    useAlertSubtree,
+    useAlertTimeline,
+    useAlertComments,
+    useAlertAssignees,
     useUnreadAlertCount,
     useUnacknowledgedAlerts,
     useAcknowledgeAlert,
     useAcknowledgeAllAlerts,
     useResolveAlert,
     useDeleteAlert,
+    useAddAlertComment,
+    useDeleteAlertComment,
+    useAssignAlert,
     alertKeys,
 } from './useAlerts';
 
@@ -59,6 +70,48 @@ export {
     groupKeys,
 } from './useGroups';
 
+// Alert threshold profile hooks
+export {
+    useThresholdProfiles,
+    useRouterThresholds,
+    useUpdateRouterThresholds,
+    useDeleteRouterThresholds,
+    useUpdateGroupThresholds,
+    useDeleteGroupThresholds,
+    thresholdKeys,
+} from './useThresholds';
+
+// Maintenance window hooks
+export {
+    useMaintenanceWindows,
+    useActiveMaintenance,
+    useCreateMaintenanceWindow,
+    useUpdateMaintenanceWindow,
+    useDeleteMaintenanceWindow,
+    maintenanceKeys,
+} from './useMaintenance';
+
+// Notification routing rule hooks
+export {
+    useNotificationRules,
+    useQuietHours,
+    useNotificationGroupOptions,
+    useCreateNotificationRule,
+    useUpdateNotificationRule,
+    useDeleteNotificationRule,
+    useUpdateQuietHours,
+    notificationRuleKeys,
+} from './useNotificationRules';
+
+// Escalation policy hooks
+export {
+    useEscalationPolicies,
+    useCreateEscalationPolicy,
+    useUpdateEscalationPolicy,
+    useDeleteEscalationPolicy,
+    escalationPolicyKeys,
+} from './useEscalationPolicies';
+
 // Settings hooks
 export {
     useSettings,
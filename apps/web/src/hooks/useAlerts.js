@@ -6,6 +6,10 @@ export const alertKeys = {
     all: ['alerts'],
     lists: () => [...alertKeys.all, 'list'],
     detail: (id) => [...alertKeys.all, 'detail', id],
+    subtree: (id) => [...alertKeys.detail(id), 'subtree'],
+    timeline: (id) => [...alertKeys.detail(id), 'timeline'],
+    comments: (id) => [...alertKeys.detail(id), 'comments'],
+    assignees: (id) => [...alertKeys.detail(id), 'assignees'],
     unread: () => [...alertKeys.all, 'unread'],
     unacknowledged: () => [...alertKeys.all, 'unacknowledged'],
 };
@@ -45,6 +49,59 @@ export function useAlert(id, options = {}) {
     });
 }
 
+/**
+ * Hook to fetch a root cause alert with the downstream alerts attached to it
+ */
+export function useAlertSubtree(id, options = {}) {
+    return useQuery({
+        queryKey: alertKeys.subtree(id),
+        queryFn: () => alertService.getSubtree(id),
+        enabled: !!id,
+        staleTime: 30 * 1000,
+        ...options,
+    });
+}
+
+/**
+ * Hook to fetch the incident timeline of an alert
+ */
+export function useAlertTimeline(id, options = {}) {
+    return useQuery({
+        queryKey: alertKeys.timeline(id),
+        queryFn: () => alertService.getTimeline(id),
+        enabled: !!id,
+        staleTime: 15 * 1000,
+        refetchInterval: 30 * 1000,
+        ...options,
+    });
+}
+
+/**
+ * Hook to fetch the comment threads of an alert
+ */
+export function useAlertComments(id, options = {}) {
+    return useQuery({
+        queryKey: alertKeys.comments(id),
+        queryFn: () => alertService.getComments(id),
+        enabled: !!id,
+        staleTime: 15 * 1000,
+        ...options,
+    });
+}
+
+/**
+ * Hook to fetch users an alert can be assigned to
+ */
+export function useAlertAssignees(id, options = {}) {
+    return useQuery({
+        queryKey: alertKeys.assignees(id),
+        queryFn: () => alertService.getAssignees(id),
+        enabled: !!id,
+        staleTime: 60 * 1000,
+        ...options,
+    });
+}
+
 /**
  * Hook to fetch unread alert count
  */
@@ -141,3 +198,48 @@ export function useAcknowledgeAllAlerts() {
         },
     });
 }
+
+/**
+ * Hook to add a comment or reply to an alert
+ */
+export function useAddAlertComment() {
+    const queryClient = useQueryClient();
+
+    return useMutation({
+        mutationFn: ({ alertId, body, parentId }) => alertService.addComment(alertId, body, parentId),
+        onSuccess: (_, { alertId }) => {
+            queryClient.invalidateQueries({ queryKey: alertKeys.comments(alertId) });
+            queryClient.invalidateQueries({ queryKey: alertKeys.timeline(alertId) });
+        },
+    });
+}
+
+/**
+ * Hook to delete an alert comment
+ */
+export function useDeleteAlertComment() {
+    const queryClient = useQueryClient();
+
+    return useMutation({
+        mutationFn: ({ alertId, commentId }) => alertService.deleteComment(alertId, commentId),
+        onSuccess: (_, { alertId }) => {
+            queryClient.invalidateQueries({ queryKey: alertKeys.comments(alertId) });
+            queryClient.invalidateQueries({ queryKey: alertKeys.timeline(alertId) });
+        },
+    });
+}
+
+/**
+ * Hook to assign an alert to a user (null unassigns)
+ */
+export function useAssignAlert() {
+    const queryClient = useQueryClient();
+
+    return useMutation({
+        mutationFn: ({ alertId, userId }) => alertService.assign(alertId, userId),
+        onSuccess: (_, { alertId }) => {
+            queryClient.invalidateQueries({ queryKey: alertKeys.timeline(alertId) });
+            queryClient.invalidateQueries({ queryKey: alertKeys.lists() });
+        },
+    });
+}
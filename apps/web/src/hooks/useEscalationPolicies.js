@@ -0,0 +1,67 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { escalationPolicyService } from '@/lib/api';
+import { groupKeys } from './useGroups';
+
+// Query Keys
+export const escalationPolicyKeys = {
+    all: ['escalation-policies'],
+    lists: () => [...escalationPolicyKeys.all, 'list'],
+};
+
+// ==================== Queries ====================
+
+/**
+ * Hook to fetch all escalation policies
+ */
+export function useEscalationPolicies(options = {}) {
+    return useQuery({
+        queryKey: escalationPolicyKeys.lists(),
+        queryFn: () => escalationPolicyService.getAll(),
+        staleTime: 30 * 1000,
+        ...options,
+    });
+}
+
+// ==================== Mutations ====================
+
+// Saving a policy can move router groups between policies
+const invalidatePolicies = (queryClient) => {
+    queryClient.invalidateQueries({ queryKey: escalationPolicyKeys.all });
+    queryClient.invalidateQueries({ queryKey: groupKeys.all });
+};
+
+/**
+ * Hook to create an escalation policy
+ */
+export function useCreateEscalationPolicy() {
+    const queryClient = useQueryClient();
+
+    return useMutation({
+        mutationFn: (data) => escalationPolicyService.create(data),
+        onSuccess: () => invalidatePolicies(queryClient),
+    });
+}
+
+/**
+ * Hook to update an escalation policy
+ */
+export function useUpdateEscalationPolicy() {
+    const queryClient = useQueryClient();
+
+    return useMutation({
+        mutationFn: ({ id, data }) => escalationPolicyService.update(id, data),
+        onSuccess: () => invalidatePolicies(queryClient),
+    });
+}
+
+/**
+ * Hook to delete an escalation policy
+ */
+export function useDeleteEscalationPolicy() {
+    const queryClient = useQueryClient();
+
+    return useMutation({
+        mutationFn: (id) => escalationPolicyService.delete(id),
+        onSuccess: () => invalidatePolicies(queryClient),
+    });
+}
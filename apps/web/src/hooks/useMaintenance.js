@@ -0,0 +1,81 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { maintenanceService } from '@/lib/api';
+import { routerKeys } from './useRouters';
+
+// Query Keys
+export const maintenanceKeys = {
+    all: ['maintenance'],
+    lists: () => [...maintenanceKeys.all, 'list'],
+    active: () => [...maintenanceKeys.all, 'active'],
+};
+
+// ==================== Queries ====================
+
+/**
+ * Hook to fetch all maintenance windows
+ */
+export function useMaintenanceWindows(options = {}) {
+    return useQuery({
+        queryKey: maintenanceKeys.lists(),
+        queryFn: () => maintenanceService.getAll(),
+        staleTime: 30 * 1000,
+        ...options,
+    });
+}
+
+/**
+ * Hook to fetch the routers and netwatch entries currently in maintenance
+ */
+export function useActiveMaintenance(options = {}) {
+    return useQuery({
+        queryKey: maintenanceKeys.active(),
+        queryFn: () => maintenanceService.getActive(),
+        refetchInterval: 60 * 1000,
+        ...options,
+    });
+}
+
+// ==================== Mutations ====================
+
+// Windows change the maintenance flag on routers, netwatch and dashboard stats
+const invalidateMaintenance = (queryClient) => {
+    queryClient.invalidateQueries({ queryKey: maintenanceKeys.all });
+    queryClient.invalidateQueries({ queryKey: routerKeys.all });
+    queryClient.invalidateQueries({ queryKey: ['dashboard-stats'] });
+};
+
+/**
+ * Hook to create a maintenance window
+ */
+export function useCreateMaintenanceWindow() {
+    const queryClient = useQueryClient();
+
+    return useMutation({
+        mutationFn: (data) => maintenanceService.create(data),
+        onSuccess: () => invalidateMaintenance(queryClient),
+    });
+}
+
+/**
+ * Hook to update a maintenance window
+ */
+export function useUpdateMaintenanceWindow() {
+    const queryClient = useQueryClient();
+
+    return useMutation({
+        mutationFn: ({ id, data }) => maintenanceService.update(id, data),
+        onSuccess: () => invalidateMaintenance(queryClient),
+    });
+}
+
+/**
+ * Hook to delete a maintenance window
+ */
+export function useDeleteMaintenanceWindow() {
+    const queryClient = useQueryClient();
+
+    return useMutation({
+        mutationFn: (id) => maintenanceService.delete(id),
+        onSuccess: () => invalidateMaintenance(queryClient),
+    });
+}
@@ -0,0 +1,96 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { notificationRuleService } from '@/lib/api';
+
+// Query Keys
+export const notificationRuleKeys = {
+    all: ['notification-rules'],
+    lists: () => [...notificationRuleKeys.all, 'list'],
+    quietHours: () => [...notificationRuleKeys.all, 'quiet-hours'],
+};
+
+// ==================== Queries ====================
+
+/**
+ * Hook to fetch all notification routing rules
+ */
+export function useNotificationRules(options = {}) {
+    return useQuery({
+        queryKey: notificationRuleKeys.lists(),
+        queryFn: () => notificationRuleService.getAll(),
+        staleTime: 30 * 1000,
+        ...options,
+    });
+}
+
+/**
+ * Hook to fetch quiet hours
+ */
+export function useQuietHours(options = {}) {
+    return useQuery({
+        queryKey: notificationRuleKeys.quietHours(),
+        queryFn: () => notificationRuleService.getQuietHours(),
+        ...options,
+    });
+}
+
+/**
+ * Hook to fetch notification groups to route to.
+ * Shares its cache with the Notification Groups page.
+ */
+export function useNotificationGroupOptions(options = {}) {
+    return useQuery({
+        queryKey: ['notification-groups'],
+        queryFn: () => notificationRuleService.getNotificationGroups(),
+        ...options,
+    });
+}
+
+// ==================== Mutations ====================
+
+/**
+ * Hook to create a notification rule
+ */
+export function useCreateNotificationRule() {
+    const queryClient = useQueryClient();
+
+    return useMutation({
+        mutationFn: (data) => notificationRuleService.create(data),
+        onSuccess: () => queryClient.invalidateQueries({ queryKey: notificationRuleKeys.lists() }),
+    });
+}
+
+/**
+ * Hook to update a notification rule
+ */
+export function useUpdateNotificationRule() {
+    const queryClient = useQueryClient();
+
+    return useMutation({
+        mutationFn: ({ id, data }) => notificationRuleService.update(id, data),
+        onSuccess: () => queryClient.invalidateQueries({ queryKey: notificationRuleKeys.lists() }),
+    });
+}
+
+/**
+ * Hook to delete a notification rule
+ */
+export function useDeleteNotificationRule() {
+    const queryClient = useQueryClient();
+
+    return useMutation({
+        mutationFn: (id) => notificationRuleService.delete(id),
+        onSuccess: () => queryClient.invalidateQueries({ queryKey: notificationRuleKeys.lists() }),
+    });
+}
+
+/**
+ * Hook to update quiet hours
+ */
+export function useUpdateQuietHours() {
+    const queryClient = useQueryClient();
+
+    return useMutation({
+        mutationFn: (data) => notificationRuleService.updateQuietHours(data),
+        onSuccess: (data) => queryClient.setQueryData(notificationRuleKeys.quietHours(), data),
+    });
+}
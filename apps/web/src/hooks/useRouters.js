@@ -1,5 +1,6 @@
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { routerService } from '@/lib/api';
+import { thresholdKeys } from './useThresholds';
 
 // Query Keys
 export const routerKeys = {
@@ -7,9 +8,11 @@ export const routerKeys = {
     lists: () => [...routerKeys.all, 'list'],
     detail: (id) => [...routerKeys.all, 'detail', id],
     interfaces: (id) => [...routerKeys.detail(id), 'interfaces'],
+    interfaceHistory: (id, interfaceId, range) => [...routerKeys.interfaces(id), interfaceId, 'history', range],
     metrics: (id) => [...routerKeys.detail(id), 'metrics'],
     metricsHistory: (id) => [...routerKeys.detail(id), 'metrics', 'history'],
     netwatch: (id) => [...routerKeys.detail(id), 'netwatch'],
+    netwatchHistory: (id, netwatchId, range) => [...routerKeys.netwatch(id), netwatchId, 'history', range],
     hotspot: (id) => [...routerKeys.detail(id), 'hotspot'],
     ppp: (id) => [...routerKeys.detail(id), 'ppp'],
     pingLatencies: (id) => [...routerKeys.detail(id), 'pingLatencies'],
@@ -58,6 +61,20 @@ export function useRouterInterfaces(routerId, options = {}) {
     });
 }
 
+/**
+ * Hook to fetch traffic history for an interface
+ */
+export function useInterfaceHistory(routerId, interfaceId, range = '24h', options = {}) {
+    return useQuery({
+        queryKey: routerKeys.interfaceHistory(routerId, interfaceId, range),
+        queryFn: () => routerService.getInterfaceHistory(routerId, interfaceId, range),
+        staleTime: 60 * 1000,
+        refetchInterval: 5 * 60 * 1000,
+        enabled: !!routerId && !!interfaceId,
+        ...options,
+    });
+}
+
 /**
  * Hook to fetch router metrics
  */
@@ -99,6 +116,20 @@ export function useRouterNetwatch(routerId, options = {}) {
     });
 }
 
+/**
+ * Hook to fetch latency / packet loss history for a netwatch entry
+ */
+export function useNetwatchHistory(routerId, netwatchId, range = '24h', options = {}) {
+    return useQuery({
+        queryKey: routerKeys.netwatchHistory(routerId, netwatchId, range),
+        queryFn: () => routerService.getNetwatchHistory(routerId, netwatchId, range),
+        staleTime: 60 * 1000,
+        refetchInterval: 60 * 1000,
+        enabled: !!routerId && !!netwatchId,
+        ...options,
+    });
+}
+
 // ==================== Mutations ====================
 
 /**
@@ -201,6 +232,22 @@ export function useUpdateRouter() {
         onSuccess: (_, { id }) => {
             queryClient.invalidateQueries({ queryKey: routerKeys.detail(id) });
             queryClient.invalidateQueries({ queryKey: routerKeys.lists() });
+            // Moving a router to another group changes its inherited thresholds
+            queryClient.invalidateQueries({ queryKey: thresholdKeys.router(id) });
+        },
+    });
+}
+
+/**
+ * Hook to toggle link monitoring for an interface
+ */
+export function useUpdateInterface() {
+    const queryClient = useQueryClient();
+
+    return useMutation({
+        mutationFn: ({ routerId, interfaceId, data }) => routerService.updateInterface(routerId, interfaceId, data),
+        onSuccess: (_, { routerId }) => {
+            queryClient.invalidateQueries({ queryKey: routerKeys.interfaces(routerId) });
         },
     });
 }
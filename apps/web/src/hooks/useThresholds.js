@@ -0,0 +1,94 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { routerService, groupService } from '@/lib/api';
+
+// Query Keys
+export const thresholdKeys = {
+    all: ['thresholds'],
+    profiles: () => [...thresholdKeys.all, 'profiles'],
+    router: (routerId) => [...thresholdKeys.all, 'router', routerId],
+};
+
+// ==================== Queries ====================
+
+/**
+ * Hook to fetch all alert threshold profiles (router and group level)
+ */
+export function useThresholdProfiles(options = {}) {
+    return useQuery({
+        queryKey: thresholdKeys.profiles(),
+        queryFn: () => groupService.getThresholdProfiles(),
+        staleTime: 60 * 1000,
+        ...options,
+    });
+}
+
+/**
+ * Hook to fetch a router's threshold profile and effective thresholds
+ */
+export function useRouterThresholds(routerId, options = {}) {
+    return useQuery({
+        queryKey: thresholdKeys.router(routerId),
+        queryFn: () => routerService.getThresholds(routerId),
+        enabled: !!routerId,
+        ...options,
+    });
+}
+
+// ==================== Mutations ====================
+
+/**
+ * Hook to set a router's threshold overrides
+ */
+export function useUpdateRouterThresholds() {
+    const queryClient = useQueryClient();
+
+    return useMutation({
+        mutationFn: ({ routerId, data }) => routerService.updateThresholds(routerId, data),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: thresholdKeys.all });
+        },
+    });
+}
+
+/**
+ * Hook to remove a router's threshold overrides
+ */
+export function useDeleteRouterThresholds() {
+    const queryClient = useQueryClient();
+
+    return useMutation({
+        mutationFn: (routerId) => routerService.deleteThresholds(routerId),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: thresholdKeys.all });
+        },
+    });
+}
+
+/**
+ * Hook to set a group's threshold overrides
+ */
+export function useUpdateGroupThresholds() {
+    const queryClient = useQueryClient();
+
+    return useMutation({
+        mutationFn: ({ groupId, data }) => groupService.updateThresholds(groupId, data),
+        onSuccess: () => {
+            // Effective thresholds of every router in the group change too
+            queryClient.invalidateQueries({ queryKey: thresholdKeys.all });
+        },
+    });
+}
+
+/**
+ * Hook to remove a group's threshold overrides
+ */
+export function useDeleteGroupThresholds() {
+    const queryClient = useQueryClient();
+
+    return useMutation({
+        mutationFn: (groupId) => groupService.deleteThresholds(groupId),
+        onSuccess: () => {
+            queryClient.invalidateQueries({ queryKey: thresholdKeys.all });
+        },
+    });
+}
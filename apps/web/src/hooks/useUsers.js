@@ -81,6 +81,21 @@ export function useUpdateUserRole() {
     });
 }
 
+/**
+ * Hook to link a user's Telegram account (admin only)
+ */
+export function useUpdateUserTelegram() {
+    const queryClient = useQueryClient();
+
+    return useMutation({
+        mutationFn: ({ id, telegramChatId }) => userService.updateTelegram(id, telegramChatId),
+        onSuccess: (_, { id }) => {
+            queryClient.invalidateQueries({ queryKey: userKeys.detail(id) });
+            queryClient.invalidateQueries({ queryKey: userKeys.lists() });
+        },
+    });
+}
+
 /**
  * Hook to update user password (admin only)
  */
@@ -8,4 +8,7 @@ export {
     alertService,
     groupService,
     settingsService,
+    maintenanceService,
+    notificationRuleService,
+    escalationPolicyService,
 } from './services';
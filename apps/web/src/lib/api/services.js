@@ -35,6 +35,13 @@ export const routerService = {
     // Get router interfaces
     getInterfaces: (routerId) => get(`/routers/${routerId}/interfaces`),
 
+    // Toggle link down / flap alerts for an interface
+    updateInterface: (routerId, interfaceId, data) => put(`/routers/${routerId}/interfaces/${interfaceId}`, data),
+
+    // Get traffic history (with 95th percentile) for an interface
+    getInterfaceHistory: (routerId, interfaceId, range = '24h') =>
+        get(`/routers/${routerId}/interfaces/${interfaceId}/history?range=${range}`),
+
     // Get latest router metrics
     getMetrics: (routerId) => get(`/routers/${routerId}/metrics`),
 
@@ -59,6 +66,19 @@ export const routerService = {
     // Sync netwatch from MikroTik router
     syncNetwatch: (routerId) => post(`/routers/${routerId}/netwatch/sync`),
 
+    // Get latency / packet loss history for a netwatch entry
+    getNetwatchHistory: (routerId, netwatchId, range = '24h') =>
+        get(`/routers/${routerId}/netwatch/${netwatchId}/history?range=${range}`),
+
+    // Get alert threshold profile and effective thresholds
+    getThresholds: (routerId) => get(`/routers/${routerId}/thresholds`),
+
+    // Set alert threshold overrides (null fields inherit from group/global)
+    updateThresholds: (routerId, data) => put(`/routers/${routerId}/thresholds`, data),
+
+    // Remove alert threshold overrides
+    deleteThresholds: (routerId) => del(`/routers/${routerId}/thresholds`),
+
     // Get active hotspot users
     getHotspotActive: (routerId) => get(`/routers/${routerId}/hotspot/active`),
 
@@ -89,6 +109,9 @@ export const userService = {
     // Update user role
     updateRole: (id, role) => put(`/users/${id}/role`, { role }),
 
+    // Link Telegram account for bot commands (admin only)
+    updateTelegram: (id, telegramChatId) => put(`/users/${id}/telegram`, { telegramChatId }),
+
     // Update user password (admin only)
     updatePassword: (id, password) => put(`/users/${id}/password`, { password }),
 
@@ -121,6 +144,9 @@ export const alertService = {
     // Get alert by ID
     getById: (id) => get(`/alerts/${id}`),
 
+    // Get a root cause alert with its downstream alerts
+    getSubtree: (id) => get(`/alerts/${id}/subtree`),
+
     // Get unread alert count
     getUnreadCount: () => get('/alerts/unread'),
 
@@ -155,6 +181,24 @@ export const alertService = {
 
     // Delete an alert
     delete: (id) => del(`/alerts/${id}`),
+
+    // Get the incident timeline of an alert
+    getTimeline: (id) => get(`/alerts/${id}/timeline`),
+
+    // Get comment threads of an alert
+    getComments: (id) => get(`/alerts/${id}/comments`),
+
+    // Add a comment (or a reply with parentId)
+    addComment: (id, body, parentId = null) => post(`/alerts/${id}/comments`, { body, parentId }),
+
+    // Delete a comment
+    deleteComment: (id, commentId) => del(`/alerts/${id}/comments/${commentId}`),
+
+    // Get users the alert can be assigned to
+    getAssignees: (id) => get(`/alerts/${id}/assignees`),
+
+    // Assign an alert (null unassigns)
+    assign: (id, userId) => put(`/alerts/${id}/assign`, { userId }),
 };
 
 /**
@@ -176,6 +220,81 @@ export const groupService = {
 
     // Delete a group
     delete: (id) => del(`/groups/${id}`),
+
+    // Get all alert threshold profiles (router and group level)
+    getThresholdProfiles: () => get('/groups/thresholds'),
+
+    // Set alert threshold overrides for a group
+    updateThresholds: (id, data) => put(`/groups/${id}/thresholds`, data),
+
+    // Remove alert threshold overrides for a group
+    deleteThresholds: (id) => del(`/groups/${id}/thresholds`),
+};
+
+/**
+ * Maintenance Service
+ * Handles maintenance window API calls
+ */
+export const maintenanceService = {
+    // Get all maintenance windows
+    getAll: () => get('/maintenance'),
+
+    // Get routers and netwatch entries currently in maintenance
+    getActive: () => get('/maintenance/active'),
+
+    // Create a maintenance window
+    create: (data) => post('/maintenance', data),
+
+    // Update a maintenance window
+    update: (id, data) => put(`/maintenance/${id}`, data),
+
+    // Delete a maintenance window
+    delete: (id) => del(`/maintenance/${id}`),
+};
+
+/**
+ * Escalation Policy Service
+ * Handles escalation policy API calls
+ */
+export const escalationPolicyService = {
+    // Get all policies with their router groups
+    getAll: () => get('/escalation-policies'),
+
+    // Create a policy
+    create: (data) => post('/escalation-policies', data),
+
+    // Update a policy
+    update: (id, data) => put(`/escalation-policies/${id}`, data),
+
+    // Delete a policy
+    delete: (id) => del(`/escalation-policies/${id}`),
+};
+
+/**
+ * Notification Rule Service
+ * Handles notification routing rule and quiet hours API calls
+ */
+export const notificationRuleService = {
+    // Get all rules in evaluation order
+    getAll: () => get('/notification-rules'),
+
+    // Create a rule
+    create: (data) => post('/notification-rules', data),
+
+    // Update a rule
+    update: (id, data) => put(`/notification-rules/${id}`, data),
+
+    // Delete a rule
+    delete: (id) => del(`/notification-rules/${id}`),
+
+    // Get quiet hours
+    getQuietHours: () => get('/notification-rules/quiet-hours'),
+
+    // Update quiet hours
+    updateQuietHours: (data) => put('/notification-rules/quiet-hours', data),
+
+    // Get notification groups (rule targets)
+    getNotificationGroups: () => get('/notification-groups'),
 };
 
 /**
@@ -1,4 +1,4 @@
-import { get, put, del } from '../client';
+import { get, post, put, del } from '../client';
 
 /**
  * Alert Service
@@ -31,6 +31,11 @@ export const alertService = {
      */
     getById: (id) => get(`/alerts/${id}`),
 
+    /**
+     * Get a root cause alert with its downstream (suppressed) alerts
+     */
+    getSubtree: (id) => get(`/alerts/${id}/subtree`),
+
     /**
      * Get unread alert count and statistics
      */
@@ -76,6 +81,35 @@ export const alertService = {
         const query = category ? `?category=${category}` : '';
         return put(`/alerts/acknowledge-all${query}`);
     },
+    /**
+     * Get the incident timeline of an alert
+     */
+    getTimeline: (id) => get(`/alerts/${id}/timeline`),
+
+    /**
+     * Get comment threads of an alert
+     */
+    getComments: (id) => get(`/alerts/${id}/comments`),
+
+    /**
+     * Add a comment (or a reply with parentId)
+     */
+    addComment: (id, body, parentId = null) => post(`/alerts/${id}/comments`, { body, parentId }),
+
+    /**
+     * Delete a comment (author or Admin)
+     */
+    deleteComment: (id, commentId) => del(`/alerts/${id}/comments/${commentId}`),
+
+    /**
+     * Get users the alert can be assigned to (Operator+)
+     */
+    getAssignees: (id) => get(`/alerts/${id}/assignees`),
+
+    /**
+     * Assign an alert, null unassigns (Operator+)
+     */
+    assign: (id, userId) => put(`/alerts/${id}/assign`, { userId }),
 };
 
 export default alertService;
@@ -0,0 +1,30 @@
+import { get, post, put, del } from '../client';
+import type { EscalationPolicy, EscalationPolicyInput } from '../types';
+
+/**
+ * Escalation Policy Service
+ * Handles escalation policy API calls
+ */
+export const escalationPolicyService = {
+    /**
+     * Get all policies with their router groups
+     */
+    getAll: () => get<EscalationPolicy[]>('/escalation-policies'),
+
+    /**
+     * Create a policy (Admin)
+     */
+    create: (data: EscalationPolicyInput) => post<EscalationPolicy>('/escalation-policies', data),
+
+    /**
+     * Update a policy (Admin)
+     */
+    update: (id: string, data: EscalationPolicyInput) => put<EscalationPolicy>(`/escalation-policies/${id}`, data),
+
+    /**
+     * Delete a policy (Admin)
+     */
+    delete: (id: string) => del(`/escalation-policies/${id}`),
+};
+
+export default escalationPolicyService;
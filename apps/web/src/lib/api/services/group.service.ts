@@ -1,5 +1,5 @@
 import { get, post, put, del } from '../client';
-import type { Group, CreateGroupInput, UpdateGroupInput } from '../types';
+import type { Group, CreateGroupInput, UpdateGroupInput, ThresholdProfile, ThresholdOverrides } from '../types';
 
 /**
  * Group Service
@@ -30,6 +30,21 @@ export const groupService = {
      * Delete a group (Admin only)
      */
     delete: (id: string) => del(`/groups/${id}`),
+
+    /**
+     * Get all alert threshold profiles (router and group level)
+     */
+    getThresholdProfiles: () => get<ThresholdProfile[]>('/groups/thresholds'),
+
+    /**
+     * Set alert threshold overrides for a group (Operator+)
+     */
+    updateThresholds: (id: string, data: ThresholdOverrides) => put<ThresholdProfile | null>(`/groups/${id}/thresholds`, data),
+
+    /**
+     * Remove alert threshold overrides for a group (Operator+)
+     */
+    deleteThresholds: (id: string) => del(`/groups/${id}/thresholds`),
 };
 
 export default groupService;
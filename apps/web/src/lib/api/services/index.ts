@@ -4,3 +4,6 @@ export { userService } from './user.service';
 export { alertService } from './alert.service.js';
 export { groupService } from './group.service';
 export { settingsService } from './settings.service';
+export { maintenanceService } from './maintenance.service';
+export { notificationRuleService } from './notification-rule.service';
+export { escalationPolicyService } from './escalation-policy.service';
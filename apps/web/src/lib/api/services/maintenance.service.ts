@@ -0,0 +1,35 @@
+import { get, post, put, del } from '../client';
+import type { MaintenanceWindow, MaintenanceWindowInput, ActiveMaintenance } from '../types';
+
+/**
+ * Maintenance Service
+ * Handles maintenance window API calls
+ */
+export const maintenanceService = {
+    /**
+     * Get all maintenance windows
+     */
+    getAll: () => get<MaintenanceWindow[]>('/maintenance'),
+
+    /**
+     * Get routers and netwatch entries currently in maintenance
+     */
+    getActive: () => get<ActiveMaintenance>('/maintenance/active'),
+
+    /**
+     * Create a maintenance window (Operator+)
+     */
+    create: (data: MaintenanceWindowInput) => post<MaintenanceWindow>('/maintenance', data),
+
+    /**
+     * Update a maintenance window (Operator+)
+     */
+    update: (id: string, data: MaintenanceWindowInput) => put<MaintenanceWindow>(`/maintenance/${id}`, data),
+
+    /**
+     * Delete a maintenance window (Operator+)
+     */
+    delete: (id: string) => del(`/maintenance/${id}`),
+};
+
+export default maintenanceService;
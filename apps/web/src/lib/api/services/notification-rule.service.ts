@@ -0,0 +1,45 @@
+import { get, post, put, del } from '../client';
+import type { NotificationRule, NotificationRuleInput, QuietHours, NotificationGroupSummary } from '../types';
+
+/**
+ * Notification Rule Service
+ * Handles notification routing rule and quiet hours API calls
+ */
+export const notificationRuleService = {
+    /**
+     * Get all rules in evaluation order
+     */
+    getAll: () => get<NotificationRule[]>('/notification-rules'),
+
+    /**
+     * Create a rule (Admin)
+     */
+    create: (data: NotificationRuleInput) => post<NotificationRule>('/notification-rules', data),
+
+    /**
+     * Update a rule (Admin)
+     */
+    update: (id: string, data: NotificationRuleInput) => put<NotificationRule>(`/notification-rules/${id}`, data),
+
+    /**
+     * Delete a rule (Admin)
+     */
+    delete: (id: string) => del(`/notification-rules/${id}`),
+
+    /**
+     * Get quiet hours
+     */
+    getQuietHours: () => get<QuietHours>('/notification-rules/quiet-hours'),
+
+    /**
+     * Update quiet hours (Admin)
+     */
+    updateQuietHours: (data: QuietHours) => put<QuietHours>('/notification-rules/quiet-hours', data),
+
+    /**
+     * Get notification groups (rule targets)
+     */
+    getNotificationGroups: () => get<NotificationGroupSummary[]>('/notification-groups'),
+};
+
+export default notificationRuleService;
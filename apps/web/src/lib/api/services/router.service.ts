@@ -10,6 +10,9 @@ import type {
     UpdateNetwatchInput,
     TestConnectionInput,
     TestConnectionResult,
+    ThresholdProfile,
+    ThresholdOverrides,
+    RouterThresholds,
 } from '../types';
 
 export interface PingLatency {
@@ -18,6 +21,33 @@ export interface PingLatency {
     latency: number | null;
 }
 
+export interface InterfaceHistory {
+    interfaceId: string;
+    interfaceName: string;
+    range: '1h' | '24h' | '7d' | '30d';
+    bucketSeconds: number;
+    points: { time: string; txAvg: number; rxAvg: number; txMax: number; rxMax: number }[];
+    percentile95: { tx: number; rx: number };
+    peak: { tx: number; rx: number };
+    average: { tx: number; rx: number };
+}
+
+export interface NetwatchHistoryPoint {
+    time: string;
+    minLatency: number | null;
+    avgLatency: number | null;
+    maxLatency: number | null;
+    p95Latency: number | null;
+    packetLoss: number | null;
+    samples: number;
+}
+
+export interface NetwatchHistory {
+    range: '1h' | '6h' | '24h' | '7d' | '30d';
+    resolution: 'raw' | '5m' | '1h';
+    points: NetwatchHistoryPoint[];
+}
+
 /**
  * Router Service
  * Handles all router-related API calls
@@ -74,6 +104,18 @@ export const routerService = {
      */
     getInterfaces: (routerId: string) => get<RouterInterface[]>(`/routers/${routerId}/interfaces`),
 
+    /**
+     * Toggle link down / flap alerts for an interface
+     */
+    updateInterface: (routerId: string, interfaceId: string, data: { monitored: boolean }) =>
+        put<RouterInterface>(`/routers/${routerId}/interfaces/${interfaceId}`, data),
+
+    /**
+     * Get traffic history (with 95th percentile) for an interface
+     */
+    getInterfaceHistory: (routerId: string, interfaceId: string, range: InterfaceHistory['range'] = '24h') =>
+        get<InterfaceHistory>(`/routers/${routerId}/interfaces/${interfaceId}/history?range=${range}`),
+
     /**
      * Get latest router metrics
      */
@@ -116,6 +158,28 @@ export const routerService = {
     syncNetwatch: (routerId: string) =>
         post<{ success: boolean; synced: number; errors: string[] }>(`/routers/${routerId}/netwatch/sync`),
 
+    /**
+     * Get latency / packet loss history for a netwatch entry
+     */
+    getNetwatchHistory: (routerId: string, netwatchId: string, range: NetwatchHistory['range'] = '24h') =>
+        get<NetwatchHistory>(`/routers/${routerId}/netwatch/${netwatchId}/history?range=${range}`),
+
+    /**
+     * Get alert threshold profile and effective thresholds
+     */
+    getThresholds: (routerId: string) => get<RouterThresholds>(`/routers/${routerId}/thresholds`),
+
+    /**
+     * Set alert threshold overrides (null fields inherit from group/global)
+     */
+    updateThresholds: (routerId: string, data: ThresholdOverrides) =>
+        put<ThresholdProfile | null>(`/routers/${routerId}/thresholds`, data),
+
+    /**
+     * Remove alert threshold overrides
+     */
+    deleteThresholds: (routerId: string) => del(`/routers/${routerId}/thresholds`),
+
     // ================== Ping Latencies ==================
 
     /**
@@ -35,6 +35,11 @@ export const userService = {
      */
     updateRole: (id, role) => put(`/users/${id}/role`, { role }),
 
+    /**
+     * Link Telegram account for bot commands (Admin only)
+     */
+    updateTelegram: (id, telegramChatId) => put(`/users/${id}/telegram`, { telegramChatId }),
+
     /**
      * Update user password (Admin only)
      */
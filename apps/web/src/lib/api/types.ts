@@ -30,6 +30,7 @@ export interface Router {
     updatedAt: string;
     latestMetrics?: RouterMetric;
     maxInterfaceSpeed?: string;
+    maintenance?: boolean;
 }
 
 export interface CreateRouterInput {
@@ -79,6 +80,9 @@ export interface RouterInterface {
     txRate?: number;
     rxRate?: number;
     status?: string;
+    comment?: string;
+    monitored?: boolean;
+    lastLinkChange?: string;
     lastUpdated?: string;
 }
 
@@ -118,6 +122,10 @@ export interface Netwatch {
     waypoints?: string;
     connectionType?: 'router' | 'client';
     connectedToId?: string;
+    latencyThreshold?: number | null;
+    packetLossThreshold?: number | null;
+    consecutiveBreaches?: number | null;
+    maintenance?: boolean;
     createdAt: string;
     updatedAt: string;
 }
@@ -133,6 +141,9 @@ export interface CreateNetwatchInput {
     waypoints?: string;
     connectionType?: 'router' | 'client';
     connectedToId?: string;
+    latencyThreshold?: number | null;
+    packetLossThreshold?: number | null;
+    consecutiveBreaches?: number | null;
 }
 
 export interface UpdateNetwatchInput {
@@ -147,6 +158,9 @@ export interface UpdateNetwatchInput {
     connectionType?: 'router' | 'client';
     connectedToId?: string;
     status?: 'up' | 'down' | 'unknown';
+    latencyThreshold?: number | null;
+    packetLossThreshold?: number | null;
+    consecutiveBreaches?: number | null;
 }
 
 // Test connection types
@@ -169,10 +183,47 @@ export interface Group {
     name: string;
     description?: string;
     color?: string;
+    escalationPolicyId?: string | null;
     createdAt: string;
     updatedAt: string;
 }
 
+// Alert threshold profile types (null fields inherit from the group/global values)
+export interface ThresholdValues {
+    cpuWarning: number;
+    cpuCritical: number;
+    memoryWarning: number;
+    memoryCritical: number;
+    latencyWarning: number;
+    packetLossWarning: number;
+    diskWarning: number;
+    diskCritical: number;
+    temperatureWarning: number;
+    temperatureCritical: number;
+    voltageLow: number;
+    voltageHigh: number;
+}
+
+export type ThresholdOverrides = { [K in keyof ThresholdValues]?: number | null };
+
+export interface ThresholdProfile extends ThresholdOverrides {
+    id: string;
+    routerId: string | null;
+    groupId: string | null;
+    routerName?: string | null;
+    groupName?: string | null;
+    createdAt: string;
+    updatedAt: string;
+}
+
+export interface RouterThresholds {
+    profile: ThresholdProfile | null;
+    groupProfile: ThresholdProfile | null;
+    effective: ThresholdValues;
+    inherited: ThresholdValues;
+    sources: { [K in keyof ThresholdValues]: 'router' | 'group' | 'global' };
+}
+
 export interface CreateGroupInput {
     name: string;
     description?: string;
@@ -185,6 +236,111 @@ export interface UpdateGroupInput {
     color?: string;
 }
 
+// Maintenance window types
+export type MaintenanceScope = 'router' | 'group' | 'netwatch';
+export type MaintenanceRecurrence = 'once' | 'weekly';
+
+export interface MaintenanceWindowInput {
+    name: string;
+    description?: string | null;
+    scope: MaintenanceScope;
+    routerId?: string | null;
+    groupId?: string | null;
+    netwatchIds?: string[];
+    recurrence: MaintenanceRecurrence;
+    startsAt?: string | null;
+    endsAt?: string | null;
+    daysOfWeek?: number[];
+    startTime?: string | null; // HH:MM
+    durationMinutes?: number | null;
+    enabled?: boolean;
+}
+
+export interface MaintenanceWindow extends Required<MaintenanceWindowInput> {
+    id: string;
+    routerName?: string | null;
+    groupName?: string | null;
+    active?: boolean;
+    createdBy: string | null;
+    createdAt: string;
+    updatedAt: string;
+}
+
+export interface ActiveMaintenance {
+    routerIds: string[];
+    netwatchIds: string[];
+}
+
+// Notification routing rule types
+export type AlertSeverity = 'info' | 'warning' | 'critical';
+export type AlertType =
+    | 'status_change'
+    | 'high_cpu'
+    | 'high_memory'
+    | 'high_disk'
+    | 'interface_down'
+    | 'netwatch_down'
+    | 'threshold'
+    | 'reboot'
+    | 'pppoe_connect'
+    | 'pppoe_disconnect'
+    | 'high_temperature'
+    | 'voltage';
+
+export interface NotificationRuleInput {
+    name: string;
+    enabled?: boolean;
+    priority?: number;
+    severities?: AlertSeverity[];
+    alertTypes?: AlertType[];
+    routerGroupIds?: string[];
+    daysOfWeek?: number[];
+    startTime?: string | null; // HH:MM
+    endTime?: string | null; // HH:MM, before start = past midnight
+    action: 'notify' | 'drop';
+    targetGroupIds?: string[];
+    includeRouterGroup?: boolean;
+    ignoreQuietHours?: boolean;
+}
+
+export interface NotificationRule extends Required<NotificationRuleInput> {
+    id: string;
+    createdAt: string;
+    updatedAt: string;
+}
+
+export interface QuietHours {
+    enabled: boolean;
+    start: string; // HH:MM
+    end: string; // HH:MM
+}
+
+export interface NotificationGroupSummary {
+    id: string;
+    name: string;
+}
+
+// Escalation policy types
+export interface EscalationPolicyLevel {
+    afterMinutes: number;
+    notificationGroupId: string | null; // null = the groups the alert was routed to
+}
+
+export interface EscalationPolicyInput {
+    name: string;
+    description?: string | null;
+    levels: EscalationPolicyLevel[];
+    stopOnAcknowledge?: boolean;
+    isDefault?: boolean;
+    routerGroupIds?: string[];
+}
+
+export interface EscalationPolicy extends Required<EscalationPolicyInput> {
+    id: string;
+    createdAt: string;
+    updatedAt: string;
+}
+
 // Settings types
 export interface Setting {
     key: string;
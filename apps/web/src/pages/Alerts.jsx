@@ -2,8 +2,10 @@ import { useState } from 'react';
 import { useAlerts, useAcknowledgeAlert, useSettings, useAcknowledgeAllAlerts, useCurrentUser, useDebounce } from '@/hooks';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/Card';
 import { Button } from '@/components/ui/Button';
-import { Bell, CheckCircle, AlertTriangle, RefreshCw, Clock, CheckCheck, ArrowDown, ArrowUp, Wifi, WifiOff, Search, X } from 'lucide-react';
+import { Bell, CheckCircle, AlertTriangle, RefreshCw, Clock, CheckCheck, ArrowDown, ArrowUp, Wifi, WifiOff, Search, X, GitBranch, PanelRight, UserCheck } from 'lucide-react';
 import { formatDateWithTimezone } from '@/lib/timezone';
+import AlertSubtree from '@/components/alerts/AlertSubtree';
+import AlertDetailDrawer from '@/components/alerts/AlertDetailDrawer';
 import clsx from 'clsx';
 
 export default function Alerts() {
@@ -11,6 +13,8 @@ export default function Alerts() {
     const [page, setPage] = useState(1);
     const [sortOrder, setSortOrder] = useState('desc');
     const [dateFilter, setDateFilter] = useState('');
+    const [expandedAlertId, setExpandedAlertId] = useState(null);
+    const [selectedAlertId, setSelectedAlertId] = useState(null);
     const debouncedSearch = useDebounce(searchQuery, 500);
 
     // Construct start and end dates based on filter
@@ -66,7 +70,7 @@ export default function Alerts() {
         // Basic connectivity types + fallback for any other types NOT in the "issues" category
         // Helper to determine if it IS an issue (Logic must match Issues.jsx and Backend)
         const isIssue = (alert) => {
-            const issueTypes = ['high_cpu', 'high_memory', 'high_disk', 'threshold', 'system'];
+            const issueTypes = ['high_cpu', 'high_memory', 'high_disk', 'high_temperature', 'voltage', 'threshold', 'system'];
             if (issueTypes.includes(alert.type)) return true;
             if (alert.type === 'threshold') return true;
 
@@ -116,6 +120,9 @@ export default function Alerts() {
         }
     };
 
+    // Follows list refreshes so assignment changes show up in the drawer
+    const selectedAlert = alerts.find(a => a.id === selectedAlertId) || null;
+
     // Check if there are any unacknowledged alerts
     const hasUnacknowledged = alerts.some(a => !a.acknowledged);
 
@@ -302,7 +309,25 @@ export default function Alerts() {
                                         <div className="flex items-start gap-3">
                                             {getAlertIcon(alert)}
                                             <div>
-                                                <h3 className="font-medium text-white">{alert.title}</h3>
+                                                <h3 className="font-medium text-white flex items-center gap-2">
+                                                    {alert.title}
+                                                    {alert.planned && (
+                                                        <span
+                                                            className="px-1.5 py-0.5 rounded text-[10px] font-semibold uppercase bg-blue-500/10 text-blue-400"
+                                                            title={alert.auditLogId ? `Audit log entry ${alert.auditLogId}` : undefined}
+                                                        >
+                                                            Planned
+                                                        </span>
+                                                    )}
+                                                    {alert.suppressed && (
+                                                        <span
+                                                            className="px-1.5 py-0.5 rounded text-[10px] font-semibold uppercase bg-slate-500/20 text-slate-400"
+                                                            title="Caused by an upstream outage - not notified on its own"
+                                                        >
+                                                            Suppressed
+                                                        </span>
+                                                    )}
+                                                </h3>
                                                 <p className="text-sm text-slate-400 mt-1">{alert.message || alert.description}</p>
                                                 <div className="flex items-center gap-4 mt-2 text-xs text-slate-500">
                                                     <span className="flex items-center gap-1">
@@ -310,7 +335,32 @@ export default function Alerts() {
                                                         {formatAlertTime(alert.createdAt)}
                                                     </span>
                                                     {alert.routerName && <span>Router: {alert.routerName}</span>}
+                                                    {alert.assignedToName && (
+                                                        <span className="flex items-center gap-1 text-violet-400">
+                                                            <UserCheck className="w-3 h-3" />
+                                                            {alert.assignedToName}
+                                                        </span>
+                                                    )}
+                                                    <button
+                                                        onClick={() => setSelectedAlertId(alert.id)}
+                                                        className="flex items-center gap-1 text-primary hover:text-blue-400"
+                                                    >
+                                                        <PanelRight className="w-3 h-3" />
+                                                        Details
+                                                    </button>
+                                                    {alert.childCount > 0 && (
+                                                        <button
+                                                            onClick={() => setExpandedAlertId(prev => prev === alert.id ? null : alert.id)}
+                                                            className="flex items-center gap-1 text-primary hover:text-blue-400"
+                                                        >
+                                                            <GitBranch className="w-3 h-3" />
+                                                            {expandedAlertId === alert.id ? 'Hide' : 'Show'} {alert.childCount} affected downstream
+                                                        </button>
+                                                    )}
                                                 </div>
+                                                {expandedAlertId === alert.id && (
+                                                    <AlertSubtree alertId={alert.id} formatTime={formatAlertTime} />
+                                                )}
                                             </div>
                                         </div>
                                         {!alert.acknowledged ? (
@@ -369,6 +419,12 @@ export default function Alerts() {
                 )
             }
 
+            <AlertDetailDrawer
+                alert={selectedAlert}
+                onClose={() => setSelectedAlertId(null)}
+                formatTime={formatAlertTime}
+                currentUser={currentUser}
+            />
         </div >
     );
 }
@@ -35,7 +35,8 @@ import {
     Router as RouterIcon,
     X,
     PhoneOff,
-    RotateCcw
+    RotateCcw,
+    UserX
 } from 'lucide-react';
 import clsx from 'clsx';
 import AnalyticsDetailModal from '@/components/analytics/AnalyticsDetailModal';
@@ -122,10 +123,13 @@ function TrendChart({ data, height = 200 }) {
         );
     }
 
-    // Format data timestamps
+    // Format data timestamps (include the date when the range spans several days)
+    const spansDays = new Date(data[data.length - 1].timestamp) - new Date(data[0].timestamp) >= 24 * 60 * 60 * 1000;
     const chartData = data.map(item => ({
         ...item,
-        time: new Date(item.timestamp).toLocaleTimeString('id-ID', { hour: '2-digit', minute: '2-digit' }),
+        time: spansDays
+            ? new Date(item.timestamp).toLocaleString('id-ID', { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' })
+            : new Date(item.timestamp).toLocaleTimeString('id-ID', { hour: '2-digit', minute: '2-digit' }),
         avgCpu: Number(item.avgCpu || 0),
         avgMemory: Number(item.avgMemory || 0)
     }));
@@ -512,6 +516,19 @@ export default function Analytics() {
         },
     });
 
+    // Inactive PPPoE subscribers (secrets not online for a while or never seen online)
+    const [inactiveDays, setInactiveDays] = useState(30);
+    const { data: pppoeInactive = [] } = useQuery({
+        queryKey: ['analytics-pppoe-inactive', inactiveDays, selectedRouterId],
+        queryFn: async () => {
+            const res = await apiClient.get('/analytics/pppoe/inactive', {
+                params: { days: inactiveDays, ...(selectedRouterId && { routerId: selectedRouterId }) }
+            });
+            return res.data.data;
+        },
+    });
+    const neverConnectedCount = pppoeInactive.filter(s => s.status === 'never_connected').length;
+
     // Advanced Analytics Queries
     const { data: cpuPeaks, isLoading: cpuPeaksLoading } = useQuery({
         queryKey: ['analytics-cpu-peaks', queryParams],
@@ -997,6 +1014,76 @@ export default function Analytics() {
                         </Card>
                     </div>
 
+                    {/* PPPoE Tidak Aktif */}
+                    <Card className="glass-panel mt-6">
+                        <CardHeader className="pb-2">
+                            <div className="flex flex-wrap items-center justify-between gap-2">
+                                <CardTitle className="text-base font-semibold flex items-center gap-2">
+                                    <UserX className="w-4 h-4 text-slate-400" />
+                                    PPPoE Tidak Aktif
+                                    <span className="text-xs font-normal text-slate-500">
+                                        {pppoeInactive.length} akun • {neverConnectedCount} belum pernah connect
+                                    </span>
+                                </CardTitle>
+                                <div className="flex gap-1">
+                                    {[30, 60, 90].map((days) => (
+                                        <button
+                                            key={days}
+                                            onClick={() => setInactiveDays(days)}
+                                            className={clsx(
+                                                'px-2 py-1 rounded text-xs transition-colors',
+                                                inactiveDays === days
+                                                    ? 'bg-primary text-white'
+                                                    : 'bg-slate-800 text-slate-400 hover:bg-slate-700'
+                                            )}
+                                        >
+                                            {days} hari
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+                        </CardHeader>
+                        <CardContent>
+                            {pppoeInactive.length > 0 ? (
+                                <div className="max-h-80 overflow-y-auto divide-y divide-slate-800">
+                                    {pppoeInactive.map((secret) => (
+                                        <div
+                                            key={`${secret.routerId}:${secret.name}`}
+                                            className="flex items-center justify-between gap-3 py-2 px-1 hover:bg-slate-800/50 cursor-pointer transition-colors group"
+                                            onClick={() => setHistoryModal({ open: true, type: 'pppoe-logs', target: secret })}
+                                        >
+                                            <div className="min-w-0">
+                                                <p className="text-sm text-white font-medium group-hover:text-primary transition-colors truncate">
+                                                    {secret.name}
+                                                    {secret.disabled && (
+                                                        <span className="ml-2 px-1.5 py-0.5 rounded bg-slate-700 text-slate-300 text-[10px] font-normal">disabled</span>
+                                                    )}
+                                                </p>
+                                                <p className="text-xs text-slate-500 truncate">
+                                                    {[secret.routerName, secret.profile, secret.remoteAddress, secret.comment].filter(Boolean).join(' • ')}
+                                                </p>
+                                            </div>
+                                            {secret.status === 'never_connected' ? (
+                                                <span
+                                                    className="shrink-0 px-2 py-1 rounded bg-slate-700/50 text-slate-300 text-xs"
+                                                    title={`Dipantau sejak ${new Date(secret.trackedSince).toLocaleDateString('id-ID')}`}
+                                                >
+                                                    Belum pernah connect
+                                                </span>
+                                            ) : (
+                                                <span className="shrink-0 text-xs text-amber-400 font-mono">
+                                                    {new Date(secret.lastSeen).toLocaleDateString('id-ID', { day: '2-digit', month: 'short', year: 'numeric' })}
+                                                </span>
+                                            )}
+                                        </div>
+                                    ))}
+                                </div>
+                            ) : (
+                                <p className="text-center text-emerald-500 py-4 text-sm">Semua akun PPPoE aktif ✓</p>
+                            )}
+                        </CardContent>
+                    </Card>
+
                     {/* Advanced Analytics Section */}
                     <div className="mt-6">
                         <h2 className="text-lg font-semibold text-white mb-4 flex items-center gap-2">
@@ -89,7 +89,15 @@ function StatsCard({ icon: Icon, label, value, trend, trendLabel, color, progres
 
 // Active Connections Table
 function ActiveConnectionsTable({ routers }) {
-    const getStatusBadge = (status, latency) => {
+    const getStatusBadge = (status, latency, maintenance) => {
+        if (maintenance) {
+            return (
+                <span className="inline-flex items-center gap-1.5 px-2.5 py-1 rounded-full text-xs font-medium bg-slate-500/10 text-slate-300 border border-slate-500/20">
+                    <span className="w-1.5 h-1.5 rounded-full bg-slate-400" />
+                    Maintenance
+                </span>
+            );
+        }
         if (status !== 'online') {
             return (
                 <span className="inline-flex items-center gap-1.5 px-2.5 py-1 rounded-full text-xs font-medium bg-red-500/10 text-red-500 border border-red-500/20">
@@ -154,7 +162,7 @@ function ActiveConnectionsTable({ routers }) {
                                     </span>
                                 </td>
                                 <td className="px-6 py-4">
-                                    {getStatusBadge(router.status, router.latency)}
+                                    {getStatusBadge(router.status, router.latency, router.maintenance)}
                                 </td>
                             </tr>
                         ))}
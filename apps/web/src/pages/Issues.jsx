@@ -2,8 +2,9 @@ import { useState } from 'react';
 import { useAlerts, useAcknowledgeAlert, useSettings, useAcknowledgeAllAlerts, useCurrentUser, useDebounce } from '@/hooks';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/Card';
 import { Button } from '@/components/ui/Button';
-import { Bell, CheckCircle, AlertTriangle, RefreshCw, Clock, CheckCheck, ArrowDown, ArrowUp, Wifi, WifiOff, Search, X, Activity } from 'lucide-react';
+import { Bell, CheckCircle, AlertTriangle, RefreshCw, Clock, CheckCheck, ArrowDown, ArrowUp, Wifi, WifiOff, Search, X, Activity, PanelRight, UserCheck } from 'lucide-react';
 import { formatDateWithTimezone } from '@/lib/timezone';
+import AlertDetailDrawer from '@/components/alerts/AlertDetailDrawer';
 import clsx from 'clsx';
 
 export default function Issues() {
@@ -11,6 +12,7 @@ export default function Issues() {
     const [page, setPage] = useState(1);
     const [sortOrder, setSortOrder] = useState('desc');
     const [dateFilter, setDateFilter] = useState('');
+    const [selectedAlertId, setSelectedAlertId] = useState(null);
     const debouncedSearch = useDebounce(searchQuery, 500);
 
     // Construct start and end dates based on filter
@@ -50,7 +52,7 @@ export default function Issues() {
     const timezone = currentUser?.timezone || settings?.timezone || 'Asia/Jakarta';
 
     // Issue types (Performance/System)
-    const issueTypes = ['high_cpu', 'high_memory', 'high_disk', 'threshold', 'system'];
+    const issueTypes = ['high_cpu', 'high_memory', 'high_disk', 'high_temperature', 'voltage', 'threshold', 'system'];
 
     // Filter alerts: Issues only
     const filteredAlerts = alerts.filter(alert => {
@@ -107,6 +109,9 @@ export default function Issues() {
 
     const hasUnacknowledged = filteredAlerts.some(a => !a.acknowledged);
 
+    // Follows list refreshes so assignment changes show up in the drawer
+    const selectedAlert = alerts.find(a => a.id === selectedAlertId) || null;
+
     const getAlertIcon = (alert) => {
         return <Activity className="w-5 h-5 mt-0.5 text-yellow-500" />;
     };
@@ -207,11 +212,34 @@ export default function Issues() {
                                         <div className="flex items-start gap-3">
                                             {getAlertIcon(alert)}
                                             <div>
-                                                <h3 className="font-medium text-white">{alert.title}</h3>
+                                                <h3 className="font-medium text-white flex items-center gap-2">
+                                                    {alert.title}
+                                                    {alert.planned && (
+                                                        <span
+                                                            className="px-1.5 py-0.5 rounded text-[10px] font-semibold uppercase bg-blue-500/10 text-blue-400"
+                                                            title={alert.auditLogId ? `Audit log entry ${alert.auditLogId}` : undefined}
+                                                        >
+                                                            Planned
+                                                        </span>
+                                                    )}
+                                                </h3>
                                                 <p className="text-sm text-slate-400 mt-1">{alert.message}</p>
                                                 <div className="flex items-center gap-4 mt-2 text-xs text-slate-500">
                                                     <span className="flex items-center gap-1"><Clock className="w-3 h-3" />{formatAlertTime(alert.createdAt)}</span>
                                                     {alert.routerName && <span>Router: {alert.routerName}</span>}
+                                                    {alert.assignedToName && (
+                                                        <span className="flex items-center gap-1 text-violet-400">
+                                                            <UserCheck className="w-3 h-3" />
+                                                            {alert.assignedToName}
+                                                        </span>
+                                                    )}
+                                                    <button
+                                                        onClick={() => setSelectedAlertId(alert.id)}
+                                                        className="flex items-center gap-1 text-primary hover:text-blue-400"
+                                                    >
+                                                        <PanelRight className="w-3 h-3" />
+                                                        Details
+                                                    </button>
                                                 </div>
                                             </div>
                                         </div>
@@ -259,6 +287,12 @@ export default function Issues() {
                 </div>
             )}
 
+            <AlertDetailDrawer
+                alert={selectedAlert}
+                onClose={() => setSelectedAlertId(null)}
+                formatTime={formatAlertTime}
+                currentUser={currentUser}
+            />
         </div>
     );
 }
@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
 import { apiClient } from '@/lib/api';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { Plus, Trash2, Edit, Save, X, MessageCircle, Send } from 'lucide-react';
+import { Plus, Trash2, Edit, MessageCircle, Send, Mail, Webhook, History, CheckCircle, XCircle, RefreshCw, Clock, BellRing, AlertTriangle, Layers } from 'lucide-react';
 import { Button } from '@/components/ui/Button';
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/Card';
 import { Modal } from '@/components/ui/Modal';
@@ -19,20 +19,286 @@ function useNotificationGroups() {
     });
 }
 
+// Hook to fetch the delivery log of a group
+function useNotificationDeliveries(groupId) {
+    return useQuery({
+        queryKey: ['notification-groups', groupId, 'deliveries'],
+        queryFn: async () => {
+            const res = await apiClient.get(`/notification-groups/${groupId}/deliveries`);
+            return res.data?.data || [];
+        },
+        enabled: !!groupId,
+        refetchInterval: 30000,
+    });
+}
+
+// Hook to fetch recent failed deliveries of all groups
+function useFailedDeliveries() {
+    return useQuery({
+        queryKey: ['notification-groups', 'deliveries', 'failed'],
+        queryFn: async () => {
+            const res = await apiClient.get('/notification-groups/deliveries/failed');
+            return res.data?.data || [];
+        },
+        refetchInterval: 60000,
+    });
+}
+
+const formatDeliveryTime = (value) => new Date(value).toLocaleString('id-ID', {
+    day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit', second: '2-digit'
+});
+
+// Channel types the API knows about, with the fields of their config
+const CHANNEL_TYPES = {
+    telegram: {
+        label: 'Telegram',
+        icon: Send,
+        color: 'text-blue-400',
+        badge: 'bg-blue-500/10 text-blue-400',
+        fields: [
+            { key: 'botToken', label: 'Bot Token', placeholder: '123456:ABC-DEF1234ghIkl-zyx57W2v1u123ew11', wide: true },
+            { key: 'chatId', label: 'Chat ID', placeholder: '-1001234567890' },
+            { key: 'threadId', label: 'Thread ID (Topic)', placeholder: 'Optional' },
+        ],
+        summary: (config) => config.threadId && `Topic: ${config.threadId}`,
+    },
+    whatsapp: {
+        label: 'WhatsApp',
+        icon: MessageCircle,
+        color: 'text-green-400',
+        badge: 'bg-green-500/10 text-green-400',
+        fields: [
+            { key: 'url', label: 'API URL (Base)', placeholder: 'http://localhost:3000', wide: true },
+            { key: 'key', label: 'API Key (Optional)', placeholder: 'Secret Key' },
+            { key: 'to', label: 'Target Number', placeholder: '628123456789' },
+        ],
+        summary: (config) => config.to && `WA: ${config.to}`,
+    },
+    email: {
+        label: 'Email',
+        icon: Mail,
+        color: 'text-amber-400',
+        badge: 'bg-amber-500/10 text-amber-400',
+        fields: [
+            { key: 'host', label: 'SMTP Host', placeholder: 'smtp.example.com' },
+            { key: 'port', label: 'Port', placeholder: '587', type: 'number' },
+            { key: 'username', label: 'Username', placeholder: 'Optional' },
+            { key: 'password', label: 'Password', placeholder: 'Optional', type: 'password' },
+            { key: 'from', label: 'From', placeholder: 'NOC Monitor <noc@example.com>', wide: true },
+            { key: 'to', label: 'Recipients', placeholder: 'noc-manager@example.com, oncall@example.com', wide: true },
+            { key: 'secure', label: 'Use TLS on connect (port 465)', type: 'checkbox', wide: true },
+        ],
+        summary: (config) => config.to && `To: ${config.to}`,
+    },
+    webhook: {
+        label: 'Webhook',
+        icon: Webhook,
+        color: 'text-purple-400',
+        badge: 'bg-purple-500/10 text-purple-400',
+        fields: [
+            { key: 'url', label: 'URL', placeholder: 'https://tickets.example.com/hooks/netmonitor', wide: true },
+            { key: 'secret', label: 'Signing Secret', placeholder: 'Optional, signs X-Webhook-Signature', type: 'password' },
+            { key: 'retries', label: 'Retries', placeholder: '3', type: 'number' },
+            { key: 'headers', label: 'Custom Headers', type: 'headers', wide: true },
+        ],
+        summary: (config) => config.url && new URL(config.url, 'http://localhost').host,
+    },
+};
+
+const DEFAULT_CHANNEL_CONFIG = {
+    email: { port: 587, secure: false },
+    webhook: { retries: 3, headers: [] },
+};
+
+// Batch window options in seconds (0 = send every alert right away)
+const BATCH_WINDOWS = [
+    { value: 0, label: 'Off' },
+    { value: 15, label: '15 seconds' },
+    { value: 30, label: '30 seconds' },
+    { value: 60, label: '1 minute' },
+    { value: 120, label: '2 minutes' },
+    { value: 300, label: '5 minutes' },
+];
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+const describeDelivery = (group) => {
+    const parts = [];
+    if (group.batchWindowSeconds > 0) {
+        const batchWindow = BATCH_WINDOWS.find(option => option.value === group.batchWindowSeconds);
+        parts.push(`Batched (${batchWindow ? batchWindow.label : `${group.batchWindowSeconds}s`})`);
+    }
+    if (group.digestMode && group.digestMode !== 'off') {
+        const when = group.digestMode === 'daily' ? `daily at ${String(group.digestHour).padStart(2, '0')}:00` : 'hourly';
+        parts.push(`${(group.digestSeverities || []).join('/')} digest ${when}`);
+    }
+    return parts.join(' · ');
+};
+
+function HeaderFields({ headers = [], onChange }) {
+    const update = (index, key, value) => onChange(headers.map((header, i) => (i === index ? { ...header, [key]: value } : header)));
+
+    return (
+        <div className="space-y-2">
+            {headers.map((header, index) => (
+                <div key={index} className="flex gap-2">
+                    <Input value={header.name} onChange={(e) => update(index, 'name', e.target.value)} placeholder="Authorization" />
+                    <Input value={header.value} onChange={(e) => update(index, 'value', e.target.value)} placeholder="Bearer ..." />
+                    <button
+                        type="button"
+                        onClick={() => onChange(headers.filter((_, i) => i !== index))}
+                        className="p-2 hover:bg-slate-800 rounded text-slate-400 hover:text-red-400 transition-colors"
+                    >
+                        <Trash2 className="w-4 h-4" />
+                    </button>
+                </div>
+            ))}
+            <Button type="button" variant="ghost" size="sm" onClick={() => onChange([...headers, { name: '', value: '' }])}>
+                <Plus className="w-4 h-4 mr-1" />
+                Add Header
+            </Button>
+        </div>
+    );
+}
+
+function ChannelFields({ channel, onChange }) {
+    const meta = CHANNEL_TYPES[channel.type];
+
+    const setConfig = (key, value) => onChange({ ...channel, config: { ...channel.config, [key]: value } });
+
+    return (
+        <div className="grid grid-cols-2 gap-3">
+            {meta.fields.map((field) => (
+                <div key={field.key} className={field.wide ? 'col-span-2 space-y-2' : 'space-y-2'}>
+                    {field.type === 'headers' ? (
+                        <>
+                            <label className="text-xs text-slate-400">{field.label}</label>
+                            <HeaderFields headers={channel.config[field.key]} onChange={(headers) => setConfig(field.key, headers)} />
+                        </>
+                    ) : field.type === 'checkbox' ? (
+                        <label className="flex items-center gap-2 text-xs text-slate-400 cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={!!channel.config[field.key]}
+                                onChange={(e) => setConfig(field.key, e.target.checked)}
+                            />
+                            {field.label}
+                        </label>
+                    ) : (
+                        <>
+                            <label className="text-xs text-slate-400">{field.label}</label>
+                            <Input
+                                type={field.type || 'text'}
+                                value={channel.config[field.key] ?? ''}
+                                onChange={(e) => setConfig(
+                                    field.key,
+                                    field.type === 'number' && e.target.value !== '' ? Number(e.target.value) : e.target.value
+                                )}
+                                placeholder={field.placeholder}
+                            />
+                        </>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+}
+
+function DeliveryRow({ delivery, groupName }) {
+    return (
+        <div className="p-3 rounded bg-slate-950/50 border border-slate-800/50 text-xs">
+            <div className="flex items-center gap-2">
+                {delivery.status === 'success' && <CheckCircle className="w-4 h-4 text-emerald-400 flex-shrink-0" />}
+                {delivery.status === 'failed' && <XCircle className="w-4 h-4 text-red-400 flex-shrink-0" />}
+                {delivery.status === 'retrying' && <Clock className="w-4 h-4 text-amber-400 flex-shrink-0" />}
+                <span className="font-medium text-slate-200">{delivery.payload?.title || delivery.event}</span>
+                {groupName && <span className="bg-slate-800 px-1.5 py-0.5 rounded text-slate-400">{groupName}</span>}
+                <span className="ml-auto text-slate-500">{formatDeliveryTime(delivery.createdAt)}</span>
+            </div>
+            <div className="mt-1 pl-6 flex flex-wrap gap-x-4 gap-y-1 text-slate-500">
+                <span>{CHANNEL_TYPES[delivery.channelType]?.label || delivery.channelType}</span>
+                {delivery.target && <span className="truncate max-w-xs">{delivery.target}</span>}
+                {delivery.responseStatus != null && <span>HTTP {delivery.responseStatus}</span>}
+                <span>{delivery.attempts} attempt{delivery.attempts === 1 ? '' : 's'}</span>
+                {delivery.durationMs != null && <span>{delivery.durationMs} ms</span>}
+                {delivery.status === 'retrying' && delivery.nextAttemptAt && (
+                    <span className="text-amber-400/80">Next retry {formatDeliveryTime(delivery.nextAttemptAt)}</span>
+                )}
+            </div>
+            {delivery.error && (
+                <p className="mt-1 pl-6 text-red-400/80 break-all">{delivery.error}</p>
+            )}
+        </div>
+    );
+}
+
+function FailedDeliveries() {
+    const { data: deliveries = [], isLoading } = useFailedDeliveries();
+
+    return (
+        <Card className="mt-8 bg-slate-900 border-slate-800">
+            <CardHeader className="pb-3">
+                <CardTitle className="flex items-center gap-2 text-lg">
+                    <AlertTriangle className="w-5 h-5 text-red-400" />
+                    Recent Failed Deliveries
+                </CardTitle>
+                <CardDescription>Notifications that could not be delivered after all retries</CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-2">
+                {isLoading ? (
+                    <p className="py-4 text-center text-sm text-slate-500">Loading deliveries...</p>
+                ) : deliveries.length === 0 ? (
+                    <p className="py-4 text-center text-sm text-slate-500">No failed deliveries.</p>
+                ) : (
+                    deliveries.map((delivery) => (
+                        <DeliveryRow key={delivery.id} delivery={delivery} groupName={delivery.groupName} />
+                    ))
+                )}
+            </CardContent>
+        </Card>
+    );
+}
+
+function DeliveryHistoryModal({ group, onClose }) {
+    const { data: deliveries = [], isLoading, refetch, isFetching } = useNotificationDeliveries(group?.id);
+
+    return (
+        <Modal isOpen={!!group} onClose={onClose} title={`Delivery History - ${group?.name || ''}`} maxWidth="max-w-3xl">
+            <div className="flex justify-end mb-3">
+                <Button type="button" variant="ghost" size="sm" onClick={() => refetch()}>
+                    <RefreshCw className={`w-4 h-4 mr-1 ${isFetching ? 'animate-spin' : ''}`} />
+                    Refresh
+                </Button>
+            </div>
+
+            {isLoading ? (
+                <p className="py-8 text-center text-sm text-slate-500">Loading deliveries...</p>
+            ) : deliveries.length === 0 ? (
+                <p className="py-8 text-center text-sm text-slate-500">No deliveries recorded yet.</p>
+            ) : (
+                <div className="space-y-2">
+                    {deliveries.map((delivery) => (
+                        <DeliveryRow key={delivery.id} delivery={delivery} />
+                    ))}
+                </div>
+            )}
+        </Modal>
+    );
+}
+
 function GroupFormModal({ isOpen, onClose, group = null }) {
     const isEditing = !!group;
     const queryClient = useQueryClient();
     const [formData, setFormData] = useState({
         name: '',
-        telegramEnabled: false,
-        telegramBotToken: '',
-        telegramChatId: '',
-        telegramThreadId: '',
-        whatsappEnabled: false,
-        whatsappUrl: '',
-        whatsappKey: '',
-        whatsappTo: '',
+        channels: [],
         messageTemplate: '',
+        batchWindowSeconds: 0,
+        digestMode: 'off',
+        digestSeverities: ['info'],
+        digestHour: 8,
+        summaryTemplate: '',
+        summaryItemTemplate: '',
     });
 
     // Reset form when modal opens/closes or when editing a different group
@@ -40,15 +306,14 @@ function GroupFormModal({ isOpen, onClose, group = null }) {
         if (isOpen) {
             setFormData({
                 name: group?.name || '',
-                telegramEnabled: group?.telegramEnabled || false,
-                telegramBotToken: group?.telegramBotToken || '',
-                telegramChatId: group?.telegramChatId || '',
-                telegramThreadId: group?.telegramThreadId || '',
-                whatsappEnabled: group?.whatsappEnabled || false,
-                whatsappUrl: group?.whatsappUrl || '',
-                whatsappKey: group?.whatsappKey || '',
-                whatsappTo: group?.whatsappTo || '',
+                channels: group?.channels || [],
                 messageTemplate: group?.messageTemplate || '',
+                batchWindowSeconds: group?.batchWindowSeconds ?? 0,
+                digestMode: group?.digestMode || 'off',
+                digestSeverities: group?.digestSeverities || ['info'],
+                digestHour: group?.digestHour ?? 8,
+                summaryTemplate: group?.summaryTemplate || '',
+                summaryItemTemplate: group?.summaryItemTemplate || '',
             });
         }
     }, [isOpen, group]);
@@ -66,7 +331,8 @@ function GroupFormModal({ isOpen, onClose, group = null }) {
             onClose();
         },
         onError: (err) => {
-            toast.error(err.response?.data?.message || 'Failed to save group');
+            const error = err.response?.data?.error;
+            toast.error(Array.isArray(error) ? error[0]?.message : (error || 'Failed to save group'));
         }
     });
 
@@ -75,9 +341,42 @@ function GroupFormModal({ isOpen, onClose, group = null }) {
         setFormData(prev => ({ ...prev, [e.target.name]: value }));
     };
 
+    const addChannel = (type) => {
+        setFormData(prev => ({
+            ...prev,
+            channels: [...prev.channels, { type, enabled: true, config: DEFAULT_CHANNEL_CONFIG[type] || {} }],
+        }));
+    };
+
+    const updateChannel = (index, channel) => {
+        setFormData(prev => ({
+            ...prev,
+            channels: prev.channels.map((existing, i) => (i === index ? channel : existing)),
+        }));
+    };
+
+    const removeChannel = (index) => {
+        setFormData(prev => ({ ...prev, channels: prev.channels.filter((_, i) => i !== index) }));
+    };
+
+    const toggleDigestSeverity = (severity) => {
+        setFormData(prev => ({
+            ...prev,
+            digestSeverities: prev.digestSeverities.includes(severity)
+                ? prev.digestSeverities.filter(item => item !== severity)
+                : [...prev.digestSeverities, severity],
+        }));
+    };
+
     const handleSubmit = (e) => {
         e.preventDefault();
-        mutation.mutate(formData);
+        mutation.mutate({
+            ...formData,
+            batchWindowSeconds: parseInt(formData.batchWindowSeconds, 10),
+            digestHour: parseInt(formData.digestHour, 10),
+            summaryTemplate: formData.summaryTemplate || null,
+            summaryItemTemplate: formData.summaryItemTemplate || null,
+        });
     };
 
     return (
@@ -88,78 +387,54 @@ function GroupFormModal({ isOpen, onClose, group = null }) {
                     <Input name="name" value={formData.name} onChange={handleChange} placeholder="e.g. NOC Team" required />
                 </div>
 
-                {/* Telegram Section */}
-                <div className="border border-slate-800 rounded-lg p-4 space-y-4">
-                    <div className="flex items-center gap-2 mb-2">
-                        <Send className="w-5 h-5 text-blue-400" />
-                        <h3 className="font-medium text-white">Telegram</h3>
-                        <label className="ml-auto flex items-center gap-2 cursor-pointer">
-                            <span className="text-xs text-slate-400">Enable</span>
-                            <input
-                                type="checkbox"
-                                name="telegramEnabled"
-                                checked={formData.telegramEnabled}
-                                onChange={handleChange}
-                                className="toggle-checkbox"
-                            />
-                        </label>
-                    </div>
+                {/* Channels */}
+                {formData.channels.map((channel, index) => {
+                    const meta = CHANNEL_TYPES[channel.type];
+                    if (!meta) return null;
+                    const Icon = meta.icon;
 
-                    {formData.telegramEnabled && (
-                        <>
-                            <div className="space-y-2">
-                                <label className="text-xs text-slate-400">Bot Token</label>
-                                <Input name="telegramBotToken" value={formData.telegramBotToken} onChange={handleChange} placeholder="123456:ABC-DEF1234ghIkl-zyx57W2v1u123ew11" />
+                    return (
+                        <div key={channel.id || index} className="border border-slate-800 rounded-lg p-4 space-y-4">
+                            <div className="flex items-center gap-2 mb-2">
+                                <Icon className={`w-5 h-5 ${meta.color}`} />
+                                <h3 className="font-medium text-white">{meta.label}</h3>
+                                <label className="ml-auto flex items-center gap-2 cursor-pointer">
+                                    <span className="text-xs text-slate-400">Enable</span>
+                                    <input
+                                        type="checkbox"
+                                        checked={channel.enabled}
+                                        onChange={(e) => updateChannel(index, { ...channel, enabled: e.target.checked })}
+                                        className="toggle-checkbox"
+                                    />
+                                </label>
+                                <button
+                                    type="button"
+                                    onClick={() => removeChannel(index)}
+                                    className="p-1 hover:bg-slate-800 rounded text-slate-400 hover:text-red-400 transition-colors"
+                                    title="Remove channel"
+                                >
+                                    <Trash2 className="w-4 h-4" />
+                                </button>
                             </div>
-                            <div className="grid grid-cols-2 gap-3">
-                                <div className="space-y-2">
-                                    <label className="text-xs text-slate-400">Chat ID</label>
-                                    <Input name="telegramChatId" value={formData.telegramChatId} onChange={handleChange} placeholder="-1001234567890" />
-                                </div>
-                                <div className="space-y-2">
-                                    <label className="text-xs text-slate-400">Thread ID (Topic)</label>
-                                    <Input name="telegramThreadId" value={formData.telegramThreadId} onChange={handleChange} placeholder="Optional" />
-                                </div>
-                            </div>
-                        </>
-                    )}
-                </div>
 
-                {/* WhatsApp Section */}
-                <div className="border border-slate-800 rounded-lg p-4 space-y-4">
-                    <div className="flex items-center gap-2 mb-2">
-                        <MessageCircle className="w-5 h-5 text-green-400" />
-                        <h3 className="font-medium text-white">WhatsApp</h3>
-                        <label className="ml-auto flex items-center gap-2 cursor-pointer">
-                            <span className="text-xs text-slate-400">Enable</span>
-                            <input
-                                type="checkbox"
-                                name="whatsappEnabled"
-                                checked={formData.whatsappEnabled}
-                                onChange={handleChange}
-                                className="toggle-checkbox"
-                            />
-                        </label>
-                    </div>
+                            {channel.enabled && (
+                                <ChannelFields channel={channel} onChange={(updated) => updateChannel(index, updated)} />
+                            )}
+                        </div>
+                    );
+                })}
 
-                    {formData.whatsappEnabled && (
-                        <>
-                            <div className="space-y-2">
-                                <label className="text-xs text-slate-400">API URL (Base)</label>
-                                <Input name="whatsappUrl" value={formData.whatsappUrl} onChange={handleChange} placeholder="http://localhost:3000" />
-                            </div>
-                            <div className="grid grid-cols-2 gap-3">
-                                <div className="space-y-2">
-                                    <label className="text-xs text-slate-400">API Key (Optional)</label>
-                                    <Input name="whatsappKey" value={formData.whatsappKey} onChange={handleChange} placeholder="Secret Key" />
-                                </div>
-                                <div className="space-y-2">
-                                    <label className="text-xs text-slate-400">Target Number</label>
-                                    <Input name="whatsappTo" value={formData.whatsappTo} onChange={handleChange} placeholder="628123456789" />
-                                </div>
-                            </div>
-                        </>
-                    )}
+                <div className="flex flex-wrap items-center gap-2">
+                    <span className="text-xs text-slate-400">Add channel:</span>
+                    {Object.entries(CHANNEL_TYPES).map(([type, meta]) => {
+                        const Icon = meta.icon;
+                        return (
+                            <Button key={type} type="button" variant="ghost" size="sm" onClick={() => addChannel(type)}>
+                                <Icon className={`w-4 h-4 mr-1 ${meta.color}`} />
+                                {meta.label}
+                            </Button>
+                        );
+                    })}
                 </div>
 
                 {/* Custom Message Template Section */}
@@ -183,7 +458,8 @@ function GroupFormModal({ isOpen, onClose, group = null }) {
 🌐 *IP:* {{ip}}
 📌 *Location:* {{location}}
 🗺️ *Maps:* {{maps_link}}
-⏰ *Time:* {{time}}`}
+⏰ *Time:* {{time}}
+✅ *Ack:* /ack {{alert_id}}`}
                             className="w-full h-40 bg-slate-900 border border-slate-700 rounded-md p-2 text-white text-xs font-mono focus:ring-2 focus:ring-primary focus:border-transparent"
                         />
                         <div className="text-[10px] text-slate-500 space-y-1">
@@ -199,13 +475,118 @@ function GroupFormModal({ isOpen, onClose, group = null }) {
                                 <code className="bg-slate-800 px-1 rounded text-emerald-400">{"{{maps_link}}"}</code>
                                 <code className="bg-slate-800 px-1 rounded">{"{{time}}"}</code>
                                 <code className="bg-slate-800 px-1 rounded">{"{{severity}}"}</code>
+                                <code className="bg-slate-800 px-1 rounded">{"{{router}}"}</code>
                                 <code className="bg-slate-800 px-1 rounded">{"{{netwatch_host}}"}</code>
                                 <code className="bg-slate-800 px-1 rounded">{"{{netwatch_name}}"}</code>
+                                <code className="bg-slate-800 px-1 rounded">{"{{alert_id}}"}</code>
                             </div>
                         </div>
                     </div>
                 </div>
 
+                {/* Batching & Digest Section */}
+                <div className="border border-slate-800 rounded-lg p-4 space-y-4">
+                    <div className="flex items-center gap-2 mb-2">
+                        <Layers className="w-5 h-5 text-cyan-400" />
+                        <h3 className="font-medium text-white">Batching & Digest</h3>
+                    </div>
+
+                    <div className="grid grid-cols-2 gap-4">
+                        <div className="space-y-2">
+                            <label className="text-xs text-slate-400">Batch window</label>
+                            <select
+                                name="batchWindowSeconds"
+                                value={formData.batchWindowSeconds}
+                                onChange={handleChange}
+                                className="w-full bg-slate-900 border border-slate-700 text-white text-sm rounded-lg px-3 py-2"
+                            >
+                                {BATCH_WINDOWS.map(option => (
+                                    <option key={option.value} value={option.value}>{option.label}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div className="space-y-2">
+                            <label className="text-xs text-slate-400">Digest</label>
+                            <select
+                                name="digestMode"
+                                value={formData.digestMode}
+                                onChange={handleChange}
+                                className="w-full bg-slate-900 border border-slate-700 text-white text-sm rounded-lg px-3 py-2"
+                            >
+                                <option value="off">Off</option>
+                                <option value="hourly">Hourly</option>
+                                <option value="daily">Daily</option>
+                            </select>
+                        </div>
+                    </div>
+                    <p className="text-[10px] text-slate-500">
+                        Alerts arriving within the batch window are sent as one summary, e.g. "14 devices down on Router X".
+                    </p>
+
+                    {formData.digestMode !== 'off' && (
+                        <div className="grid grid-cols-2 gap-4">
+                            <div className="space-y-2">
+                                <label className="text-xs text-slate-400">Severities in the digest</label>
+                                <div className="flex flex-wrap gap-3">
+                                    {SEVERITIES.map(severity => (
+                                        <label key={severity} className="flex items-center gap-1.5 text-sm text-slate-300 cursor-pointer">
+                                            <input
+                                                type="checkbox"
+                                                checked={formData.digestSeverities.includes(severity)}
+                                                onChange={() => toggleDigestSeverity(severity)}
+                                            />
+                                            {severity}
+                                        </label>
+                                    ))}
+                                </div>
+                            </div>
+                            {formData.digestMode === 'daily' && (
+                                <div className="space-y-2">
+                                    <label className="text-xs text-slate-400">Send at (hour)</label>
+                                    <Input type="number" name="digestHour" value={formData.digestHour} onChange={handleChange} min={0} max={23} />
+                                </div>
+                            )}
+                        </div>
+                    )}
+
+                    {(formData.digestMode !== 'off' || formData.batchWindowSeconds > 0) && (
+                        <>
+                            <div className="space-y-2">
+                                <label className="text-xs text-slate-400">Summary template (optional)</label>
+                                <textarea
+                                    name="summaryTemplate"
+                                    value={formData.summaryTemplate}
+                                    onChange={handleChange}
+                                    placeholder={`{{icon}} *{{title}}*
+
+{{items}}
+
+⏰ *Time:* {{time}}`}
+                                    className="w-full h-28 bg-slate-900 border border-slate-700 rounded-md p-2 text-white text-xs font-mono focus:ring-2 focus:ring-primary focus:border-transparent"
+                                />
+                            </div>
+                            <div className="space-y-2">
+                                <label className="text-xs text-slate-400">Line per alert in {"{{items}}"} (optional)</label>
+                                <Input
+                                    name="summaryItemTemplate"
+                                    value={formData.summaryItemTemplate}
+                                    onChange={handleChange}
+                                    placeholder="• *{{device}}* ({{ip}}) - {{title}}"
+                                    className="font-mono text-xs"
+                                />
+                            </div>
+                            <div className="text-[10px] text-slate-500 space-y-1">
+                                <p>Summary variables, in addition to the message template variables:</p>
+                                <div className="flex flex-wrap gap-2">
+                                    <code className="bg-slate-800 px-1 rounded text-cyan-400">{"{{count}}"}</code>
+                                    <code className="bg-slate-800 px-1 rounded text-cyan-400">{"{{items}}"}</code>
+                                    <code className="bg-slate-800 px-1 rounded text-cyan-400">{"{{period}}"}</code>
+                                </div>
+                            </div>
+                        </>
+                    )}
+                </div>
+
                 <div className="flex justify-end gap-2 pt-2">
                     <Button variant="ghost" onClick={onClose} type="button">Cancel</Button>
                     <Button type="submit" loading={mutation.isPending}>Save Group</Button>
@@ -219,8 +600,26 @@ export default function NotificationGroups() {
     const { data: groups = [], isLoading } = useNotificationGroups();
     const [isModalOpen, setIsModalOpen] = useState(false);
     const [editingGroup, setEditingGroup] = useState(null);
+    const [historyGroup, setHistoryGroup] = useState(null);
     const queryClient = useQueryClient();
 
+    const testMutation = useMutation({
+        mutationFn: async (id) => apiClient.post(`/notification-groups/${id}/test`),
+        onSuccess: (res) => {
+            const deliveries = res.data?.data || [];
+            const failed = deliveries.filter((delivery) => delivery.status !== 'success');
+            if (failed.length === 0) {
+                toast.success(`Test message sent via ${deliveries.length} channel${deliveries.length === 1 ? '' : 's'}`);
+            } else {
+                toast.error(`${failed.length} of ${deliveries.length} channels failed: ${failed[0].error}`);
+            }
+            queryClient.invalidateQueries(['notification-groups']);
+        },
+        onError: (err) => {
+            toast.error(err.response?.data?.error || 'Failed to send test message');
+        }
+    });
+
     const deleteMutation = useMutation({
         mutationFn: async (id) => apiClient.delete(`/notification-groups/${id}`),
         onSuccess: () => {
@@ -249,6 +648,21 @@ export default function NotificationGroups() {
                             <CardTitle className="flex justify-between items-center text-lg">
                                 {group.name}
                                 <div className="flex gap-1">
+                                    <button
+                                        onClick={() => testMutation.mutate(group.id)}
+                                        disabled={testMutation.isPending}
+                                        className="p-1.5 hover:bg-slate-800 rounded text-slate-400 hover:text-white transition-colors disabled:opacity-50"
+                                        title="Send test message"
+                                    >
+                                        <BellRing className="w-4 h-4" />
+                                    </button>
+                                    <button
+                                        onClick={() => setHistoryGroup(group)}
+                                        className="p-1.5 hover:bg-slate-800 rounded text-slate-400 hover:text-white transition-colors"
+                                        title="Delivery history"
+                                    >
+                                        <History className="w-4 h-4" />
+                                    </button>
                                     <button
                                         onClick={() => setEditingGroup(group)}
                                         className="p-1.5 hover:bg-slate-800 rounded text-slate-400 hover:text-white transition-colors"
@@ -269,31 +683,36 @@ export default function NotificationGroups() {
                             </CardTitle>
                         </CardHeader>
                         <CardContent className="space-y-3">
-                            <div className="flex items-center justify-between p-2 rounded bg-slate-950/50 border border-slate-800/50">
-                                <div className="flex items-center gap-2">
-                                    <Send className={`w-4 h-4 ${group.telegramEnabled ? 'text-blue-400' : 'text-slate-600'}`} />
-                                    <span className="text-sm text-slate-300">Telegram</span>
-                                </div>
-                                <span className={`text-xs px-2 py-0.5 rounded ${group.telegramEnabled ? 'bg-blue-500/10 text-blue-400' : 'bg-slate-800 text-slate-500'}`}>
-                                    {group.telegramEnabled ? 'On' : 'Off'}
-                                </span>
-                            </div>
+                            {(group.channels || []).map((channel, index) => {
+                                const meta = CHANNEL_TYPES[channel.type];
+                                if (!meta) return null;
+                                const Icon = meta.icon;
 
-                            <div className="flex items-center justify-between p-2 rounded bg-slate-950/50 border border-slate-800/50">
-                                <div className="flex items-center gap-2">
-                                    <MessageCircle className={`w-4 h-4 ${group.whatsappEnabled ? 'text-green-400' : 'text-slate-600'}`} />
-                                    <span className="text-sm text-slate-300">WhatsApp</span>
-                                </div>
-                                <span className={`text-xs px-2 py-0.5 rounded ${group.whatsappEnabled ? 'bg-green-500/10 text-green-400' : 'bg-slate-800 text-slate-500'}`}>
-                                    {group.whatsappEnabled ? 'On' : 'Off'}
-                                </span>
-                            </div>
+                                return (
+                                    <div key={channel.id || index} className="flex items-center justify-between p-2 rounded bg-slate-950/50 border border-slate-800/50">
+                                        <div className="flex items-center gap-2 min-w-0">
+                                            <Icon className={`w-4 h-4 flex-shrink-0 ${channel.enabled ? meta.color : 'text-slate-600'}`} />
+                                            <span className="text-sm text-slate-300">{meta.label}</span>
+                                            {channel.enabled && meta.summary(channel.config || {}) && (
+                                                <span className="text-xs text-slate-500 truncate">{meta.summary(channel.config || {})}</span>
+                                            )}
+                                        </div>
+                                        <span className={`text-xs px-2 py-0.5 rounded ${channel.enabled ? meta.badge : 'bg-slate-800 text-slate-500'}`}>
+                                            {channel.enabled ? 'On' : 'Off'}
+                                        </span>
+                                    </div>
+                                );
+                            })}
 
-                            {(group.telegramEnabled || group.whatsappEnabled) && (
-                                <div className="pt-2 text-xs text-slate-500 flex gap-2">
-                                    {group.telegramThreadId && <span className="bg-slate-800 px-1.5 py-0.5 rounded">Topic: {group.telegramThreadId}</span>}
-                                    {group.whatsappTo && <span className="bg-slate-800 px-1.5 py-0.5 rounded">WA: {group.whatsappTo}</span>}
-                                </div>
+                            {!group.channels?.length && (
+                                <p className="text-xs text-slate-500">No channels configured</p>
+                            )}
+
+                            {describeDelivery(group) && (
+                                <p className="flex items-center gap-1.5 text-xs text-slate-400">
+                                    <Layers className="w-3.5 h-3.5 text-cyan-400" />
+                                    {describeDelivery(group)}
+                                </p>
                             )}
                         </CardContent>
                     </Card>
@@ -306,6 +725,8 @@ export default function NotificationGroups() {
                 )}
             </div>
 
+            <FailedDeliveries />
+
             <GroupFormModal
                 isOpen={isModalOpen || !!editingGroup}
                 onClose={() => {
@@ -314,6 +735,8 @@ export default function NotificationGroups() {
                 }}
                 group={editingGroup}
             />
+
+            <DeliveryHistoryModal group={historyGroup} onClose={() => setHistoryGroup(null)} />
         </div>
     );
 }
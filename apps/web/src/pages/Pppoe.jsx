@@ -1,9 +1,13 @@
 import React, { useState, useMemo } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { apiClient } from '@/lib/api';
-import { useRouters } from '@/hooks';
+import { useRouters, useSettings, useCurrentUser } from '@/hooks';
 import { Card, CardContent } from '@/components/ui/Card';
 import { Button } from '@/components/ui/Button';
+import PppoeHistoryDrawer from '@/components/pppoe/PppoeHistoryDrawer';
+import PppoeUsagePanel from '@/components/pppoe/PppoeUsagePanel';
+import PppoeActionsModal from '@/components/pppoe/PppoeActionsModal';
+import { formatDateWithTimezone } from '@/lib/timezone';
 import {
     PhoneCall,
     RefreshCw,
@@ -15,6 +19,8 @@ import {
     Timer,
     Network,
     MapPin,
+    History,
+    Settings2,
     X
 } from 'lucide-react';
 import clsx from 'clsx';
@@ -177,16 +183,22 @@ export default function Pppoe() {
     const [routerFilter, setRouterFilter] = useState('all');
     const [sortBy, setSortBy] = useState('uptime'); // uptime, name, router
     const [selectedSession, setSelectedSession] = useState(null);
+    const [historySession, setHistorySession] = useState(null);
+    const [actionsSession, setActionsSession] = useState(null);
+    const { data: settings } = useSettings();
+    const { data: currentUser } = useCurrentUser();
+    const canManage = currentUser?.role === 'admin' || currentUser?.role === 'operator';
 
     const updateCoordinates = useUpdatePppoeCoordinates();
+    const timezone = currentUser?.timezone || settings?.timezone || 'Asia/Jakarta';
 
     // Merge live sessions with database coordinates
     const mergedEntries = useMemo(() => {
-        // Create lookup map from dbSessions by name
-        const dbMap = new Map(dbSessions.map(s => [s.name, s]));
+        // Create lookup map from dbSessions by router and name (usernames can repeat across routers)
+        const dbMap = new Map(dbSessions.map(s => [`${s.routerId}:${s.name}`, s]));
 
         return pppoeEntries.map(entry => {
-            const dbSession = dbMap.get(entry.name);
+            const dbSession = dbMap.get(`${entry.routerId}:${entry.name}`);
             return {
                 ...entry,
                 dbId: dbSession?.id,
@@ -233,6 +245,13 @@ export default function Pppoe() {
     // Count sessions with coordinates
     const sessionsWithLocation = mergedEntries.filter(e => e.latitude && e.longitude).length;
 
+    // Open the history of a user from the top users list (disconnected users included)
+    const handleSelectUsageUser = (user) => {
+        const dbSession = dbSessions.find(s => s.routerId === user.routerId && s.name === user.name);
+        if (!dbSession) return;
+        setHistorySession({ dbId: dbSession.id, name: user.name, routerName: user.routerName });
+    };
+
     const handleSaveCoordinates = async (coords) => {
         if (!selectedSession?.dbId) {
             alert('Session ini belum tersimpan di database. Tunggu beberapa saat hingga terdeteksi oleh sistem.');
@@ -343,6 +362,11 @@ export default function Pppoe() {
 
             {/* Content */}
             <div className="flex-1 overflow-auto p-6">
+                <PppoeUsagePanel
+                    routerId={routerFilter === 'all' ? null : routerFilter}
+                    onSelectUser={handleSelectUsageUser}
+                />
+
                 {filteredEntries.length === 0 ? (
                     <div className="flex flex-col items-center justify-center py-12 text-center border-2 border-dashed border-slate-800 rounded-xl">
                         <div className="w-12 h-12 bg-slate-800 rounded-full flex items-center justify-center mb-4">
@@ -396,12 +420,12 @@ export default function Pppoe() {
                                         </div>
                                     </div>
 
-                                    {/* Location Button */}
-                                    <div className="mt-3 pt-3 border-t border-slate-800">
+                                    {/* Location and History Buttons */}
+                                    <div className="mt-3 pt-3 border-t border-slate-800 flex gap-2">
                                         <button
                                             onClick={() => setSelectedSession(entry)}
                                             className={clsx(
-                                                "w-full flex items-center justify-center gap-2 px-3 py-1.5 rounded-lg text-xs transition-colors",
+                                                "flex-1 flex items-center justify-center gap-2 px-3 py-1.5 rounded-lg text-xs transition-colors",
                                                 entry.latitude && entry.longitude
                                                     ? "bg-emerald-500/10 text-emerald-400 hover:bg-emerald-500/20"
                                                     : "bg-slate-800 text-slate-400 hover:bg-slate-700"
@@ -413,6 +437,25 @@ export default function Pppoe() {
                                                 : 'Set Lokasi'
                                             }
                                         </button>
+                                        {entry.dbId && (
+                                            <button
+                                                onClick={() => setHistorySession(entry)}
+                                                title="Connection history"
+                                                className="flex items-center justify-center gap-1 px-3 py-1.5 rounded-lg text-xs bg-slate-800 text-slate-400 hover:bg-slate-700 transition-colors"
+                                            >
+                                                <History className="w-3 h-3" />
+                                                History
+                                            </button>
+                                        )}
+                                        {entry.dbId && canManage && (
+                                            <button
+                                                onClick={() => setActionsSession(entry)}
+                                                title="Disconnect, enable/disable or change profile"
+                                                className="flex items-center justify-center px-2 py-1.5 rounded-lg text-xs bg-slate-800 text-slate-400 hover:bg-slate-700 transition-colors"
+                                            >
+                                                <Settings2 className="w-3 h-3" />
+                                            </button>
+                                        )}
                                     </div>
                                 </CardContent>
                             </Card>
@@ -430,6 +473,21 @@ export default function Pppoe() {
                     isSaving={updateCoordinates.isPending}
                 />
             )}
+
+            {/* Operator Actions */}
+            {actionsSession && (
+                <PppoeActionsModal
+                    session={actionsSession}
+                    onClose={() => setActionsSession(null)}
+                />
+            )}
+
+            {/* Connection History */}
+            <PppoeHistoryDrawer
+                session={historySession}
+                onClose={() => setHistorySession(null)}
+                formatTime={(date) => formatDateWithTimezone(date, timezone)}
+            />
         </div>
     );
 }
@@ -2,7 +2,7 @@ import React, { useState, useEffect, useRef } from 'react';
 import { useParams, Link } from 'react-router-dom';
 import { useQueryClient } from '@tanstack/react-query';
 import { apiClient } from '@/lib/api';
-import { useRouter, useRouterInterfaces, useRouterMetrics, useRouterNetwatch, useSettings, useSyncNetwatch, useRefreshRouter, useRouterHotspotActive, useRouterPppActive, usePingLatencies, useCurrentUser } from '@/hooks';
+import { useRouter, useRouterInterfaces, useInterfaceHistory, useRouterMetrics, useRouterNetwatch, useNetwatchHistory, useSettings, useSyncNetwatch, useRefreshRouter, useRouterHotspotActive, useRouterPppActive, usePingLatencies, useCurrentUser, useUpdateInterface, useRouterThresholds, useUpdateRouterThresholds, useDeleteRouterThresholds } from '@/hooks';
 import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/Card';
 import { Button } from '@/components/ui/Button';
 import { Modal } from '@/components/ui/Modal';
@@ -33,20 +33,30 @@ import {
     PhoneCall,
     Timer,
     Search,
-    X
+    X,
+    LineChart as LineChartIcon,
+    SlidersHorizontal,
+    Bell,
+    BellOff
 } from 'lucide-react';
 import clsx from 'clsx';
 import { formatDateWithTimezone } from '@/lib/timezone';
 import {
     AreaChart,
     Area,
+    ComposedChart,
+    Line,
     XAxis,
     YAxis,
     CartesianGrid,
     Tooltip,
+    ReferenceLine,
     ResponsiveContainer
 } from 'recharts';
 import NetworkMap from '@/components/NetworkMap';
+import ThresholdProfileEditor from '@/components/settings/ThresholdProfileEditor';
+import { THRESHOLD_FIELDS } from '@/components/settings/thresholdFields';
+import toast from 'react-hot-toast';
 
 // Tab component
 function Tabs({ tabs, activeTab, onTabChange }) {
@@ -281,6 +291,179 @@ function InterfaceTrafficChart({ routerId, interfaces }) {
     );
 }
 
+const TRAFFIC_RANGES = [
+    { id: '1h', label: '1H' },
+    { id: '24h', label: '24H' },
+    { id: '7d', label: '7D' },
+    { id: '30d', label: '30D' },
+];
+
+// Interface traffic history with 95th percentile (billing-style graph)
+function InterfaceHistoryChart({ routerId, interfaces }) {
+    const [interfaceId, setInterfaceId] = useState('');
+    const [range, setRange] = useState('24h');
+    const { data: currentUser } = useCurrentUser();
+    const { data: settings } = useSettings();
+    const timezone = currentUser?.timezone || settings?.timezone || 'Asia/Jakarta';
+
+    // Default to the first interface, keep the selection while it still exists
+    const selectedId = interfaces?.find(i => i.id === interfaceId) ? interfaceId : (interfaces?.[0]?.id || '');
+    const { data: history, isLoading } = useInterfaceHistory(routerId, selectedId, range);
+
+    const formatBits = (bits) => {
+        if (!bits || bits === 0) return '0 bps';
+        const k = 1000;
+        const sizes = ['bps', 'Kbps', 'Mbps', 'Gbps'];
+        const i = Math.floor(Math.log(bits) / Math.log(k));
+        return parseFloat((bits / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+    };
+
+    const points = (history?.points || []).map(p => ({
+        ...p,
+        label: formatDateWithTimezone(p.time, timezone, {
+            year: undefined,
+            second: undefined,
+            day: range === '7d' || range === '30d' ? '2-digit' : undefined,
+            month: range === '7d' || range === '30d' ? '2-digit' : undefined,
+        }),
+    }));
+
+    return (
+        <Card className="glass-panel">
+            <CardHeader className="flex flex-row items-center justify-between pb-2">
+                <CardTitle className="text-base font-medium flex items-center gap-2">
+                    <TrendingUp className="w-4 h-4 text-primary" />
+                    Traffic History
+                </CardTitle>
+                <div className="flex items-center gap-2">
+                    <select
+                        value={selectedId}
+                        onChange={(e) => setInterfaceId(e.target.value)}
+                        className="bg-slate-900 border border-slate-700 text-white text-xs rounded-md px-2 py-1 outline-none focus:ring-1 focus:ring-primary"
+                    >
+                        {interfaces?.map(iface => (
+                            <option key={iface.id} value={iface.id}>{iface.name}</option>
+                        ))}
+                    </select>
+                    <div className="flex gap-1">
+                        {TRAFFIC_RANGES.map(r => (
+                            <button
+                                key={r.id}
+                                onClick={() => setRange(r.id)}
+                                className={clsx(
+                                    "px-2 py-1 rounded-md text-xs font-medium transition-colors",
+                                    range === r.id
+                                        ? "bg-primary text-white"
+                                        : "bg-slate-800 text-slate-400 hover:text-white"
+                                )}
+                            >
+                                {r.label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            </CardHeader>
+            <CardContent>
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+                    <div className="p-3 rounded-lg bg-emerald-500/10">
+                        <div className="text-xs text-slate-400">95th TX</div>
+                        <div className="text-base font-bold font-mono text-emerald-400">{formatBits(history?.percentile95?.tx)}</div>
+                    </div>
+                    <div className="p-3 rounded-lg bg-blue-500/10">
+                        <div className="text-xs text-slate-400">95th RX</div>
+                        <div className="text-base font-bold font-mono text-blue-400">{formatBits(history?.percentile95?.rx)}</div>
+                    </div>
+                    <div className="p-3 rounded-lg bg-slate-800/50">
+                        <div className="text-xs text-slate-400">Peak TX / RX</div>
+                        <div className="text-sm font-bold font-mono text-white">
+                            {formatBits(history?.peak?.tx)} / {formatBits(history?.peak?.rx)}
+                        </div>
+                    </div>
+                    <div className="p-3 rounded-lg bg-slate-800/50">
+                        <div className="text-xs text-slate-400">Avg TX / RX</div>
+                        <div className="text-sm font-bold font-mono text-white">
+                            {formatBits(history?.average?.tx)} / {formatBits(history?.average?.rx)}
+                        </div>
+                    </div>
+                </div>
+
+                <div className="h-[250px] w-full">
+                    {isLoading ? (
+                        <div className="flex items-center justify-center h-full">
+                            <RefreshCw className="w-5 h-5 animate-spin text-primary" />
+                        </div>
+                    ) : points.length === 0 ? (
+                        <div className="flex items-center justify-center h-full text-sm text-slate-500">
+                            No traffic history recorded for this range yet
+                        </div>
+                    ) : (
+                        <ResponsiveContainer width="100%" height="100%">
+                            <AreaChart data={points}>
+                                <defs>
+                                    <linearGradient id="colorHistTx" x1="0" y1="0" x2="0" y2="1">
+                                        <stop offset="5%" stopColor="#10b981" stopOpacity={0.3} />
+                                        <stop offset="95%" stopColor="#10b981" stopOpacity={0} />
+                                    </linearGradient>
+                                    <linearGradient id="colorHistRx" x1="0" y1="0" x2="0" y2="1">
+                                        <stop offset="5%" stopColor="#3b82f6" stopOpacity={0.3} />
+                                        <stop offset="95%" stopColor="#3b82f6" stopOpacity={0} />
+                                    </linearGradient>
+                                </defs>
+                                <CartesianGrid strokeDasharray="3 3" stroke="#1e293b" vertical={false} />
+                                <XAxis dataKey="label" stroke="#475569" fontSize={10} tickLine={false} axisLine={false} minTickGap={30} />
+                                <YAxis
+                                    stroke="#475569"
+                                    fontSize={10}
+                                    tickFormatter={formatBits}
+                                    tickLine={false}
+                                    axisLine={false}
+                                    width={60}
+                                    domain={[0, 'auto']}
+                                />
+                                <Tooltip
+                                    contentStyle={{ backgroundColor: '#0f172a', borderColor: '#1e293b', color: '#f1f5f9' }}
+                                    itemStyle={{ fontSize: '12px' }}
+                                    labelStyle={{ color: '#94a3b8', marginBottom: '5px' }}
+                                    formatter={(value, name) => [formatBits(value), name]}
+                                />
+                                <Area
+                                    type="monotone"
+                                    dataKey="txAvg"
+                                    stroke="#10b981"
+                                    strokeWidth={2}
+                                    fillOpacity={1}
+                                    fill="url(#colorHistTx)"
+                                    name="TX"
+                                    isAnimationActive={false}
+                                />
+                                <Area
+                                    type="monotone"
+                                    dataKey="rxAvg"
+                                    stroke="#3b82f6"
+                                    strokeWidth={2}
+                                    fillOpacity={1}
+                                    fill="url(#colorHistRx)"
+                                    name="RX"
+                                    isAnimationActive={false}
+                                />
+                                {history?.percentile95?.tx > 0 && (
+                                    <ReferenceLine y={history.percentile95.tx} stroke="#10b981" strokeDasharray="6 4" />
+                                )}
+                                {history?.percentile95?.rx > 0 && (
+                                    <ReferenceLine y={history.percentile95.rx} stroke="#3b82f6" strokeDasharray="6 4" />
+                                )}
+                            </AreaChart>
+                        </ResponsiveContainer>
+                    )}
+                </div>
+                <p className="text-[10px] text-slate-500 text-center mt-2">
+                    Dashed lines mark the 95th percentile of the raw samples in the selected range
+                </p>
+            </CardContent>
+        </Card>
+    );
+}
+
 // Active Users Card Component
 function ActiveUsersCard({ routerId }) {
     const { data: hotspotCount } = useRouterHotspotActive(routerId);
@@ -382,6 +565,25 @@ function PingLatencyCard({ routerId }) {
 
 // Dashboard Tab Content
 function DashboardTab({ router, metrics, interfaces }) {
+    const { data: currentUser } = useCurrentUser();
+    const updateInterface = useUpdateInterface();
+    const canEdit = currentUser?.role === 'admin' || currentUser?.role === 'operator';
+
+    const handleToggleMonitor = async (iface) => {
+        try {
+            await updateInterface.mutateAsync({
+                routerId: router.id,
+                interfaceId: iface.id,
+                data: { monitored: !iface.monitored },
+            });
+            toast.success(iface.monitored
+                ? `Link alerts disabled for ${iface.name}`
+                : `Link alerts enabled for ${iface.name}`);
+        } catch (error) {
+            toast.error(error.response?.data?.message || 'Failed to update interface');
+        }
+    };
+
     const formatBytes = (bytes) => {
         if (!bytes) return '0 B';
         const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
@@ -452,6 +654,9 @@ function DashboardTab({ router, metrics, interfaces }) {
                 <InterfaceTrafficChart routerId={router.id} interfaces={interfaces} />
             </div>
 
+            {/* Interface Traffic History */}
+            <InterfaceHistoryChart routerId={router.id} interfaces={interfaces} />
+
             {/* Interfaces Table */}
             <Card className="glass-panel">
                 <CardHeader>
@@ -471,6 +676,7 @@ function DashboardTab({ router, metrics, interfaces }) {
                                     <th className="text-left py-3 px-4 text-xs font-medium text-slate-400 uppercase">Link</th>
                                     <th className="text-right py-3 px-4 text-xs font-medium text-slate-400 uppercase">TX Rate</th>
                                     <th className="text-right py-3 px-4 text-xs font-medium text-slate-400 uppercase">RX Rate</th>
+                                    <th className="text-center py-3 px-4 text-xs font-medium text-slate-400 uppercase">Monitor</th>
                                 </tr>
                             </thead>
                             <tbody>
@@ -515,11 +721,27 @@ function DashboardTab({ router, metrics, interfaces }) {
                                                     <span className="text-[10px] text-slate-500">{formatBytes(iface.rxBytes)} total</span>
                                                 </div>
                                             </td>
+                                            <td className="py-3 px-4 text-center">
+                                                <button
+                                                    type="button"
+                                                    onClick={() => handleToggleMonitor(iface)}
+                                                    disabled={!canEdit || updateInterface.isPending}
+                                                    title={iface.monitored ? 'Link down / flap alerts enabled' : 'Enable link down / flap alerts'}
+                                                    className={clsx(
+                                                        "p-1.5 rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed",
+                                                        iface.monitored
+                                                            ? "text-primary bg-primary/10 hover:bg-primary/20"
+                                                            : "text-slate-500 hover:text-slate-300 hover:bg-slate-800"
+                                                    )}
+                                                >
+                                                    {iface.monitored ? <Bell className="w-4 h-4" /> : <BellOff className="w-4 h-4" />}
+                                                </button>
+                                            </td>
                                         </tr>
                                     ))
                                 ) : (
                                     <tr>
-                                        <td colSpan={5} className="py-8 text-center text-slate-500">
+                                        <td colSpan={7} className="py-8 text-center text-slate-500">
                                             No interfaces found
                                         </td>
                                     </tr>
@@ -703,6 +925,9 @@ function NetwatchFormModal({ isOpen, onClose, onSuccess, netwatch = null, router
         latitude: '',
         longitude: '',
         location: '',
+        latencyThreshold: '',
+        packetLossThreshold: '',
+        consecutiveBreaches: '',
     });
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [error, setError] = useState('');
@@ -716,6 +941,9 @@ function NetwatchFormModal({ isOpen, onClose, onSuccess, netwatch = null, router
                 latitude: netwatch.latitude || '',
                 longitude: netwatch.longitude || '',
                 location: netwatch.location || '',
+                latencyThreshold: netwatch.latencyThreshold ?? '',
+                packetLossThreshold: netwatch.packetLossThreshold ?? '',
+                consecutiveBreaches: netwatch.consecutiveBreaches ?? '',
             });
         } else {
             setFormData({
@@ -725,6 +953,9 @@ function NetwatchFormModal({ isOpen, onClose, onSuccess, netwatch = null, router
                 latitude: '',
                 longitude: '',
                 location: '',
+                latencyThreshold: '',
+                packetLossThreshold: '',
+                consecutiveBreaches: '',
             });
         }
         setError('');
@@ -763,6 +994,12 @@ function NetwatchFormModal({ isOpen, onClose, onSuccess, netwatch = null, router
             if (formData.longitude) payload.longitude = formData.longitude;
             if (formData.location) payload.location = formData.location;
 
+            // Empty threshold fields inherit the device type / router thresholds
+            for (const key of ['latencyThreshold', 'packetLossThreshold', 'consecutiveBreaches']) {
+                const value = formData[key] === '' ? null : parseInt(formData[key], 10);
+                if (isEditing || value !== null) payload[key] = value;
+            }
+
             if (isEditing) {
                 await apiClient.put(`/routers/${routerId}/netwatch/${netwatch.id}`, payload);
             } else {
@@ -825,6 +1062,25 @@ function NetwatchFormModal({ isOpen, onClose, onSuccess, netwatch = null, router
                     <p className="text-xs text-slate-500 mt-2">Tip: Paste "lat, long" format to auto-fill</p>
                 </div>
 
+                <div className="pt-2 border-t border-slate-700/50">
+                    <div className="text-xs font-bold text-slate-500 uppercase tracking-wide mb-3">Alert Thresholds (Optional)</div>
+                    <div className="grid grid-cols-3 gap-4">
+                        <div className="space-y-2">
+                            <label className="text-sm font-medium text-slate-300">Latency (ms)</label>
+                            <Input type="number" name="latencyThreshold" value={formData.latencyThreshold} onChange={handleChange} placeholder="Inherit" min={1} max={10000} />
+                        </div>
+                        <div className="space-y-2">
+                            <label className="text-sm font-medium text-slate-300">Packet Loss (%)</label>
+                            <Input type="number" name="packetLossThreshold" value={formData.packetLossThreshold} onChange={handleChange} placeholder="Inherit" min={0} max={100} />
+                        </div>
+                        <div className="space-y-2">
+                            <label className="text-sm font-medium text-slate-300">Breaches</label>
+                            <Input type="number" name="consecutiveBreaches" value={formData.consecutiveBreaches} onChange={handleChange} placeholder="Inherit" min={1} max={20} />
+                        </div>
+                    </div>
+                    <p className="text-xs text-slate-500 mt-2">Leave empty to use the device type thresholds from Settings &gt; Alerts</p>
+                </div>
+
                 <div className="pt-4 flex justify-end gap-2">
                     <Button variant="ghost" onClick={onClose} type="button">Cancel</Button>
                     <Button type="submit" loading={isSubmitting}>
@@ -836,10 +1092,203 @@ function NetwatchFormModal({ isOpen, onClose, onSuccess, netwatch = null, router
     );
 }
 
+const HISTORY_RANGES = [
+    { id: '1h', label: '1H' },
+    { id: '6h', label: '6H' },
+    { id: '24h', label: '24H' },
+    { id: '7d', label: '7D' },
+    { id: '30d', label: '30D' },
+];
+
+// Netwatch latency / packet loss history chart
+function NetwatchHistoryModal({ routerId, netwatch, timezone, onClose }) {
+    const [range, setRange] = useState('24h');
+    const { data: history, isLoading } = useNetwatchHistory(routerId, netwatch?.id, range);
+
+    const points = (history?.points || []).map(p => ({
+        ...p,
+        label: formatDateWithTimezone(p.time, timezone, {
+            year: undefined,
+            second: undefined,
+            day: range === '7d' || range === '30d' ? '2-digit' : undefined,
+            month: range === '7d' || range === '30d' ? '2-digit' : undefined,
+        }),
+    }));
+
+    const withLatency = points.filter(p => p.avgLatency !== null);
+    const avg = withLatency.length > 0
+        ? withLatency.reduce((sum, p) => sum + p.avgLatency, 0) / withLatency.length
+        : null;
+    const max = withLatency.length > 0 ? Math.max(...withLatency.map(p => p.maxLatency ?? p.avgLatency)) : null;
+    const loss = points.length > 0
+        ? points.reduce((sum, p) => sum + (p.packetLoss || 0), 0) / points.length
+        : null;
+
+    return (
+        <Modal
+            isOpen={!!netwatch}
+            onClose={onClose}
+            title={`Latency History - ${netwatch?.name || netwatch?.host || ''}`}
+            maxWidth="max-w-3xl"
+        >
+            <div className="space-y-4">
+                <div className="flex items-center justify-between">
+                    <span className="text-xs text-slate-500 font-mono">{netwatch?.host}</span>
+                    <div className="flex gap-1">
+                        {HISTORY_RANGES.map(r => (
+                            <button
+                                key={r.id}
+                                onClick={() => setRange(r.id)}
+                                className={clsx(
+                                    "px-2.5 py-1 rounded-md text-xs font-medium transition-colors",
+                                    range === r.id
+                                        ? "bg-primary text-white"
+                                        : "bg-slate-800 text-slate-400 hover:text-white"
+                                )}
+                            >
+                                {r.label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+
+                <div className="grid grid-cols-3 gap-3">
+                    <div className="p-3 rounded-lg bg-slate-800/50">
+                        <div className="text-xs text-slate-500">Avg Latency</div>
+                        <div className="text-lg font-bold font-mono text-white">{avg !== null ? `${avg.toFixed(1)} ms` : '--'}</div>
+                    </div>
+                    <div className="p-3 rounded-lg bg-slate-800/50">
+                        <div className="text-xs text-slate-500">Max Latency</div>
+                        <div className="text-lg font-bold font-mono text-white">{max !== null ? `${max} ms` : '--'}</div>
+                    </div>
+                    <div className="p-3 rounded-lg bg-slate-800/50">
+                        <div className="text-xs text-slate-500">Packet Loss</div>
+                        <div className={clsx("text-lg font-bold font-mono", loss > 0 ? 'text-red-400' : 'text-white')}>
+                            {loss !== null ? `${loss.toFixed(1)}%` : '--'}
+                        </div>
+                    </div>
+                </div>
+
+                <div className="h-[280px] w-full">
+                    {isLoading ? (
+                        <div className="flex items-center justify-center h-full">
+                            <RefreshCw className="w-5 h-5 animate-spin text-primary" />
+                        </div>
+                    ) : points.length === 0 ? (
+                        <div className="flex items-center justify-center h-full text-sm text-slate-500">
+                            No history recorded for this range yet
+                        </div>
+                    ) : (
+                        <ResponsiveContainer width="100%" height="100%">
+                            <ComposedChart data={points}>
+                                <defs>
+                                    <linearGradient id="colorLatency" x1="0" y1="0" x2="0" y2="1">
+                                        <stop offset="5%" stopColor="#3b82f6" stopOpacity={0.3} />
+                                        <stop offset="95%" stopColor="#3b82f6" stopOpacity={0} />
+                                    </linearGradient>
+                                </defs>
+                                <CartesianGrid strokeDasharray="3 3" stroke="#1e293b" vertical={false} />
+                                <XAxis dataKey="label" stroke="#475569" fontSize={10} tickLine={false} axisLine={false} minTickGap={30} />
+                                <YAxis
+                                    yAxisId="latency"
+                                    stroke="#475569"
+                                    fontSize={10}
+                                    tickLine={false}
+                                    axisLine={false}
+                                    width={45}
+                                    tickFormatter={(v) => `${v}ms`}
+                                />
+                                <YAxis
+                                    yAxisId="loss"
+                                    orientation="right"
+                                    stroke="#475569"
+                                    fontSize={10}
+                                    tickLine={false}
+                                    axisLine={false}
+                                    width={40}
+                                    domain={[0, 100]}
+                                    tickFormatter={(v) => `${v}%`}
+                                />
+                                <Tooltip
+                                    contentStyle={{ backgroundColor: '#0f172a', borderColor: '#1e293b', color: '#f1f5f9' }}
+                                    itemStyle={{ fontSize: '12px' }}
+                                    labelStyle={{ color: '#94a3b8', marginBottom: '5px' }}
+                                    formatter={(value, name) => [
+                                        value === null || value === undefined ? '--' : name === 'Loss' ? `${value}%` : `${value} ms`,
+                                        name,
+                                    ]}
+                                />
+                                <Area
+                                    yAxisId="latency"
+                                    type="monotone"
+                                    dataKey="avgLatency"
+                                    stroke="#3b82f6"
+                                    strokeWidth={2}
+                                    fill="url(#colorLatency)"
+                                    name="Avg"
+                                    connectNulls={false}
+                                    isAnimationActive={false}
+                                />
+                                {history?.resolution !== 'raw' && (
+                                    <Line
+                                        yAxisId="latency"
+                                        type="monotone"
+                                        dataKey="p95Latency"
+                                        stroke="#f59e0b"
+                                        strokeWidth={1.5}
+                                        dot={false}
+                                        name="P95"
+                                        isAnimationActive={false}
+                                    />
+                                )}
+                                {history?.resolution !== 'raw' && (
+                                    <Line
+                                        yAxisId="latency"
+                                        type="monotone"
+                                        dataKey="maxLatency"
+                                        stroke="#ef4444"
+                                        strokeWidth={1}
+                                        strokeDasharray="4 4"
+                                        dot={false}
+                                        name="Max"
+                                        isAnimationActive={false}
+                                    />
+                                )}
+                                <Line
+                                    yAxisId="loss"
+                                    type="stepAfter"
+                                    dataKey="packetLoss"
+                                    stroke="#a855f7"
+                                    strokeWidth={1}
+                                    dot={false}
+                                    name="Loss"
+                                    isAnimationActive={false}
+                                />
+                            </ComposedChart>
+                        </ResponsiveContainer>
+                    )}
+                </div>
+
+                <div className="flex justify-center gap-4 text-xs text-slate-400">
+                    <span className="flex items-center gap-1.5"><span className="w-3 h-3 rounded-full bg-blue-500" />Avg</span>
+                    {history?.resolution !== 'raw' && (
+                        <>
+                            <span className="flex items-center gap-1.5"><span className="w-3 h-3 rounded-full bg-amber-500" />P95</span>
+                            <span className="flex items-center gap-1.5"><span className="w-3 h-3 rounded-full bg-red-500" />Max</span>
+                        </>
+                    )}
+                    <span className="flex items-center gap-1.5"><span className="w-3 h-3 rounded-full bg-purple-500" />Packet Loss</span>
+                </div>
+            </div>
+        </Modal>
+    );
+}
+
 // Netwatch Tab Content
 function NetwatchTab({ routerId, netwatch = [], refetch }) {
     const [isAddModalOpen, setIsAddModalOpen] = useState(false);
     const [editingNetwatch, setEditingNetwatch] = useState(null);
+    const [historyNetwatch, setHistoryNetwatch] = useState(null);
     const [syncStatus, setSyncStatus] = useState('');
     const [statusFilter, setStatusFilter] = useState('all'); // 'all', 'up', 'down'
     const [searchQuery, setSearchQuery] = useState('');
@@ -1049,6 +1498,14 @@ function NetwatchTab({ routerId, netwatch = [], refetch }) {
                                         )}
                                     </div>
                                     <div className="flex gap-2">
+                                        {nw.host && (
+                                            <button
+                                                onClick={() => setHistoryNetwatch(nw)}
+                                                className="p-1.5 rounded-md bg-slate-800 text-slate-400 hover:text-primary"
+                                            >
+                                                <LineChartIcon className="w-4 h-4" />
+                                            </button>
+                                        )}
                                         <button
                                             onClick={() => setEditingNetwatch(nw)}
                                             className="p-1.5 rounded-md bg-slate-800 text-slate-400 hover:text-white"
@@ -1174,6 +1631,15 @@ function NetwatchTab({ routerId, netwatch = [], refetch }) {
                                         </td>
                                         <td className="py-3 px-4">
                                             <div className="flex justify-end gap-1">
+                                                {nw.host && (
+                                                    <button
+                                                        onClick={() => setHistoryNetwatch(nw)}
+                                                        className="p-1.5 rounded-md hover:bg-slate-700 text-slate-400 hover:text-primary transition-colors"
+                                                        title="Latency history"
+                                                    >
+                                                        <LineChartIcon className="w-4 h-4" />
+                                                    </button>
+                                                )}
                                                 <button
                                                     onClick={() => setEditingNetwatch(nw)}
                                                     className="p-1.5 rounded-md hover:bg-slate-700 text-slate-400 hover:text-white transition-colors"
@@ -1221,6 +1687,13 @@ function NetwatchTab({ routerId, netwatch = [], refetch }) {
                 onSuccess={handleSuccess}
                 routerId={routerId}
             />
+
+            <NetwatchHistoryModal
+                routerId={routerId}
+                netwatch={historyNetwatch}
+                timezone={timezone}
+                onClose={() => setHistoryNetwatch(null)}
+            />
         </div>
     );
 }
@@ -1560,6 +2033,88 @@ function PppoeTab({ routerId }) {
 }
 
 
+// Alert Thresholds Tab Component
+function ThresholdsTab({ routerId }) {
+    const { data: currentUser } = useCurrentUser();
+    const { data, isLoading } = useRouterThresholds(routerId);
+    const updateMutation = useUpdateRouterThresholds();
+    const deleteMutation = useDeleteRouterThresholds();
+
+    const canEdit = currentUser?.role === 'admin' || currentUser?.role === 'operator';
+
+    if (isLoading || !data) {
+        return (
+            <div className="flex items-center justify-center py-12">
+                <RefreshCw className="w-6 h-6 animate-spin text-primary" />
+            </div>
+        );
+    }
+
+    const handleSave = async (values) => {
+        try {
+            await updateMutation.mutateAsync({ routerId, data: values });
+            toast.success('Alert thresholds saved');
+        } catch (error) {
+            toast.error('Failed to save thresholds: ' + (error.message || 'Unknown error'));
+        }
+    };
+
+    const handleRemove = async () => {
+        try {
+            await deleteMutation.mutateAsync(routerId);
+            toast.success('Router overrides removed');
+        } catch (error) {
+            toast.error('Failed to remove overrides: ' + (error.message || 'Unknown error'));
+        }
+    };
+
+    return (
+        <div className="max-w-4xl space-y-6">
+            <Card>
+                <CardHeader>
+                    <CardTitle className="text-base">Effective Thresholds</CardTitle>
+                </CardHeader>
+                <CardContent>
+                    <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+                        {THRESHOLD_FIELDS.map(field => (
+                            <div key={field.key} className="p-3 bg-slate-800/50 rounded-lg">
+                                <p className="text-xs text-slate-400">{field.label}</p>
+                                <p className="text-lg font-semibold text-white">{data.effective[field.key]}{field.unit}</p>
+                                <span className={clsx(
+                                    "text-[10px] uppercase tracking-wide font-medium",
+                                    data.sources[field.key] === 'router' ? "text-primary"
+                                        : data.sources[field.key] === 'group' ? "text-amber-400"
+                                            : "text-slate-500"
+                                )}>
+                                    {data.sources[field.key]}
+                                </span>
+                            </div>
+                        ))}
+                    </div>
+                </CardContent>
+            </Card>
+
+            <Card>
+                <CardHeader>
+                    <CardTitle className="text-base">Router Overrides</CardTitle>
+                </CardHeader>
+                <CardContent>
+                    <ThresholdProfileEditor
+                        key={data.profile?.updatedAt || 'none'}
+                        profile={data.profile}
+                        inherited={data.inherited}
+                        inheritedLabel={data.groupProfile ? 'group/global' : 'global'}
+                        onSave={handleSave}
+                        onRemove={handleRemove}
+                        isSaving={updateMutation.isPending || deleteMutation.isPending}
+                        disabled={!canEdit}
+                    />
+                </CardContent>
+            </Card>
+        </div>
+    );
+}
+
 export default function RouterDetails() {
     const { id } = useParams();
     const [activeTab, setActiveTab] = useState('dashboard');
@@ -1593,6 +2148,7 @@ export default function RouterDetails() {
         { id: 'netwatch', label: 'Netwatch', icon: <Eye className="w-4 h-4" /> },
         { id: 'pppoe', label: 'PPPoE', icon: <PhoneCall className="w-4 h-4" /> },
         { id: 'map', label: 'Map', icon: <MapPin className="w-4 h-4" /> },
+        { id: 'thresholds', label: 'Alert Thresholds', icon: <SlidersHorizontal className="w-4 h-4" /> },
     ];
 
     const refreshMutation = useRefreshRouter();
@@ -1674,6 +2230,7 @@ export default function RouterDetails() {
                 {activeTab === 'netwatch' && <NetwatchTab routerId={id} netwatch={netwatch} refetch={refetchNetwatch} />}
                 {activeTab === 'pppoe' && <PppoeTab routerId={id} />}
                 {activeTab === 'map' && <MapTab router={router} netwatch={netwatch} apiKey={settings?.googleMapsApiKey} />}
+                {activeTab === 'thresholds' && <ThresholdsTab routerId={id} />}
             </div>
 
             <EditRouterModal
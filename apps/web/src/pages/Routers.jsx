@@ -445,7 +445,14 @@ export default function Routers() {
                                                 <RouterIcon className="w-6 h-6" />
                                             </div>
                                             <div>
-                                                <h3 className="font-semibold text-white">{router.name}</h3>
+                                                <h3 className="font-semibold text-white flex items-center gap-2">
+                                                    {router.name}
+                                                    {router.maintenance && (
+                                                        <span className="px-1.5 py-0.5 rounded text-[10px] font-medium bg-slate-500/20 text-slate-300" title="In a maintenance window - alerts are not notified">
+                                                            Maintenance
+                                                        </span>
+                                                    )}
+                                                </h3>
                                                 <div className="flex items-center gap-1.5 text-xs text-slate-400 mt-0.5">
                                                     <span className={clsx(
                                                         "w-1.5 h-1.5 rounded-full",
@@ -5,9 +5,13 @@ import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/Card';
 import { Button } from '@/components/ui/Button';
 import { Input } from '@/components/ui/Input';
 import { Modal } from '@/components/ui/Modal';
-import { Settings as SettingsIcon, Save, RefreshCw, Bell, Globe, Clock, AlertTriangle, User, Database, Upload, Download, Activity, Plus, Trash2 } from 'lucide-react';
+import { Settings as SettingsIcon, Save, RefreshCw, Bell, Globe, Clock, AlertTriangle, User, Database, Upload, Download, Activity, Plus, Trash2, Wrench, GitBranch, TrendingUp } from 'lucide-react';
 import { useExportDatabase, useImportDatabase } from '@/hooks';
 import AlertSettingsPanel from '@/components/settings/AlertSettingsPanel';
+import RetentionSettingsPanel from '@/components/settings/RetentionSettingsPanel';
+import MaintenancePanel from '@/components/settings/MaintenancePanel';
+import NotificationRulesPanel from '@/components/settings/NotificationRulesPanel';
+import EscalationPoliciesPanel from '@/components/settings/EscalationPoliciesPanel';
 import clsx from 'clsx';
 import toast from 'react-hot-toast';
 import { getAnimationStyleNames } from '@/components/map/animationStyles';
@@ -16,6 +20,10 @@ const TABS = [
     { id: 'profile', label: 'My Profile', icon: User },
     { id: 'general', label: 'General', icon: SettingsIcon },
     { id: 'alerts', label: 'Alert Thresholds', icon: AlertTriangle },
+    { id: 'maintenance', label: 'Maintenance', icon: Wrench },
+    { id: 'notification-rules', label: 'Notification Rules', icon: GitBranch },
+    { id: 'escalation', label: 'Escalation', icon: TrendingUp },
+    { id: 'retention', label: 'Data Retention', icon: Database },
 ];
 
 export default function Settings() {
@@ -26,6 +34,7 @@ export default function Settings() {
         pollingInterval: '30',
         alertEmailEnabled: false,
         alertEmail: '',
+        telegramBotEnabled: false,
         googleMapsApiKey: '',
         timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
         animationStyle: 'default',
@@ -73,6 +82,7 @@ export default function Settings() {
                 pollingInterval: String(settings.pollingInterval || 30),
                 alertEmailEnabled: settings.alertEmailEnabled === 'true' || settings.alertEmailEnabled === true,
                 alertEmail: settings.alertEmail || '',
+                telegramBotEnabled: settings.telegramBotEnabled === 'true' || settings.telegramBotEnabled === true,
                 googleMapsApiKey: settings.googleMapsApiKey || '',
             }));
             // Load ping targets from settings
@@ -114,6 +124,7 @@ export default function Settings() {
                 await updateSettingMutation.mutateAsync({ key: 'pollingInterval', value: parseInt(formData.pollingInterval, 10) });
                 await updateSettingMutation.mutateAsync({ key: 'alertEmailEnabled', value: formData.alertEmailEnabled });
                 await updateSettingMutation.mutateAsync({ key: 'alertEmail', value: formData.alertEmail });
+                await updateSettingMutation.mutateAsync({ key: 'telegramBotEnabled', value: formData.telegramBotEnabled });
                 await updateSettingMutation.mutateAsync({ key: 'googleMapsApiKey', value: formData.googleMapsApiKey });
                 // Save ping targets (filter out empty ones)
                 const validTargets = pingTargets.filter(t => t.ip.trim() !== '');
@@ -426,6 +437,25 @@ export default function Settings() {
                                         />
                                     </div>
                                 )}
+                                <div className="flex items-center justify-between">
+                                    <div>
+                                        <label className="text-sm font-medium text-slate-300">Telegram Bot Commands</label>
+                                        <p className="text-xs text-slate-500">
+                                            Answer /ack, /status, /down and /pppoe sent to the notification group bots. Link each user's Telegram ID on the Users page.
+                                        </p>
+                                    </div>
+                                    <label className="relative inline-flex items-center cursor-pointer">
+                                        <input
+                                            type="checkbox"
+                                            name="telegramBotEnabled"
+                                            checked={formData.telegramBotEnabled}
+                                            onChange={handleChange}
+                                            disabled={currentUser?.role !== 'admin'}
+                                            className="sr-only peer"
+                                        />
+                                        <div className="w-11 h-6 bg-slate-700 peer-focus:ring-2 peer-focus:ring-primary rounded-full peer peer-checked:after:translate-x-full after:content-[''] after:absolute after:top-[2px] after:start-[2px] after:bg-white after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-primary"></div>
+                                    </label>
+                                </div>
                             </CardContent>
                         </Card>
 
@@ -589,6 +619,30 @@ export default function Settings() {
                         <AlertSettingsPanel />
                     </div>
                 )}
+
+                {activeTab === 'maintenance' && (
+                    <div className="max-w-3xl">
+                        <MaintenancePanel />
+                    </div>
+                )}
+
+                {activeTab === 'notification-rules' && (
+                    <div className="max-w-3xl">
+                        <NotificationRulesPanel />
+                    </div>
+                )}
+
+                {activeTab === 'escalation' && (
+                    <div className="max-w-3xl">
+                        <EscalationPoliciesPanel />
+                    </div>
+                )}
+
+                {activeTab === 'retention' && (
+                    <div className="max-w-3xl">
+                        <RetentionSettingsPanel />
+                    </div>
+                )}
             </div>
 
             {/* Restore Confirmation Modal */}
@@ -1,10 +1,10 @@
 import React, { useState } from 'react';
-import { useUsers, useCreateUser, useUpdateUserRole, useUpdateUser, useUpdateUserPassword, useDeleteUser } from '@/hooks';
+import { useUsers, useCreateUser, useUpdateUserRole, useUpdateUser, useUpdateUserTelegram, useUpdateUserPassword, useDeleteUser } from '@/hooks';
 import { Card, CardContent } from '@/components/ui/Card';
 import { Button } from '@/components/ui/Button';
 import { Modal } from '@/components/ui/Modal';
 import { AssignRouterModal } from '@/components/users/AssignRouterModal';
-import { Users as UsersIcon, Shield, UserPlus, RefreshCw, Mail, ChevronDown, Check, Edit2, Trash2, Key, X, Router as RouterIcon } from 'lucide-react';
+import { Users as UsersIcon, Shield, UserPlus, RefreshCw, Mail, ChevronDown, Check, Edit2, Trash2, Key, X, Send, Router as RouterIcon } from 'lucide-react';
 import clsx from 'clsx';
 
 // RoleSelector dropdown component
@@ -261,12 +261,14 @@ function AddUserModal({ isOpen, onClose, onSuccess }) {
 function EditUserModal({ user, isOpen, onClose, onSuccess }) {
     const [name, setName] = useState(user?.name || '');
     const [username, setUsername] = useState(user?.username || '');
+    const [telegramChatId, setTelegramChatId] = useState(user?.telegramChatId || '');
     const [password, setPassword] = useState('');
     const [confirmPassword, setConfirmPassword] = useState('');
     const [isUpdating, setIsUpdating] = useState(false);
     const [error, setError] = useState('');
 
     const updateUser = useUpdateUser();
+    const updateTelegram = useUpdateUserTelegram();
     const updatePassword = useUpdateUserPassword();
 
     // Reset form when user changes
@@ -274,6 +276,7 @@ function EditUserModal({ user, isOpen, onClose, onSuccess }) {
         if (user) {
             setName(user.name || '');
             setUsername(user.username || '');
+            setTelegramChatId(user.telegramChatId || '');
             setPassword('');
             setConfirmPassword('');
             setError('');
@@ -306,6 +309,11 @@ function EditUserModal({ user, isOpen, onClose, onSuccess }) {
                 await updateUser.mutateAsync({ id: user.id, data: updates });
             }
 
+            // Link or unlink Telegram account if changed
+            if (telegramChatId !== (user.telegramChatId || '')) {
+                await updateTelegram.mutateAsync({ id: user.id, telegramChatId: telegramChatId || null });
+            }
+
             // Update password if provided
             if (password) {
                 await updatePassword.mutateAsync({ id: user.id, password });
@@ -372,6 +380,21 @@ function EditUserModal({ user, isOpen, onClose, onSuccess }) {
                     </div>
                 </div>
 
+                <div>
+                    <label className="block text-sm font-medium text-slate-300 mb-1">
+                        Telegram ID
+                    </label>
+                    <input
+                        type="text"
+                        inputMode="numeric"
+                        value={telegramChatId}
+                        onChange={(e) => setTelegramChatId(e.target.value.replace(/\D/g, ''))}
+                        className="w-full px-3 py-2 bg-slate-800 border border-slate-700 rounded-lg text-white placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-primary"
+                        placeholder="e.g. 123456789"
+                    />
+                    <p className="text-xs text-slate-500 mt-1">Lets this user run bot commands such as /ack. Sending /start to the bot shows the ID.</p>
+                </div>
+
                 <hr className="border-slate-700" />
 
                 <div>
@@ -508,6 +531,12 @@ export default function Users() {
                                                 <Mail className="w-3 h-3" />
                                                 <span className="truncate">{user.email}</span>
                                             </div>
+                                            {user.telegramChatId && (
+                                                <div className="flex items-center gap-1 text-xs text-slate-400 mt-0.5">
+                                                    <Send className="w-3 h-3" />
+                                                    <span className="truncate">Telegram {user.telegramChatId}</span>
+                                                </div>
+                                            )}
                                             {/* Action buttons */}
                                             <div className="flex items-center gap-2 mt-3 pt-3 border-t border-slate-800">
                                                 <button